@@ -14,7 +14,7 @@ const pool = mysql.createPool({
   password: process.env.DB_PASSWORD || 'anselemngo97$',        // ← your password here
   database: process.env.DB_NAME     || 'smart_library',
   waitForConnections: true,
-  connectionLimit   : 10,
+  connectionLimit   : Number(process.env.DB_POOL_SIZE || 10),
   queueLimit        : 0,
 });
 
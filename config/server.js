@@ -1,13 +1,33 @@
 
 'use strict';
 
-const express          = require('express');
-const pool             = require('./db');
-const DiscoveryService = require('./Discoveryservice');
+const express              = require('express');
+const { createRepository } = require('./storage');
+const DiscoveryService     = require('../src/Discoveryservice');
+const LoanService          = require('../src/LoanService');
+const CatalogueService     = require('../src/CatalogueService');
+const AnalyticsService     = require('../src/AnalyticsService');
+const PrivacyService       = require('../src/PrivacyService');
+const FeedbackService      = require('../src/FeedbackService');
+const OnboardingService    = require('../src/OnboardingService');
+const { ServiceError }     = require('../src/errors');
+const { listDiversity }    = require('../src/diversity');
 
 
 const app     = express();
-const service = new DiscoveryService(pool);
+const repo    = createRepository();
+const service = new DiscoveryService(repo, {
+  peerSearch: process.env.PEER_SEARCH || 'exact',
+  minPeers  : process.env.MIN_PEERS ? Number(process.env.MIN_PEERS) : undefined,
+  // Serve results from script/precompute.js up to this old; 0 (default) = always live
+  cacheMaxAgeMinutes: Number(process.env.CACHE_MAX_AGE_MINUTES ?? 0),
+});
+const loans   = new LoanService(repo);
+const catalogue = new CatalogueService(repo);
+const analytics = new AnalyticsService(repo, service);
+const privacy   = new PrivacyService(repo);
+const feedback  = new FeedbackService(repo);
+const onboarding = new OnboardingService(repo);
 const PORT    = process.env.PORT || 3000;
 
 app.use(express.json());
@@ -18,8 +38,242 @@ const asyncHandler = fn => (req, res, next) => {
 };
 
 
+// IDs are zero-padded to three digits and keep growing past 999 (U1000, B1234)
 function isValidUserId(userId) {
-  return /^U\d{3}$/.test(userId);
+  return /^U\d{3,}$/.test(userId);
+}
+
+function isValidBookId(bookId) {
+  return /^B\d{3,}$/.test(bookId);
+}
+
+function isValidLoanId(loanId) {
+  return /^L\d{3,}$/.test(loanId);
+}
+
+function isValidCopyId(copyId) {
+  return /^C\d{3,}$/.test(copyId);
+}
+
+function isValidBranchId(branchId) {
+  return /^BR\d{3,}$/.test(branchId);
+}
+
+/**
+ * Reads an optional integer query parameter.
+ * Returns undefined when absent; throws ServiceError (→ 400) when malformed.
+ */
+function intQuery(query, name) {
+  const value = query[name];
+  if (value === undefined) return undefined;
+  if (typeof value !== 'string') {
+    throw new ServiceError('INVALID', `${name} must be given once.`);
+  }
+  if (!/^-?\d+$/.test(value)) {
+    throw new ServiceError('INVALID', `${name} must be an integer. Got: "${value}"`);
+  }
+  return Number(value);
+}
+
+/**
+ * Reads an optional decimal query parameter.
+ */
+function numberQuery(query, name) {
+  const value = query[name];
+  if (value === undefined) return undefined;
+  if (typeof value !== 'string') {
+    throw new ServiceError('INVALID', `${name} must be given once.`);
+  }
+  if (!/^-?\d+(\.\d+)?$/.test(value)) {
+    throw new ServiceError('INVALID', `${name} must be a number. Got: "${value}"`);
+  }
+  return Number(value);
+}
+
+/**
+ * Reads an optional string query parameter, rejecting repeated keys.
+ */
+function stringQuery(query, name) {
+  const value = query[name];
+  if (value === undefined) return undefined;
+  if (typeof value !== 'string') {
+    throw new ServiceError('INVALID', `${name} must be given once.`);
+  }
+  return value;
+}
+
+/**
+ * Reads an optional true / false query parameter.
+ */
+function booleanQuery(query, name) {
+  const value = stringQuery(query, name);
+  if (value === undefined) return undefined;
+  if (value !== 'true' && value !== 'false') {
+    throw new ServiceError('INVALID', `${name} must be true or false. Got: "${value}"`);
+  }
+  return value === 'true';
+}
+
+/**
+ * Reads a list query parameter given comma-separated, repeated, or both
+ * (?excludeDewey=005,658&excludeDewey=9). Returns [] when absent.
+ */
+function listQuery(query, name) {
+  const value = query[name];
+  if (value === undefined) return [];
+
+  const parts = [].concat(value);
+  if (parts.some(v => typeof v !== 'string')) {
+    throw new ServiceError('INVALID', `${name} must be a comma-separated list.`);
+  }
+  return parts.flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+/** Bounds for the /recommend query parameters. */
+const RECOMMEND_LIMITS = {
+  defaultLimit: 5,
+  maxLimit    : 50,
+  maxPeers    : 500,
+};
+
+/**
+ * Validates the shared query parameters of /recommend/:userId and
+ * /recommend/:userId/explain and turns them into getRecommendations() opts.
+ * Throws ServiceError (→ 400) describing the first invalid parameter.
+ *
+ *   limit          1–50 (default 5)       offset        ≥ 0 (default 0)
+ *   minScore       0–1                    maxPeers      1–500
+ *   halfLifeDays   > 0, enables recency weighting
+ *   asOf           YYYY-MM-DD, date loan ages are measured to (default today);
+ *                  enables recency weighting
+ *   implicit       true | false, weight books by implicit rating (loan duration, re-borrows)
+ *   diversity      0–1, MMR balance between relevance (0) and Dewey spread (1)
+ *   authorBoost    ≥ 0, weight of the user's share of books by a candidate's author
+ *   explore        0–1, share of slots for popular books from neighbouring Dewey divisions
+ *   hybrid         0–1, share of content similarity blended into peer scores
+ *   deweyWeight / authorWeight / keywordWeight
+ *                  ≥ 0, relative weights of the content components (hybrid only)
+ *   similarity     jaccard | cosine | dice | overlap | popularity_jaccard (default jaccard)
+ *   peerSearch     exact | lsh (default: $PEER_SEARCH or exact)
+ *   availability   annotate | demote | exclude titles with no copy on the shelf
+ *                  (default annotate)
+ *   branch         branch ID, e.g. BR002: only titles that branch holds, peers from its loans
+ *   preferHomeBranch
+ *                  true | false, rank titles the user's home branch does not hold last
+ *   includeDewey / excludeDewey      Dewey prefixes, e.g. 658,15
+ *   includeAuthors / excludeAuthors  exact author names
+ *   excludeBooks                     book IDs
+ */
+function parseRecommendQuery(query) {
+  const invalid = message => new ServiceError('INVALID', message);
+
+  const limit        = intQuery(query, 'limit') ?? RECOMMEND_LIMITS.defaultLimit;
+  const offset       = intQuery(query, 'offset') ?? 0;
+  const minScore     = numberQuery(query, 'minScore');
+  const maxPeers     = intQuery(query, 'maxPeers');
+  const halfLifeDays = numberQuery(query, 'halfLifeDays');
+  const asOf         = stringQuery(query, 'asOf');
+  const implicit     = booleanQuery(query, 'implicit');
+  const diversity    = numberQuery(query, 'diversity');
+  const authorBoost  = numberQuery(query, 'authorBoost');
+  const explore      = numberQuery(query, 'explore');
+  const hybrid       = numberQuery(query, 'hybrid');
+  const similarity   = stringQuery(query, 'similarity');
+  const peerSearch   = stringQuery(query, 'peerSearch');
+  const availability = stringQuery(query, 'availability');
+  const branch       = stringQuery(query, 'branch');
+  const preferHome   = booleanQuery(query, 'preferHomeBranch');
+
+  if (limit < 1 || limit > RECOMMEND_LIMITS.maxLimit) {
+    throw invalid(`limit must be between 1 and ${RECOMMEND_LIMITS.maxLimit}. Got: ${limit}`);
+  }
+  if (offset < 0) {
+    throw invalid(`offset must be 0 or greater. Got: ${offset}`);
+  }
+  if (minScore !== undefined && (minScore < 0 || minScore > 1)) {
+    throw invalid(`minScore must be between 0 and 1. Got: ${minScore}`);
+  }
+  if (maxPeers !== undefined && (maxPeers < 1 || maxPeers > RECOMMEND_LIMITS.maxPeers)) {
+    throw invalid(`maxPeers must be between 1 and ${RECOMMEND_LIMITS.maxPeers}. Got: ${maxPeers}`);
+  }
+  if (halfLifeDays !== undefined && !(halfLifeDays > 0)) {
+    throw invalid(`halfLifeDays must be greater than 0. Got: ${halfLifeDays}`);
+  }
+  if (asOf !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(asOf) || Number.isNaN(Date.parse(asOf)))) {
+    throw invalid(`asOf must be a date in YYYY-MM-DD format. Got: "${asOf}"`);
+  }
+  if (diversity !== undefined && (diversity < 0 || diversity > 1)) {
+    throw invalid(`diversity must be between 0 and 1. Got: ${diversity}`);
+  }
+  if (authorBoost !== undefined && authorBoost < 0) {
+    throw invalid(`authorBoost must be 0 or greater. Got: ${authorBoost}`);
+  }
+  if (explore !== undefined && (explore < 0 || explore > 1)) {
+    throw invalid(`explore must be between 0 and 1. Got: ${explore}`);
+  }
+  if (hybrid !== undefined && (hybrid < 0 || hybrid > 1)) {
+    throw invalid(`hybrid must be between 0 and 1. Got: ${hybrid}`);
+  }
+  if (branch !== undefined && !isValidBranchId(branch)) {
+    throw invalid(`branch must be a branch ID such as BR001. Got: "${branch}"`);
+  }
+
+  const contentWeights = {};
+  for (const [name, param] of [['dewey', 'deweyWeight'], ['author', 'authorWeight'], ['keywords', 'keywordWeight']]) {
+    const weight = numberQuery(query, param);
+    if (weight === undefined) continue;
+    if (weight < 0) throw invalid(`${param} must be 0 or greater. Got: ${weight}`);
+    contentWeights[name] = weight;
+  }
+  if (Object.keys(contentWeights).length === 3 && Object.values(contentWeights).every(w => w === 0)) {
+    throw invalid('deweyWeight, authorWeight and keywordWeight must not all be 0.');
+  }
+
+  const filters = {
+    includeDewey  : listQuery(query, 'includeDewey'),
+    excludeDewey  : listQuery(query, 'excludeDewey'),
+    includeAuthors: listQuery(query, 'includeAuthors'),
+    excludeAuthors: listQuery(query, 'excludeAuthors'),
+    excludeBookIds: listQuery(query, 'excludeBooks'),
+  };
+
+  for (const prefix of [...filters.includeDewey, ...filters.excludeDewey]) {
+    if (!/^\d{1,3}(\.\d*)?$/.test(prefix)) {
+      throw invalid(`Dewey filters must be prefixes such as "6", "658" or "005.1". Got: "${prefix}"`);
+    }
+  }
+  for (const bookId of filters.excludeBookIds) {
+    if (!isValidBookId(bookId)) {
+      throw invalid(`excludeBooks must list book IDs such as B001. Got: "${bookId}"`);
+    }
+  }
+
+  return {
+    limit, offset, minScore, maxPeers, halfLifeDays, asOf, implicit, diversity, authorBoost, explore, hybrid,
+    contentWeights: Object.keys(contentWeights).length ? contentWeights : undefined,
+    similarity, peerSearch, availability, filters, branch, preferHomeBranch: preferHome,
+  };
+}
+
+/**
+ * Human-readable reason string for a RecommendationResult.
+ */
+function recommendationReason(book) {
+  if (book.fallback === 'cold_start_popularity') {
+    return 'Trending in the library — popular with all readers right now';
+  }
+  if (book.fallback === 'exploration') {
+    return `Something new: popular in ${book.exploration.name}, next to subjects you already read`;
+  }
+  if (book.fallback === 'author_popularity') {
+    return `More by ${book.author}, an author you have read`;
+  }
+  if (book.fallback === 'dewey_category_popularity') {
+    return 'Popular in subjects you already enjoy reading';
+  }
+  const peerCount = book.recommended_by.length;
+  return `Readers with similar tastes also enjoyed this book` +
+         ` (matched by ${peerCount} peer reader${peerCount !== 1 ? 's' : ''})`;
 }
 
 // ── Routes ────────────────────────────────────────────────────────────────────
@@ -31,11 +285,26 @@ function isValidUserId(userId) {
  * Jaccard similarity match score. Each recommendation includes a
  * human-readable reason string: "Readers with similar tastes also enjoyed…"
  *
+ * Query parameters (all optional, see parseRecommendQuery):
+ *   ?limit=10&offset=10&minScore=0.2&maxPeers=20&halfLifeDays=90&asOf=2025-03-01
+ *   &includeDewey=658,005&excludeDewey=9&includeAuthors=Cal Newport
+ *   &excludeAuthors=Robert Kiyosaki&excludeBooks=B020,B013&diversity=0.5
+ *   &availability=demote&implicit=true&hybrid=0.3&deweyWeight=2
+ *   &branch=BR002&preferHomeBranch=true
+ *
+ * Every recommendation carries its shelf availability; `expected_at` is
+ * the earliest due date when every copy is out.
+ *
+ * `diversity` measures the returned list: intraListDistance is the mean
+ * pairwise Dewey distance (0 = all one section, 1 = all different classes).
+ *
  * Response 200:
  * {
  *   "success"  : true,
  *   "userId"   : "U001",
+ *   "offset"   : 0,
  *   "count"    : 5,
+ *   "diversity": { "intraListDistance": 0.85, "distinctSections": 4 },
  *   "recommendations": [
  *     {
  *       "rank"         : 1,
@@ -44,7 +313,8 @@ function isValidUserId(userId) {
  *       "author"       : "Jason Fried",
  *       "dewey_decimal": "658.1",
  *       "match_score"  : 1.2,
- *       "reason"       : "Readers with similar tastes also enjoyed this book (matched by 2 peer reader(s))"
+ *       "reason"       : "Readers with similar tastes also enjoyed this book (matched by 2 peer reader(s))",
+ *       "availability" : { "status": "on_loan", "copies": 1, "available": 0, "expected_at": "2026-11-05" }
  *     },
  *     ...
  *   ]
@@ -62,38 +332,279 @@ app.get(
       });
     }
 
-    const raw = await service.getRecommendations(userId, { limit: 5 });
+    const opts = parseRecommendQuery(req.query);
+    const raw  = await service.getRecommendations(userId, opts);
 
     // Shape each result with a human-readable reason
-    const recommendations = raw.map((book, index) => {
-      const peerCount  = book.recommended_by.length;
-      const isFallback = !!book.fallback;
-
-      let reason;
-      if (isFallback && book.fallback === 'cold_start_popularity') {
-        reason = 'Trending in the library — popular with all readers right now';
-      } else if (isFallback && book.fallback === 'dewey_category_popularity') {
-        reason = 'Popular in subjects you already enjoy reading';
-      } else {
-        reason =
-          `Readers with similar tastes also enjoyed this book` +
-          ` (matched by ${peerCount} peer reader${peerCount !== 1 ? 's' : ''})`;
-      }
+    const recommendations = raw.map((book, index) => ({
+      rank          : opts.offset + index + 1,
+      book_id       : book.book_id,
+      title         : book.title,
+      author        : book.author,
+      dewey_decimal : book.dewey_decimal,
+      match_score   : book.match_score,
+      reason        : recommendationReason(book),
+      availability  : book.availability,
+      ...(book.exploration ? { exploration: book.exploration } : {}),
+      ...(book.score_components ? { score_components: book.score_components } : {}),
+    }));
+
+    return res.status(200).json({
+      success        : true,
+      userId,
+      offset         : opts.offset,
+      count          : recommendations.length,
+      diversity      : listDiversity(raw),
+      recommendations,
+    });
+  })
+);
+
+
+/**
+ * GET /api/v1/recommend/:userId/explain
+ *
+ * Same results as /recommend/:userId (and the same query parameters),
+ * with the full working shown: which
+ * path the engine took and why, each peer's Jaccard score broken down into
+ * |A ∩ B| and |A ∪ B| with the shared books, and how peer scores summed
+ * into each book's match_score. With ?similarity= set to another metric the
+ * peer and contribution scores are named "score" instead of "jaccard".
+ *
+ * Response 200:
+ * {
+ *   "success"    : true,
+ *   "userId"     : "U001",
+ *   "strategy"   : "peer_similarity",
+ *   "explanation": "4 peer(s) reached the minimum Jaccard similarity of 0.1. ...",
+ *   "booksRead"  : 7,
+ *   "minScore"   : 0.1,
+ *   "minPeers"   : 1,
+ *   "similarity" : "jaccard",
+ *   "peerSearch" : "exact",
+ *   "availability": "annotate",
+ *   "feedback"   : { "alreadyRead": 0, "liked": 1, "dismissed": 0 },
+ *   "candidatePeers": 9,
+ *   "explore"    : null,
+ *   "peers": [
+ *     {
+ *       "peer_id"     : "peer-1",
+ *       "jaccard"     : 0.75,
+ *       "intersection": 6,
+ *       "union"       : 8,
+ *       "shared_books": [ { "book_id": "B001", "title": "Clean Code" }, ... ]
+ *     },
+ *     ...
+ *   ],
+ *   "recommendations": [
+ *     {
+ *       "rank"         : 1,
+ *       "book_id"      : "B020",
+ *       "title"        : "Rework",
+ *       "author"       : "Jason Fried",
+ *       "dewey_decimal": "658.1",
+ *       "match_score"  : 0.95,
+ *       "reason"       : "Readers with similar tastes also enjoyed this book (matched by 2 peer readers)",
+ *       "availability" : { "status": "available", "copies": 1, "available": 1, "expected_at": null },
+ *       "contributions": [ { "peer_id": "peer-1", "jaccard": 0.75 }, { "peer_id": "peer-4", "jaccard": 0.2 } ],
+ *       "calculation"  : "0.7500 (peer-1) + 0.2000 (peer-4) = 0.9500"
+ *     },
+ *     ...
+ *   ]
+ * }
+ */
+app.get(
+  '/api/v1/recommend/:userId/explain',
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    if (!isValidUserId(userId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid userId format. Expected format: U001, U002, … Got: "${userId}"`,
+      });
+    }
+
+    const opts  = parseRecommendQuery(req.query);
+    const trace = await service.explainRecommendations(userId, opts);
+
+    // Other metrics' scores are not Jaccard scores, so are not labelled as one
+    const scoreKey  = trace.similarity === 'jaccard' ? 'jaccard' : 'score';
+    // A rating already includes any recency weight
+    const weightKey = trace.implicit ? 'rating' : trace.recency ? 'recency_weight' : null;
+
+    const peers = trace.peers.map(p => ({
+      peer_id     : p.peerId,
+      [scoreKey]  : p.score,
+      intersection: p.intersection,
+      union       : p.union,
+      shared_books: p.sharedBooks,
+    }));
+
+    const recommendations = trace.recommendations.map((book, index) => {
+      const contributions = book.contributions.map(c => ({
+        peer_id   : c.peerId,
+        [scoreKey]: c.score,
+        ...(weightKey ? { [weightKey]: c.weight } : {}),
+      }));
+      const sum           = contributions.map(c =>
+        (weightKey ? `${c[scoreKey].toFixed(4)} × ${c[weightKey].toFixed(4)}` : c[scoreKey].toFixed(4)) +
+        ` (${c.peer_id})`
+      ).join(' + ');
+      // In hybrid mode the peer sum enters scaled by the best candidate's
+      const parts         = book.score_components;
+      const blend         = parts
+        ? `${(1 - trace.hybrid.content).toFixed(2)} × ${parts.collaborative.toFixed(4)} (collaborative) + ` +
+          `${trace.hybrid.content.toFixed(2)} × ${parts.content.toFixed(4)} (content)`
+        : sum;
+      const calculation   = contributions.length
+        ? (book.feedback_factor
+            ? `(${blend}) × ${book.feedback_factor.toFixed(4)} (feedback)`
+            : blend) +
+          (book.author_boost ? ` + ${book.author_boost.toFixed(4)} (author)` : '') +
+          ` = ${book.match_score.toFixed(4)}`
+        : `Fallback "${book.fallback}" — no peer contributions`;
 
       return {
-        rank          : index + 1,
+        rank          : opts.offset + index + 1,
         book_id       : book.book_id,
         title         : book.title,
         author        : book.author,
         dewey_decimal : book.dewey_decimal,
         match_score   : book.match_score,
-        reason,
+        reason        : recommendationReason(book),
+        availability  : book.availability,
+        ...(book.feedback_factor ? { feedback_factor: book.feedback_factor } : {}),
+        ...(book.author_boost ? { author_boost: book.author_boost } : {}),
+        ...(book.exploration ? { exploration: book.exploration } : {}),
+        ...(parts ? { score_components: parts } : {}),
+        contributions,
+        calculation,
       };
     });
 
     return res.status(200).json({
-      success        : true,
+      success       : true,
       userId,
+      strategy      : trace.strategy,
+      explanation   : trace.explanation,
+      booksRead     : trace.booksRead,
+      minScore      : trace.minScore,
+      maxPeers      : trace.maxPeers,
+      minPeers      : trace.minPeers,
+      similarity    : trace.similarity,
+      peerSearch    : trace.peerSearch,
+      availability  : trace.availability,
+      feedback      : trace.feedback,
+      candidatePeers: trace.candidatePeers,
+      explore       : trace.explore,
+      hybrid        : trace.hybrid,
+      onboarding    : trace.onboarding,
+      recency       : trace.recency,
+      implicit      : trace.implicit,
+      branch        : trace.branch,
+      peers,
+      recommendations,
+    });
+  })
+);
+
+
+/**
+ * POST /api/v1/recommend/group
+ *
+ * Shared reading picks for a book club or class: books none of the members
+ * (or at most maxReadFraction of them) have read, ranked by combining each
+ * member's scores — "average", "least_misery" (the least keen member
+ * decides) or "most_pleasure" (the keenest member decides). A member's
+ * score is their peer-based score, or, when their peers never borrowed the
+ * book, how close it is to their own reading by Dewey, author and title;
+ * each is scaled so the member's best candidate has 1. A pick suits the
+ * members who score it above 0.
+ *
+ * Body:
+ * {
+ *   "userIds"        : ["U001", "U004", "U005"],   2–50 members
+ *   "strategy"       : "least_misery",             optional, default "average"
+ *   "maxReadFraction": 0.34,                       optional 0–1, default 0
+ *   "limit"          : 5                           optional 1–50, default 5
+ * }
+ *
+ * Response 200:
+ * {
+ *   "success" : true,
+ *   "userIds" : ["U001", "U004", "U005"],
+ *   "strategy": "least_misery",
+ *   "maxReadFraction": 0.34,
+ *   "basis"   : "peer_similarity",
+ *   "count"   : 5,
+ *   "recommendations": [
+ *     {
+ *       "rank"         : 1,
+ *       "book_id"      : "B013",
+ *       "title"        : "Good to Great",
+ *       "author"       : "Jim Collins",
+ *       "dewey_decimal": "658.4",
+ *       "group_score"  : 0.5,
+ *       "member_scores": { "U004": 0.5, "U005": 0.5 },
+ *       "suits"        : ["U004", "U005"],
+ *       "read_by"      : 1,
+ *       "reason"       : "Suits 2 of 3 members",
+ *       "availability" : { "status": "available", "copies": 1, "available": 1, "expected_at": null }
+ *     },
+ *     ...
+ *   ]
+ * }
+ */
+app.post(
+  '/api/v1/recommend/group',
+  asyncHandler(async (req, res) => {
+    const { userIds, strategy, maxReadFraction, limit = RECOMMEND_LIMITS.defaultLimit } = req.body || {};
+
+    if (!Array.isArray(userIds)) {
+      return res.status(400).json({
+        success: false,
+        error  : 'userIds must be an array of user IDs, e.g. ["U001", "U004"].',
+      });
+    }
+    const badId = userIds.find(id => !isValidUserId(id));
+    if (badId !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid userId format. Expected format: U001, U002, … Got: "${badId}"`,
+      });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > RECOMMEND_LIMITS.maxLimit) {
+      return res.status(400).json({
+        success: false,
+        error  : `limit must be an integer between 1 and ${RECOMMEND_LIMITS.maxLimit}. Got: ${JSON.stringify(limit)}`,
+      });
+    }
+
+    const group = await service.getGroupRecommendations(userIds, { strategy, maxReadFraction, limit });
+
+    const recommendations = group.results.map((book, index) => ({
+      rank          : index + 1,
+      book_id       : book.book_id,
+      title         : book.title,
+      author        : book.author,
+      dewey_decimal : book.dewey_decimal,
+      group_score   : book.group_score,
+      member_scores : book.member_scores,
+      suits         : book.suits,
+      read_by       : book.read_by,
+      reason        : book.fallback
+        ? `Popular library-wide and unread by ${book.suits.length} of ${userIds.length} members`
+        : `Suits ${book.suits.length} of ${userIds.length} members`,
+      availability  : book.availability,
+    }));
+
+    return res.status(200).json({
+      success        : true,
+      userIds        : group.userIds,
+      strategy       : group.strategy,
+      maxReadFraction: group.maxReadFraction,
+      basis          : group.basis,
       count          : recommendations.length,
       recommendations,
     });
@@ -105,18 +616,38 @@ app.get(
  * GET /api/v1/patterns/:userId
  *
  * Returns a full Reading DNA breakdown for the user — percentage
- * distribution of their borrowing history across Dewey Decimal categories.
+ * distribution of their borrowing history across Dewey sections, and the
+ * same distribution nested class → division → section, and the authors
+ * they read most.
+ *
+ * Query parameters (optional):
+ *   ?branch=BR002   only loans made at that branch
  *
  * Response 200:
  * {
  *   "success"   : true,
  *   "userId"    : "U001",
  *   "name"      : "Amaka Okoro",
+ *   "branch"    : "BR002",                 (only with ?branch=)
  *   "totalBooks": 7,
  *   "summary"   : "42.86% Technology & Computer Science, 28.57% Business...",
  *   "breakdown" : [
  *     { "category": "Technology & Computer Science", "dewey": "005", "count": 3, "percentage": "42.86%" },
  *     ...
+ *   ],
+ *   "hierarchy" : [
+ *     { "code": "000", "name": "Computer science, information & general works", "count": 3, "percentage": "42.86%",
+ *       "divisions": [
+ *         { "code": "000", "name": "Computer science, knowledge & systems", "count": 3, "percentage": "42.86%",
+ *           "sections": [
+ *             { "code": "005", "name": "Computer programming, programs & data", "count": 3, "percentage": "42.86%" }
+ *           ] }
+ *       ] },
+ *     ...
+ *   ],
+ *   "topAuthors": [
+ *     { "author": "Robert C. Martin", "count": 1, "percentage": "14.29%" },
+ *     ...
  *   ]
  * }
  */
@@ -132,13 +663,22 @@ app.get(
       });
     }
 
-    const dna = await service.getReadingDNA(userId);
+    const branch = stringQuery(req.query, 'branch');
+    if (branch !== undefined && !isValidBranchId(branch)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid branch format. Expected format: BR001, BR002, … Got: "${branch}"`,
+      });
+    }
+
+    const dna = await service.getReadingDNA(userId, { branch });
 
     if (dna.totalBooks === 0) {
       return res.status(404).json({
         success: false,
         userId,
-        error  : `No reading history found for user "${userId}".`,
+        error  : `No reading history found for user "${userId}"` +
+                 (branch ? ` at branch "${branch}".` : '.'),
       });
     }
 
@@ -146,52 +686,1276 @@ app.get(
       success   : true,
       userId    : dna.userId,
       name      : dna.name,
+      branch    : dna.branch,
       totalBooks: dna.totalBooks,
       summary   : dna.summary,
       breakdown : dna.breakdown,
+      hierarchy : dna.hierarchy,
+      topAuthors: dna.topAuthors,
     });
   })
 );
 
 
-// ── Health Check ──────────────────────────────────────────────────────────────
-app.get('/health', asyncHandler(async (_req, res) => {
-  // Ping the DB to confirm connectivity
-  await pool.execute('SELECT 1');
-  res.status(200).json({ status: 'ok', database: 'connected', timestamp: new Date().toISOString() });
-}));
+/**
+ * GET /api/v1/patterns/:userId/timeline
+ *
+ * Reading DNA over time — the user's category mix per month or quarter,
+ * with the points where their dominant interest shifted.
+ *
+ * Query parameters (all optional):
+ *   granularity — "month" (default) or "quarter"
+ *   threshold   — 0–1, minimum change in category mix (total variation
+ *                 distance) for a change of dominant category to count
+ *                 as a shift (default 0.5)
+ *
+ * Response 200:
+ * {
+ *   "success"    : true,
+ *   "userId"     : "U001",
+ *   "name"       : "Amaka Okoro",
+ *   "granularity": "quarter",
+ *   "totalBooks" : 9,
+ *   "periods"    : [
+ *     { "period": "2025-Q1", "totalBooks": 7, "dominant": "Technology & Computer Science",
+ *       "breakdown": [ { "category": "Technology & Computer Science", "count": 3, "percentage": "42.86%" }, ... ] },
+ *     ...
+ *   ],
+ *   "shifts"     : [
+ *     { "period": "2025-Q2", "from": "Technology & Computer Science", "to": "Biography & Memoir",
+ *       "distance": 1, "description": "Moved from Technology & Computer Science to Biography & Memoir in 2025-Q2" }
+ *   ]
+ * }
+ */
+app.get(
+  '/api/v1/patterns/:userId/timeline',
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
 
+    if (!isValidUserId(userId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid userId format. Expected format: U001, U002, … Got: "${userId}"`,
+      });
+    }
 
-// ── 404 Handler ───────────────────────────────────────────────────────────────
-app.use((_req, res) => {
-  res.status(404).json({
-    success: false,
-    error  : 'Route not found. Available: GET /api/v1/recommend/:userId  |  GET /api/v1/patterns/:userId',
-  });
-});
+    const timeline = await service.getReadingTimeline(userId, {
+      granularity: stringQuery(req.query, 'granularity'),
+      threshold  : numberQuery(req.query, 'threshold'),
+    });
 
+    if (timeline.totalBooks === 0) {
+      return res.status(404).json({
+        success: false,
+        userId,
+        error  : `No reading history found for user "${userId}".`,
+      });
+    }
 
-// ── Global Error Handler ──────────────────────────────────────────────────────
-app.use((err, _req, res, _next) => {
-  console.error('[ERROR]', err.message);
-  res.status(500).json({
-    success: false,
-    error  : 'Internal server error. Please try again.',
-  });
-});
+    return res.status(200).json({ success: true, ...timeline });
+  })
+);
 
 
-// ── Start Server ──────────────────────────────────────────────────────────────
-app.listen(PORT, () => {
-  console.log('\n');
-  console.log('   Smart Book Discovery Engine — API Server               ');
-  console.log('');
-  console.log(`   Listening on   http://localhost:${PORT}                   `);
-  console.log('                                                          ');
-  console.log('   GET /api/v1/recommend/:userId                          ');
-  console.log('   GET /api/v1/patterns/:userId                           ');
-  console.log('   GET /health                                            ');
-  console.log('\n');
-});
+/**
+ * GET /api/v1/books/:bookId/similar?limit=
+ *
+ * "Readers who borrowed this also borrowed…" — the top `limit` books
+ * (1–50, default 5) whose borrower sets overlap most with this book's
+ * (Jaccard similarity). Needs no logged-in user, so catalogue pages can
+ * call it directly.
+ *
+ * Response 200:
+ * {
+ *   "success": true,
+ *   "bookId" : "B006",
+ *   "title"  : "The Lean Startup",
+ *   "count"  : 5,
+ *   "similar": [
+ *     {
+ *       "rank"          : 1,
+ *       "book_id"       : "B007",
+ *       "title"         : "Zero to One",
+ *       "author"        : "Peter Thiel",
+ *       "dewey_decimal" : "658.1",
+ *       "match_score"   : 1,
+ *       "shared_readers": 4,
+ *       "reason"        : "Readers who borrowed this also borrowed this book (4 shared readers)"
+ *     },
+ *     ...
+ *   ]
+ * }
+ */
+app.get(
+  '/api/v1/books/:bookId/similar',
+  asyncHandler(async (req, res) => {
+    const { bookId } = req.params;
+
+    if (!isValidBookId(bookId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid bookId format. Expected format: B001, B002, … Got: "${bookId}"`,
+      });
+    }
+
+    const limit = intQuery(req.query, 'limit') ?? RECOMMEND_LIMITS.defaultLimit;
+    if (limit < 1 || limit > RECOMMEND_LIMITS.maxLimit) {
+      throw new ServiceError('INVALID', `limit must be between 1 and ${RECOMMEND_LIMITS.maxLimit}. Got: ${limit}`);
+    }
+
+    const raw = await service.getSimilarBooks(bookId, { limit });
+
+    if (raw === null) {
+      return res.status(404).json({
+        success: false,
+        bookId,
+        error  : `Book "${bookId}" not found.`,
+      });
+    }
+
+    const [source] = await repo.getBooksByIds([bookId]);
+
+    const similar = raw.map((book, index) => {
+      const reason = book.fallback === 'dewey_category_popularity'
+        ? 'Popular in the same subject as this book'
+        : `Readers who borrowed this also borrowed this book` +
+          ` (${book.shared_readers} shared reader${book.shared_readers !== 1 ? 's' : ''})`;
+
+      return {
+        rank          : index + 1,
+        book_id       : book.book_id,
+        title         : book.title,
+        author        : book.author,
+        dewey_decimal : book.dewey_decimal,
+        match_score   : book.match_score,
+        shared_readers: book.shared_readers,
+        reason,
+      };
+    });
+
+    return res.status(200).json({
+      success: true,
+      bookId,
+      title  : source.title,
+      count  : similar.length,
+      similar,
+    });
+  })
+);
+
+
+// ── Catalogue: Books ──────────────────────────────────────────────────────────
+
+/**
+ * GET /api/v1/books/search?q=&title=&author=&dewey=&branch=&page=&limit=&sort=&order=
+ *
+ * Searches the catalogue. Text filters are case-insensitive substring
+ * matches (q matches title OR author); dewey is a prefix ("658", "15");
+ * branch keeps books with a copy held at that branch_id.
+ * sort: book_id (default) | title | author | dewey_decimal; order: asc | desc.
+ * page is 1-based; limit defaults to 20 (max 100).
+ *
+ * Response 200:
+ * {
+ *   "success": true,
+ *   "total"  : 3,
+ *   "page"   : 1,
+ *   "limit"  : 20,
+ *   "count"  : 3,
+ *   "books"  : [ { "book_id": "B006", "title": "The Lean Startup", "author": "Eric Ries", "dewey_decimal": "658.1" }, ... ]
+ * }
+ */
+app.get(
+  '/api/v1/books/search',
+  asyncHandler(async (req, res) => {
+    const result = await catalogue.searchBooks({
+      q     : stringQuery(req.query, 'q'),
+      title : stringQuery(req.query, 'title'),
+      author: stringQuery(req.query, 'author'),
+      dewey : stringQuery(req.query, 'dewey'),
+      branch: stringQuery(req.query, 'branch'),
+      sort  : stringQuery(req.query, 'sort'),
+      order : stringQuery(req.query, 'order'),
+      page  : intQuery(req.query, 'page'),
+      limit : intQuery(req.query, 'limit'),
+    });
+
+    return res.status(200).json({
+      success: true,
+      total  : result.total,
+      page   : result.page,
+      limit  : result.limit,
+      count  : result.books.length,
+      books  : result.books,
+    });
+  })
+);
+
+
+/**
+ * POST /api/v1/books
+ *
+ * Adds a book under the next free book_id, with `copies` copies (default 1)
+ * held at branch_id (optional).
+ *
+ * Body: { "title": "Range", "author": "David Epstein", "dewey_decimal": "153.9", "copies": 2, "branch_id": "BR002" }
+ * Response 201: { "success": true, "book": { "book_id": "B021", ... } }
+ */
+app.post(
+  '/api/v1/books',
+  asyncHandler(async (req, res) => {
+    const book = await catalogue.createBook(req.body || {});
+    return res.status(201).json({ success: true, book });
+  })
+);
+
+
+/**
+ * GET /api/v1/books/:bookId
+ *
+ * Response 200: { "success": true, "book": { "book_id": "B001", "title": "Clean Code", ... } }
+ */
+app.get(
+  '/api/v1/books/:bookId',
+  asyncHandler(async (req, res) => {
+    const { bookId } = req.params;
+
+    if (!isValidBookId(bookId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid bookId format. Expected format: B001, B002, … Got: "${bookId}"`,
+      });
+    }
+
+    const book = await catalogue.getBook(bookId);
+    return res.status(200).json({ success: true, book });
+  })
+);
+
+
+/**
+ * PATCH /api/v1/books/:bookId
+ *
+ * Updates any of title, author, dewey_decimal.
+ *
+ * Body: { "dewey_decimal": "658.4" }
+ * Response 200: { "success": true, "book": { ... } }
+ */
+app.patch(
+  '/api/v1/books/:bookId',
+  asyncHandler(async (req, res) => {
+    const { bookId } = req.params;
+
+    if (!isValidBookId(bookId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid bookId format. Expected format: B001, B002, … Got: "${bookId}"`,
+      });
+    }
+
+    const book = await catalogue.updateBook(bookId, req.body || {});
+    await service.invalidateAll();
+    return res.status(200).json({ success: true, book });
+  })
+);
+
+
+/**
+ * DELETE /api/v1/books/:bookId
+ *
+ * Removes a book and its loan history. 409 while the book is on loan.
+ *
+ * Response 200: { "success": true, "bookId": "B021", "deleted": true }
+ */
+app.delete(
+  '/api/v1/books/:bookId',
+  asyncHandler(async (req, res) => {
+    const { bookId } = req.params;
+
+    if (!isValidBookId(bookId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid bookId format. Expected format: B001, B002, … Got: "${bookId}"`,
+      });
+    }
+
+    await catalogue.deleteBook(bookId);
+    await service.forgetBook(bookId);
+    return res.status(200).json({ success: true, bookId, deleted: true });
+  })
+);
+
+
+// ── Catalogue: Copies ─────────────────────────────────────────────────────────
+
+/**
+ * GET /api/v1/books/:bookId/availability
+ *
+ * Shelf availability of a book and the state of each copy. `due_at` is
+ * LOAN_PERIOD_DAYS after the copy was borrowed; a past date means overdue.
+ *
+ * Response 200:
+ * {
+ *   "success"    : true,
+ *   "book_id"    : "B004",
+ *   "status"     : "available",
+ *   "copies"     : 2,
+ *   "available"  : 1,
+ *   "expected_at": null,
+ *   "copy_list"  : [
+ *     { "copy_id": "C004", "branch_id": "BR001", "status": "on_loan",   "loan_id": "L052", "due_at": "2026-11-05" },
+ *     { "copy_id": "C021", "branch_id": "BR002", "status": "available", "loan_id": null,   "due_at": null }
+ *   ]
+ * }
+ */
+app.get(
+  '/api/v1/books/:bookId/availability',
+  asyncHandler(async (req, res) => {
+    const { bookId } = req.params;
+
+    if (!isValidBookId(bookId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid bookId format. Expected format: B001, B002, … Got: "${bookId}"`,
+      });
+    }
+
+    const availability = await catalogue.getBookAvailability(bookId);
+    return res.status(200).json({ success: true, ...availability });
+  })
+);
+
+
+/**
+ * POST /api/v1/books/:bookId/copies
+ *
+ * Adds a copy of the book under the next free copy_id, held at branch_id
+ * (optional).
+ *
+ * Body: { "branch_id": "BR002" }
+ * Response 201: { "success": true, "copy": { "copy_id": "C021", "book_id": "B004", "branch_id": "BR002", "loan_id": null, "borrowed_at": null } }
+ */
+app.post(
+  '/api/v1/books/:bookId/copies',
+  asyncHandler(async (req, res) => {
+    const { bookId } = req.params;
+
+    if (!isValidBookId(bookId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid bookId format. Expected format: B001, B002, … Got: "${bookId}"`,
+      });
+    }
+
+    const copy = await catalogue.addCopy(bookId, req.body || {});
+    return res.status(201).json({ success: true, copy });
+  })
+);
+
+
+/**
+ * DELETE /api/v1/books/:bookId/copies/:copyId
+ *
+ * Withdraws a copy; its past loans are kept. 409 while the copy is on loan.
+ *
+ * Response 200: { "success": true, "bookId": "B004", "copyId": "C021", "deleted": true }
+ */
+app.delete(
+  '/api/v1/books/:bookId/copies/:copyId',
+  asyncHandler(async (req, res) => {
+    const { bookId, copyId } = req.params;
+
+    if (!isValidBookId(bookId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid bookId format. Expected format: B001, B002, … Got: "${bookId}"`,
+      });
+    }
+    if (!isValidCopyId(copyId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid copyId format. Expected format: C001, C002, … Got: "${copyId}"`,
+      });
+    }
+
+    await catalogue.removeCopy(bookId, copyId);
+    return res.status(200).json({ success: true, bookId, copyId, deleted: true });
+  })
+);
+
+
+// ── Catalogue: Users ──────────────────────────────────────────────────────────
+
+/**
+ * GET /api/v1/users?name=&branch=&page=&limit=
+ *
+ * Lists users by user_id, optionally filtered by a name substring and by
+ * home branch.
+ *
+ * Response 200: { "success": true, "total": 10, "page": 1, "limit": 20, "count": 10, "users": [ ... ] }
+ */
+app.get(
+  '/api/v1/users',
+  asyncHandler(async (req, res) => {
+    const result = await catalogue.listUsers({
+      name  : stringQuery(req.query, 'name'),
+      branch: stringQuery(req.query, 'branch'),
+      page  : intQuery(req.query, 'page'),
+      limit : intQuery(req.query, 'limit'),
+    });
+
+    return res.status(200).json({
+      success: true,
+      total  : result.total,
+      page   : result.page,
+      limit  : result.limit,
+      count  : result.users.length,
+      users  : result.users,
+    });
+  })
+);
+
+
+/**
+ * POST /api/v1/users
+ *
+ * Registers a user under the next free user_id; home_branch_id is optional.
+ *
+ * Body: { "name": "Ngozi Eze", "home_branch_id": "BR002" }
+ * Response 201: { "success": true, "user": { "user_id": "U011", "name": "Ngozi Eze", "home_branch_id": "BR002" } }
+ */
+app.post(
+  '/api/v1/users',
+  asyncHandler(async (req, res) => {
+    const user = await catalogue.createUser(req.body || {});
+    return res.status(201).json({ success: true, user });
+  })
+);
+
+
+/**
+ * GET /api/v1/users/:userId
+ *
+ * Response 200: { "success": true, "user": { "user_id": "U001", "name": "Amaka Okoro", "home_branch_id": "BR001" } }
+ */
+app.get(
+  '/api/v1/users/:userId',
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    if (!isValidUserId(userId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid userId format. Expected format: U001, U002, … Got: "${userId}"`,
+      });
+    }
+
+    const user = await catalogue.getUser(userId);
+    return res.status(200).json({ success: true, user });
+  })
+);
+
+
+/**
+ * PATCH /api/v1/users/:userId
+ *
+ * Updates name and/or home_branch_id (null clears the home branch).
+ *
+ * Body: { "name": "Amaka Okoro-Bello", "home_branch_id": "BR003" }
+ * Response 200: { "success": true, "user": { ... } }
+ */
+app.patch(
+  '/api/v1/users/:userId',
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    if (!isValidUserId(userId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid userId format. Expected format: U001, U002, … Got: "${userId}"`,
+      });
+    }
+
+    const user = await catalogue.updateUser(userId, req.body || {});
+    await service.invalidateUser(userId);
+    return res.status(200).json({ success: true, user });
+  })
+);
+
+
+/**
+ * DELETE /api/v1/users/:userId
+ *
+ * Removes a user and their loan history. 409 while they have a book out.
+ *
+ * Response 200: { "success": true, "userId": "U011", "deleted": true }
+ */
+app.delete(
+  '/api/v1/users/:userId',
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    if (!isValidUserId(userId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid userId format. Expected format: U001, U002, … Got: "${userId}"`,
+      });
+    }
+
+    await catalogue.deleteUser(userId);
+    await service.forgetUser(userId);
+    return res.status(200).json({ success: true, userId, deleted: true });
+  })
+);
+
+
+/**
+ * GET /api/v1/users/:userId/export
+ *
+ * Everything held about a user — their record, full loan history,
+ * recommendation feedback, onboarding preferences and precomputed
+ * results — for subject access requests.
+ *
+ * Response 200:
+ * {
+ *   "success"   : true,
+ *   "exportedAt": "2025-03-01T09:30:00.000Z",
+ *   "user"      : { "user_id": "U001", "name": "Amaka Okoro" },
+ *   "loans"     : [ LoanRecord, ... ],
+ *   "feedback"  : [ { "book_id": "B020", "feedback": "dismiss", ... }, ... ],
+ *   "preferences": { "dewey": ["658"], "authors": [], "books": [], ... } or null,
+ *   "precomputed": [ { "kind": "recommendations", "version": 3, "computed_at": "...", "payload": { ... }, ... }, ... ]
+ * }
+ */
+app.get(
+  '/api/v1/users/:userId/export',
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    if (!isValidUserId(userId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid userId format. Expected format: U001, U002, … Got: "${userId}"`,
+      });
+    }
+
+    const data = await privacy.exportUser(userId);
+    return res.status(200).json({ success: true, ...data });
+  })
+);
+
+
+/**
+ * POST /api/v1/users/:userId/anonymise
+ *
+ * Erases the user while keeping their loans for library-wide statistics:
+ * the user's record, feedback and preferences are deleted and their loans
+ * lose their user_id. The loans still count in borrow counts, trends and
+ * a book's loan history (with "user_id": null), but no per-patron list
+ * returns them and they cannot be told apart from other anonymised loans.
+ * 409 while they have a book out. Use DELETE /api/v1/users/:userId to drop
+ * the loans as well.
+ *
+ * Response 200: { "success": true, "userId": "U011", "anonymised": true, "loansRetained": 4 }
+ */
+app.post(
+  '/api/v1/users/:userId/anonymise',
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    if (!isValidUserId(userId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid userId format. Expected format: U001, U002, … Got: "${userId}"`,
+      });
+    }
+
+    const { loansRetained } = await privacy.anonymiseUser(userId);
+    await service.forgetUser(userId);
+
+    return res.status(200).json({
+      success      : true,
+      userId,
+      anonymised   : true,
+      loansRetained,
+    });
+  })
+);
+
+
+// ── Patron Feedback ───────────────────────────────────────────────────────────
+
+/**
+ * GET /api/v1/users/:userId/feedback
+ *
+ * The user's feedback on books, newest first.
+ *
+ * Response 200:
+ * {
+ *   "success" : true,
+ *   "userId"  : "U001",
+ *   "count"   : 1,
+ *   "feedback": [ { "user_id": "U001", "book_id": "B020", "feedback": "dismiss", "created_at": "2025-03-01" } ]
+ * }
+ */
+app.get(
+  '/api/v1/users/:userId/feedback',
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    if (!isValidUserId(userId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid userId format. Expected format: U001, U002, … Got: "${userId}"`,
+      });
+    }
+
+    const entries = await feedback.getUserFeedback(userId);
+    return res.status(200).json({ success: true, userId, count: entries.length, feedback: entries });
+  })
+);
+
+
+/**
+ * PUT /api/v1/users/:userId/feedback/:bookId
+ *
+ * Records the user's feedback on a book, replacing any earlier feedback on
+ * it. Applies to the next recommendation request:
+ *   dismiss       — never recommended; same-section titles scored lower
+ *   like          — same-section titles scored higher
+ *   already_read  — read elsewhere: counts as borrowed, never recommended
+ *
+ * Body: { "feedback": "dismiss" }
+ * Response 200: { "success": true, "feedback": { "user_id": "U001", "book_id": "B020", "feedback": "dismiss", ... } }
+ */
+app.put(
+  '/api/v1/users/:userId/feedback/:bookId',
+  asyncHandler(async (req, res) => {
+    const { userId, bookId } = req.params;
+
+    if (!isValidUserId(userId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid userId format. Expected format: U001, U002, … Got: "${userId}"`,
+      });
+    }
+    if (!isValidBookId(bookId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid bookId format. Expected format: B001, B002, … Got: "${bookId}"`,
+      });
+    }
+
+    const entry = await feedback.giveFeedback(userId, bookId, (req.body || {}).feedback);
+    await service.invalidateUser(userId);
+    return res.status(200).json({ success: true, feedback: entry });
+  })
+);
+
+
+/**
+ * DELETE /api/v1/users/:userId/feedback/:bookId
+ *
+ * Withdraws the user's feedback on a book. 404 if there is none.
+ *
+ * Response 200: { "success": true, "userId": "U001", "bookId": "B020", "deleted": true }
+ */
+app.delete(
+  '/api/v1/users/:userId/feedback/:bookId',
+  asyncHandler(async (req, res) => {
+    const { userId, bookId } = req.params;
+
+    if (!isValidUserId(userId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid userId format. Expected format: U001, U002, … Got: "${userId}"`,
+      });
+    }
+    if (!isValidBookId(bookId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid bookId format. Expected format: B001, B002, … Got: "${bookId}"`,
+      });
+    }
+
+    await feedback.removeFeedback(userId, bookId);
+    await service.invalidateUser(userId);
+    return res.status(200).json({ success: true, userId, bookId, deleted: true });
+  })
+);
+
+
+// ── Onboarding Preferences ────────────────────────────────────────────────────
+
+/**
+ * GET /api/v1/users/:userId/preferences
+ *
+ * The Dewey subjects, authors and seed books the user picked at onboarding
+ * (empty lists if none).
+ *
+ * Response 200:
+ * {
+ *   "success"    : true,
+ *   "preferences": { "user_id": "U011", "dewey": ["658"], "authors": ["Cal Newport"], "books": [], "updated_at": "2025-03-01" }
+ * }
+ */
+app.get(
+  '/api/v1/users/:userId/preferences',
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    if (!isValidUserId(userId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid userId format. Expected format: U001, U002, … Got: "${userId}"`,
+      });
+    }
+
+    const preferences = await onboarding.getPreferences(userId);
+    return res.status(200).json({ success: true, preferences });
+  })
+);
+
+
+/**
+ * PUT /api/v1/users/:userId/preferences
+ *
+ * Stores the user's onboarding choices, replacing earlier ones. Until the
+ * user has read a few books, recommendations start from these instead of
+ * the library-wide trending list.
+ *
+ * Body: { "dewey": ["658", "15"], "authors": ["Cal Newport"], "books": ["B020"] }
+ *       (any of the three; up to 10 entries each)
+ * Response 200: { "success": true, "preferences": { "user_id": "U011", "dewey": ["658", "15"], ... } }
+ */
+app.put(
+  '/api/v1/users/:userId/preferences',
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    if (!isValidUserId(userId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid userId format. Expected format: U001, U002, … Got: "${userId}"`,
+      });
+    }
+
+    const { dewey, authors, books } = req.body || {};
+    const preferences = await onboarding.setPreferences(userId, { dewey, authors, books });
+    await service.invalidateUser(userId);
+    return res.status(200).json({ success: true, preferences });
+  })
+);
+
+
+/**
+ * DELETE /api/v1/users/:userId/preferences
+ *
+ * Withdraws the user's onboarding choices. 404 if there are none.
+ *
+ * Response 200: { "success": true, "userId": "U011", "deleted": true }
+ */
+app.delete(
+  '/api/v1/users/:userId/preferences',
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    if (!isValidUserId(userId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid userId format. Expected format: U001, U002, … Got: "${userId}"`,
+      });
+    }
+
+    await onboarding.clearPreferences(userId);
+    await service.invalidateUser(userId);
+    return res.status(200).json({ success: true, userId, deleted: true });
+  })
+);
+
+
+// ── Catalogue: Branches ───────────────────────────────────────────────────────
+
+/**
+ * GET /api/v1/branches
+ *
+ * Lists the consortium's branches by branch_id.
+ *
+ * Response 200: { "success": true, "count": 2, "branches": [ { "branch_id": "BR001", "name": "Central Library" }, ... ] }
+ */
+app.get(
+  '/api/v1/branches',
+  asyncHandler(async (req, res) => {
+    const branches = await catalogue.listBranches();
+    return res.status(200).json({ success: true, count: branches.length, branches });
+  })
+);
+
+
+/**
+ * POST /api/v1/branches
+ *
+ * Opens a branch under the next free branch_id.
+ *
+ * Body: { "name": "Riverside" }
+ * Response 201: { "success": true, "branch": { "branch_id": "BR006", "name": "Riverside" } }
+ */
+app.post(
+  '/api/v1/branches',
+  asyncHandler(async (req, res) => {
+    const branch = await catalogue.createBranch(req.body || {});
+    return res.status(201).json({ success: true, branch });
+  })
+);
+
+
+/**
+ * GET /api/v1/branches/:branchId
+ *
+ * Response 200: { "success": true, "branch": { "branch_id": "BR001", "name": "Central Library" } }
+ */
+app.get(
+  '/api/v1/branches/:branchId',
+  asyncHandler(async (req, res) => {
+    const { branchId } = req.params;
+
+    if (!isValidBranchId(branchId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid branchId format. Expected format: BR001, BR002, … Got: "${branchId}"`,
+      });
+    }
+
+    const branch = await catalogue.getBranch(branchId);
+    return res.status(200).json({ success: true, branch });
+  })
+);
+
+
+// ── Loans ─────────────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/v1/loans
+ *
+ * Checks a book out. The loan is visible to the recommender immediately.
+ * Lends one of the book's copies; when every copy is out the book cannot be
+ * checked out again until one is returned. With branch_id only copies held
+ * at that branch are lent, and the loan is recorded against it.
+ *
+ * Body: { "user_id": "U001", "book_id": "B020", "borrowed_at": "2025-03-01", "branch_id": "BR002" }
+ *       (borrowed_at is optional, default today, and may not be in the future; branch_id is optional)
+ *
+ * Response 201:
+ * {
+ *   "success": true,
+ *   "loan"   : {
+ *     "loan_id": "L051", "user_id": "U001", "book_id": "B020", "title": "Rework",
+ *     "borrowed_at": "2025-03-01", "return_date": null, "copy_id": "C020", "branch_id": "BR002", "status": "open"
+ *   }
+ * }
+ * Response 404: unknown user, book or branch
+ * Response 409: the user already has the book out, every copy checked out, or none held
+ */
+app.post(
+  '/api/v1/loans',
+  asyncHandler(async (req, res) => {
+    const {
+      user_id: userId, book_id: bookId, borrowed_at: borrowedAt, branch_id: branchId,
+    } = req.body || {};
+
+    if (!isValidUserId(userId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid user_id format. Expected format: U001, U002, … Got: "${userId}"`,
+      });
+    }
+    if (!isValidBookId(bookId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid book_id format. Expected format: B001, B002, … Got: "${bookId}"`,
+      });
+    }
+    if (branchId !== undefined && !isValidBranchId(branchId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid branch_id format. Expected format: BR001, BR002, … Got: "${branchId}"`,
+      });
+    }
+
+    const loan = await loans.checkOut(userId, bookId, borrowedAt, branchId);
+    await service.recordLoan(loan);
+    return res.status(201).json({ success: true, loan });
+  })
+);
+
+
+/**
+ * POST /api/v1/loans/:loanId/return
+ *
+ * Marks an open loan as returned.
+ *
+ * Body (optional): { "return_date": "2025-03-15" }   (default today)
+ *
+ * Response 200: { "success": true, "loan": { ..., "return_date": "2025-03-15", "status": "returned" } }
+ * Response 404: unknown loan    Response 409: loan already returned
+ */
+app.post(
+  '/api/v1/loans/:loanId/return',
+  asyncHandler(async (req, res) => {
+    const { loanId } = req.params;
+
+    if (!isValidLoanId(loanId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid loanId format. Expected format: L001, L002, … Got: "${loanId}"`,
+      });
+    }
+
+    const loan = await loans.returnLoan(loanId, (req.body || {}).return_date);
+    await service.invalidateUser(loan.user_id);
+    return res.status(200).json({ success: true, loan });
+  })
+);
+
+
+/**
+ * GET /api/v1/users/:userId/loans
+ *
+ * A user's full loan history, newest first.
+ *
+ * Response 200: { "success": true, "userId": "U001", "count": 7, "loans": [ LoanRecord, ... ] }
+ */
+app.get(
+  '/api/v1/users/:userId/loans',
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    if (!isValidUserId(userId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid userId format. Expected format: U001, U002, … Got: "${userId}"`,
+      });
+    }
+
+    const history = await loans.getUserLoans(userId);
+    return res.status(200).json({ success: true, userId, count: history.length, loans: history });
+  })
+);
+
+
+/**
+ * GET /api/v1/books/:bookId/loans
+ *
+ * A book's full loan history, newest first.
+ *
+ * Response 200: { "success": true, "bookId": "B001", "count": 4, "loans": [ LoanRecord, ... ] }
+ */
+app.get(
+  '/api/v1/books/:bookId/loans',
+  asyncHandler(async (req, res) => {
+    const { bookId } = req.params;
+
+    if (!isValidBookId(bookId)) {
+      return res.status(400).json({
+        success: false,
+        error  : `Invalid bookId format. Expected format: B001, B002, … Got: "${bookId}"`,
+      });
+    }
+
+    const history = await loans.getBookLoans(bookId);
+    return res.status(200).json({ success: true, bookId, count: history.length, loans: history });
+  })
+);
+
+
+// ── Analytics ─────────────────────────────────────────────────────────────────
+//
+// Library-wide reports for collection development. Routes taking a date
+// window accept optional from / to query parameters ("YYYY-MM-DD", inclusive);
+// responses echo them back (null when omitted).
+
+/**
+ * GET /api/v1/analytics/books/top?from=&to=&limit=
+ *
+ * Most-borrowed books in the window (limit defaults to 10, max 100).
+ *
+ * Response 200:
+ * {
+ *   "success": true,
+ *   "from"   : "2025-02-01",
+ *   "to"     : null,
+ *   "books"  : [
+ *     { "rank": 1, "book_id": "B017", "title": "Outliers", "author": "Malcolm Gladwell",
+ *       "dewey_decimal": "302", "borrow_count": 3, "category": "Social Influences & Behaviour" },
+ *     ...
+ *   ]
+ * }
+ */
+app.get(
+  '/api/v1/analytics/books/top',
+  asyncHandler(async (req, res) => {
+    const report = await analytics.topBooks({
+      from : stringQuery(req.query, 'from'),
+      to   : stringQuery(req.query, 'to'),
+      limit: intQuery(req.query, 'limit'),
+    });
+    return res.status(200).json({ success: true, ...report });
+  })
+);
+
+
+/**
+ * GET /api/v1/analytics/categories?from=&to=
+ *
+ * Loans per Dewey category in the window, most-borrowed first.
+ *
+ * Response 200:
+ * {
+ *   "success"   : true,
+ *   "from"      : null,
+ *   "to"        : null,
+ *   "totalLoans": 50,
+ *   "categories": [
+ *     { "category": "Business & Management", "loans": 16, "books": 6, "borrowedBooks": 6, "share": "32.00%" },
+ *     ...
+ *   ]
+ * }
+ */
+app.get(
+  '/api/v1/analytics/categories',
+  asyncHandler(async (req, res) => {
+    const report = await analytics.topCategories({
+      from: stringQuery(req.query, 'from'),
+      to  : stringQuery(req.query, 'to'),
+    });
+    return res.status(200).json({ success: true, ...report });
+  })
+);
+
+
+/**
+ * GET /api/v1/analytics/loans/trend?from=&to=&granularity=
+ *
+ * Loan volume per day, week (labelled by its Monday) or month (default),
+ * with empty periods reported as 0.
+ *
+ * Response 200:
+ * {
+ *   "success"    : true,
+ *   "from"       : null,
+ *   "to"         : null,
+ *   "granularity": "month",
+ *   "totalLoans" : 50,
+ *   "periods"    : [ { "period": "2025-01", "loans": 21 }, { "period": "2025-02", "loans": 29 } ]
+ * }
+ */
+app.get(
+  '/api/v1/analytics/loans/trend',
+  asyncHandler(async (req, res) => {
+    const report = await analytics.loanTrend({
+      from       : stringQuery(req.query, 'from'),
+      to         : stringQuery(req.query, 'to'),
+      granularity: stringQuery(req.query, 'granularity'),
+    });
+    return res.status(200).json({ success: true, ...report });
+  })
+);
+
+
+/**
+ * GET /api/v1/analytics/users/activity?asOf=&dormantDays=
+ *
+ * Active users borrowed within dormantDays (default 90) of asOf (default
+ * today); dormant users borrowed earlier; the rest never borrowed.
+ *
+ * Response 200:
+ * {
+ *   "success"      : true,
+ *   "asOf"         : "2025-03-01",
+ *   "dormantDays"  : 20,
+ *   "totalUsers"   : 10,
+ *   "active"       : 7,
+ *   "dormant"      : 3,
+ *   "neverBorrowed": 0,
+ *   "users"        : [
+ *     { "user_id": "U001", "name": "Amaka Okoro", "loan_count": 7, "last_borrowed_at": "2025-01-22", "status": "dormant" },
+ *     ...
+ *   ]
+ * }
+ */
+app.get(
+  '/api/v1/analytics/users/activity',
+  asyncHandler(async (req, res) => {
+    const report = await analytics.userActivity({
+      asOf       : stringQuery(req.query, 'asOf'),
+      dormantDays: intQuery(req.query, 'dormantDays'),
+    });
+    return res.status(200).json({ success: true, ...report });
+  })
+);
+
+
+/**
+ * GET /api/v1/analytics/books/never-borrowed?from=&to=
+ *
+ * Catalogue titles with no loans in the window (ever, without one).
+ *
+ * Response 200:
+ * {
+ *   "success"      : true,
+ *   "from"         : "2025-02-10",
+ *   "to"           : null,
+ *   "catalogueSize": 20,
+ *   "total"        : 10,
+ *   "books"        : [ { "book_id": "B001", "title": "Clean Code", ..., "category": "Technology & Computer Science" }, ... ]
+ * }
+ */
+app.get(
+  '/api/v1/analytics/books/never-borrowed',
+  asyncHandler(async (req, res) => {
+    const report = await analytics.neverBorrowed({
+      from: stringQuery(req.query, 'from'),
+      to  : stringQuery(req.query, 'to'),
+    });
+    return res.status(200).json({ success: true, ...report });
+  })
+);
+
+
+/**
+ * GET /api/v1/analytics/coverage?limit=
+ *
+ * Share of the catalogue that appears in at least one user's top-`limit`
+ * recommendations (default 5). Runs the recommender for every user.
+ *
+ * Response 200:
+ * {
+ *   "success"         : true,
+ *   "limit"           : 5,
+ *   "usersEvaluated"  : 10,
+ *   "catalogueSize"   : 20,
+ *   "recommendedBooks": 19,
+ *   "coverage"        : "95.00%",
+ *   "books"           : [ { "book_id": "B005", "title": "Atomic Habits", "recommendedTo": 5 }, ... ]
+ * }
+ */
+app.get(
+  '/api/v1/analytics/coverage',
+  asyncHandler(async (req, res) => {
+    const report = await analytics.coverage({ limit: intQuery(req.query, 'limit') });
+    return res.status(200).json({ success: true, ...report });
+  })
+);
+
+
+// ── Health Check ──────────────────────────────────────────────────────────────
+app.get('/health', asyncHandler(async (_req, res) => {
+  // Ping the storage backend to confirm connectivity
+  await repo.ping();
+  res.status(200).json({ status: 'ok', database: 'connected', timestamp: new Date().toISOString() });
+}));
+
+
+// ── 404 Handler ───────────────────────────────────────────────────────────────
+app.use((_req, res) => {
+  res.status(404).json({
+    success: false,
+    error  : 'Route not found. Available: GET /api/v1/recommend/:userId  |  GET /api/v1/recommend/:userId/explain' +
+             '  |  POST /api/v1/recommend/group' +
+             '  |  GET /api/v1/patterns/:userId  |  GET /api/v1/patterns/:userId/timeline' +
+             '  |  GET /api/v1/books/:bookId/similar  |  POST /api/v1/loans  |  POST /api/v1/loans/:loanId/return' +
+             '  |  GET /api/v1/users/:userId/loans  |  GET /api/v1/books/:bookId/loans' +
+             '  |  GET /api/v1/books/search  |  POST /api/v1/books  |  GET|PATCH|DELETE /api/v1/books/:bookId' +
+             '  |  GET /api/v1/books/:bookId/availability  |  POST /api/v1/books/:bookId/copies' +
+             '  |  DELETE /api/v1/books/:bookId/copies/:copyId' +
+             '  |  GET|POST /api/v1/users  |  GET|PATCH|DELETE /api/v1/users/:userId' +
+             '  |  GET /api/v1/users/:userId/export  |  POST /api/v1/users/:userId/anonymise' +
+             '  |  GET /api/v1/users/:userId/feedback  |  PUT|DELETE /api/v1/users/:userId/feedback/:bookId' +
+             '  |  GET|PUT|DELETE /api/v1/users/:userId/preferences' +
+             '  |  GET|POST /api/v1/branches  |  GET /api/v1/branches/:branchId' +
+             '  |  GET /api/v1/analytics/books/top  |  GET /api/v1/analytics/categories' +
+             '  |  GET /api/v1/analytics/loans/trend  |  GET /api/v1/analytics/users/activity' +
+             '  |  GET /api/v1/analytics/books/never-borrowed  |  GET /api/v1/analytics/coverage',
+  });
+});
+
+
+// ── Global Error Handler ──────────────────────────────────────────────────────
+
+/** HTTP status for each ServiceError code. */
+const SERVICE_ERROR_STATUS = {
+  INVALID  : 400,
+  NOT_FOUND: 404,
+  CONFLICT : 409,
+};
+
+app.use((err, _req, res, _next) => {
+  if (err instanceof ServiceError) {
+    return res.status(SERVICE_ERROR_STATUS[err.code] || 500).json({
+      success: false,
+      error  : err.message,
+    });
+  }
+
+  // Malformed JSON body from express.json()
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      success: false,
+      error  : 'Request body is not valid JSON.',
+    });
+  }
+
+  console.error('[ERROR]', err.message);
+  res.status(500).json({
+    success: false,
+    error  : 'Internal server error. Please try again.',
+  });
+});
+
+
+// ── Start Server ──────────────────────────────────────────────────────────────
+// Only when run directly, so tests can require the app and listen themselves
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log('\n');
+    console.log('   Smart Book Discovery Engine — API Server               ');
+    console.log('');
+    console.log(`   Listening on   http://localhost:${PORT}                   `);
+    console.log('                                                          ');
+    console.log('   GET /api/v1/recommend/:userId                          ');
+    console.log('   GET /api/v1/recommend/:userId/explain                  ');
+    console.log('   POST /api/v1/recommend/group                           ');
+    console.log('   GET /api/v1/patterns/:userId                           ');
+    console.log('   GET /api/v1/patterns/:userId/timeline                  ');
+    console.log('   GET /api/v1/books/:bookId/similar                      ');
+    console.log('   POST /api/v1/loans                                     ');
+    console.log('   POST /api/v1/loans/:loanId/return                      ');
+    console.log('   GET /api/v1/users/:userId/loans                        ');
+    console.log('   GET /api/v1/books/:bookId/loans                        ');
+    console.log('   GET /api/v1/books/search                               ');
+    console.log('   POST /api/v1/books                                     ');
+    console.log('   GET|PATCH|DELETE /api/v1/books/:bookId                 ');
+    console.log('   GET /api/v1/books/:bookId/availability                 ');
+    console.log('   POST /api/v1/books/:bookId/copies                      ');
+    console.log('   DELETE /api/v1/books/:bookId/copies/:copyId            ');
+    console.log('   GET|POST /api/v1/users                                 ');
+    console.log('   GET|PATCH|DELETE /api/v1/users/:userId                 ');
+    console.log('   GET /api/v1/users/:userId/export                       ');
+    console.log('   POST /api/v1/users/:userId/anonymise                   ');
+    console.log('   GET /api/v1/users/:userId/feedback                     ');
+    console.log('   PUT|DELETE /api/v1/users/:userId/feedback/:bookId      ');
+    console.log('   GET|PUT|DELETE /api/v1/users/:userId/preferences       ');
+    console.log('   GET|POST /api/v1/branches                              ');
+    console.log('   GET /api/v1/branches/:branchId                         ');
+    console.log('   GET /api/v1/analytics/books/top                        ');
+    console.log('   GET /api/v1/analytics/categories                       ');
+    console.log('   GET /api/v1/analytics/loans/trend                      ');
+    console.log('   GET /api/v1/analytics/users/activity                   ');
+    console.log('   GET /api/v1/analytics/books/never-borrowed             ');
+    console.log('   GET /api/v1/analytics/coverage                         ');
+    console.log('   GET /health                                            ');
+    console.log('\n');
+  });
+}
 
 module.exports = app;
\ No newline at end of file
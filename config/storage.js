@@ -0,0 +1,28 @@
+/**
+ * storage.js — Picks the LibraryRepository backend
+ *
+ * STORAGE=mysql  (default) — shared pool from db.js
+ * STORAGE=memory           — data/library_dataset.json, or DATASET_PATH
+ */
+
+'use strict';
+
+const MySQLRepository    = require('../src/MySQLRepository');
+const InMemoryRepository = require('../src/InMemoryRepository');
+
+/**
+ * @param  {string} [kind]  — "mysql" | "memory" (default: $STORAGE or "mysql")
+ * @returns {import('../src/LibraryRepository')}
+ */
+function createRepository(kind = process.env.STORAGE || 'mysql') {
+  switch (kind) {
+    case 'mysql':
+      return new MySQLRepository(require('./db'));
+    case 'memory':
+      return InMemoryRepository.fromFile(process.env.DATASET_PATH || undefined);
+    default:
+      throw new Error(`Unknown STORAGE backend "${kind}". Expected "mysql" or "memory".`);
+  }
+}
+
+module.exports = { createRepository };
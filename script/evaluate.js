@@ -0,0 +1,175 @@
+/**
+ * evaluate.js — Offline evaluation of the recommender
+ * Replays the loan history with a temporal or leave-one-out split and
+ * reports precision@k, recall@k, MAP, hit rate, catalogue coverage and
+ * how often each fallback fired (see src/evaluation.js). Optionally reports
+ * how many of the exact top peers the MinHash/LSH peer search finds.
+ *
+ * Usage:
+ *   node script/evaluate.js                                  # in-memory dataset, temporal split
+ *   node script/evaluate.js --split=leave-one-out --k=10
+ *   node script/evaluate.js --cutoff=2025-02-10 --min-score=0.05
+ *   node script/evaluate.js --peer-search=lsh --peer-recall
+ *   STORAGE=mysql node script/evaluate.js                    # replay the loans table
+ *
+ * Options:
+ *   --split=temporal|leave-one-out   (default temporal)
+ *   --k=N                            list length scored (default 5)
+ *   --test-fraction=F                temporal: share of newest loans hidden (default 0.2)
+ *   --cutoff=YYYY-MM-DD              temporal: hide loans on/after this date instead
+ *   --min-score=F, --max-peers=N, --min-peers=N, --half-life=DAYS, --diversity=F,
+ *   --author-boost=F, --explore=F, --hybrid=F, --peer-search=exact|lsh,
+ *   --similarity=jaccard|cosine|dice|overlap|popularity_jaccard, --implicit
+ *                                    passed to getRecommendations(); the replayed
+ *                                    loans carry no return dates, so --implicit
+ *                                    only rewards re-borrows here
+ *   --peer-recall                    also compare LSH peer search with the exact scan
+ *   --bands=N, --rows=N              MinHash/LSH banding (default 32 × 2)
+ *   --users                          also print per-user results
+ *   --json                           print the full report as JSON
+ */
+
+'use strict';
+
+const { createRepository } = require('../config/storage');
+const DiscoveryService     = require('../src/Discoveryservice');
+const { evaluate, peerSearchRecall } = require('../src/evaluation');
+
+const DIVIDER = '='.repeat(70);
+const LINE    = '-'.repeat(70);
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Parses --name=value / --flag arguments into { name: value | true }.
+ * @param {string[]} argv
+ * @returns {Object<string, string|true>}
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(arg);
+    if (!match) throw new Error(`Unrecognised argument "${arg}". Expected --name=value.`);
+    args[match[1]] = match[2] ?? true;
+  }
+  return args;
+}
+
+function numberArg(args, name) {
+  if (args[name] === undefined) return undefined;
+  const value = Number(args[name]);
+  if (args[name] === true || Number.isNaN(value)) {
+    throw new Error(`--${name} must be a number. Got: "${args[name]}"`);
+  }
+  return value;
+}
+
+function percent(value) {
+  return (value * 100).toFixed(2) + '%';
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const repo = createRepository(process.env.STORAGE || 'memory');
+
+  try {
+    const recommend = {
+      minScore    : numberArg(args, 'min-score'),
+      maxPeers    : numberArg(args, 'max-peers'),
+      minPeers    : numberArg(args, 'min-peers'),
+      halfLifeDays: numberArg(args, 'half-life'),
+      diversity   : numberArg(args, 'diversity'),
+      authorBoost : numberArg(args, 'author-boost'),
+      explore     : numberArg(args, 'explore'),
+      hybrid      : numberArg(args, 'hybrid'),
+      peerSearch  : args['peer-search'],
+      similarity  : args.similarity,
+      implicit    : args.implicit === undefined ? undefined : args.implicit !== 'false',
+    };
+    Object.keys(recommend).forEach(key => recommend[key] === undefined && delete recommend[key]);
+
+    const lsh = { bands: numberArg(args, 'bands'), rows: numberArg(args, 'rows') };
+    Object.keys(lsh).forEach(key => lsh[key] === undefined && delete lsh[key]);
+
+    const dataset = await repo.exportDataset();
+    const report  = await evaluate(dataset, {
+      split       : args.split,
+      k           : numberArg(args, 'k'),
+      cutoff      : args.cutoff,
+      testFraction: numberArg(args, 'test-fraction'),
+      recommend,
+      lsh,
+    });
+
+    if (args['peer-recall']) {
+      const { peerSearch, diversity, ...peerOpts } = recommend;
+      report.peerRecall = await peerSearchRecall(
+        new DiscoveryService(repo, { lsh }),
+        dataset.users.map(u => u.user_id),
+        peerOpts
+      );
+    }
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+      return;
+    }
+
+    console.log('\n' + DIVIDER);
+    console.log('  OFFLINE EVALUATION  —  ' + report.split + ' split, k = ' + report.k);
+    if (report.cutoff) console.log('  Cutoff: loans on/after ' + report.cutoff + ' hidden');
+    if (Object.keys(recommend).length) console.log('  Options: ' + JSON.stringify(recommend));
+    console.log(DIVIDER);
+
+    const row = (label, value) => console.log('  ' + label.padEnd(16) + ': ' + value);
+    console.log('');
+    row('Users evaluated', report.usersEvaluated);
+    row('precision@' + report.k, report.metrics.precisionAtK.toFixed(4));
+    row('recall@' + report.k, report.metrics.recallAtK.toFixed(4));
+    row('MAP@' + report.k, report.metrics.map.toFixed(4));
+    row('hit rate', percent(report.metrics.hitRate));
+    row('coverage', percent(report.coverage.coverage) +
+      '  (' + report.coverage.recommendedBooks + ' of ' + report.coverage.catalogueSize + ' books)');
+
+    console.log('\n' + LINE);
+    console.log('  Strategy used');
+    console.log(LINE);
+    for (const [strategy, count] of Object.entries(report.strategies).sort((a, b) => b[1] - a[1])) {
+      console.log('  ' + strategy.padEnd(28) + String(count).padStart(4) + '  (' +
+        percent(report.usersEvaluated ? count / report.usersEvaluated : 0) + ')');
+    }
+
+    if (report.peerRecall) {
+      console.log('\n' + LINE);
+      console.log('  Peer search: MinHash/LSH vs. exact scan');
+      console.log(LINE);
+      row('Users compared', report.peerRecall.usersEvaluated);
+      row('peer recall', percent(report.peerRecall.recall));
+      row('users scored', percent(report.peerRecall.candidateShare) + '  (share of the exact scan)');
+    }
+
+    if (args.users) {
+      console.log('\n' + LINE);
+      console.log('  Per user');
+      console.log(LINE);
+      for (const u of report.users) {
+        console.log(
+          '  ' + u.userId.padEnd(6) + ' P=' + u.precision.toFixed(2) + ' R=' + u.recall.toFixed(2) +
+          ' AP=' + u.ap.toFixed(2) + '  hidden: ' + u.relevant.join(',') +
+          '  hits: ' + (u.hits.join(',') || '-') + '  [' + u.strategy + ']'
+        );
+      }
+    }
+
+    console.log('\n' + DIVIDER + '\n');
+  } finally {
+    await repo.close();
+  }
+}
+
+main().catch(err => {
+  console.error('Evaluation failed:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,119 @@
+/**
+ * precompute.js — Batch job for precomputed recommendations
+ * Computes every user's top recommendations and Reading DNA and writes them
+ * to recommendation_cache under a new batch number, keeping earlier batches
+ * as history (see "Precomputed results" in src/Discoveryservice.js). The
+ * API only serves the latest batch, when CACHE_MAX_AGE_MINUTES is set and
+ * while it is younger than that, and computes live otherwise, so schedule the job to
+ * run more often than that — e.g. hourly from cron with a 90-minute limit:
+ *
+ *   15 * * * *  cd /srv/smart-library && node script/precompute.js
+ *
+ * Usage:
+ *   node script/precompute.js                  # once, then exit
+ *   node script/precompute.js --limit=20
+ *   node script/precompute.js --keep=48        # keep two days of hourly batches
+ *   node script/precompute.js --every=60       # keep running, once an hour
+ *
+ * Options:
+ *   --limit=N         recommendations stored per user (default 50)
+ *   --keep=N          batches kept, the new one included (default 24)
+ *   --every=MINUTES   repeat every MINUTES instead of exiting
+ *
+ * PEER_SEARCH and MIN_PEERS are read as by the API server, so the stored
+ * lists match what it would compute.
+ */
+
+'use strict';
+
+const { createRepository } = require('../config/storage');
+const DiscoveryService     = require('../src/Discoveryservice');
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Parses --name=value arguments into { name: value }.
+ * @param {string[]} argv
+ * @returns {Object<string, string>}
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const match = /^--([a-z-]+)=(.*)$/.exec(arg);
+    if (!match) throw new Error(`Unrecognised argument "${arg}". Expected --name=value.`);
+    args[match[1]] = match[2];
+  }
+  return args;
+}
+
+function positiveArg(args, name) {
+  if (args[name] === undefined) return undefined;
+  const value = Number(args[name]);
+  if (!(value > 0)) {
+    throw new Error(`--${name} must be a positive number. Got: "${args[name]}"`);
+  }
+  return value;
+}
+
+/**
+ * One batch run, logged to stdout.
+ * @param {DiscoveryService} service
+ * @param {number} [limit]
+ * @param {number} [keep]
+ */
+async function runBatch(service, limit, keep) {
+  const started = Date.now();
+  console.log(`[${new Date().toISOString()}] Precomputing recommendations…`);
+
+  const result = await service.precomputeAll({
+    limit,
+    keep,
+    onProgress: (done, total) => {
+      if (done % 100 === 0 || done === total) console.log(`  ${done} / ${total} users`);
+    },
+  });
+
+  console.log(
+    `  ✅  Batch ${result.version}: ${result.users} user(s) in ` +
+    `${((Date.now() - started) / 1000).toFixed(1)}s` +
+    (result.pruned ? `, ${result.pruned} old entr${result.pruned === 1 ? 'y' : 'ies'} pruned` : '')
+  );
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+async function main() {
+  const args  = parseArgs(process.argv.slice(2));
+  const limit = positiveArg(args, 'limit');
+  const keep  = positiveArg(args, 'keep');
+  const every = positiveArg(args, 'every');
+
+  const repo    = createRepository(process.env.STORAGE || 'mysql');
+  const service = new DiscoveryService(repo, {
+    peerSearch: process.env.PEER_SEARCH || 'exact',
+    minPeers  : process.env.MIN_PEERS ? Number(process.env.MIN_PEERS) : undefined,
+  });
+
+  try {
+    await runBatch(service, limit, keep);
+    if (!every) return;
+
+    // Runs back to back never overlap: the next starts `every` minutes
+    // after the previous one finished
+    for (;;) {
+      await new Promise(resolve => setTimeout(resolve, every * 60 * 1000));
+      try {
+        await runBatch(service, limit, keep);
+      } catch (err) {
+        console.error('  ❌  Batch failed:', err.message);
+      }
+    }
+  } finally {
+    await repo.close();
+  }
+}
+
+main().catch(err => {
+  console.error('Precompute failed:', err.message);
+  process.exitCode = 1;
+});
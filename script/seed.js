@@ -15,6 +15,8 @@ const mysql = require('mysql2/promise');
 const fs    = require('fs');
 const path  = require('path');
 
+const { formatId } = require('../src/ids');
+
 // ── Config ────────────────────────────────────────────────────────────────────
 const DB = {
   host    : '127.0.0.1',
@@ -93,8 +95,8 @@ async function seed() {
     process.exit(1);
   }
 
-  const { books, users, loans } = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
-  console.log(`📚  Loaded dataset: ${books.length} books, ${users.length} users, ${loans.length} loans.`);
+  const { books, users, loans, copies, branches = [], borrow_records = [] } = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+  console.log(`📚  Loaded dataset: ${books.length} books, ${users.length} users, ${loans.length} loans, ${borrow_records.length} borrow records.`);
 
   // 2. Connect
   console.log(`\n🔌  Connecting to MySQL at ${DB.host}:${DB.port} / ${DB.database} …`);
@@ -105,14 +107,22 @@ async function seed() {
   console.log('    Connection OK.\n');
   conn.release();
 
-  // 3. Seed tables in FK-safe order: users → books → loans
+  // 3. Seed tables in FK-safe order: branches → users → books → copies → loans → borrow records
   console.log('🌱  Seeding …');
 
+  await bulkInsert(
+    pool,
+    'branches',
+    ['branch_id', 'name'],
+    branches.map(b => [b.branch_id, b.name]),
+    'Branches'
+  );
+
   await bulkInsert(
     pool,
     'users',
-    ['user_id', 'name'],
-    users.map(u => [u.user_id, u.name]),
+    ['user_id', 'name', 'home_branch_id'],
+    users.map(u => [u.user_id, u.name, u.home_branch_id ?? null]),
     'Users'
   );
 
@@ -124,17 +134,53 @@ async function seed() {
     'Books'
   );
 
+  // One copy per book unless the dataset lists its own inventory
+  await bulkInsert(
+    pool,
+    'book_copies',
+    ['copy_id', 'book_id', 'branch_id'],
+    copies
+      ? copies.map(c => [c.copy_id, c.book_id, c.branch_id ?? null])
+      : books.map((b, i) => [formatId('C', i + 1), b.book_id, null]),
+    'Copies'
+  );
+
   await bulkInsert(
     pool,
     'loans',
-    ['loan_id', 'user_id', 'book_id', 'borrowed_at'],
-    loans.map(l => [l.loan_id, l.user_id, l.book_id, l.borrowed_at]),
+    ['loan_id', 'user_id', 'book_id', 'borrowed_at', 'branch_id'],
+    loans.map(l => [l.loan_id, l.user_id, l.book_id, l.borrowed_at, l.branch_id ?? null]),
     'Loans'
   );
 
-  // 4. Verify
+  // Loans without a borrow record count as returned
+  await bulkInsert(
+    pool,
+    'borrow_records',
+    ['loan_id', 'user_id', 'book_id', 'copy_id', 'borrow_date', 'return_date'],
+    borrow_records.map(r => [r.loan_id, r.user_id, r.book_id, r.copy_id ?? null, r.borrow_date, r.return_date ?? null]),
+    'Borrow records'
+  );
+
+  // 4. Move the ID sequences past the seeded IDs, so new records never reuse one
+  const sequences = [
+    ['BR', 'branches', 'branch_id'], ['U', 'users', 'user_id'], ['B', 'books', 'book_id'],
+    ['C', 'book_copies', 'copy_id'], ['L', 'loans', 'loan_id'],
+  ];
+  for (const [prefix, table, column] of sequences) {
+    await pool.execute(
+      `INSERT INTO id_sequences (prefix, last_value)
+       SELECT ?, COALESCE(MAX(CAST(SUBSTRING(\`${column}\`, ${prefix.length + 1}) AS UNSIGNED)), 0)
+         FROM \`${table}\`
+       ON DUPLICATE KEY UPDATE last_value = GREATEST(id_sequences.last_value, VALUES(last_value))`,
+      [prefix]
+    );
+  }
+  console.log('  ✅  ID sequences moved past the seeded IDs.');
+
+  // 5. Verify
   console.log('\n🔎  Verification counts:');
-  for (const table of ['users', 'books', 'loans']) {
+  for (const table of ['branches', 'users', 'books', 'book_copies', 'loans', 'borrow_records']) {
     const [[{ cnt }]] = await pool.execute(`SELECT COUNT(*) AS cnt FROM \`${table}\``);
     console.log(`    ${table}: ${cnt} row(s)`);
   }
@@ -4,6 +4,18 @@ CREATE DATABASE IF NOT EXISTS smart_library
 
 USE smart_library;
 
+-- Branches of the library consortium, all served from this one database.
+-- Users have a home branch, copies are held at a branch and loans are made
+-- at one; each of those columns is NULL for records from before branches
+-- existed, which only count consortium-wide.
+CREATE TABLE IF NOT EXISTS branches (
+  branch_id  VARCHAR(10)  NOT NULL,
+  name       VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (branch_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 CREATE TABLE IF NOT EXISTS books (
   book_id        VARCHAR(10)  NOT NULL,
   title          VARCHAR(255) NOT NULL,
@@ -15,44 +27,149 @@ CREATE TABLE IF NOT EXISTS books (
   INDEX idx_books_dewey (dewey_decimal)          -- fast category lookups
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
-CREATE TABLE IF NOT EXISTS users (
-  user_id    VARCHAR(10)  NOT NULL,
-  name       VARCHAR(255) NOT NULL,
+-- Physical copies of each title. A title can be lent while it has more
+-- copies than open loans; seed.js stocks the dataset's copies (one per
+-- book if it lists none).
+CREATE TABLE IF NOT EXISTS book_copies (
+  copy_id    VARCHAR(10)  NOT NULL,
+  book_id    VARCHAR(10)  NOT NULL,
+  branch_id  VARCHAR(10)  DEFAULT NULL,
   created_at TIMESTAMP    NOT NULL DEFAULT CURRENT_TIMESTAMP,
 
-  PRIMARY KEY (user_id)
+  PRIMARY KEY (copy_id),
+  INDEX idx_copies_book (book_id),
+  INDEX idx_copies_branch_book (branch_id, book_id),   -- what a branch holds
+  CONSTRAINT fk_copies_book FOREIGN KEY (book_id)
+    REFERENCES books (book_id) ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_copies_branch FOREIGN KEY (branch_id)
+    REFERENCES branches (branch_id) ON UPDATE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
-CREATE TABLE IF NOT EXISTS borrow_records (
-  record_id   INT          NOT NULL AUTO_INCREMENT,
-  user_id     VARCHAR(10)  NOT NULL,
-  book_id     VARCHAR(10)  NOT NULL,
-  borrow_date DATE         NOT NULL,
-  return_date DATE         DEFAULT NULL,
-  created_at  TIMESTAMP    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+CREATE TABLE IF NOT EXISTS users (
+  user_id        VARCHAR(10)  NOT NULL,
+  name           VARCHAR(255) NOT NULL,
+  home_branch_id VARCHAR(10)  DEFAULT NULL,
+  created_at     TIMESTAMP    NOT NULL DEFAULT CURRENT_TIMESTAMP,
 
-  PRIMARY KEY (record_id),
-  FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
-  FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE CASCADE,
-  INDEX idx_borrow_user (user_id),   -- fast lookups by user
-  INDEX idx_borrow_book (book_id)    -- fast lookups by book
+  PRIMARY KEY (user_id),
+  INDEX idx_users_branch (home_branch_id),
+  CONSTRAINT fk_users_branch FOREIGN KEY (home_branch_id)
+    REFERENCES branches (branch_id) ON UPDATE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- user_id is NULL once the patron has been anonymised: the loan still
+-- counts library-wide but belongs to nobody.
 CREATE TABLE IF NOT EXISTS loans (
   loan_id     VARCHAR(10)  NOT NULL,
-  user_id     VARCHAR(10)  NOT NULL,
+  user_id     VARCHAR(10)  DEFAULT NULL,
   book_id     VARCHAR(10)  NOT NULL,
   borrowed_at DATE         NOT NULL,
+  branch_id   VARCHAR(10)  DEFAULT NULL,   -- branch that lent the copy
   created_at  TIMESTAMP    NOT NULL DEFAULT CURRENT_TIMESTAMP,
 
   PRIMARY KEY (loan_id),
 INDEX idx_loans_user_book  (user_id, book_id),
 INDEX idx_loans_book_user  (book_id, user_id),
+INDEX idx_loans_branch_user (branch_id, user_id),
 CONSTRAINT fk_loans_user FOREIGN KEY (user_id)
     REFERENCES users (user_id) ON DELETE CASCADE ON UPDATE CASCADE,
 
   CONSTRAINT fk_loans_book FOREIGN KEY (book_id)
+    REFERENCES books (book_id) ON DELETE CASCADE ON UPDATE CASCADE,
+
+  CONSTRAINT fk_loans_branch FOREIGN KEY (branch_id)
+    REFERENCES branches (branch_id) ON UPDATE CASCADE
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Lifecycle of a loan created through the API: one row per loan_id,
+-- return_date stays NULL while the copy is checked out. Seeded loans
+-- have no row here and are treated as returned. copy_id is NULL once
+-- the copy has been withdrawn.
+CREATE TABLE IF NOT EXISTS borrow_records (
+  record_id   INT          NOT NULL AUTO_INCREMENT,
+  loan_id     VARCHAR(10)  NOT NULL,
+  user_id     VARCHAR(10)  DEFAULT NULL,   -- NULL once anonymised, as in loans
+  book_id     VARCHAR(10)  NOT NULL,
+  copy_id     VARCHAR(10)  DEFAULT NULL,
+  borrow_date DATE         NOT NULL,
+  return_date DATE         DEFAULT NULL,
+  created_at  TIMESTAMP    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (record_id),
+  UNIQUE KEY uq_borrow_loan (loan_id),
+  FOREIGN KEY (loan_id) REFERENCES loans(loan_id) ON DELETE CASCADE ON UPDATE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+  FOREIGN KEY (book_id) REFERENCES books(book_id) ON DELETE CASCADE,
+  FOREIGN KEY (copy_id) REFERENCES book_copies(copy_id) ON DELETE SET NULL,
+  INDEX idx_borrow_user (user_id),   -- fast lookups by user
+  INDEX idx_borrow_book_open (book_id, return_date)    -- open-loan check on check-out
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- What a patron told us about a book, one row per user and book (the latest
+-- feedback replaces the previous one). Read by the recommender: dismissed
+-- books are never recommended, already_read books count as borrowed.
+CREATE TABLE IF NOT EXISTS patron_feedback (
+  user_id    VARCHAR(10)  NOT NULL,
+  book_id    VARCHAR(10)  NOT NULL,
+  feedback   ENUM('dismiss', 'like', 'already_read') NOT NULL,
+  created_at TIMESTAMP    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (user_id, book_id),
+  INDEX idx_feedback_book (book_id),
+  CONSTRAINT fk_feedback_user FOREIGN KEY (user_id)
+    REFERENCES users (user_id) ON DELETE CASCADE ON UPDATE CASCADE,
+  CONSTRAINT fk_feedback_book FOREIGN KEY (book_id)
     REFERENCES books (book_id) ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- What a new patron picked at onboarding: favourite Dewey subjects
+-- (prefixes), authors and seed books, each a JSON array. Read by the
+-- recommender as stand-in loans until the patron has borrowed a few books;
+-- replaced as a whole when the patron changes them.
+CREATE TABLE IF NOT EXISTS patron_preferences (
+  user_id    VARCHAR(10)  NOT NULL,
+  dewey      JSON         NOT NULL,
+  authors    JSON         NOT NULL,
+  books      JSON         NOT NULL,
+  updated_at TIMESTAMP    NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  PRIMARY KEY (user_id),
+  CONSTRAINT fk_preferences_user FOREIGN KEY (user_id)
+    REFERENCES users (user_id) ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Recommendations and Reading DNA computed ahead of time by
+-- script/precompute.js. Each batch run writes one row per user and kind
+-- under a new `version`, stamped with computed_at; earlier batches are kept
+-- as history until the job prunes them (--keep). With CACHE_MAX_AGE_MINUTES
+-- set, the API serves a user's row from the latest batch while it is
+-- younger than that and recomputes otherwise. invalidated_at is set on a
+-- user's rows when their loans or feedback change, and on every row when a
+-- book's details do; an invalidated row is never served.
+CREATE TABLE IF NOT EXISTS recommendation_cache (
+  user_id        VARCHAR(10)  NOT NULL,
+  kind           ENUM('recommendations', 'reading_dna') NOT NULL,
+  version        INT          NOT NULL,
+  payload        JSON         NOT NULL,
+  computed_at    DATETIME(3)  NOT NULL,
+  invalidated_at DATETIME(3)  DEFAULT NULL,
+
+  PRIMARY KEY (user_id, kind, version),
+  INDEX idx_cache_version (version),
+  CONSTRAINT fk_cache_user FOREIGN KEY (user_id)
+    REFERENCES users (user_id) ON DELETE CASCADE ON UPDATE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Last number handed out for each ID prefix (BR, B, C, L, U). Sequences only
+-- move forward, so an ID is never reused after its row is deleted or
+-- anonymised, and old references (feedback, exports, cached results) cannot
+-- come to point at a different record. A prefix without a row starts past
+-- the highest ID already in its table; script/seed.js moves the rows past
+-- the IDs it inserts.
+CREATE TABLE IF NOT EXISTS id_sequences (
+  prefix     VARCHAR(4)   NOT NULL,
+  last_value INT UNSIGNED NOT NULL,
+
+  PRIMARY KEY (prefix)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,388 @@
+/**
+ * AnalyticsService.js — Library-wide borrowing statistics
+ * ────────────────────────────────────────────────────────
+ * Aggregate views for collection-development staff, replacing ad-hoc SQL:
+ *
+ *   • topBooks         — most-borrowed titles in a date window
+ *   • topCategories    — loans per Dewey category (DiscoveryService's mapping)
+ *   • loanTrend        — loan volume per day, week or month
+ *   • userActivity     — active vs. dormant vs. never-borrowed users
+ *   • neverBorrowed    — catalogue titles with no loans in a window
+ *   • coverage         — share of the catalogue that reaches anyone's
+ *                        recommendation list
+ *
+ * Date windows are { from, to } in "YYYY-MM-DD", both optional and inclusive.
+ *
+ * Expected failures throw ServiceError:
+ *   INVALID — malformed dates, from after to, out-of-range options
+ *
+ * Usage:
+ *   const analytics = new AnalyticsService(repo, discoveryService);
+ *   const top       = await analytics.topBooks({ from: '2025-01-01', limit: 10 });
+ */
+
+'use strict';
+
+const DiscoveryService = require('./Discoveryservice');
+const { ServiceError } = require('./errors');
+const { compareIds }   = require('./ids');
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+
+/** Loan dates are plain calendar dates, matching the DATE columns. */
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Default and maximum length of the top-books list. */
+const DEFAULT_TOP_BOOKS = 10;
+const MAX_TOP_BOOKS     = 100;
+
+/** A user with no loan in this many days is dormant. */
+const DEFAULT_DORMANT_DAYS = 90;
+
+/** Recommendation list length used when measuring catalogue coverage. */
+const DEFAULT_COVERAGE_LIMIT = 5;
+
+const TREND_GRANULARITIES = ['day', 'week', 'month'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+
+// ── AnalyticsService ───────────────────────────────────────────────────────────
+
+class AnalyticsService {
+  /**
+   * @param {import('./LibraryRepository')} repo       — storage backend
+   * @param {DiscoveryService}              discovery  — used by coverage()
+   */
+  constructor(repo, discovery) {
+    if (!repo) throw new Error('AnalyticsService requires a LibraryRepository instance.');
+    this.repo      = repo;
+    this.discovery = discovery || new DiscoveryService(repo);
+  }
+
+  // ── Public: Borrowing ──────────────────────────────────────────────────────
+
+  /**
+   * Most-borrowed books in the window. Books with no loans in the window
+   * are left out.
+   *
+   * @param  {object} [opts]
+   * @param  {string} [opts.from]
+   * @param  {string} [opts.to]
+   * @param  {number} [opts.limit]  — default 10, max 100
+   * @returns {Promise<{ from: string|null, to: string|null, books: object[] }>}
+   */
+  async topBooks(opts = {}) {
+    const window = AnalyticsService._window(opts);
+    const limit  = opts.limit ?? DEFAULT_TOP_BOOKS;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TOP_BOOKS) {
+      throw new ServiceError('INVALID', `limit must be an integer between 1 and ${MAX_TOP_BOOKS}. Got: "${limit}"`);
+    }
+
+    const books = (await this.repo.getBorrowCounts(window))
+      .filter(b => b.borrow_count > 0)
+      .slice(0, limit)
+      .map((b, index) => ({
+        rank    : index + 1,
+        ...b,
+        category: DiscoveryService._deweyCategory(String(b.dewey_decimal)),
+      }));
+
+    return { ...AnalyticsService._windowLabel(window), books };
+  }
+
+  /**
+   * Loans per Dewey category in the window, most-borrowed first. Every
+   * category with at least one catalogue title is listed, including those
+   * with no loans.
+   *
+   * @param  {object} [opts]
+   * @param  {string} [opts.from]
+   * @param  {string} [opts.to]
+   * @returns {Promise<{ from: string|null, to: string|null, totalLoans: number, categories: CategoryStats[] }>}
+   */
+  async topCategories(opts = {}) {
+    const window = AnalyticsService._window(opts);
+    const rows   = await this.repo.getBorrowCounts(window);
+
+    const byCategory = new Map();
+    for (const book of rows) {
+      const category = DiscoveryService._deweyCategory(String(book.dewey_decimal));
+      const stats    = byCategory.get(category) || { category, loans: 0, books: 0, borrowedBooks: 0 };
+      stats.loans         += book.borrow_count;
+      stats.books         += 1;
+      stats.borrowedBooks += book.borrow_count > 0 ? 1 : 0;
+      byCategory.set(category, stats);
+    }
+
+    const totalLoans = rows.reduce((sum, b) => sum + b.borrow_count, 0);
+    const categories = [...byCategory.values()]
+      .sort((a, b) => b.loans - a.loans || a.category.localeCompare(b.category))
+      .map(stats => ({
+        ...stats,
+        share: AnalyticsService._percentage(stats.loans, totalLoans),
+      }));
+
+    return { ...AnalyticsService._windowLabel(window), totalLoans, categories };
+  }
+
+  /**
+   * Loan volume per period. Periods with no loans are included as 0 so the
+   * series has no gaps; it spans the window, or the first to the last loan
+   * when a bound is omitted.
+   *
+   * @param  {object} [opts]
+   * @param  {string} [opts.from]
+   * @param  {string} [opts.to]
+   * @param  {'day'|'week'|'month'} [opts.granularity]  — default "month";
+   *                                   weeks start on Monday and are labelled by that date
+   * @returns {Promise<{ from: string|null, to: string|null, granularity: string, totalLoans: number, periods: { period: string, loans: number }[] }>}
+   */
+  async loanTrend(opts = {}) {
+    const window      = AnalyticsService._window(opts);
+    const granularity = opts.granularity ?? 'month';
+
+    if (!TREND_GRANULARITIES.includes(granularity)) {
+      throw new ServiceError('INVALID', `granularity must be one of: ${TREND_GRANULARITIES.join(', ')}. Got: "${granularity}"`);
+    }
+
+    const days       = await this.repo.getDailyLoanCounts(window);
+    const totalLoans = days.reduce((sum, d) => sum + d.loan_count, 0);
+    const label      = { ...AnalyticsService._windowLabel(window), granularity, totalLoans };
+
+    const first = window.from || (days.length ? days[0].date : null);
+    const last  = window.to   || (days.length ? days[days.length - 1].date : null);
+    if (!first || !last) return { ...label, periods: [] };
+
+    const counts = new Map();
+    for (const day of days) {
+      const period = AnalyticsService._period(day.date, granularity);
+      counts.set(period, (counts.get(period) || 0) + day.loan_count);
+    }
+
+    const periods = AnalyticsService._periodRange(first, last, granularity)
+      .map(period => ({ period, loans: counts.get(period) || 0 }));
+
+    return { ...label, periods };
+  }
+
+  // ── Public: Users ──────────────────────────────────────────────────────────
+
+  /**
+   * Splits users into active (borrowed within `dormantDays` of `asOf`),
+   * dormant (borrowed before that) and never-borrowed.
+   *
+   * @param  {object} [opts]
+   * @param  {string} [opts.asOf]         — "YYYY-MM-DD" (default: today)
+   * @param  {number} [opts.dormantDays]  — default 90
+   * @returns {Promise<UserActivityReport>}
+   */
+  async userActivity(opts = {}) {
+    const asOf        = opts.asOf ?? new Date().toISOString().slice(0, 10);
+    const dormantDays = opts.dormantDays ?? DEFAULT_DORMANT_DAYS;
+
+    AnalyticsService._assertDate(asOf, 'asOf');
+    if (!Number.isInteger(dormantDays) || dormantDays < 1) {
+      throw new ServiceError('INVALID', `dormantDays must be a positive integer. Got: "${dormantDays}"`);
+    }
+
+    const cutoff = AnalyticsService._addDays(asOf, -dormantDays);
+    const users  = (await this.repo.getUserActivity()).map(u => ({
+      ...u,
+      status: u.last_borrowed_at === null ? 'never_borrowed'
+            : u.last_borrowed_at > cutoff ? 'active'
+            : 'dormant',
+    }));
+
+    const count = status => users.filter(u => u.status === status).length;
+
+    return {
+      asOf,
+      dormantDays,
+      totalUsers   : users.length,
+      active       : count('active'),
+      dormant      : count('dormant'),
+      neverBorrowed: count('never_borrowed'),
+      users,
+    };
+  }
+
+  // ── Public: Catalogue ──────────────────────────────────────────────────────
+
+  /**
+   * Catalogue titles with no loans in the window (ever, when no window is
+   * given), in book_id order.
+   *
+   * @param  {object} [opts]
+   * @param  {string} [opts.from]
+   * @param  {string} [opts.to]
+   * @returns {Promise<{ from: string|null, to: string|null, catalogueSize: number, total: number, books: object[] }>}
+   */
+  async neverBorrowed(opts = {}) {
+    const window = AnalyticsService._window(opts);
+    const rows   = await this.repo.getBorrowCounts(window);
+
+    const books = rows
+      .filter(b => b.borrow_count === 0)
+      .map(({ borrow_count, ...book }) => ({
+        ...book,
+        category: DiscoveryService._deweyCategory(String(book.dewey_decimal)),
+      }))
+      .sort((a, b) => compareIds(a.book_id, b.book_id));
+
+    return {
+      ...AnalyticsService._windowLabel(window),
+      catalogueSize: rows.length,
+      total        : books.length,
+      books,
+    };
+  }
+
+  /**
+   * Share of the catalogue that appears in at least one user's current
+   * recommendation list. Runs the full recommendation pipeline once per
+   * user, so it is the most expensive report here.
+   *
+   * @param  {object} [opts]
+   * @param  {number} [opts.limit]  — list length per user (default 5)
+   * @returns {Promise<CoverageReport>}
+   */
+  async coverage(opts = {}) {
+    const limit = opts.limit ?? DEFAULT_COVERAGE_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TOP_BOOKS) {
+      throw new ServiceError('INVALID', `limit must be an integer between 1 and ${MAX_TOP_BOOKS}. Got: "${limit}"`);
+    }
+
+    const catalogue   = await this.repo.getBorrowCounts();
+    const users       = await this.repo.getUserActivity();
+    const recommended = new Map();   // book_id → number of users it was recommended to
+
+    for (const user of users) {
+      for (const rec of await this.discovery.getRecommendations(user.user_id, { limit })) {
+        recommended.set(rec.book_id, (recommended.get(rec.book_id) || 0) + 1);
+      }
+    }
+
+    const inCatalogue = catalogue.filter(b => recommended.has(b.book_id));
+
+    return {
+      limit,
+      usersEvaluated  : users.length,
+      catalogueSize   : catalogue.length,
+      recommendedBooks: inCatalogue.length,
+      coverage        : AnalyticsService._percentage(inCatalogue.length, catalogue.length),
+      books           : inCatalogue
+        .map(b => ({ book_id: b.book_id, title: b.title, recommendedTo: recommended.get(b.book_id) }))
+        .sort((a, b) => b.recommendedTo - a.recommendedTo || compareIds(a.book_id, b.book_id)),
+    };
+  }
+
+  // ── Private: Validation ────────────────────────────────────────────────────
+
+  static _window({ from, to }) {
+    if (from !== undefined) AnalyticsService._assertDate(from, 'from');
+    if (to !== undefined)   AnalyticsService._assertDate(to, 'to');
+    if (from && to && from > to) {
+      throw new ServiceError('INVALID', `from (${from}) must not be after to (${to}).`);
+    }
+    return { from, to };
+  }
+
+  static _assertDate(value, field) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value) ||
+        Number.isNaN(Date.parse(value))) {
+      throw new ServiceError('INVALID', `${field} must be a date in YYYY-MM-DD format. Got: "${value}"`);
+    }
+  }
+
+  // ── Private: Formatting ────────────────────────────────────────────────────
+
+  static _windowLabel({ from, to }) {
+    return { from: from || null, to: to || null };
+  }
+
+  static _percentage(part, whole) {
+    return (whole ? (part / whole) * 100 : 0).toFixed(2) + '%';
+  }
+
+  // ── Private: Date Periods ──────────────────────────────────────────────────
+
+  static _addDays(date, days) {
+    return new Date(Date.parse(date) + days * MS_PER_DAY).toISOString().slice(0, 10);
+  }
+
+  /**
+   * "2025-02-14" → "2025-02-14" (day), "2025-02-10" (week, its Monday)
+   * or "2025-02" (month).
+   */
+  static _period(date, granularity) {
+    if (granularity === 'month') return date.slice(0, 7);
+    if (granularity === 'day')   return date;
+
+    const weekday = new Date(Date.parse(date)).getUTCDay();   // 0 = Sunday
+    return AnalyticsService._addDays(date, -((weekday + 6) % 7));
+  }
+
+  /**
+   * Every period label from the one containing `first` to the one
+   * containing `last`, inclusive.
+   */
+  static _periodRange(first, last, granularity) {
+    const end   = AnalyticsService._period(last, granularity);
+    const range = [];
+
+    let period = AnalyticsService._period(first, granularity);
+    while (period <= end) {
+      range.push(period);
+      period = granularity === 'month'
+        ? AnalyticsService._nextMonth(period)
+        : AnalyticsService._addDays(period, granularity === 'week' ? 7 : 1);
+    }
+    return range;
+  }
+
+  static _nextMonth(period) {
+    const [year, month] = period.split('-').map(Number);
+    return month === 12
+      ? `${year + 1}-01`
+      : `${year}-${String(month + 1).padStart(2, '0')}`;
+  }
+}
+
+
+// ── Exports ────────────────────────────────────────────────────────────────────
+
+module.exports = AnalyticsService;
+
+
+/**
+ * @typedef {object} CategoryStats
+ * @property {string} category       — DiscoveryService._deweyCategory() label
+ * @property {number} loans          — loans in the window
+ * @property {number} books          — catalogue titles in the category
+ * @property {number} borrowedBooks  — of those, titles borrowed in the window
+ * @property {string} share          — loans as a share of all loans, e.g. "24.00%"
+ */
+
+/**
+ * @typedef {object} UserActivityReport
+ * @property {string} asOf
+ * @property {number} dormantDays
+ * @property {number} totalUsers
+ * @property {number} active
+ * @property {number} dormant
+ * @property {number} neverBorrowed
+ * @property {{ user_id: string, name: string, loan_count: number, last_borrowed_at: string|null,
+ *              status: 'active'|'dormant'|'never_borrowed' }[]} users
+ */
+
+/**
+ * @typedef {object} CoverageReport
+ * @property {number} limit             — recommendations generated per user
+ * @property {number} usersEvaluated
+ * @property {number} catalogueSize
+ * @property {number} recommendedBooks  — distinct titles recommended to anyone
+ * @property {string} coverage          — recommendedBooks / catalogueSize, e.g. "45.00%"
+ * @property {{ book_id: string, title: string, recommendedTo: number }[]} books
+ */
@@ -0,0 +1,399 @@
+/**
+ * CatalogueService.js — Books, copies and users: create, read, update, delete, search
+ * ─────────────────────────────────────────────────────────────────────────────────────
+ * Replaces hand-editing library_dataset.json and re-seeding. New records get
+ * the next sequential ID ("B021", "U011", … "U1000"), and everything is
+ * written through the LibraryRepository the recommender reads.
+ *
+ * Branches ("BR001", …) are registered here too. Users may name a home
+ * branch and copies the branch holding them; both stay null for a library
+ * that does not use branches.
+ *
+ * Expected failures throw ServiceError:
+ *   INVALID   — missing / malformed fields, bad search or paging options
+ *   NOT_FOUND — unknown book, copy, user or branch
+ *   CONFLICT  — deleting a book, copy or user that still has an open loan
+ *
+ * Usage:
+ *   const catalogue = new CatalogueService(repo);
+ *   const book      = await catalogue.createBook({ title, author, dewey_decimal });
+ *   const page      = await catalogue.searchBooks({ q: 'habits', page: 1 });
+ */
+
+'use strict';
+
+const { ServiceError } = require('./errors');
+const { availabilityOf, dueDate } = require('./availability');
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+
+/** Longest value the VARCHAR(255) text columns accept. */
+const MAX_TEXT_LENGTH = 255;
+
+/** Three-digit Dewey class with optional decimal, e.g. "658" or "005.133". */
+const DEWEY_PATTERN = /^\d{3}(\.\d{1,16})?$/;
+
+/** Default and maximum page size for searches and listings. */
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE     = 100;
+
+/** Fields searchBooks() can sort by. */
+const BOOK_SORT_FIELDS = ['book_id', 'title', 'author', 'dewey_decimal'];
+
+/** Most copies createBook() stocks in one go; add more with addCopy(). */
+const MAX_INITIAL_COPIES = 50;
+
+
+// ── CatalogueService ───────────────────────────────────────────────────────────
+
+class CatalogueService {
+  /**
+   * @param {import('./LibraryRepository')} repo  — storage backend
+   */
+  constructor(repo) {
+    if (!repo) throw new Error('CatalogueService requires a LibraryRepository instance.');
+    this.repo = repo;
+  }
+
+  // ── Public: Branches ───────────────────────────────────────────────────────
+
+  /**
+   * @param  {{ name: string }} input
+   * @returns {Promise<import('./LibraryRepository').BranchRow>}
+   */
+  async createBranch(input = {}) {
+    return this.repo.createBranch({ name: CatalogueService._text(input.name, 'name') });
+  }
+
+  /**
+   * @param  {string} branchId
+   * @returns {Promise<import('./LibraryRepository').BranchRow>}
+   */
+  async getBranch(branchId) {
+    const branch = await this.repo.getBranch(branchId);
+    if (!branch) throw CatalogueService._notFound('Branch', branchId);
+    return branch;
+  }
+
+  /**
+   * @returns {Promise<import('./LibraryRepository').BranchRow[]>}
+   */
+  async listBranches() {
+    return this.repo.listBranches();
+  }
+
+  // ── Public: Books ──────────────────────────────────────────────────────────
+
+  /**
+   * @param  {{ title: string, author: string, dewey_decimal: string, copies?: number, branch_id?: string }} input
+   *         — copies: how many to stock (default 1), held at branch_id (default none)
+   * @returns {Promise<import('./LibraryRepository').BookRow>}
+   */
+  async createBook(input = {}) {
+    return this.repo.createBook({
+      title        : CatalogueService._text(input.title, 'title'),
+      author       : CatalogueService._text(input.author, 'author'),
+      dewey_decimal: CatalogueService._dewey(input.dewey_decimal),
+      copies       : CatalogueService._copies(input.copies),
+      branch_id    : await this._branchRef(input.branch_id, 'branch_id') ?? null,
+    });
+  }
+
+  /**
+   * @param  {string} bookId
+   * @returns {Promise<import('./LibraryRepository').BookRow>}
+   */
+  async getBook(bookId) {
+    const [book] = await this.repo.getBooksByIds([bookId]);
+    if (!book) throw CatalogueService._notFound('Book', bookId);
+    return book;
+  }
+
+  /**
+   * Partial update: only the fields present in `input` change.
+   *
+   * @param  {string} bookId
+   * @param  {Partial<{ title: string, author: string, dewey_decimal: string }>} input
+   * @returns {Promise<import('./LibraryRepository').BookRow>}
+   */
+  async updateBook(bookId, input = {}) {
+    const fields = {};
+    if (input.title !== undefined)         fields.title         = CatalogueService._text(input.title, 'title');
+    if (input.author !== undefined)        fields.author        = CatalogueService._text(input.author, 'author');
+    if (input.dewey_decimal !== undefined) fields.dewey_decimal = CatalogueService._dewey(input.dewey_decimal);
+
+    if (Object.keys(fields).length === 0) {
+      throw new ServiceError('INVALID', 'Provide at least one of: title, author, dewey_decimal.');
+    }
+
+    const book = await this.repo.updateBook(bookId, fields);
+    if (!book) throw CatalogueService._notFound('Book', bookId);
+    return book;
+  }
+
+  /**
+   * Deletes a book and its loan history. Refused while the book is on loan.
+   *
+   * @param  {string} bookId
+   */
+  async deleteBook(bookId) {
+    await this.getBook(bookId);
+
+    const open = (await this.repo.getLoansForBook(bookId)).find(l => l.status === 'open');
+    if (open) {
+      throw new ServiceError('CONFLICT', `Book "${bookId}" is on loan (${open.loan_id}); return it first.`);
+    }
+
+    await this.repo.deleteBook(bookId);
+  }
+
+  /**
+   * Searches the catalogue by title, author and Dewey prefix.
+   *
+   * @param  {object} [opts]
+   * @param  {string} [opts.q]       — matches title or author
+   * @param  {string} [opts.title]
+   * @param  {string} [opts.author]
+   * @param  {string} [opts.dewey]   — Dewey prefix, e.g. "658" or "15"
+   * @param  {string} [opts.branch]  — held at this branch_id
+   * @param  {number} [opts.page]    — 1-based (default 1)
+   * @param  {number} [opts.limit]   — page size (default 20, max 100)
+   * @param  {string} [opts.sort]    — book_id | title | author | dewey_decimal
+   * @param  {string} [opts.order]   — asc | desc
+   * @returns {Promise<{ total: number, page: number, limit: number, books: object[] }>}
+   */
+  async searchBooks(opts = {}) {
+    const sort  = opts.sort  ?? 'book_id';
+    const order = opts.order ?? 'asc';
+
+    if (!BOOK_SORT_FIELDS.includes(sort)) {
+      throw new ServiceError('INVALID', `sort must be one of: ${BOOK_SORT_FIELDS.join(', ')}. Got: "${sort}"`);
+    }
+    if (order !== 'asc' && order !== 'desc') {
+      throw new ServiceError('INVALID', `order must be "asc" or "desc". Got: "${order}"`);
+    }
+    if (opts.dewey !== undefined && !/^\d{1,3}(\.\d*)?$/.test(opts.dewey)) {
+      throw new ServiceError('INVALID', `dewey must be a Dewey Decimal prefix such as "6", "658" or "005.1". Got: "${opts.dewey}"`);
+    }
+
+    const { page, limit, offset } = CatalogueService._paging(opts);
+    const { total, books } = await this.repo.searchBooks({
+      q          : opts.q || undefined,
+      title      : opts.title || undefined,
+      author     : opts.author || undefined,
+      deweyPrefix: opts.dewey || undefined,
+      branchId   : await this._branchRef(opts.branch || undefined, 'branch'),
+      sort,
+      order,
+      limit,
+      offset,
+    });
+
+    return { total, page, limit, books };
+  }
+
+  // ── Public: Copies ─────────────────────────────────────────────────────────
+
+  /**
+   * Shelf availability of a book, with the state of each copy.
+   *
+   * @param  {string} bookId
+   * @returns {Promise<BookAvailability>}
+   */
+  async getBookAvailability(bookId) {
+    await this.getBook(bookId);
+
+    const [row]  = await this.repo.getAvailability([bookId]);
+    const copies = await this.repo.getCopies(bookId);
+
+    return {
+      book_id: bookId,
+      ...availabilityOf(row),
+      copy_list: copies.map(c => ({
+        copy_id  : c.copy_id,
+        branch_id: c.branch_id,
+        status   : c.loan_id ? 'on_loan' : 'available',
+        loan_id  : c.loan_id,
+        due_at   : c.borrowed_at ? dueDate(c.borrowed_at) : null,
+      })),
+    };
+  }
+
+  /**
+   * @param  {string} bookId
+   * @param  {{ branch_id?: string }} [input]  — branch holding the copy (default none)
+   * @returns {Promise<import('./LibraryRepository').CopyRow>}
+   */
+  async addCopy(bookId, input = {}) {
+    await this.getBook(bookId);
+    return this.repo.addCopy(bookId, await this._branchRef(input.branch_id, 'branch_id') ?? null);
+  }
+
+  /**
+   * Withdraws a copy of a book. Refused while that copy is on loan.
+   *
+   * @param  {string} bookId
+   * @param  {string} copyId
+   */
+  async removeCopy(bookId, copyId) {
+    await this.getBook(bookId);
+
+    const copy = (await this.repo.getCopies(bookId)).find(c => c.copy_id === copyId);
+    if (!copy) {
+      throw new ServiceError('NOT_FOUND', `Copy "${copyId}" of book "${bookId}" not found.`);
+    }
+    if (copy.loan_id) {
+      throw new ServiceError('CONFLICT', `Copy "${copyId}" is on loan (${copy.loan_id}); return it first.`);
+    }
+
+    await this.repo.deleteCopy(copyId);
+  }
+
+  // ── Public: Users ──────────────────────────────────────────────────────────
+
+  /**
+   * @param  {{ name: string, home_branch_id?: string }} input
+   * @returns {Promise<import('./LibraryRepository').UserRow>}
+   */
+  async createUser(input = {}) {
+    return this.repo.createUser({
+      name          : CatalogueService._text(input.name, 'name'),
+      home_branch_id: await this._branchRef(input.home_branch_id, 'home_branch_id') ?? null,
+    });
+  }
+
+  /**
+   * @param  {string} userId
+   * @returns {Promise<import('./LibraryRepository').UserRow>}
+   */
+  async getUser(userId) {
+    const user = await this.repo.getUser(userId);
+    if (!user) throw CatalogueService._notFound('User', userId);
+    return user;
+  }
+
+  /**
+   * Partial update: only the fields present in `input` change; a null
+   * home_branch_id clears it.
+   *
+   * @param  {string} userId
+   * @param  {Partial<{ name: string, home_branch_id: string|null }>} input
+   * @returns {Promise<import('./LibraryRepository').UserRow>}
+   */
+  async updateUser(userId, input = {}) {
+    const fields = {};
+    if (input.name !== undefined)           fields.name           = CatalogueService._text(input.name, 'name');
+    if (input.home_branch_id !== undefined) fields.home_branch_id = await this._branchRef(input.home_branch_id, 'home_branch_id');
+
+    if (Object.keys(fields).length === 0) {
+      throw new ServiceError('INVALID', 'Provide at least one of: name, home_branch_id.');
+    }
+
+    const user = await this.repo.updateUser(userId, fields);
+    if (!user) throw CatalogueService._notFound('User', userId);
+    return user;
+  }
+
+  /**
+   * Deletes a user and their loan history. Refused while they have a book out.
+   *
+   * @param  {string} userId
+   */
+  async deleteUser(userId) {
+    await this.getUser(userId);
+
+    const open = (await this.repo.getLoansForUser(userId)).find(l => l.status === 'open');
+    if (open) {
+      throw new ServiceError('CONFLICT', `User "${userId}" still has a book on loan (${open.loan_id}).`);
+    }
+
+    await this.repo.deleteUser(userId);
+  }
+
+  /**
+   * @param  {object} [opts]
+   * @param  {string} [opts.name]    — substring of the user's name
+   * @param  {string} [opts.branch]  — home branch_id
+   * @param  {number} [opts.page]
+   * @param  {number} [opts.limit]
+   * @returns {Promise<{ total: number, page: number, limit: number, users: object[] }>}
+   */
+  async listUsers(opts = {}) {
+    const { page, limit, offset } = CatalogueService._paging(opts);
+    const { total, users } = await this.repo.listUsers({
+      name    : opts.name || undefined,
+      branchId: await this._branchRef(opts.branch || undefined, 'branch'),
+      limit,
+      offset,
+    });
+    return { total, page, limit, users };
+  }
+
+  // ── Private: Validation ────────────────────────────────────────────────────
+
+  static _text(value, field) {
+    if (typeof value !== 'string' || value.trim() === '') {
+      throw new ServiceError('INVALID', `${field} is required and must be a non-empty string.`);
+    }
+    if (value.trim().length > MAX_TEXT_LENGTH) {
+      throw new ServiceError('INVALID', `${field} must be at most ${MAX_TEXT_LENGTH} characters.`);
+    }
+    return value.trim();
+  }
+
+  static _dewey(value) {
+    if (typeof value !== 'string' || !DEWEY_PATTERN.test(value.trim())) {
+      throw new ServiceError('INVALID', `dewey_decimal must look like "658" or "005.133". Got: "${value}"`);
+    }
+    return value.trim();
+  }
+
+  static _copies(value = 1) {
+    if (!Number.isInteger(value) || value < 0 || value > MAX_INITIAL_COPIES) {
+      throw new ServiceError('INVALID', `copies must be an integer between 0 and ${MAX_INITIAL_COPIES}. Got: "${value}"`);
+    }
+    return value;
+  }
+
+  static _paging({ page = 1, limit = DEFAULT_PAGE_SIZE }) {
+    if (!Number.isInteger(page) || page < 1) {
+      throw new ServiceError('INVALID', `page must be a positive integer. Got: "${page}"`);
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new ServiceError('INVALID', `limit must be an integer between 1 and ${MAX_PAGE_SIZE}. Got: "${limit}"`);
+    }
+    return { page, limit, offset: (page - 1) * limit };
+  }
+
+  /**
+   * An optional branch reference: undefined and null pass through, anything
+   * else must be the branch_id of an existing branch.
+   */
+  async _branchRef(value, field) {
+    if (value === undefined || value === null) return value;
+    if (typeof value !== 'string' || value.trim() === '') {
+      throw new ServiceError('INVALID', `${field} must be a branch_id such as "BR001". Got: "${value}"`);
+    }
+    return (await this.getBranch(value.trim())).branch_id;
+  }
+
+  static _notFound(kind, id) {
+    return new ServiceError('NOT_FOUND', `${kind} "${id}" not found.`);
+  }
+}
+
+
+// ── Exports ────────────────────────────────────────────────────────────────────
+
+module.exports = CatalogueService;
+
+
+/**
+ * @typedef {object} BookAvailability
+ * @property {string}      book_id
+ * @property {'available'|'on_loan'|'no_copies'} status
+ * @property {number}      copies       — copies held
+ * @property {number}      available    — copies on the shelf
+ * @property {string|null} expected_at  — when on_loan: earliest expected return, "YYYY-MM-DD"
+ * @property {{ copy_id: string, branch_id: string|null, status: 'available'|'on_loan', loan_id: string|null, due_at: string|null }[]} copy_list
+ */
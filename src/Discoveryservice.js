@@ -13,35 +13,245 @@
  * │  6. Rank candidates by weighted peer match score                │
  * └─────────────────────────────────────────────────────────────────┘
  *
+ * Recency-weighted mode (opts.recency / opts.halfLifeDays / opts.asOf):
+ *   Each loan gets weight 0.5^(age / halfLife), so book "sets" become
+ *   Map<book_id, weight> and step 3 uses weighted Jaccard
+ *   Σ min(a_i, b_i) / Σ max(a_i, b_i). In step 6 a peer contributes
+ *   score × their loan's weight, favouring what peers borrowed lately.
+ *   Ages run to opts.asOf, default now; set it to replay a past date or
+ *   to weight an archive whose last loans are long ago, where every
+ *   weight from now would be close to 0.
+ *
+ * Implicit ratings (opts.implicit):
+ *   A loan returned after a day or two says little; a book kept past the
+ *   loan period or borrowed again says a lot. Each book gets a rating from
+ *   how its loans went (see implicitRating.js), so sets become
+ *   Map<book_id, rating> as in recency mode, and both can be combined:
+ *   each loan's signal is then scaled by its recency weight.
+ *
+ * Similarity metrics (opts.similarity):
+ *   Step 3 uses Jaccard by default; cosine, Sørensen–Dice, the overlap
+ *   coefficient and a popularity-penalised Jaccard can be chosen per
+ *   request, and more registered (see similarity.js). The MinHash index
+ *   still proposes peers by Jaccard; they are then scored with the metric.
+ *
+ * Diversity re-ranking (opts.diversity):
+ *   After step 6, candidates are re-ordered by Maximal Marginal Relevance
+ *   over Dewey class distance (see diversity.js) so one subject cannot
+ *   crowd out the whole list.
+ *
+ * Indexed peer search (opts.peerSearch = 'lsh'):
+ *   Steps 2–3 scan every other user. In "lsh" mode a MinHashIndex (see
+ *   MinHashIndex.js) narrows them to users likely to be similar, and only
+ *   those candidates are scored exactly — approximate top peers in
+ *   sub-linear time. The index is built on first use and kept current
+ *   through recordLoan() / forgetUser() / forgetBook(). findPeers() and
+ *   evaluation.peerSearchRecall() compare it against the exact scan.
+ *
+ * Patron privacy:
+ *   Results never carry peer user_ids. recommended_by holds per-response
+ *   pseudonyms ("peer-1" = the most similar peer). With `minPeers` = k > 1
+ *   a book is only recommended once at least k peers borrowed it
+ *   (k-anonymity), so no single patron's loan can be read off a list. It is
+ *   off by default (MIN_PEERS = 1): on a small library most books have one
+ *   or two borrowers, and k = 2 empties many patrons' lists. Deployments
+ *   opt in with the minPeers option (the server reads $MIN_PEERS).
+ *
+ * Author affinity:
+ *   When no peer helps (steps 4 and 6 come up empty), the fallback first
+ *   offers other titles by authors the user has read — borrowed or not —
+ *   then popular books from their Dewey sections. opts.authorBoost adds
+ *   authorBoost × (share of the user's books by the author) to a peer
+ *   candidate's score, and getReadingDNA() lists the user's top authors.
+ *
+ * Hybrid scoring (opts.hybrid):
+ *   Content similarity otherwise only drives the fallbacks. With a content
+ *   share h, each peer candidate's score is scaled to 0–1 by the best one
+ *   and blended (1 − h) × collaborative + h × content, where content rates
+ *   the book's Dewey proximity, author and title keywords against the
+ *   user's history (see contentScore.js; weights via opts.contentWeights).
+ *   Results report every component, so sparse users whose one or two
+ *   peers make for noisy lists get a steadier order.
+ *
+ * Onboarding preferences (see OnboardingService.js):
+ *   A new patron's favourite Dewey subjects and authors become stand-in
+ *   loans of the ONBOARDING_BOOKS_PER_CHOICE most-borrowed books of each,
+ *   and their seed books are added as if borrowed (and never recommended).
+ *   Stand-ins weigh 1 − (books read / ONBOARDING_PHASE_OUT), so they fade
+ *   out as real loans accumulate — turning Set A into a weighted Map
+ *   while both count. They replace the cold-start list with peers of the
+ *   patron's own choosing.
+ *
+ * Exploration (opts.explore):
+ *   Every path above stays inside subjects the user already reads. With an
+ *   exploration rate r, about r of the list's slots — spread evenly, e.g.
+ *   every fifth at 0.2 — go to the most-borrowed books from the Dewey
+ *   divisions either side of the user's (650 → 640, 660) that they have
+ *   not read in. Those results carry fallback "exploration"; slots with no
+ *   such book left keep the regular results.
+ *
+ * Patron feedback (see FeedbackService.js):
+ *   Books the user marked "already_read" join Set A as if borrowed, so they
+ *   count in step 3 and are never recommended. Dismissed books are filtered
+ *   out everywhere, and every like / dismissal multiplies the scores of
+ *   titles in the same Dewey section by LIKE_BOOST / DISMISS_PENALTY — in
+ *   the fallbacks, their borrow counts.
+ *
+ * Group recommendations (getGroupRecommendations):
+ *   Steps 1–3 run for each member; each member's candidate scores are
+ *   scaled to 0–1 by their best candidate, and a book's group score is the
+ *   average, minimum ("least misery") or maximum ("most pleasure") over the
+ *   members who have not read it. A member whose peers never borrowed the
+ *   book scores it by content instead (contentScore.js: Dewey, author and
+ *   title closeness to their own reading), scaled to 0–1 by their best
+ *   content score among the group's candidates, so one member without peer
+ *   evidence does not zero "least misery" for the whole group. A book suits
+ *   the members who score it above 0. Books read by more than
+ *   maxReadFraction of the group are left out.
+ *
+ * Availability (opts.availability):
+ *   Every result carries the title's shelf availability (see availability.js).
+ *   "demote" moves titles with no copy on the shelf below those with one;
+ *   "exclude" drops them before paging. Both apply to the peer results and
+ *   to the popularity fallbacks.
+ *
+ * Branches (opts.branch, opts.preferHomeBranch):
+ *   A consortium's branches share one deployment, and by default every
+ *   loan at every branch counts. opts.branch scopes a request to one
+ *   branch: peers are compared on the loans made there, the fallbacks rank
+ *   by its borrow counts, and only titles it holds are recommended. The
+ *   user's own history still counts wherever it was borrowed.
+ *   opts.preferHomeBranch keeps the consortium-wide list but moves titles
+ *   with no copy at the user's home branch below those with one, as
+ *   availability "demote" does. getReadingDNA() takes opts.branch too.
+ *
+ * Precomputed results (options.cacheMaxAgeMinutes):
+ *   precomputeAll() — run by script/precompute.js — stores every user's top
+ *   PRECOMPUTE_LIMIT recommendations and Reading DNA under a new batch
+ *   number and timestamp. Earlier batches are kept as history, the last
+ *   CACHE_KEEP_BATCHES of them by default. Off unless a staleness limit is
+ *   set. With one, getRecommendations() with default options and
+ *   getReadingDNA() serve the user's entry from the latest batch while it
+ *   is younger than the limit and compute live otherwise; availability is
+ *   always looked up live. A user's entries are marked stale by
+ *   recordLoan() / invalidateUser(), everyone's by forgetBook() /
+ *   invalidateAll(), and a stale entry is never served. Other patrons' new
+ *   loans mark nothing, so a served list can be up to the limit behind them.
+ *
+ * Storage:
+ *   All reads go through a LibraryRepository (see LibraryRepository.js).
+ *   Pass a MySQLRepository, an InMemoryRepository, or a bare mysql2 pool —
+ *   a pool is wrapped in a MySQLRepository automatically.
+ *
  * Usage:
- *   const pool    = require('./db');          // mysql2/promise pool
+ *   const pool    = require('../config/db');   // mysql2/promise pool
  *   const service = new DiscoveryService(pool);
  *   const results = await service.getRecommendations('U001');
+ *
+ *   // Offline, against data/library_dataset.json
+ *   const service = new DiscoveryService(InMemoryRepository.fromFile());
  */
 
 'use strict';
 
+const LibraryRepository = require('./LibraryRepository');
+const MySQLRepository   = require('./MySQLRepository');
+const MinHashIndex      = require('./MinHashIndex');
+const { ServiceError }  = require('./errors');
+const { normalizeBookFilters, matchesBookFilters } = require('./bookFilters');
+const { mmrRerank }     = require('./diversity');
+const { classifyDewey, deweySection } = require('./dewey');
+const { availabilityOf, LOAN_PERIOD_DAYS } = require('./availability');
+const { CONTENT_WEIGHTS, contentProfile, contentScore } = require('./contentScore');
+const { addLoanRating, QUICK_RETURN_DAYS, QUICK_RETURN_WEIGHT, RENEWED_WEIGHT, MAX_RATING } = require('./implicitRating');
+const { DEFAULT_SIMILARITY, getSimilarity, similarityNames, jaccard } = require('./similarity');
+
 // ── Constants ──────────────────────────────────────────────────────────────────
 
-/** Peers with Jaccard score below this threshold are ignored. */
+/** Peers with a similarity score below this threshold are ignored. */
 const MIN_SIMILARITY  = 0.1;
 
 /** Maximum number of peer users to consider (avoids O(n²) blowup at scale). */
 const MAX_PEERS       = 50;
 
+/**
+ * k-anonymity: fewest peers who must have borrowed a book before it is
+ * recommended (or, for similar books, who borrowed both). 1 = off.
+ */
+const MIN_PEERS       = 1;
+
+/** Score multiplier per liked / dismissed book in a title's Dewey section. */
+const LIKE_BOOST      = 1.5;
+const DISMISS_PENALTY = 0.5;
+
+/** Authors listed in a Reading DNA's topAuthors. */
+const TOP_AUTHORS     = 5;
+
 /** Maximum number of book recommendations to return. */
 const MAX_RESULTS     = 10;
 
+/** Recommendations precomputeAll() stores per user. */
+const PRECOMPUTE_LIMIT = 50;
+
+/** Batches precomputeAll() keeps, the new one included. */
+const CACHE_KEEP_BATCHES = 24;
+
+/** Books read (loans and already_read) at which onboarding choices stop counting. */
+const ONBOARDING_PHASE_OUT = 5;
+
+/** Most-borrowed books standing in for each favourite subject or author. */
+const ONBOARDING_BOOKS_PER_CHOICE = 3;
+
+/** Half-life of a loan's weight in recency-weighted mode (opts.recency). */
+const DEFAULT_HALF_LIFE_DAYS = 180;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/** Ways to find peers: scan every user, or query the MinHash/LSH index. */
+const PEER_SEARCH_MODES = ['exact', 'lsh'];
+
+/** How member scores combine into a group score. */
+const GROUP_STRATEGIES = ['average', 'least_misery', 'most_pleasure'];
+
+/** Largest group getGroupRecommendations() accepts. */
+const MAX_GROUP_SIZE = 50;
+
+/** What to do with titles that have no copy on the shelf. */
+const AVAILABILITY_MODES = ['annotate', 'demote', 'exclude'];
+
+/**
+ * Reading DNA timeline: a shift is flagged when the dominant category changes
+ * and the category mix moved by at least this total variation distance
+ * (½ Σ |p_i − q_i|, 0 = identical mix, 1 = no category in common).
+ */
+const DEFAULT_SHIFT_THRESHOLD = 0.5;
+
 
 // ── DiscoveryService ───────────────────────────────────────────────────────────
 
 class DiscoveryService {
   /**
-   * @param {import('mysql2/promise').Pool} pool  — mysql2 connection pool
+   * @param {LibraryRepository|import('mysql2/promise').Pool} store
+   *        — a storage backend, or a mysql2 pool to wrap in MySQLRepository
+   * @param {object} [options]
+   * @param {'exact'|'lsh'} [options.peerSearch]  — default peer search mode (default "exact")
+   * @param {number} [options.minPeers]  — default k-anonymity threshold (default MIN_PEERS)
+   * @param {{ bands?: number, rows?: number }} [options.lsh]  — MinHashIndex banding
+   * @param {number} [options.cacheMaxAgeMinutes]  — serve precomputed results up to this
+   *                                                  old (default: never serve them)
    */
-  constructor(pool) {
-    if (!pool) throw new Error('DiscoveryService requires a mysql2 pool instance.');
-    this.pool = pool;
+  constructor(store, options = {}) {
+    if (!store) {
+      throw new Error('DiscoveryService requires a LibraryRepository or mysql2 pool instance.');
+    }
+    this.repo       = store instanceof LibraryRepository ? store : new MySQLRepository(store);
+    this.peerSearch = DiscoveryService._peerSearchOption(options, 'exact');
+    this.minPeers   = DiscoveryService._minPeersOption(options, MIN_PEERS);
+    this.lsh        = options.lsh || {};
+    this.cacheMaxAgeMinutes = DiscoveryService._cacheMaxAgeOption(options);
+
+    /** @type {Promise<MinHashIndex>|null} built on first "lsh" query */
+    this._index = null;
   }
 
   // ── Public API ─────────────────────────────────────────────────────────────
@@ -52,86 +262,451 @@ class DiscoveryService {
    * @param  {string}  userId          — e.g. "U001"
    * @param  {object}  [opts]
    * @param  {number}  [opts.limit]    — max results (default MAX_RESULTS)
-   * @param  {number}  [opts.minScore] — min Jaccard score (default MIN_SIMILARITY)
+   * @param  {number}  [opts.offset]   — results to skip, for paging (default 0)
+   * @param  {number}  [opts.minScore] — min similarity score (default MIN_SIMILARITY)
+   * @param  {number}  [opts.maxPeers] — most similar peers to aggregate (default MAX_PEERS)
+   * @param  {Partial<import('./bookFilters').BookFilters>} [opts.filters]
+   *                                   — Dewey / author / book_id include & exclude rules,
+   *                                     applied before limit and offset
+   * @param  {boolean} [opts.recency]  — weight loans by age (see header)
+   * @param  {number}  [opts.halfLifeDays] — loan half-life in days; implies recency
+   *                                     (default DEFAULT_HALF_LIFE_DAYS)
+   * @param  {string|Date} [opts.asOf] — "now" for loan ages (default: current time); implies recency
+   * @param  {boolean} [opts.implicit] — weight books by implicit rating: quick returns
+   *                                     count less, long and repeat loans more (see header)
+   * @param  {number}  [opts.diversity] — 0–1 relevance/diversity balance for MMR
+   *                                     re-ranking of peer results (default 0 = off)
+   * @param  {'exact'|'lsh'} [opts.peerSearch] — scan every user or query the
+   *                                     MinHash index (default: the service's mode)
+   * @param  {number}  [opts.minPeers] — fewest peers who must have borrowed a book
+   *                                     for it to be recommended (default: the service's)
+   * @param  {'annotate'|'demote'|'exclude'} [opts.availability] — handling of titles with
+   *                                     no copy on the shelf (default "annotate")
+   * @param  {number}  [opts.authorBoost] — ≥ 0; adds authorBoost × the user's share of
+   *                                     books by a candidate's author (default 0 = off)
+   * @param  {number}  [opts.hybrid]   — 0–1 share of content similarity blended into
+   *                                     peer scores (default 0 = off, see header)
+   * @param  {{ dewey?: number, author?: number, keywords?: number }} [opts.contentWeights]
+   *                                   — relative weights of the content components
+   *                                     (default CONTENT_WEIGHTS)
+   * @param  {number}  [opts.explore]  — 0–1 share of slots given to popular books from
+   *                                     Dewey divisions next to the user's (default 0 = off)
+   * @param  {string}  [opts.similarity] — peer similarity metric: "jaccard" (default),
+   *                                     "cosine", "dice", "overlap", "popularity_jaccard"
+   *                                     or one registered in similarity.js
+   * @param  {string}  [opts.branch]   — branch_id to scope loans, popularity and
+   *                                     candidates to (default: consortium-wide)
+   * @param  {boolean} [opts.preferHomeBranch] — move titles with no copy at the user's
+   *                                     home branch below those with one (default false)
    * @returns {Promise<RecommendationResult[]>}
    */
   async getRecommendations(userId, opts = {}) {
-    const limit    = opts.limit    ?? MAX_RESULTS;
-    const minScore = opts.minScore ?? MIN_SIMILARITY;
+    const cached = await this._cachedRecommendations(userId, opts);
+    if (cached) return cached;
+
+    const { results } = await this._recommend(userId, opts);
+    return results;
+  }
+
+  /**
+   * Runs the same pipeline as getRecommendations() and returns a full audit
+   * trail: which path was taken and why, every peer's similarity score with its
+   * intersection / union counts and shared books, and how each peer's score
+   * summed into a candidate's match_score.
+   *
+   * @param  {string}  userId
+   * @param  {object}  [opts]          — same options as getRecommendations()
+   * @returns {Promise<RecommendationExplanation>}
+   */
+  async explainRecommendations(userId, opts = {}) {
+    const run = await this._recommend(userId, opts);
+
+    // ── Peers: similarity breakdown and the books they share with the user ───
+    const sharedIds = new Set();
+    const peers = run.peers.map(({ score, books }, rank) => {
+      const shared = [...books.keys()].filter(id => run.targetBooks.has(id));
+      shared.forEach(id => sharedIds.add(id));
+      return {
+        peerId      : DiscoveryService._peerPseudonym(rank),
+        score       : parseFloat(score.toFixed(4)),
+        intersection: shared.length,
+        union       : run.targetBooks.size + books.size - shared.length,
+        sharedBooks : shared,
+      };
+    });
+
+    const titles = new Map(
+      (await this.repo.getBooksByIds([...sharedIds])).map(b => [b.book_id, b.title])
+    );
+    for (const peer of peers) {
+      peer.sharedBooks = peer.sharedBooks
+        .sort()
+        .map(book_id => ({ book_id, title: titles.get(book_id) ?? null }));
+    }
+
+    // ── Recommendations: per-peer contributions to each match_score ──────────
+    const peersByPseudonym = new Map(
+      run.peers.map((p, rank) => [DiscoveryService._peerPseudonym(rank), p])
+    );
+    const recommendations = run.results.map(book => ({
+      ...book,
+      contributions: book.recommended_by.map(peerId => {
+        const peer = peersByPseudonym.get(peerId);
+        return {
+          peerId,
+          score : parseFloat(peer.score.toFixed(4)),
+          weight: parseFloat(DiscoveryService._bookWeight(peer.books, book.book_id).toFixed(4)),
+        };
+      }),
+    }));
+
+    return {
+      userId,
+      strategy      : run.strategy,
+      explanation   : run.explanation,
+      booksRead     : run.targetBooks.size,
+      minScore      : run.minScore,
+      maxPeers      : run.maxPeers,
+      minPeers      : run.minPeers,
+      similarity    : run.similarity,
+      peerSearch    : run.peerSearch,
+      availability  : run.availability,
+      feedback      : run.feedback,
+      candidatePeers: run.candidatePeers ?? 0,
+      explore       : run.explore ?? null,
+      hybrid        : run.hybrid ?? null,
+      onboarding    : run.onboarding ?? null,
+      branch        : run.branch,
+      recency       : run.decay ? { halfLifeDays: run.decay.halfLifeDays, asOf: run.decay.asOf.toISOString() } : null,
+      implicit      : run.implicit,
+      peers,
+      recommendations,
+    };
+  }
+
+  /**
+   * The recommendation pipeline shared by getRecommendations() and
+   * explainRecommendations(). Returns the ranked results together with the
+   * intermediate state needed to explain them.
+   *
+   * @param  {string} userId
+   * @param  {object} opts
+   * @returns {Promise<RecommendationRun>}
+   */
+  async _recommend(userId, opts) {
+    const availability = DiscoveryService._availabilityOption(opts);
+    const unavailable  = new Set(availability === 'annotate' ? [] : await this.repo.getUnavailableBookIds());
+    const branch       = await this._branchScope(userId, opts);
+    const feedback     = await this._getFeedback(userId);
+    const filters      = normalizeBookFilters(opts.filters);
+    filters.excludeBookIds = [
+      ...filters.excludeBookIds,
+      ...feedback.dismissed,
+      ...(availability === 'exclude' ? unavailable : []),
+      ...branch.notHeld,
+    ];
+
+    const page = {
+      limit      : opts.limit  ?? MAX_RESULTS,
+      offset     : opts.offset ?? 0,
+      filters,
+      branch     : branch.branchId,
+      diversity  : DiscoveryService._diversityOption(opts),
+      demote     : new Set([...(availability === 'demote' ? unavailable : []), ...branch.notHeldAtHome]),
+      affinity   : feedback.affinity,
+      authorBoost: DiscoveryService._authorBoostOption(opts),
+      hybrid     : DiscoveryService._hybridOption(opts),
+    };
+    // Extra fallback rows to re-order from, so demoted or penalised titles
+    // can be replaced on this page
+    page.lookahead = page.demote.size + (page.affinity.size > 0 ? page.offset + page.limit : 0);
+
+    // Exploration slots are spread over the whole list, so rank it from the top
+    const explore = DiscoveryService._exploreOption(opts);
+    const run     = await this._rankForUser(
+      userId, opts,
+      explore > 0 ? { ...page, offset: 0, limit: page.offset + page.limit } : page,
+      feedback.alreadyRead
+    );
+    if (explore > 0) await this._explore(run, page, explore);
+
+    const given = [
+      feedback.alreadyRead.length && `${feedback.alreadyRead.length} book(s) marked already read count as borrowed`,
+      feedback.dismissed.length   && `${feedback.dismissed.length} dismissed book(s) are left out`,
+      page.affinity.size          && `titles in the Dewey sections of liked / dismissed books are scored ` +
+                                     `×${LIKE_BOOST} / ×${DISMISS_PENALTY} per book`,
+    ].filter(Boolean);
+    if (given.length > 0) {
+      run.explanation += ` Patron feedback: ${given.join('; ')}.`;
+    }
+    if (run.onboarding) {
+      run.explanation += DiscoveryService._onboardingReason(run.onboarding);
+    }
+
+    if (unavailable.size > 0) {
+      run.explanation += availability === 'exclude'
+        ? ` Titles with no copy on the shelf (${unavailable.size} in the catalogue) were left out.`
+        : ` Titles with no copy on the shelf (${unavailable.size} in the catalogue) were moved below available ones.`;
+    }
+    run.explanation += DiscoveryService._branchReason(branch);
+
+    return {
+      ...run,
+      availability,
+      branch  : {
+        scope           : branch.branchId,
+        preferHomeBranch: branch.preferHome,
+        homeBranch      : branch.homeBranch,
+      },
+      feedback: {
+        alreadyRead: feedback.alreadyRead.length,
+        liked      : feedback.liked.length,
+        dismissed  : feedback.dismissed.length,
+      },
+      results : await this._withAvailability(run.results),
+    };
+  }
+
+  /**
+   * Steps 1–4 of the pipeline for one page of results.
+   *
+   * @param  {string}     userId
+   * @param  {object}     opts
+   * @param  {ResultPage} page
+   * @param  {string[]}   alreadyRead  — book_ids the user read elsewhere
+   * @returns {Promise<RecommendationRun>}
+   */
+  async _rankForUser(userId, opts, page, alreadyRead) {
+    const minScore  = opts.minScore ?? MIN_SIMILARITY;
+    const maxPeers  = opts.maxPeers ?? MAX_PEERS;
+    const weighting = DiscoveryService._weightingOptions(opts);
+    const search    = DiscoveryService._peerSearchOption(opts, this.peerSearch);
+    const minPeers  = DiscoveryService._minPeersOption(opts, this.minPeers);
+    const metric    = await this._similarity(opts);
+    const run       = {
+      targetBooks: new Set(), peers: [], minScore, maxPeers, minPeers, peerSearch: search,
+      decay      : weighting?.decay ?? null,
+      implicit   : Boolean(weighting?.implicit),
+      similarity : metric.name,
+    };
 
     // ── Step 1: Load all loan data in two efficient queries ──────────────────
 
-    const targetBooks = await this._getBorrowedBooks(userId);
+    run.targetBooks = weighting
+      ? await this._getLoanWeights(userId, weighting)
+      : await this._getBorrowedBooks(userId);
+
+    // Read elsewhere: no loan date, so weighted as one ordinary loan made today
+    for (const bookId of alreadyRead) {
+      if (run.targetBooks.has(bookId)) continue;
+      if (weighting) run.targetBooks.set(bookId, 1);
+      else           run.targetBooks.add(bookId);
+    }
+
+    // Books never to recommend; stand-ins for favourite subjects and
+    // authors stay recommendable
+    const read       = new Set(run.targetBooks.keys());
+    const onboarding = await this._onboarding(userId, run.targetBooks);
+    if (onboarding) {
+      onboarding.seeds.forEach(bookId => read.add(bookId));
+      run.targetBooks = DiscoveryService._withStandIns(run.targetBooks, onboarding);
+      run.onboarding  = onboarding.summary;
+    }
 
-    if (targetBooks.size === 0) {
+    if (run.targetBooks.size === 0) {
       // Cold-start: user has no history → fall back to popularity ranking
-      return this._coldStartFallback(userId, limit);
+      return {
+        ...run,
+        strategy   : 'cold_start_popularity',
+        explanation: 'User has no loan history, so the most-borrowed books ' +
+                     (page.branch ? `at branch ${page.branch}` : 'library-wide') + ' are shown.',
+        results    : await this._coldStartFallback(userId, page),
+      };
     }
 
-    const allUserBooks = await this._getAllUserBooks(userId);
+    const allUserBooks = await this._getPeerBooks(userId, run.targetBooks, search, weighting, page.branch);
+    run.candidatePeers = Object.keys(allUserBooks).length;
 
-    if (Object.keys(allUserBooks).length === 0) {
-      return [];
+    if (search === 'exact' && run.candidatePeers === 0) {
+      return {
+        ...run,
+        strategy   : 'none',
+        explanation: 'No other user has any loan history' +
+                     (page.branch ? ` at branch ${page.branch}` : '') + ', so there is nothing to compare against.',
+        results    : [],
+      };
     }
 
-    // ── Step 2: Compute Jaccard Similarity for every peer ────────────────────
+    // ── Step 2: Compute the similarity of every peer ─────────────────────────
 
-    const peers = this._scorePeers(targetBooks, allUserBooks, minScore);
+    const peers = this._scorePeers(run.targetBooks, allUserBooks, minScore, metric.score);
 
     if (peers.length === 0) {
-      // No similar peers found → fall back to Dewey category popularity
-      return this._deweyFallback(userId, targetBooks, limit);
+      // No similar peers found → fall back to the user's authors and Dewey sections
+      const fallback = await this._historyFallback(userId, run.targetBooks, page);
+      return {
+        ...run,
+        strategy   : fallback.strategy,
+        explanation:
+          `No peer reached the minimum ${metric.label} similarity of ${minScore}` +
+          (search === 'lsh' ? ` among ${run.candidatePeers} LSH candidate(s)` : '') +
+          DiscoveryService._historyFallbackReason(fallback.strategy),
+        results    : fallback.results,
+      };
     }
 
     // ── Step 3: Aggregate candidate books from top peers ─────────────────────
 
-    const candidates = this._aggregateCandidates(
-      peers.slice(0, MAX_PEERS),
-      targetBooks
-    );
+    run.peers = peers.slice(0, maxPeers);
+    const candidates = this._aggregateCandidates(run.peers, read, minPeers);
+
+    if (candidates.size === 0) {
+      // Nothing unread was borrowed by enough peers to show without
+      // singling one out → fall back to the user's authors and Dewey sections
+      const fallback = await this._historyFallback(userId, run.targetBooks, page);
+      return {
+        ...run,
+        strategy   : fallback.strategy,
+        explanation:
+          `${peers.length} peer(s) reached the minimum ${metric.label} similarity of ${minScore}, ` +
+          `but no unread book was borrowed by at least ${minPeers} of the top ${run.peers.length}` +
+          DiscoveryService._historyFallbackReason(fallback.strategy),
+        results    : fallback.results,
+      };
+    }
 
     // ── Step 4: Enrich with book metadata and return ranked list ─────────────
 
-    return this._enrichAndRank(candidates, limit);
+    return {
+      ...run,
+      strategy   : 'peer_similarity',
+      explanation:
+        `${peers.length} peer(s)` +
+        (search === 'lsh' ? ` of ${run.candidatePeers} LSH candidate(s)` : '') +
+        ` reached the minimum ${DiscoveryService._weightingLabel(weighting)}` +
+        `${metric.label} similarity of ${minScore}` +
+        (peers.length > maxPeers ? `; the top ${maxPeers} were used` : '') +
+        (minPeers > 1 ? `. Only books borrowed by at least ${minPeers} of them are recommended` : '') +
+        (weighting
+          ? DiscoveryService._weightingReason(weighting)
+          : `. Each candidate's match_score is the sum of the ${metric.label} scores of the peers who borrowed it.`) +
+        (page.hybrid ? DiscoveryService._hybridReason(page.hybrid) : '') +
+        (page.authorBoost > 0
+          ? ` ${page.authorBoost} × the user's share of books by the candidate's author is then added.`
+          : '') +
+        (page.diversity > 0
+          ? ` Results were then re-ranked for Dewey class diversity (balance ${page.diversity}).`
+          : ''),
+      hybrid     : page.hybrid,
+      results    : await this._enrichAndRank(
+        candidates, page,
+        page.authorBoost > 0 ? await this._authorShares(run.targetBooks) : new Map(),
+        page.hybrid ? contentProfile(await this.repo.getBooksByIds([...run.targetBooks.keys()])) : null
+      ),
+    };
   }
 
   // ── Private: Data Fetching ─────────────────────────────────────────────────
 
   /**
    * Returns the Set of book_ids borrowed by `userId`.
-   * Hits the composite index (user_id, book_id) — covering scan.
    *
    * @param  {string} userId
    * @returns {Promise<Set<string>>}
    */
   async _getBorrowedBooks(userId) {
-    const [rows] = await this.pool.execute(
-      `SELECT book_id
-         FROM loans
-        WHERE user_id = ?`,
-      [userId]
-    );
-    return new Set(rows.map(r => r.book_id));
+    return new Set(await this.repo.getUserBookIds(userId));
+  }
+
+  /**
+   * Book collections of the users to compare against: every other user for
+   * "exact", only the MinHash index's candidates for "lsh". Sets, or
+   * weighted Maps when `weighting` is given.
+   *
+   * @param  {string}                         userId
+   * @param  {Set<string>|Map<string,number>} targetBooks
+   * @param  {'exact'|'lsh'}                  search
+   * @param  {LoanWeighting|null}             weighting
+   * @param  {string|null}                    [branchId]  — count only loans made here
+   * @returns {Promise<Record<string, Set<string>|Map<string,number>>>}
+   */
+  async _getPeerBooks(userId, targetBooks, search, weighting, branchId = null) {
+    if (search === 'exact') {
+      return weighting
+        ? this._getAllUserLoanWeights(userId, weighting, branchId)
+        : this._getAllUserBooks(userId, branchId);
+    }
+
+    const index      = await this._peerIndex();
+    const candidates = index.candidates(targetBooks.keys(), userId);
+
+    // The index keeps borrow dates only, from every branch; ratings need the
+    // return dates too, a branch scope where each loan was made
+    if (weighting?.implicit || branchId) {
+      const rows = await this.repo.getLoansForUsers([...candidates], branchId);
+      return weighting
+        ? DiscoveryService._groupLoanWeights(rows, weighting)
+        : DiscoveryService._groupBooks(rows);
+    }
+
+    const peers = {};
+    for (const peerId of candidates) {
+      const books = index.books(peerId);
+      peers[peerId] = weighting
+        ? [...books].reduce((weights, [book_id, borrowed_at]) =>
+            DiscoveryService._addLoanWeight(weights, { book_id, borrowed_at }, weighting), new Map())
+        : new Set(books.keys());
+    }
+    return peers;
   }
 
   /**
    * Returns a map of { peerId → Set<book_id> } for every user EXCEPT `userId`.
-   * Single query, processed in JS — avoids N+1 queries.
+   * Single repository call, processed in JS — avoids N+1 queries.
    *
-   * @param  {string} excludeUserId
+   * @param  {string}      excludeUserId
+   * @param  {string|null} [branchId]  — count only loans made here
    * @returns {Promise<Record<string, Set<string>>>}
    */
-  async _getAllUserBooks(excludeUserId) {
-    // ORDER BY user_id lets us stream-group results if needed at scale
-    const [rows] = await this.pool.execute(
-      `SELECT user_id, book_id
-         FROM loans
-        WHERE user_id <> ?
-        ORDER BY user_id`,
-      [excludeUserId]
-    );
+  async _getAllUserBooks(excludeUserId, branchId = null) {
+    const rows = await this.repo.getPeerLoans(excludeUserId, branchId);
+    return DiscoveryService._groupBooks(rows);
+  }
+
+  /**
+   * Weighted counterpart of _getBorrowedBooks(): { book_id → weight }, the
+   * weight combining the user's loans of that book (see _addLoanWeight).
+   *
+   * @param  {string}        userId
+   * @param  {LoanWeighting} weighting
+   * @returns {Promise<Map<string, number>>}
+   */
+  async _getLoanWeights(userId, weighting) {
+    const loans = await this.repo.getLoansForUser(userId);
+    return loans.reduce((weights, loan) =>
+      DiscoveryService._addLoanWeight(weights, loan, weighting), new Map());
+  }
+
+  /**
+   * Weighted counterpart of _getAllUserBooks().
+   *
+   * @param  {string}        excludeUserId
+   * @param  {LoanWeighting} weighting
+   * @param  {string|null}   [branchId]  — count only loans made here
+   * @returns {Promise<Record<string, Map<string, number>>>}
+   */
+  async _getAllUserLoanWeights(excludeUserId, weighting, branchId = null) {
+    const rows = await this.repo.getPeerLoans(excludeUserId, branchId);
+    return DiscoveryService._groupLoanWeights(rows, weighting);
+  }
 
-    // Group into { userId → Set<bookId> }
+  /**
+   * Groups loan rows into { userId → Set<bookId> }.
+   *
+   * @param  {{ user_id: string, book_id: string }[]} rows
+   * @returns {Record<string, Set<string>>}
+   */
+  static _groupBooks(rows) {
     return rows.reduce((map, { user_id, book_id }) => {
       if (!map[user_id]) map[user_id] = new Set();
       map[user_id].add(book_id);
@@ -139,57 +714,276 @@ class DiscoveryService {
     }, {});
   }
 
-  // ── Private: Jaccard Similarity ────────────────────────────────────────────
+  // ── Private: Option Parsing ────────────────────────────────────────────────
+
+  /**
+   * Resolves how loans are weighted, or null when books are plain Sets.
+   *
+   * @param  {object} opts
+   * @returns {LoanWeighting|null}
+   */
+  static _weightingOptions(opts) {
+    const decay    = DiscoveryService._decayOptions(opts);
+    const implicit = opts.implicit ?? false;
+    if (typeof implicit !== 'boolean') {
+      throw new ServiceError('INVALID', `implicit must be true or false. Got: "${implicit}"`);
+    }
+    return decay || implicit ? { decay, implicit } : null;
+  }
+
+  /**
+   * Resolves the recency options, or null when recency weighting is off.
+   *
+   * @param  {object} opts
+   * @returns {{ halfLifeDays: number, asOf: Date }|null}
+   */
+  static _decayOptions(opts) {
+    if (!opts.recency && opts.halfLifeDays === undefined && opts.asOf === undefined) return null;
+
+    const halfLifeDays = opts.halfLifeDays ?? DEFAULT_HALF_LIFE_DAYS;
+    if (typeof halfLifeDays !== 'number' || !(halfLifeDays > 0) || !Number.isFinite(halfLifeDays)) {
+      throw new ServiceError('INVALID', `halfLifeDays must be a positive number. Got: "${halfLifeDays}"`);
+    }
+
+    const asOf = opts.asOf === undefined ? new Date() : new Date(opts.asOf);
+    if (Number.isNaN(asOf.getTime())) {
+      throw new ServiceError('INVALID', `asOf must be a valid date. Got: "${opts.asOf}"`);
+    }
+
+    return { halfLifeDays, asOf };
+  }
+
+  /**
+   * Validates opts.diversity (0 when absent).
+   *
+   * @param  {object} opts
+   * @returns {number}
+   */
+  static _diversityOption(opts) {
+    const diversity = opts.diversity ?? 0;
+    if (typeof diversity !== 'number' || !(diversity >= 0 && diversity <= 1)) {
+      throw new ServiceError('INVALID', `diversity must be a number between 0 and 1. Got: "${diversity}"`);
+    }
+    return diversity;
+  }
+
+  /**
+   * Validates opts.peerSearch, defaulting to `fallback`.
+   *
+   * @param  {object} opts
+   * @param  {string} fallback
+   * @returns {'exact'|'lsh'}
+   */
+  static _peerSearchOption(opts, fallback) {
+    const mode = opts.peerSearch ?? fallback;
+    if (!PEER_SEARCH_MODES.includes(mode)) {
+      throw new ServiceError('INVALID', `peerSearch must be one of: ${PEER_SEARCH_MODES.join(', ')}. Got: "${mode}"`);
+    }
+    return mode;
+  }
+
+  /**
+   * Validates opts.authorBoost (0 when absent).
+   *
+   * @param  {object} opts
+   * @returns {number}
+   */
+  static _authorBoostOption(opts) {
+    const boost = opts.authorBoost ?? 0;
+    if (typeof boost !== 'number' || !(boost >= 0) || boost === Infinity) {
+      throw new ServiceError('INVALID', `authorBoost must be a number of 0 or more. Got: "${boost}"`);
+    }
+    return boost;
+  }
+
+  /**
+   * Validates opts.hybrid and opts.contentWeights; null when hybrid scoring
+   * is off. The content weights are scaled to sum to 1.
+   *
+   * @param  {object} opts
+   * @returns {HybridOptions|null}
+   */
+  static _hybridOption(opts) {
+    const content = opts.hybrid ?? 0;
+    if (typeof content !== 'number' || !(content >= 0 && content <= 1)) {
+      throw new ServiceError('INVALID', `hybrid must be a number between 0 and 1. Got: "${content}"`);
+    }
+
+    const given = opts.contentWeights ?? {};
+    for (const [name, value] of Object.entries(given)) {
+      if (!(name in CONTENT_WEIGHTS)) {
+        throw new ServiceError('INVALID', `contentWeights may only set: ${Object.keys(CONTENT_WEIGHTS).join(', ')}. Got: "${name}"`);
+      }
+      if (typeof value !== 'number' || !(value >= 0) || value === Infinity) {
+        throw new ServiceError('INVALID', `contentWeights.${name} must be a number of 0 or more. Got: "${value}"`);
+      }
+    }
+    const weights = { ...CONTENT_WEIGHTS, ...given };
+    const total   = weights.dewey + weights.author + weights.keywords;
+    if (total === 0) {
+      throw new ServiceError('INVALID', 'contentWeights must not all be 0.');
+    }
+    if (content === 0) return null;
+
+    const share = weight => parseFloat((weight / total).toFixed(4));
+    return {
+      content,
+      weights: { dewey: share(weights.dewey), author: share(weights.author), keywords: share(weights.keywords) },
+    };
+  }
 
   /**
-   * Computes Jaccard Similarity between two Sets.
+   * Validates opts.explore (0 when absent).
    *
-   *   Jaccard(A, B) = |A ∩ B| / |A ∪ B|
+   * @param  {object} opts
+   * @returns {number}
+   */
+  static _exploreOption(opts) {
+    const rate = opts.explore ?? 0;
+    if (typeof rate !== 'number' || !(rate >= 0 && rate <= 1)) {
+      throw new ServiceError('INVALID', `explore must be a number between 0 and 1. Got: "${rate}"`);
+    }
+    return rate;
+  }
+
+  /**
+   * Validates opts.availability ("annotate" when absent).
    *
-   * Range: 0.0 (no overlap) → 1.0 (identical sets)
+   * @param  {object} opts
+   * @returns {'annotate'|'demote'|'exclude'}
+   */
+  static _availabilityOption(opts) {
+    const mode = opts.availability ?? 'annotate';
+    if (!AVAILABILITY_MODES.includes(mode)) {
+      throw new ServiceError('INVALID', `availability must be one of: ${AVAILABILITY_MODES.join(', ')}. Got: "${mode}"`);
+    }
+    return mode;
+  }
+
+  /**
+   * Validates opts.minPeers, defaulting to `fallback`.
    *
-   * @param  {Set<string>} setA
-   * @param  {Set<string>} setB
+   * @param  {object} opts
+   * @param  {number} fallback
    * @returns {number}
    */
-  _jaccard(setA, setB) {
-    if (setA.size === 0 && setB.size === 0) return 0;
+  static _minPeersOption(opts, fallback) {
+    const minPeers = opts.minPeers ?? fallback;
+    if (!Number.isInteger(minPeers) || minPeers < 1) {
+      throw new ServiceError('INVALID', `minPeers must be a positive integer. Got: "${minPeers}"`);
+    }
+    return minPeers;
+  }
+
+  // ── Private: Loan Weighting ────────────────────────────────────────────────
+
+  /**
+   * Folds one loan into a { book_id → weight } map. With implicit ratings,
+   * the loan's signal (× its recency weight) is added to the book's rating;
+   * recency alone keeps the largest (most recent) weight when a book was
+   * borrowed more than once.
+   */
+  static _addLoanWeight(weights, loan, { decay, implicit }) {
+    const weight = decay ? DiscoveryService._decayWeight(loan.borrowed_at, decay) : 1;
+    if (implicit) return addLoanRating(weights, loan, weight);
+
+    weights.set(loan.book_id, Math.max(weights.get(loan.book_id) || 0, weight));
+    return weights;
+  }
+
+  /**
+   * 0.5^(age / halfLifeDays). Loans dated after `asOf` count as brand new
+   * (weight 1).
+   */
+  static _decayWeight(borrowedAt, { halfLifeDays, asOf }) {
+    const ageDays = Math.max(0, (asOf - new Date(borrowedAt)) / MS_PER_DAY);
+    return Math.pow(0.5, ageDays / halfLifeDays);
+  }
+
+  /** Groups loan rows into { user_id → Map<book_id, weight> }. */
+  static _groupLoanWeights(rows, weighting) {
+    return rows.reduce((map, loan) => {
+      if (!map[loan.user_id]) map[loan.user_id] = new Map();
+      DiscoveryService._addLoanWeight(map[loan.user_id], loan, weighting);
+      return map;
+    }, {});
+  }
+
+  /** e.g. "recency-weighted ", for the minimum-similarity sentence. */
+  static _weightingLabel(weighting) {
+    if (!weighting) return '';
+    if (weighting.implicit) return weighting.decay ? 'rating- and recency-weighted ' : 'rating-weighted ';
+    return 'recency-weighted ';
+  }
+
+  /** How loans were weighted and what that makes match_score. */
+  static _weightingReason({ decay, implicit }) {
+    if (!implicit) {
+      return `. Loans are weighted 0.5^(age / ${decay.halfLifeDays} days); each candidate's match_score ` +
+        `is the sum over peers who borrowed it of their similarity × the recency weight of that loan.`;
+    }
+    return `. Each book is rated by how its loans went: ${QUICK_RETURN_WEIGHT} for a loan returned in ` +
+      `under ${QUICK_RETURN_DAYS} days, ${RENEWED_WEIGHT} for one kept past the ${LOAN_PERIOD_DAYS}-day ` +
+      `loan period, 1 otherwise` +
+      (decay ? `, each × 0.5^(age / ${decay.halfLifeDays} days)` : '') +
+      `, summed over repeat loans up to ${MAX_RATING}; each candidate's match_score is the sum over ` +
+      `peers who borrowed it of their similarity × their rating of the book.`;
+  }
+
+  /**
+   * Weight of `bookId` in a book collection: its loan weight (recency
+   * and / or rating) for a Map, 1 for a plain Set.
+   */
+  static _bookWeight(books, bookId) {
+    return books instanceof Map ? books.get(bookId) : 1;
+  }
 
-    let intersectionCount = 0;
-    // Iterate the smaller set for efficiency
-    const [smaller, larger] = setA.size <= setB.size
-      ? [setA, setB]
-      : [setB, setA];
+  // ── Private: Peer Similarity ───────────────────────────────────────────────
 
-    for (const item of smaller) {
-      if (larger.has(item)) intersectionCount++;
+  /**
+   * Resolves opts.similarity to its metric, with any library-wide context
+   * it needs loaded.
+   *
+   * @param  {object} opts
+   * @returns {Promise<{ name: string, label: string, score: (a: object, b: object) => number }>}
+   */
+  async _similarity(opts) {
+    const name   = opts.similarity ?? DEFAULT_SIMILARITY;
+    const metric = typeof name === 'string' ? getSimilarity(name) : undefined;
+    if (!metric) {
+      throw new ServiceError(
+        'INVALID', `similarity must be one of: ${similarityNames().join(', ')}. Got: "${name}"`
+      );
     }
 
-    const unionCount = setA.size + setB.size - intersectionCount;
-    return intersectionCount / unionCount;
+    const context = metric.prepare ? await metric.prepare(this.repo) : undefined;
+    return { name, label: metric.label, score: (a, b) => metric.score(a, b, context) };
   }
 
   /**
    * Scores all peers against the target user's book set.
-   * Returns peers sorted by descending Jaccard score, filtered by minScore.
+   * Returns peers sorted by descending score, filtered by minScore.
+   * Weighted Maps (recency / implicit modes) get the metric's weighted form.
    *
-   * @param  {Set<string>}            targetBooks
-   * @param  {Record<string,Set>}     allUserBooks
-   * @param  {number}                 minScore
-   * @returns {{ peerId: string, score: number, books: Set<string> }[]}
+   * @param  {Set<string>|Map<string,number>}                 targetBooks
+   * @param  {Record<string, Set<string>|Map<string,number>>} allUserBooks
+   * @param  {number}                                         minScore
+   * @param  {(a: object, b: object) => number}               [similarity] — default Jaccard
+   * @returns {{ peerId: string, score: number, books: Set<string>|Map<string,number> }[]}
    */
-  _scorePeers(targetBooks, allUserBooks, minScore) {
+  _scorePeers(targetBooks, allUserBooks, minScore, similarity = jaccard) {
     const scored = [];
 
     for (const [peerId, peerBooks] of Object.entries(allUserBooks)) {
-      const score = this._jaccard(targetBooks, peerBooks);
+      const score = similarity(targetBooks, peerBooks);
       if (score >= minScore) {
         scored.push({ peerId, score, books: peerBooks });
       }
     }
 
-    // Sort descending by similarity score
-    scored.sort((a, b) => b.score - a.score);
+    // Sort descending by similarity score; ties by peer ID so the exact scan
+    // and the LSH candidate path agree regardless of iteration order
+    scored.sort((a, b) => b.score - a.score || a.peerId.localeCompare(b.peerId));
     return scored;
   }
 
@@ -197,75 +991,156 @@ class DiscoveryService {
 
   /**
    * Collects books from peers that the target user has NOT read.
-   * Each candidate accumulates a weighted score = sum of peer Jaccard scores.
+   * Each candidate accumulates a weighted score = sum of peer similarity scores.
    *
    * This means a book recommended by a 0.9-similarity peer outranks
-   * the same book recommended by a 0.3-similarity peer.
+   * the same book recommended by a 0.3-similarity peer. In recency and
+   * implicit modes each peer's score is further scaled by their weight for
+   * the book (decayed loan weight and / or rating).
+   *
+   * Peers are recorded by pseudonym, and books borrowed by fewer than
+   * `minPeers` of them are dropped.
    *
-   * @param  {{ peerId, score, books }[]} peers
-   * @param  {Set<string>}               targetBooks  — books to exclude
+   * @param  {{ peerId, score, books }[]}    peers        — most similar first
+   * @param  {Set<string>|Map<string,number>} targetBooks  — books to exclude
+   * @param  {number}                         minPeers
    * @returns {Map<string, { weightedScore: number, recommendedBy: string[] }>}
    */
-  _aggregateCandidates(peers, targetBooks) {
+  _aggregateCandidates(peers, targetBooks, minPeers) {
     const candidates = new Map();
 
-    for (const { peerId, score, books } of peers) {
-      for (const bookId of books) {
+    peers.forEach(({ score, books }, rank) => {
+      for (const bookId of books.keys()) {
         if (targetBooks.has(bookId)) continue;   // user already read this
 
         if (!candidates.has(bookId)) {
           candidates.set(bookId, { weightedScore: 0, recommendedBy: [] });
         }
         const entry = candidates.get(bookId);
-        entry.weightedScore  += score;           // accumulate similarity weight
-        entry.recommendedBy.push(peerId);
+        // accumulate similarity weight (× the peer's loan weight in weighted modes)
+        entry.weightedScore  += score * DiscoveryService._bookWeight(books, bookId);
+        entry.recommendedBy.push(DiscoveryService._peerPseudonym(rank));
       }
+    });
+
+    for (const [bookId, entry] of candidates) {
+      if (entry.recommendedBy.length < minPeers) candidates.delete(bookId);
     }
 
     return candidates;
   }
 
+  /**
+   * Stands in for a peer's user_id in results: "peer-1" is the most similar
+   * peer of this request. Not stable across requests, so it cannot be used
+   * to follow one patron from list to list.
+   *
+   * @param  {number} rank  — 0-based position in the similarity ranking
+   * @returns {string}
+   */
+  static _peerPseudonym(rank) {
+    return `peer-${rank + 1}`;
+  }
+
   // ── Private: Enrichment & Ranking ─────────────────────────────────────────
 
   /**
    * Fetches book metadata for all candidate book_ids, merges with scores,
-   * and returns the top `limit` results sorted by weightedScore descending.
+   * drops books rejected by the page filters and returns the requested page
+   * of results sorted by weightedScore descending — or in MMR order when
+   * page.diversity is set — with page.demote titles moved to the end.
+   * In hybrid mode scores are blended with content similarity first; then
+   * they are scaled by the user's feedback affinity and the author boost
+   * is added.
    *
    * @param  {Map<string, object>} candidates
-   * @param  {number}              limit
+   * @param  {ResultPage}          page
+   * @param  {Map<string, number>} [authorShares] — lower-cased author → share of the user's books
+   * @param  {import('./contentScore').ContentProfile|null} [profile] — the user's history, in hybrid mode
    * @returns {Promise<RecommendationResult[]>}
    */
-  async _enrichAndRank(candidates, limit) {
+  async _enrichAndRank(candidates, page, authorShares = new Map(), profile = null) {
     if (candidates.size === 0) return [];
 
-    const bookIds      = [...candidates.keys()];
-    const placeholders = bookIds.map(() => '?').join(', ');
-
-    const [books] = await this.pool.execute(
-      `SELECT book_id, title, author, dewey_decimal
-         FROM books
-        WHERE book_id IN (${placeholders})`,
-      bookIds
+    const books = await this.repo.getBooksByIds([...candidates.keys()]);
+    const best  = Math.max(0, ...[...candidates.values()].map(c => c.weightedScore));
+
+    const ranked = books
+      .filter(book => matchesBookFilters(book, page.filters))
+      .map(book => {
+        const { weightedScore, recommendedBy } = candidates.get(book.book_id);
+        const components = profile
+          ? DiscoveryService._hybridComponents(book, best > 0 ? weightedScore / best : 0, profile, page.hybrid)
+          : null;
+        const score      = components ? components.hybrid : weightedScore;
+        const factor     = DiscoveryService._affinityFactor(book, page.affinity);
+        const boost      = page.authorBoost * (authorShares.get(book.author.toLowerCase()) ?? 0);
+        return { book, weightedScore: score * factor + boost, recommendedBy, factor, boost, components };
+      });
+
+    // Sort by raw score descending (rounding could merge distinct scores),
+    // break ties alphabetically by title
+    ranked.sort((a, b) =>
+      b.weightedScore - a.weightedScore || a.book.title.localeCompare(b.book.title)
     );
 
-    const results = books.map(book => {
-      const { weightedScore, recommendedBy } = candidates.get(book.book_id);
-      return {
+    const ordered = page.diversity > 0
+      ? mmrRerank(ranked, {
+          score    : r => r.weightedScore,
+          dewey    : r => r.book.dewey_decimal,
+          diversity: page.diversity,
+          count    : page.demote.size > 0 ? ranked.length : page.offset + page.limit,
+        })
+      : ranked;
+
+    return DiscoveryService._demote(ordered, page.demote, r => r.book.book_id)
+      .slice(page.offset, page.offset + page.limit)
+      .map(({ book, weightedScore, recommendedBy, factor, boost, components }) => ({
         book_id      : book.book_id,
         title        : book.title,
         author       : book.author,
         dewey_decimal: book.dewey_decimal,
         match_score  : parseFloat(weightedScore.toFixed(4)),
         recommended_by: recommendedBy,
-      };
-    });
+        ...DiscoveryService._feedbackFactorField(factor),
+        ...(boost > 0 ? { author_boost: parseFloat(boost.toFixed(4)) } : {}),
+        ...(components ? { score_components: DiscoveryService._roundComponents(components) } : {}),
+      }));
+  }
 
-    // Sort by match score descending, break ties alphabetically by title
-    results.sort((a, b) =>
-      b.match_score - a.match_score || a.title.localeCompare(b.title)
+  // ── Private: Hybrid Scoring ────────────────────────────────────────────────
+
+  /**
+   * The blended score of one candidate and what went into it.
+   *
+   * @param  {import('./LibraryRepository').BookRow}      book
+   * @param  {number}                                     collaborative — peer score ÷ the best candidate's
+   * @param  {import('./contentScore').ContentProfile}    profile
+   * @param  {HybridOptions}                              hybrid
+   * @returns {ScoreComponents}
+   */
+  static _hybridComponents(book, collaborative, profile, hybrid) {
+    const content = contentScore(book, profile, hybrid.weights);
+    return {
+      hybrid       : (1 - hybrid.content) * collaborative + hybrid.content * content.content,
+      collaborative,
+      ...content,
+    };
+  }
+
+  static _roundComponents(components) {
+    return Object.fromEntries(
+      Object.entries(components).map(([name, value]) => [name, parseFloat(value.toFixed(4))])
     );
+  }
 
-    return results.slice(0, limit);
+  /** The blend, for the peer_similarity explanation. */
+  static _hybridReason({ content, weights }) {
+    const share = value => parseFloat(value.toFixed(4));
+    return ` Scores were then blended with content similarity to the user's history: ` +
+      `${share(1 - content)} × (that score ÷ the best candidate's) + ${share(content)} × content, ` +
+      `where content = ${weights.dewey} × Dewey proximity + ${weights.author} × author ` +
+      `+ ${weights.keywords} × title keywords.`;
   }
 
   // ── Private: Fallbacks ─────────────────────────────────────────────────────
@@ -274,77 +1149,717 @@ class DiscoveryService {
    * Cold-start fallback: returns the most-borrowed books globally
    * for users with zero loan history.
    *
-   * @param  {string} userId
-   * @param  {number} limit
+   * @param  {string}     userId
+   * @param  {ResultPage} page
    * @returns {Promise<RecommendationResult[]>}
    */
-  async _coldStartFallback(userId, limit) {
-    const [rows] = await this.pool.execute(
-      `SELECT b.book_id, b.title, b.author, b.dewey_decimal,
-              COUNT(l.loan_id) AS borrow_count
-         FROM books b
-         JOIN loans l ON l.book_id = b.book_id
-        GROUP BY b.book_id
-        ORDER BY borrow_count DESC
-        LIMIT ?`,
-      [limit]
+  async _coldStartFallback(userId, page) {
+    const rows = DiscoveryService._rerankFallbackRows(
+      await this.repo.getMostBorrowedBooks(page.offset + page.limit + page.lookahead, page.filters, page.branch),
+      page.affinity
     );
 
-    return rows.map(r => ({
-      book_id       : r.book_id,
-      title         : r.title,
-      author        : r.author,
-      dewey_decimal : r.dewey_decimal,
-      match_score   : 0,
-      recommended_by: [],
-      fallback      : 'cold_start_popularity',
-    }));
+    return DiscoveryService._demote(rows, page.demote, r => r.book_id)
+      .slice(page.offset, page.offset + page.limit)
+      .map(r => DiscoveryService._fallbackResult(r, 'cold_start_popularity'));
   }
 
   /**
-   * Dewey Decimal fallback: when no similar peers are found, recommend
-   * popular books in the same subject categories the user already reads.
+   * Fallback for users with a history but no usable peers: other titles by
+   * authors they have read, then popular books from the Dewey sections they
+   * read. Each part is ranked on its own, so the author titles come first.
    *
-   * @param  {string}      userId
-   * @param  {Set<string>} targetBooks
-   * @param  {number}      limit
+   * @param  {string}                          userId
+   * @param  {Set<string>|Map<string,number>} targetBooks
+   * @param  {ResultPage}                      page
+   * @returns {Promise<{ strategy: 'author_popularity'|'dewey_category_popularity', results: RecommendationResult[] }>}
+   */
+  async _historyFallback(userId, targetBooks, page) {
+    const byAuthor = await this._authorFallback(userId, targetBooks, page);
+    const seen     = new Set(byAuthor.map(r => r.book_id));
+    const byDewey  = (await this._deweyFallback(userId, targetBooks, page, seen.size))
+      .filter(r => !seen.has(r.book_id));
+
+    return {
+      strategy: byAuthor.length > 0 ? 'author_popularity' : 'dewey_category_popularity',
+      results : DiscoveryService._demote([...byAuthor, ...byDewey], page.demote, r => r.book_id)
+        .slice(page.offset, page.offset + page.limit),
+    };
+  }
+
+  /**
+   * Author fallback: other titles by the authors the user has read, most
+   * borrowed first — including titles nobody has borrowed yet, which no
+   * peer-based path can surface. Enough rows for the page, not paged.
+   *
+   * @param  {string}                          userId
+   * @param  {Set<string>|Map<string,number>} targetBooks
+   * @param  {ResultPage}                      page
    * @returns {Promise<RecommendationResult[]>}
    */
-  async _deweyFallback(userId, targetBooks, limit) {
-    const bookIdList   = [...targetBooks];
-    const placeholders = bookIdList.map(() => '?').join(', ');
-
-    const [rows] = await this.pool.execute(
-      `SELECT b2.book_id, b2.title, b2.author, b2.dewey_decimal,
-              COUNT(l.loan_id) AS borrow_count
-         FROM books b1
-         JOIN books b2
-           ON b2.dewey_decimal = b1.dewey_decimal
-          AND b2.book_id NOT IN (${placeholders})
-         JOIN loans l ON l.book_id = b2.book_id
-        WHERE b1.book_id IN (${placeholders})
-        GROUP BY b2.book_id
-        ORDER BY borrow_count DESC
-        LIMIT ?`,
-      [...bookIdList, ...bookIdList, limit]
+  async _authorFallback(userId, targetBooks, page) {
+    const rows = await this.repo.getBooksBySameAuthors(
+      [...targetBooks.keys()], page.offset + page.limit + page.lookahead, page.filters, page.branch
     );
 
-    return rows.map(r => ({
-      book_id       : r.book_id,
-      title         : r.title,
-      author        : r.author,
-      dewey_decimal : r.dewey_decimal,
-      match_score   : 0,
+    return DiscoveryService._rerankFallbackRows(rows, page.affinity)
+      .map(r => DiscoveryService._fallbackResult(r, 'author_popularity'));
+  }
+
+  /**
+   * Dewey Decimal fallback: when no similar peers are found, recommend
+   * popular books in the Dewey sections the user already reads ("658.1"
+   * and "658.4" both count as 658).
+   * Enough rows for the page (plus `extra`), not paged.
+   *
+   * @param  {string}                          userId
+   * @param  {Set<string>|Map<string,number>} targetBooks
+   * @param  {ResultPage}                      page
+   * @param  {number}                          [extra]  — rows to fetch beyond the page
+   * @returns {Promise<RecommendationResult[]>}
+   */
+  async _deweyFallback(userId, targetBooks, page, extra = 0) {
+    const rows = await this.repo.getPopularBooksInSameDewey(
+      [...targetBooks.keys()], page.offset + page.limit + page.lookahead + extra, page.filters, page.branch
+    );
+
+    return DiscoveryService._rerankFallbackRows(rows, page.affinity)
+      .map(r => DiscoveryService._fallbackResult(r, 'dewey_category_popularity'));
+  }
+
+  /**
+   * Closing clause of a fallback explanation.
+   *
+   * @param  {'author_popularity'|'dewey_category_popularity'} strategy
+   * @returns {string}
+   */
+  static _historyFallbackReason(strategy) {
+    return strategy === 'author_popularity'
+      ? ', so other titles by authors the user has read are shown, then popular books from the Dewey sections they read.'
+      : ', so popular books from the Dewey sections the user already reads are shown.';
+  }
+
+  /**
+   * Orders fallback rows by borrow_count × feedback affinity (plain
+   * popularity order without feedback).
+   *
+   * @param  {{ book_id: string, dewey_decimal: string, borrow_count: number }[]} rows
+   * @param  {Map<string, number>} affinity
+   * @returns {object[]}  — rows, with `factor` when feedback applies
+   */
+  static _rerankFallbackRows(rows, affinity) {
+    if (affinity.size === 0) return rows;
+    return rows
+      .map(r => ({ ...r, factor: DiscoveryService._affinityFactor(r, affinity) }))
+      // Array#sort is stable: equal scores keep popularity order
+      .sort((a, b) => Number(b.borrow_count) * b.factor - Number(a.borrow_count) * a.factor);
+  }
+
+  /**
+   * @param  {object} row       — PopularBookRow, with `factor` when feedback applies
+   * @param  {string} fallback  — the fallback that produced it
+   * @returns {RecommendationResult}
+   */
+  static _fallbackResult(row, fallback) {
+    return {
+      book_id       : row.book_id,
+      title         : row.title,
+      author        : row.author,
+      dewey_decimal : row.dewey_decimal,
+      match_score   : 0,
       recommended_by: [],
-      fallback      : 'dewey_category_popularity',
+      fallback,
+      ...DiscoveryService._feedbackFactorField(row.factor),
+    };
+  }
+
+  // ── Private: Exploration ───────────────────────────────────────────────────
+
+  /**
+   * Spreads exploration picks through run.results (ranked from the top,
+   * see _recommend()) and cuts the requested page from the merged list.
+   * Sets run.explore and extends run.explanation.
+   *
+   * @param {RecommendationRun} run
+   * @param {ResultPage}        page
+   * @param {number}            rate  — 0–1 share of slots
+   */
+  async _explore(run, page, rate) {
+    const total = page.offset + page.limit;
+    const { divisions, results } = await this._explorationPicks(run, page, total);
+
+    run.explore     = { rate, divisions };
+    run.results     = DiscoveryService._interleave(run.results, results, total, rate)
+      .slice(page.offset, total);
+    run.explanation += ` Exploration (rate ${rate}): ` + (
+      run.targetBooks.size === 0 ? 'the user has no reading history to explore from.'
+      : results.length > 0
+        ? `about ${Math.round(rate * 100)}% of slots hold popular books from Dewey divisions ` +
+          `next to the user's that they have not read in (${divisions.join(', ')}).`
+        : `no popular unread book was found in the Dewey divisions next to the user's.`
+    );
+  }
+
+  /**
+   * Most-borrowed books from the Dewey divisions either side of those the
+   * user has read in, leaving out those divisions and books already in
+   * run.results. Enough rows for `count` slots, not paged.
+   *
+   * @param  {RecommendationRun} run
+   * @param  {ResultPage}        page
+   * @param  {number}            count
+   * @returns {Promise<{ divisions: string[], results: RecommendationResult[] }>}
+   *          — divisions: the adjacent division codes searched
+   */
+  async _explorationPicks(run, page, count) {
+    const books = await this.repo.getBooksByIds([...run.targetBooks.keys()]);
+    const read  = new Set(books.map(b => classifyDewey(b.dewey_decimal)?.division.code).filter(Boolean));
+
+    // Adjacent division → the division the user reads that it neighbours
+    const adjacent = new Map();
+    for (const code of [...read].sort()) {
+      for (const step of [-10, 10]) {
+        const next = Number(code) + step;
+        const key  = String(next).padStart(3, '0');
+        if (next >= 0 && next < 1000 && !read.has(key) && !adjacent.has(key)) adjacent.set(key, code);
+      }
+    }
+    if (adjacent.size === 0) return { divisions: [], results: [] };
+
+    const shown = new Set(run.results.map(r => r.book_id));
+    const rows  = (await this.repo.getMostBorrowedBooks(count + shown.size + page.lookahead, {
+      ...page.filters,
+      includeDewey: [...adjacent.keys()].map(code => code.slice(0, 2)),
+    }, page.branch))
+      // The caller's own includeDewey still applies
+      .filter(r => !shown.has(r.book_id) && matchesBookFilters(r, page.filters));
+
+    const results = DiscoveryService._demote(
+      DiscoveryService._rerankFallbackRows(rows, page.affinity), page.demote, r => r.book_id
+    ).map(r => {
+      const { division } = classifyDewey(r.dewey_decimal);
+      return {
+        ...DiscoveryService._fallbackResult(r, 'exploration'),
+        exploration: { division: division.code, name: division.name, next_to: adjacent.get(division.code) },
+      };
+    });
+
+    return { divisions: [...adjacent.keys()].sort(), results };
+  }
+
+  /**
+   * Merges two ranked lists into `total` slots: slot i goes to `extra`
+   * when ⌊(i + 1) × rate⌋ > ⌊i × rate⌋ — evenly spread, the same slots on
+   * every page — and to `main` otherwise. Either list fills the other's
+   * slots once it runs out.
+   *
+   * @param  {object[]} main
+   * @param  {object[]} extra
+   * @param  {number}   total
+   * @param  {number}   rate   — 0–1 share of slots for `extra`
+   * @returns {object[]}
+   */
+  static _interleave(main, extra, total, rate) {
+    const merged = [];
+    let m = 0;
+    let e = 0;
+    for (let i = 0; i < total && (m < main.length || e < extra.length); i++) {
+      const extraSlot = Math.floor((i + 1) * rate) > Math.floor(i * rate);
+      merged.push((extraSlot && e < extra.length) || m >= main.length ? extra[e++] : main[m++]);
+    }
+    return merged;
+  }
+
+  // ── Private: Author Affinity ───────────────────────────────────────────────
+
+  /**
+   * Share of the user's books written by each author.
+   *
+   * @param  {Set<string>|Map<string,number>} targetBooks
+   * @returns {Promise<Map<string, number>>}  — lower-cased author → share (0–1)
+   */
+  async _authorShares(targetBooks) {
+    const books  = await this.repo.getBooksByIds([...targetBooks.keys()]);
+    const shares = new Map();
+    for (const { author } of books) {
+      const key = author.toLowerCase();
+      shares.set(key, (shares.get(key) ?? 0) + 1 / books.length);
+    }
+    return shares;
+  }
+
+  // ── Private: Onboarding ────────────────────────────────────────────────────
+
+  /**
+   * Stand-in loans from the user's onboarding choices: their seed books and
+   * the most-borrowed books of each favourite subject and author, less
+   * what they have read. Null when they made no choices or have read
+   * ONBOARDING_PHASE_OUT books.
+   *
+   * @param  {string}                          userId
+   * @param  {Set<string>|Map<string,number>} history  — books the user has read
+   * @returns {Promise<{ seeds: string[], books: Set<string>, weight: number, summary: OnboardingSummary }|null>}
+   */
+  async _onboarding(userId, history) {
+    const weight = 1 - history.size / ONBOARDING_PHASE_OUT;
+    if (weight <= 0) return null;
+
+    const preferences = await this.repo.getPreferences(userId);
+    if (!preferences) return null;
+
+    // Deleted seed books are left in the stored choices; skip them here
+    const seeds  = (await this.repo.getBooksByIds(preferences.books)).map(b => b.book_id);
+    const picked = [...seeds];
+    const filterSets = [
+      ...preferences.dewey.map(prefix => ({ includeDewey: [prefix] })),
+      ...preferences.authors.map(author => ({ includeAuthors: [author] })),
+    ];
+    for (const filters of filterSets) {
+      const rows = await this.repo.getMostBorrowedBooks(ONBOARDING_BOOKS_PER_CHOICE, normalizeBookFilters(filters));
+      picked.push(...rows.map(r => r.book_id));
+    }
+
+    const books = new Set(picked.filter(bookId => !history.has(bookId)));
+    if (books.size === 0) return null;
+
+    return {
+      seeds,
+      books,
+      weight,
+      summary: {
+        weight  : parseFloat(weight.toFixed(4)),
+        dewey   : preferences.dewey,
+        authors : preferences.authors,
+        books   : seeds,
+        standIns: books.size,
+      },
+    };
+  }
+
+  /**
+   * The user's books plus onboarding stand-ins at `weight`. A Map unless
+   * the user has read nothing, when every book weighs 1.
+   *
+   * @param  {Set<string>|Map<string,number>} targetBooks
+   * @param  {{ books: Set<string>, weight: number }} onboarding
+   * @returns {Set<string>|Map<string,number>}
+   */
+  static _withStandIns(targetBooks, { books, weight }) {
+    if (targetBooks instanceof Set && weight === 1) return new Set([...targetBooks, ...books]);
+
+    const weights = targetBooks instanceof Map
+      ? new Map(targetBooks)
+      : new Map([...targetBooks].map(bookId => [bookId, 1]));
+    for (const bookId of books) {
+      if (!weights.has(bookId)) weights.set(bookId, weight);
+    }
+    return weights;
+  }
+
+  /**
+   * @param  {OnboardingSummary} onboarding
+   * @returns {string}
+   */
+  static _onboardingReason({ weight, dewey, authors, books, standIns }) {
+    const chosen = [
+      dewey.length   && `${dewey.length} Dewey subject(s)`,
+      authors.length && `${authors.length} author(s)`,
+      books.length   && `${books.length} seed book(s)`,
+    ].filter(Boolean).join(', ');
+
+    return ` Onboarding preferences (${chosen}) stand in for loans as ${standIns} book(s)` +
+      (weight < 1
+        ? `, each weighted ${weight} since the user has read ` +
+          `${Math.round((1 - weight) * ONBOARDING_PHASE_OUT)} book(s); they stop counting at ${ONBOARDING_PHASE_OUT}.`
+        : '.');
+  }
+
+  // ── Private: Precomputed Results ───────────────────────────────────────────
+
+  /**
+   * The requested page from the user's precomputed recommendations, or null
+   * when the cache is off, the request has non-default options, the entry
+   * is missing or stale, or the page runs past what was stored.
+   *
+   * @param  {string} userId
+   * @param  {object} opts  — getRecommendations() options
+   * @returns {Promise<RecommendationResult[]|null>}
+   */
+  async _cachedRecommendations(userId, opts) {
+    if (!this.cacheMaxAgeMinutes || !DiscoveryService._isDefaultQuery(opts)) return null;
+
+    const entry = await this._freshCacheEntry(userId, 'recommendations');
+    if (!entry) return null;
+
+    const { limit, results } = entry.payload;
+    const offset = opts.offset ?? 0;
+    const end    = offset + (opts.limit ?? MAX_RESULTS);
+    // A list shorter than its limit held every result there was
+    if (end > limit && results.length === limit) return null;
+
+    return this._withAvailability(results.slice(offset, end));
+  }
+
+  /**
+   * @param  {string} userId
+   * @param  {import('./LibraryRepository').CacheKind} kind
+   * @returns {Promise<import('./LibraryRepository').CacheEntry|null>}  — null if missing, invalidated or stale
+   */
+  async _freshCacheEntry(userId, kind) {
+    const entry = await this.repo.getCacheEntry(userId, kind);
+    if (!entry || entry.invalidated_at) return null;
+
+    const ageMs = Date.now() - Date.parse(entry.computed_at);
+    return ageMs <= this.cacheMaxAgeMinutes * 60 * 1000 ? entry : null;
+  }
+
+  /**
+   * True when opts leave everything but limit and offset at the defaults
+   * precomputeAll() used.
+   *
+   * @param  {object} opts
+   * @returns {boolean}
+   */
+  static _isDefaultQuery(opts) {
+    const { limit, offset, filters, availability, ...rest } = opts;
+    return Object.values(rest).every(value => value === undefined) &&
+      (availability === undefined || availability === 'annotate') &&
+      Object.values(normalizeBookFilters(filters)).every(list => list.length === 0);
+  }
+
+  /**
+   * Validates options.cacheMaxAgeMinutes; null (cache off) when absent or 0.
+   *
+   * @param  {object} options
+   * @returns {number|null}
+   */
+  static _cacheMaxAgeOption(options) {
+    const minutes = options.cacheMaxAgeMinutes ?? 0;
+    if (typeof minutes !== 'number' || !(minutes >= 0)) {
+      throw new ServiceError('INVALID', `cacheMaxAgeMinutes must be a number of 0 or more. Got: "${minutes}"`);
+    }
+    return minutes > 0 ? minutes : null;
+  }
+
+  // ── Private: Patron Feedback ───────────────────────────────────────────────
+
+  /**
+   * The user's feedback, split by type, with the score multiplier it sets
+   * for each Dewey section.
+   *
+   * @param  {string} userId
+   * @returns {Promise<{ alreadyRead: string[], liked: string[], dismissed: string[], affinity: Map<string, number> }>}
+   */
+  async _getFeedback(userId) {
+    const rows = await this.repo.getFeedbackForUser(userId);
+    const ids  = type => rows.filter(r => r.feedback === type).map(r => r.book_id);
+
+    const liked     = ids('like');
+    const dismissed = ids('dismiss');
+    const affinity  = new Map();
+
+    const sections = new Map(
+      (await this.repo.getBooksByIds([...liked, ...dismissed]))
+        .map(b => [b.book_id, deweySection(b.dewey_decimal)])
+    );
+    const scale = (bookId, factor) => {
+      const section = sections.get(bookId);
+      if (section) affinity.set(section, (affinity.get(section) ?? 1) * factor);
+    };
+    liked.forEach(bookId => scale(bookId, LIKE_BOOST));
+    dismissed.forEach(bookId => scale(bookId, DISMISS_PENALTY));
+
+    return { alreadyRead: ids('already_read'), liked, dismissed, affinity };
+  }
+
+  /**
+   * @param  {{ dewey_decimal: string }} book
+   * @param  {Map<string, number>}       affinity  — Dewey section → multiplier
+   * @returns {number}  — 1 when no feedback touches the book's section
+   */
+  static _affinityFactor(book, affinity) {
+    return affinity.get(deweySection(book.dewey_decimal)) ?? 1;
+  }
+
+  /** { feedback_factor } for results whose score feedback changed, else {}. */
+  static _feedbackFactorField(factor) {
+    return factor !== undefined && factor !== 1
+      ? { feedback_factor: parseFloat(factor.toFixed(4)) }
+      : {};
+  }
+
+  // ── Private: Availability ──────────────────────────────────────────────────
+
+  /**
+   * Stable partition: items whose ID is not in `demoted` first. Fetching
+   * demoted.size extra rows before calling this is enough for the page to
+   * fill with available titles wherever the catalogue has them.
+   *
+   * @template T
+   * @param  {T[]}               items
+   * @param  {Set<string>}       demoted
+   * @param  {(item: T) => string} idOf
+   * @returns {T[]}
+   */
+  static _demote(items, demoted, idOf) {
+    if (demoted.size === 0) return items;
+    return [
+      ...items.filter(item => !demoted.has(idOf(item))),
+      ...items.filter(item => demoted.has(idOf(item))),
+    ];
+  }
+
+  /**
+   * Adds each result's shelf availability, in one repository query.
+   *
+   * @param  {RecommendationResult[]} results
+   * @returns {Promise<RecommendationResult[]>}
+   */
+  async _withAvailability(results) {
+    if (results.length === 0) return results;
+
+    const rows = new Map(
+      (await this.repo.getAvailability(results.map(r => r.book_id))).map(r => [r.book_id, r])
+    );
+    return results.map(r => ({
+      ...r,
+      availability: availabilityOf(rows.get(r.book_id) ?? { copies: 0, on_loan: 0, oldest_borrowed_at: null }),
     }));
   }
 
+  // ── Private: Branches ──────────────────────────────────────────────────────
+
+  /**
+   * Resolves opts.branch and opts.preferHomeBranch, with the titles each
+   * leaves out or demotes.
+   *
+   * @param  {string} userId
+   * @param  {object} opts
+   * @returns {Promise<BranchScope>}
+   */
+  async _branchScope(userId, opts) {
+    const branchId   = await this._branchOption(opts);
+    const preferHome = opts.preferHomeBranch ?? false;
+    if (typeof preferHome !== 'boolean') {
+      throw new ServiceError('INVALID', `preferHomeBranch must be true or false. Got: "${preferHome}"`);
+    }
+
+    const homeBranch = preferHome ? (await this.repo.getUser(userId))?.home_branch_id ?? null : null;
+    return {
+      branchId,
+      preferHome,
+      homeBranch,
+      notHeld      : branchId ? await this.repo.getBookIdsNotHeldAt(branchId) : [],
+      notHeldAtHome: new Set(homeBranch ? await this.repo.getBookIdsNotHeldAt(homeBranch) : []),
+    };
+  }
+
+  /**
+   * Validates opts.branch; null (consortium-wide) when absent.
+   *
+   * @param  {object} opts
+   * @returns {Promise<string|null>}
+   */
+  async _branchOption(opts) {
+    const branchId = opts.branch ?? null;
+    if (branchId === null) return null;
+    if (typeof branchId !== 'string' || branchId === '') {
+      throw new ServiceError('INVALID', `branch must be a branch_id such as "BR001". Got: "${branchId}"`);
+    }
+    if (!(await this.repo.getBranch(branchId))) {
+      throw new ServiceError('NOT_FOUND', `Branch "${branchId}" not found.`);
+    }
+    return branchId;
+  }
+
+  /**
+   * Closing sentences of an explanation for the branch options in use.
+   *
+   * @param  {BranchScope} scope
+   * @returns {string}
+   */
+  static _branchReason({ branchId, notHeld, preferHome, homeBranch, notHeldAtHome }) {
+    let reason = '';
+    if (branchId) {
+      reason += ` Only loans made at branch ${branchId} were counted, and titles it holds no copy of ` +
+                `(${notHeld.length} in the catalogue) were left out.`;
+    }
+    if (preferHome) {
+      reason += homeBranch
+        ? ` Titles with no copy at the user's home branch ${homeBranch} (${notHeldAtHome.size} in the catalogue) ` +
+          `were moved below ones held there.`
+        : ' The user has no home branch, so preferHomeBranch changed nothing.';
+    }
+    return reason;
+  }
+
+  // ── Public: Peer Search ────────────────────────────────────────────────────
+
+  /**
+   * The user's top peers by (weighted) similarity, found by the exact scan
+   * or the MinHash index. Used to measure LSH recall.
+   *
+   * @param  {string} userId
+   * @param  {object} [opts]  — minScore, maxPeers, peerSearch, similarity,
+   *                            recency and implicit options as for getRecommendations()
+   * @returns {Promise<{ peerSearch: string, candidatePeers: number, peers: { peerId: string, score: number }[] }>}
+   */
+  async findPeers(userId, opts = {}) {
+    const minScore    = opts.minScore ?? MIN_SIMILARITY;
+    const maxPeers    = opts.maxPeers ?? MAX_PEERS;
+    const weighting   = DiscoveryService._weightingOptions(opts);
+    const search      = DiscoveryService._peerSearchOption(opts, this.peerSearch);
+    const metric      = await this._similarity(opts);
+    const targetBooks = weighting
+      ? await this._getLoanWeights(userId, weighting)
+      : await this._getBorrowedBooks(userId);
+
+    if (targetBooks.size === 0) return { peerSearch: search, candidatePeers: 0, peers: [] };
+
+    const allUserBooks = await this._getPeerBooks(userId, targetBooks, search, weighting);
+    const peers        = this._scorePeers(targetBooks, allUserBooks, minScore, metric.score)
+      .slice(0, maxPeers)
+      .map(({ peerId, score }) => ({ peerId, score }));
+
+    return { peerSearch: search, candidatePeers: Object.keys(allUserBooks).length, peers };
+  }
+
+  /**
+   * Adds a new loan to the peer index, if it has been built. Call after
+   * every check-out so "lsh" peer search sees it.
+   *
+   * @param {{ user_id: string, book_id: string, borrowed_at: string }} loan
+   */
+  async recordLoan({ user_id, book_id, borrowed_at }) {
+    if (this._index) (await this._index).addLoan(user_id, book_id, borrowed_at);
+    await this.invalidateUser(user_id);
+  }
+
+  /** Removes a deleted user from the peer index, if it has been built. */
+  async forgetUser(userId) {
+    if (this._index) (await this._index).removeUser(userId);
+  }
+
+  /**
+   * Removes a deleted book from the peer index, if it has been built, and
+   * drops every precomputed result, since any list may include it.
+   */
+  async forgetBook(bookId) {
+    if (this._index) (await this._index).removeBook(bookId);
+    await this.invalidateAll();
+  }
+
+  /**
+   * Discards the peer index and rebuilds it from the repository — for
+   * loans written outside this service (seeding, bulk imports).
+   *
+   * @returns {Promise<MinHashIndex>}
+   */
+  async rebuildPeerIndex() {
+    this._index = null;
+    return this._peerIndex();
+  }
+
+  /**
+   * The MinHash index, built from every loan on first use. Concurrent
+   * callers share one build; a failed build is retried next time.
+   *
+   * @returns {Promise<MinHashIndex>}
+   */
+  _peerIndex() {
+    if (!this._index) {
+      const build = (async () => {
+        const index     = new MinHashIndex(this.lsh);
+        const { loans } = await this.repo.exportDataset();
+        for (const loan of loans) index.addLoan(loan.user_id, loan.book_id, loan.borrowed_at);
+        return index;
+      })();
+      build.catch(() => { if (this._index === build) this._index = null; });
+      this._index = build;
+    }
+    return this._index;
+  }
+
+  // ── Public: Precomputed Results ────────────────────────────────────────────
+
+  /**
+   * Batch job: computes every user's top recommendations (default options)
+   * and Reading DNA and stores them under one new batch number. Users are
+   * done one at a time and each is written straight away, so the batch
+   * holds a single pool connection and a loan recorded meanwhile is
+   * missed by at most one user's computation. Once every user is done,
+   * batches older than the last opts.keep are deleted.
+   *
+   * @param  {object} [opts]
+   * @param  {number} [opts.limit]  — recommendations stored per user (default PRECOMPUTE_LIMIT)
+   * @param  {number} [opts.keep]   — batches to keep, this one included (default CACHE_KEEP_BATCHES)
+   * @param  {(done: number, total: number) => void} [opts.onProgress]
+   * @returns {Promise<{ version: number, users: number, computedAt: string, pruned: number }>}
+   */
+  async precomputeAll(opts = {}) {
+    const limit = opts.limit ?? PRECOMPUTE_LIMIT;
+    const keep  = opts.keep ?? CACHE_KEEP_BATCHES;
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new ServiceError('INVALID', `limit must be a positive integer. Got: "${limit}"`);
+    }
+    if (!Number.isInteger(keep) || keep < 1) {
+      throw new ServiceError('INVALID', `keep must be a positive integer. Got: "${keep}"`);
+    }
+
+    const version = (await this.repo.getCacheVersion()) + 1;
+    const { total } = await this.repo.listUsers({ limit: 0, offset: 0 });
+    let done = 0;
+
+    while (done < total) {
+      const { users } = await this.repo.listUsers({ limit: 500, offset: done });
+      if (users.length === 0) break;
+
+      for (const { user_id } of users) {
+        const { results } = await this._recommend(user_id, { limit });
+        await this.repo.saveCacheEntries(version, [
+          {
+            userId : user_id,
+            kind   : 'recommendations',
+            // Availability changes with every loan; it is added when served
+            payload: { limit, results: results.map(({ availability, ...book }) => book) },
+          },
+          { userId: user_id, kind: 'reading_dna', payload: await this._computeReadingDNA(user_id) },
+        ]);
+        done += 1;
+        if (opts.onProgress) opts.onProgress(done, total);
+      }
+    }
+
+    const pruned = await this.repo.deleteCacheBatchesBefore(version - keep + 1);
+    return { version, users: done, computedAt: new Date().toISOString(), pruned };
+  }
+
+  /**
+   * Marks a user's precomputed results stale, so their next request is
+   * computed live until the next batch. Called by recordLoan(); call it too
+   * when a user's loans are returned or their feedback changes.
+   *
+   * @param {string} userId
+   */
+  async invalidateUser(userId) {
+    await this.repo.invalidateCacheEntries(userId);
+  }
+
+  /**
+   * Marks every precomputed result stale — after a change that can touch
+   * anyone's list, such as a book's details being edited. Called by forgetBook().
+   */
+  async invalidateAll() {
+    await this.repo.invalidateCacheEntries();
+  }
+
   // ── Public: Reading DNA ────────────────────────────────────────────────────
 
   /**
    * Analyses a user's full loan history and returns a percentage breakdown
-   * of their reading interests by Dewey Decimal subject category.
+   * of their reading interests by Dewey section (the first three digits, so
+   * "658.1" and "658.4" count together), plus the same loans nested
+   * class → division → section, and the authors they read most.
    *
    * Example output:
    * {
@@ -356,73 +1871,556 @@ class DiscoveryService {
    *     { category: 'Business & Management',         dewey: '658', count: 2, percentage: '28.57%' },
    *     ...
    *   ],
+   *   hierarchy   : [
+   *     { code: '600', name: 'Technology', count: 2, percentage: '28.57%', divisions: [
+   *       { code: '650', name: 'Management & public relations', count: 2, percentage: '28.57%', sections: [
+   *         { code: '658', name: 'General management', count: 2, percentage: '28.57%' },
+   *       ] },
+   *     ] },
+   *     ...
+   *   ],
+   *   topAuthors  : [
+   *     { author: 'Robert C. Martin', count: 1, percentage: '14.29%' },
+   *     ...
+   *   ],
    *   summary     : '42.86% Technology & Computer Science, 28.57% Business & Management, ...'
    * }
    *
+   * With opts.branch only the loans made at that branch count; the result
+   * then names the branch and is never served from the cache.
+   *
    * @param  {string} userId  — e.g. "U001"
+   * @param  {object} [opts]
+   * @param  {string} [opts.branch]  — branch_id (default: consortium-wide)
    * @returns {Promise<ReadingDNA>}
    */
-  async getReadingDNA(userId) {
-    // ── Step 1: Fetch user name + all their loans joined with book categories ──
-    const [rows] = await this.pool.execute(
-      `SELECT u.name,
-              b.dewey_decimal,
-              COUNT(*) AS book_count
-         FROM users u
-         JOIN loans  l ON l.user_id = u.user_id
-         JOIN books  b ON b.book_id = l.book_id
-        WHERE u.user_id = ?
-        GROUP BY b.dewey_decimal
-        ORDER BY book_count DESC`,
-      [userId]
-    );
+  async getReadingDNA(userId, opts = {}) {
+    const branchId = await this._branchOption(opts);
+    if (branchId) return this._computeReadingDNA(userId, branchId);
+
+    const cached = this.cacheMaxAgeMinutes && await this._freshCacheEntry(userId, 'reading_dna');
+    return cached ? cached.payload : this._computeReadingDNA(userId);
+  }
+
+  /**
+   * getReadingDNA() without the cache.
+   *
+   * @param  {string}      userId
+   * @param  {string|null} [branchId]  — count only loans made here
+   * @returns {Promise<ReadingDNA>}
+   */
+  async _computeReadingDNA(userId, branchId = null) {
+    const scope = branchId ? { branch: branchId } : {};
+
+    // ── Step 1: Fetch user name + loan counts per book category ──────────────
+    const rows = await this.repo.getDeweyCountsForUser(userId, branchId);
 
     // ── Step 2: Handle unknown user or zero loans ─────────────────────────────
     if (rows.length === 0) {
       return {
         userId,
+        ...scope,
         name      : 'Unknown',
         totalBooks: 0,
         breakdown : [],
-        summary   : 'No reading history found.',
+        hierarchy : [],
+        topAuthors: [],
+        summary   : branchId ? `No reading history found at branch ${branchId}.` : 'No reading history found.',
       };
     }
 
     const userName  = rows[0].name;
     const totalBooks = rows.reduce((sum, r) => sum + Number(r.book_count), 0);
+    const percentage = count => ((count / totalBooks) * 100).toFixed(2) + '%';
+
+    // ── Step 3: Group the raw Dewey values by section ─────────────────────────
+    // Values that are not Dewey numbers keep their own row
+    const sections = new Map();
+    for (const r of rows) {
+      const dewey = deweySection(r.dewey_decimal) ?? String(r.dewey_decimal);
+      sections.set(dewey, (sections.get(dewey) || 0) + Number(r.book_count));
+    }
 
-    // ── Step 3: Map each Dewey code to a human-readable category name ─────────
-    const breakdown = rows.map(r => {
-      const dewey      = String(r.dewey_decimal);
-      const category   = DiscoveryService._deweyCategory(dewey);
-      const count      = Number(r.book_count);
-      const percentage = ((count / totalBooks) * 100).toFixed(2) + '%';
-
-      return { category, dewey, count, percentage };
-    });
-
-    // ── Step 4: Build the human-readable summary string ───────────────────────
+    const breakdown = [...sections]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([dewey, count]) => ({
+        category  : DiscoveryService._deweyCategory(dewey),
+        dewey,
+        count,
+        percentage: percentage(count),
+      }));
+
+    // ── Step 4: Nest the sections under their division and class ──────────────
+    const hierarchy = DiscoveryService._deweyHierarchy(breakdown, percentage);
+
+    // ── Step 5: Most-read authors ─────────────────────────────────────────────
+    const topAuthors = (await this.repo.getAuthorCountsForUser(userId, branchId))
+      .slice(0, TOP_AUTHORS)
+      .map(({ author, book_count }) => ({
+        author,
+        count     : Number(book_count),
+        percentage: percentage(Number(book_count)),
+      }));
+
+    // ── Step 6: Build the human-readable summary string ───────────────────────
     const summary = breakdown
       .map(b => `${b.percentage} ${b.category}`)
       .join(', ');
 
-    return { userId, name: userName, totalBooks, breakdown, summary };
+    return { userId, ...scope, name: userName, totalBooks, breakdown, hierarchy, topAuthors, summary };
+  }
+
+  /**
+   * Reading DNA over time: the user's category mix per month or quarter,
+   * from the first to the last period with a loan (empty periods included
+   * so the series has no gaps), plus the significant interest shifts
+   * between consecutive non-empty periods.
+   *
+   * Example output:
+   * {
+   *   userId     : 'U001',
+   *   name       : 'Amaka Okoro',
+   *   granularity: 'quarter',
+   *   totalBooks : 7,
+   *   periods    : [
+   *     { period: '2025-Q1', totalBooks: 7, dominant: 'Technology & Computer Science',
+   *       breakdown: [ { category: 'Technology & Computer Science', count: 3, percentage: '42.86%' }, ... ] },
+   *   ],
+   *   shifts     : [
+   *     { period: '2025-Q2', from: 'Business & Management', to: 'Applied Psychology & Self-Help',
+   *       distance: 0.75, description: 'Moved from Business & Management to Applied Psychology & Self-Help in 2025-Q2' },
+   *   ]
+   * }
+   *
+   * @param  {string} userId
+   * @param  {object} [opts]
+   * @param  {'month'|'quarter'} [opts.granularity] — default "month"
+   * @param  {number}            [opts.threshold]   — 0–1 (default DEFAULT_SHIFT_THRESHOLD)
+   * @returns {Promise<ReadingTimeline>}
+   */
+  async getReadingTimeline(userId, opts = {}) {
+    const granularity    = opts.granularity    ?? 'month';
+    const shiftThreshold = opts.threshold ?? DEFAULT_SHIFT_THRESHOLD;
+
+    if (granularity !== 'month' && granularity !== 'quarter') {
+      throw new ServiceError('INVALID', `granularity must be "month" or "quarter". Got: "${granularity}"`);
+    }
+    if (typeof shiftThreshold !== 'number' || !(shiftThreshold >= 0 && shiftThreshold <= 1)) {
+      throw new ServiceError('INVALID', `threshold must be between 0 and 1. Got: "${shiftThreshold}"`);
+    }
+
+    // ── Step 1: Fetch the user's dated loans and their books' categories ─────
+    const user  = await this.repo.getUser(userId);
+    const loans = user ? await this.repo.getLoansForUser(userId) : [];
+
+    if (loans.length === 0) {
+      return {
+        userId,
+        name      : user ? user.name : 'Unknown',
+        granularity,
+        totalBooks: 0,
+        periods   : [],
+        shifts    : [],
+      };
+    }
+
+    const books = new Map(
+      (await this.repo.getBooksByIds([...new Set(loans.map(l => l.book_id))]))
+        .map(b => [b.book_id, b])
+    );
+
+    // ── Step 2: Count categories per period ──────────────────────────────────
+    const counts = new Map();   // period → Map<category, count>
+    for (const loan of loans) {
+      const book = books.get(loan.book_id);
+      if (!book) continue;
+
+      const period   = DiscoveryService._period(loan.borrowed_at, granularity);
+      const category = DiscoveryService._deweyCategory(String(book.dewey_decimal));
+      if (!counts.has(period)) counts.set(period, new Map());
+      const mix = counts.get(period);
+      mix.set(category, (mix.get(category) || 0) + 1);
+    }
+
+    // ── Step 3: Build a gap-free series of period breakdowns ─────────────────
+    const keys    = [...counts.keys()].sort();
+    const periods = DiscoveryService._periodRange(keys[0], keys[keys.length - 1], granularity)
+      .map(period => DiscoveryService._periodBreakdown(period, counts.get(period) || new Map()));
+
+    // ── Step 4: Flag significant shifts between non-empty periods ────────────
+    const shifts = [];
+    let previous = null;
+    for (const current of periods) {
+      if (current.totalBooks === 0) continue;
+
+      if (previous && current.dominant !== previous.dominant) {
+        const distance = DiscoveryService._mixDistance(previous, current);
+        if (distance >= shiftThreshold) {
+          shifts.push({
+            period     : current.period,
+            from       : previous.dominant,
+            to         : current.dominant,
+            distance   : parseFloat(distance.toFixed(4)),
+            description: `Moved from ${previous.dominant} to ${current.dominant} in ${current.period}`,
+          });
+        }
+      }
+      previous = current;
+    }
+
+    return {
+      userId,
+      name      : user.name,
+      granularity,
+      totalBooks: periods.reduce((sum, p) => sum + p.totalBooks, 0),
+      periods,
+      shifts,
+    };
+  }
+
+  // ── Private: Timeline Helpers ──────────────────────────────────────────────
+
+  /**
+   * "2025-02-14" → "2025-02" (month) or "2025-Q1" (quarter).
+   */
+  static _period(date, granularity) {
+    const [year, month] = String(date).split('-');
+    return granularity === 'quarter'
+      ? `${year}-Q${Math.ceil(Number(month) / 3)}`
+      : `${year}-${month}`;
+  }
+
+  /**
+   * Every period label from `first` to `last` inclusive.
+   */
+  static _periodRange(first, last, granularity) {
+    const perYear = granularity === 'quarter' ? 4 : 12;
+    const toIndex = label => {
+      const [year, part] = label.split('-');
+      return Number(year) * perYear + Number(part.replace('Q', '')) - 1;
+    };
+    const toLabel = index => {
+      const year = Math.floor(index / perYear);
+      const part = (index % perYear) + 1;
+      return granularity === 'quarter'
+        ? `${year}-Q${part}`
+        : `${year}-${String(part).padStart(2, '0')}`;
+    };
+
+    const range = [];
+    for (let i = toIndex(first); i <= toIndex(last); i++) range.push(toLabel(i));
+    return range;
+  }
+
+  /**
+   * Turns one period's Map<category, count> into a ReadingTimelinePeriod.
+   */
+  static _periodBreakdown(period, mix) {
+    const totalBooks = [...mix.values()].reduce((sum, n) => sum + n, 0);
+    const breakdown  = [...mix]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([category, count]) => ({
+        category,
+        count,
+        percentage: ((count / totalBooks) * 100).toFixed(2) + '%',
+      }));
+
+    return {
+      period,
+      totalBooks,
+      dominant: breakdown.length ? breakdown[0].category : null,
+      breakdown,
+    };
+  }
+
+  /**
+   * Total variation distance between two periods' category mixes.
+   */
+  static _mixDistance(a, b) {
+    const share = (p, category) => {
+      const entry = p.breakdown.find(e => e.category === category);
+      return entry ? entry.count / p.totalBooks : 0;
+    };
+    const categories = new Set([...a.breakdown, ...b.breakdown].map(e => e.category));
+
+    let sum = 0;
+    for (const category of categories) sum += Math.abs(share(a, category) - share(b, category));
+    return sum / 2;
+  }
+
+  // ── Public: Similar Books (item-to-item) ──────────────────────────────────
+
+  /**
+   * "Readers who borrowed this also borrowed…" — ranks other books by the
+   * Jaccard similarity of their borrower sets with `bookId`'s:
+   *
+   *   Jaccard(Readers(X), Readers(Y)) = |X ∩ Y| / |X ∪ Y|
+   *
+   * No user context is needed, so this works for anonymous catalogue pages.
+   * When nobody who borrowed `bookId` borrowed anything else (or no book
+   * shares `minPeers` readers with it), falls back to popular books in the
+   * same Dewey section.
+   *
+   * @param  {string}  bookId          — e.g. "B006"
+   * @param  {object}  [opts]
+   * @param  {number}  [opts.limit]    — max results (default MAX_RESULTS)
+   * @param  {number}  [opts.minScore] — min Jaccard score (default MIN_SIMILARITY)
+   * @param  {number}  [opts.minPeers] — fewest shared readers for a book to be listed
+   *                                     (default: the service's minPeers)
+   * @returns {Promise<SimilarBookResult[]|null>}  — null if the book is unknown
+   */
+  async getSimilarBooks(bookId, opts = {}) {
+    const limit    = opts.limit    ?? MAX_RESULTS;
+    const minScore = opts.minScore ?? MIN_SIMILARITY;
+    const minPeers = DiscoveryService._minPeersOption(opts, this.minPeers);
+
+    const [source] = await this.repo.getBooksByIds([bookId]);
+    if (!source) return null;
+
+    // ── Step 1: Borrower set of the source book (Set A) ──────────────────────
+    const sourceReaders = new Set(await this.repo.getBookBorrowerIds(bookId));
+
+    // ── Step 2: Borrower sets of every co-borrowed book (Set B) ──────────────
+    const coLoans = await this.repo.getCoBorrowedLoans(bookId);
+    const readersByBook = coLoans.reduce((map, { book_id, user_id }) => {
+      if (!map[book_id]) map[book_id] = new Set();
+      map[book_id].add(user_id);
+      return map;
+    }, {});
+
+    // ── Step 3: Score each co-borrowed book against the source ───────────────
+    const scored = new Map();
+    for (const [otherId, readers] of Object.entries(readersByBook)) {
+      const score = jaccard(sourceReaders, readers);
+      if (score < minScore) continue;
+
+      let shared = 0;
+      for (const reader of readers) {
+        if (sourceReaders.has(reader)) shared++;
+      }
+      if (shared < minPeers) continue;   // k-anonymity
+      scored.set(otherId, { score, shared });
+    }
+
+    if (scored.size === 0) {
+      return this._similarDeweyFallback(bookId, limit);
+    }
+
+    // ── Step 4: Enrich with book metadata and return ranked list ─────────────
+    const books   = await this.repo.getBooksByIds([...scored.keys()]);
+    const results = books.map(book => {
+      const { score, shared } = scored.get(book.book_id);
+      return {
+        book_id       : book.book_id,
+        title         : book.title,
+        author        : book.author,
+        dewey_decimal : book.dewey_decimal,
+        match_score   : parseFloat(score.toFixed(4)),
+        shared_readers: shared,
+      };
+    });
+
+    results.sort((a, b) =>
+      b.match_score - a.match_score || a.title.localeCompare(b.title)
+    );
+
+    return results.slice(0, limit);
+  }
+
+  /**
+   * Item-to-item fallback: popular books sharing `bookId`'s Dewey section.
+   *
+   * @param  {string} bookId
+   * @param  {number} limit
+   * @returns {Promise<SimilarBookResult[]>}
+   */
+  async _similarDeweyFallback(bookId, limit) {
+    const rows = await this.repo.getPopularBooksInSameDewey([bookId], limit);
+
+    return rows.map(r => ({
+      book_id       : r.book_id,
+      title         : r.title,
+      author        : r.author,
+      dewey_decimal : r.dewey_decimal,
+      match_score   : 0,
+      shared_readers: 0,
+      fallback      : 'dewey_category_popularity',
+    }));
+  }
+
+  // ── Public: Group Recommendations ──────────────────────────────────────────
+
+  /**
+   * Shared reading picks for a book club or class: books few (by default
+   * none) of the members have read, ranked by combining each member's
+   * candidate scores (see header). Falls back to library-wide popularity
+   * when no member has peer-based candidates.
+   *
+   * Loans, "already_read" and dismissals from each member's feedback count;
+   * recency weighting and diversity re-ranking do not apply.
+   *
+   * @param  {string[]} userIds                — 2 to MAX_GROUP_SIZE distinct members
+   * @param  {object}   [opts]
+   * @param  {'average'|'least_misery'|'most_pleasure'} [opts.strategy] — default "average"
+   * @param  {number}   [opts.maxReadFraction] — 0–1, largest share of members who may
+   *                                             have read a book (default 0)
+   * @param  {number}   [opts.limit]           — max results (default MAX_RESULTS)
+   * @param  {number}   [opts.minScore], [opts.maxPeers], [opts.minPeers], [opts.peerSearch]
+   *                                           — per-member peer search, as for getRecommendations()
+   * @returns {Promise<GroupRecommendations>}
+   * @throws {ServiceError} INVALID for a bad option or group, NOT_FOUND for an unknown member
+   */
+  async getGroupRecommendations(userIds, opts = {}) {
+    const strategy        = opts.strategy ?? 'average';
+    const maxReadFraction = opts.maxReadFraction ?? 0;
+    const limit           = opts.limit ?? MAX_RESULTS;
+
+    if (!Array.isArray(userIds) || userIds.length < 2 || userIds.length > MAX_GROUP_SIZE) {
+      throw new ServiceError('INVALID', `A group needs between 2 and ${MAX_GROUP_SIZE} members.`);
+    }
+    if (new Set(userIds).size !== userIds.length) {
+      throw new ServiceError('INVALID', 'Each member may only be listed once.');
+    }
+    if (!GROUP_STRATEGIES.includes(strategy)) {
+      throw new ServiceError('INVALID', `strategy must be one of: ${GROUP_STRATEGIES.join(', ')}. Got: "${strategy}"`);
+    }
+    if (typeof maxReadFraction !== 'number' || !(maxReadFraction >= 0 && maxReadFraction <= 1)) {
+      throw new ServiceError('INVALID', `maxReadFraction must be a number between 0 and 1. Got: "${maxReadFraction}"`);
+    }
+    for (const userId of userIds) {
+      if (!(await this.repo.getUser(userId))) {
+        throw new ServiceError('NOT_FOUND', `User "${userId}" not found.`);
+      }
+    }
+
+    // ── Step 1: Each member's read books and normalised candidate scores ─────
+    const members = [];
+    for (const userId of userIds) {
+      members.push({ userId, ...(await this._memberCandidates(userId, opts)) });
+    }
+
+    // ── Step 2: Books the group may be offered ───────────────────────────────
+    const readBy = new Map();
+    for (const { read } of members) {
+      for (const bookId of read) readBy.set(bookId, (readBy.get(bookId) ?? 0) + 1);
+    }
+    const tooRead   = [...readBy].filter(([, n]) => n / members.length > maxReadFraction).map(([id]) => id);
+    const dismissed = members.flatMap(m => m.dismissed);
+    const excluded  = new Set([...tooRead, ...dismissed]);
+
+    const candidateIds = new Set(members.flatMap(m => [...m.scores.keys()]));
+    excluded.forEach(bookId => candidateIds.delete(bookId));
+
+    const fallback = candidateIds.size === 0;
+    const books    = fallback
+      ? await this.repo.getMostBorrowedBooks(limit, normalizeBookFilters({ excludeBookIds: [...excluded] }))
+      : await this.repo.getBooksByIds([...candidateIds]);
+
+    // ── Step 3: Aggregate member scores and rank ─────────────────────────────
+    // A member with no peer score for the book falls back to its content score,
+    // scaled by their best one so both sources run 0–1
+    for (const m of members) {
+      const content = new Map(books.map(book => [book.book_id, contentScore(book, m.profile).content]));
+      const best    = Math.max(0, ...content.values());
+      m.content     = new Map([...content].map(([bookId, score]) => [bookId, best > 0 ? score / best : 0]));
+    }
+    const memberScore = (m, book) => m.scores.get(book.book_id) ?? m.content.get(book.book_id);
+    const results = books.map(book => {
+      const unread       = members.filter(m => !m.read.has(book.book_id));
+      const memberScores = Object.fromEntries(
+        unread.map(m => [m.userId, parseFloat(memberScore(m, book).toFixed(4))])
+      );
+      const scores = Object.values(memberScores);
+
+      return {
+        book_id      : book.book_id,
+        title        : book.title,
+        author       : book.author,
+        dewey_decimal: book.dewey_decimal,
+        group_score  : fallback ? 0 : parseFloat(DiscoveryService._aggregateGroup(scores, strategy).toFixed(4)),
+        member_scores: memberScores,
+        suits        : fallback
+          ? unread.map(m => m.userId)
+          : unread.filter(m => memberScores[m.userId] > 0).map(m => m.userId),
+        read_by      : members.length - unread.length,
+        ...(fallback ? { fallback: 'cold_start_popularity' } : {}),
+      };
+    });
+
+    if (!fallback) {
+      results.sort((a, b) =>
+        b.group_score - a.group_score || b.suits.length - a.suits.length || a.title.localeCompare(b.title)
+      );
+    }
+
+    return {
+      userIds,
+      strategy,
+      maxReadFraction,
+      basis  : fallback ? 'cold_start_popularity' : 'peer_similarity',
+      results: await this._withAvailability(results.slice(0, limit)),
+    };
+  }
+
+  /**
+   * One member's side of a group request: the books they have read (loans
+   * plus "already_read"), their dismissals, their peer-based candidate
+   * scores divided by their best one, and the content profile that scores
+   * every other book.
+   *
+   * @param  {string} userId
+   * @param  {object} opts
+   * @returns {Promise<{ read: Set<string>, dismissed: string[], scores: Map<string, number>,
+   *                     profile: import('./contentScore').ContentProfile }>}
+   */
+  async _memberCandidates(userId, opts) {
+    const minScore = opts.minScore ?? MIN_SIMILARITY;
+    const maxPeers = opts.maxPeers ?? MAX_PEERS;
+    const minPeers = DiscoveryService._minPeersOption(opts, this.minPeers);
+    const search   = DiscoveryService._peerSearchOption(opts, this.peerSearch);
+    const feedback = await this._getFeedback(userId);
+
+    const read = await this._getBorrowedBooks(userId);
+    feedback.alreadyRead.forEach(bookId => read.add(bookId));
+
+    const scores  = new Map();
+    const profile = contentProfile(await this.repo.getBooksByIds([...read]));
+    if (read.size === 0) return { read, dismissed: feedback.dismissed, scores, profile };
+
+    const peers      = this._scorePeers(read, await this._getPeerBooks(userId, read, search, null), minScore);
+    const candidates = this._aggregateCandidates(peers.slice(0, maxPeers), read, minPeers);
+    const best       = Math.max(0, ...[...candidates.values()].map(c => c.weightedScore));
+
+    for (const [bookId, { weightedScore }] of candidates) {
+      scores.set(bookId, best > 0 ? weightedScore / best : 0);
+    }
+    return { read, dismissed: feedback.dismissed, scores, profile };
+  }
+
+  /**
+   * @param  {number[]} scores  — one per member who has not read the book
+   * @param  {'average'|'least_misery'|'most_pleasure'} strategy
+   * @returns {number}
+   */
+  static _aggregateGroup(scores, strategy) {
+    if (scores.length === 0) return 0;
+    if (strategy === 'least_misery')  return Math.min(...scores);
+    if (strategy === 'most_pleasure') return Math.max(...scores);
+    return scores.reduce((sum, x) => sum + x, 0) / scores.length;
   }
 
   // ── Private: Dewey Decimal Category Resolver ──────────────────────────────
 
   /**
    * Maps a Dewey Decimal number string to a subject category label.
-   * Uses the top-level hundred class with known sub-class overrides
-   * for the most common library subjects.
+   * Uses friendly names for the most common library subjects, otherwise
+   * the section name from the DDC summary tables.
    *
    * @param  {string} dewey  — e.g. "005.1", "658.4"
    * @returns {string}       — human-readable category name
    */
   static _deweyCategory(dewey) {
-    const num = parseFloat(dewey);
-
-    // ── Specific sub-class overrides (checked first, most precise) ────────────
+    // ── Specific section overrides (checked first) ────────────────────────────
     const specific = {
       '005' : 'Technology & Computer Science',
       '153' : 'Cognitive Psychology',
@@ -436,21 +2434,59 @@ class DiscoveryService {
       '921' : 'Biography & Memoir',
     };
 
-    // Match on the first 3 digits of the Dewey number
-    const prefix = String(Math.floor(num)).padStart(3, '0').slice(0, 3);
-    if (specific[prefix]) return specific[prefix];
-
-    // ── Fallback: broad hundred-class divisions ───────────────────────────────
-    if (num < 100) return 'General & Computer Science';
-    if (num < 200) return 'Philosophy & Psychology';
-    if (num < 300) return 'Religion & Theology';
-    if (num < 400) return 'Social Sciences';
-    if (num < 500) return 'Language & Linguistics';
-    if (num < 600) return 'Pure Science';
-    if (num < 700) return 'Applied Science & Technology';
-    if (num < 800) return 'Arts & Recreation';
-    if (num < 900) return 'Literature';
-    return 'History, Geography & Biography';
+    const classification = classifyDewey(dewey);
+    if (!classification) return 'Unclassified';
+
+    return specific[classification.section.code] ?? classification.section.name;
+  }
+
+  /**
+   * Nests Reading DNA breakdown entries class → division → section, each
+   * level sorted by count (then code). Entries that are not Dewey numbers
+   * are left out.
+   *
+   * @param  {ReadingDNAEntry[]}          breakdown   — one entry per section
+   * @param  {(count: number) => string}  percentage  — share of all loans
+   * @returns {DeweyClassNode[]}
+   */
+  static _deweyHierarchy(breakdown, percentage) {
+    const classes = new Map();
+    const node    = (map, { code, name }, children) => {
+      if (!map.has(code)) map.set(code, { code, name, count: 0, [children]: new Map() });
+      return map.get(code);
+    };
+
+    for (const entry of breakdown) {
+      const classification = classifyDewey(entry.dewey);
+      if (!classification) continue;
+
+      const cls      = node(classes, classification.class, 'divisions');
+      const division = node(cls.divisions, classification.division, 'sections');
+      cls.count      += entry.count;
+      division.count += entry.count;
+      division.sections.set(classification.section.code, {
+        code      : classification.section.code,
+        name      : classification.section.name,
+        count     : entry.count,
+        percentage: entry.percentage,
+      });
+    }
+
+    const sorted = map => [...map.values()].sort((a, b) => b.count - a.count || a.code.localeCompare(b.code));
+
+    return sorted(classes).map(cls => ({
+      code      : cls.code,
+      name      : cls.name,
+      count     : cls.count,
+      percentage: percentage(cls.count),
+      divisions : sorted(cls.divisions).map(division => ({
+        code      : division.code,
+        name      : division.name,
+        count     : division.count,
+        percentage: percentage(division.count),
+        sections  : sorted(division.sections),
+      })),
+    }));
   }
 }
 
@@ -466,24 +2502,239 @@ module.exports = DiscoveryService;
  * @property {string}   title           — book title
  * @property {string}   author          — author name
  * @property {string}   dewey_decimal   — Dewey Decimal class
- * @property {number}   match_score     — weighted Jaccard score (higher = better)
- * @property {string[]} recommended_by  — peer user_ids who read this book
+ * @property {number}   match_score     — summed peer similarity (higher = better)
+ * @property {string[]} recommended_by  — pseudonyms ("peer-1", …) of the peers who read this book
+ * @property {string}   [fallback]      — set if a fallback strategy or exploration produced it
+ * @property {number}   [feedback_factor] — set if the user's likes / dismissals scaled the score
+ * @property {number}   [author_boost]  — set if opts.authorBoost added to the score
+ * @property {{ division: string, name: string, next_to: string }} [exploration]
+ *                                      — set on exploration picks: the division the book is in
+ *                                        and the neighbouring division the user reads
+ * @property {import('./availability').Availability} availability — shelf availability of the title
+ * @property {ScoreComponents} [score_components] — set in hybrid mode: how match_score was blended
+ */
+
+/**
+ * @typedef {object} ScoreComponents
+ * @property {number} hybrid         — (1 − h) × collaborative + h × content, before feedback
+ *                                     and author boost
+ * @property {number} collaborative  — peer score ÷ the best candidate's peer score
+ * @property {number} content        — weighted mean of the three below
+ * @property {number} dewey          — 1 − Dewey distance to the nearest book read
+ * @property {number} author         — the author's share of the user's books ÷ the top author's
+ * @property {number} keywords       — share of title keywords found in titles read
+ */
+
+/**
+ * @typedef {object} OnboardingSummary
+ * @property {number}   weight    — weight of each stand-in book, 0–1
+ * @property {string[]} dewey     — favourite Dewey prefixes
+ * @property {string[]} authors   — favourite authors
+ * @property {string[]} books     — seed book_ids (counted as read)
+ * @property {number}   standIns  — books added to the user's books
+ */
+
+/**
+ * @typedef {object} BranchSummary
+ * @property {string|null} scope            — branch the request was scoped to, null = consortium-wide
+ * @property {boolean}     preferHomeBranch — whether titles held at the home branch came first
+ * @property {string|null} homeBranch       — the user's home branch when preferHomeBranch
+ */
+
+/**
+ * @typedef {object} HybridOptions
+ * @property {number} content  — content share h, 0–1
+ * @property {{ dewey: number, author: number, keywords: number }} weights — sum to 1
+ */
+
+/**
+ * @typedef {object} ResultPage
+ * @property {number} limit    — max results
+ * @property {number} offset   — results to skip
+ * @property {import('./bookFilters').BookFilters} filters — applied before paging
+ * @property {number} diversity — MMR balance, 0 = relevance order
+ * @property {Set<string>} demote — book_ids ranked after all others (availability "demote")
+ * @property {Map<string, number>} affinity — Dewey section → feedback score multiplier
+ * @property {number} lookahead — extra fallback rows fetched for re-ordering
+ * @property {number} authorBoost — weight of the author-affinity term, 0 = off
+ * @property {HybridOptions|null} hybrid — content blend, null = off
+ * @property {string|null} branch — branch_id loans and popularity are counted at, null = consortium-wide
+ */
+
+/**
+ * @typedef {object} BranchScope
+ * @property {string|null} branchId      — opts.branch, null = consortium-wide
+ * @property {string[]}    notHeld       — book_ids with no copy at branchId (left out)
+ * @property {boolean}     preferHome    — opts.preferHomeBranch
+ * @property {string|null} homeBranch    — the user's home branch when preferHome
+ * @property {Set<string>} notHeldAtHome — book_ids with no copy there (demoted)
+ */
+
+/**
+ * @typedef {object} LoanWeighting
+ * @property {{ halfLifeDays: number, asOf: Date }|null} decay — recency settings, null if off
+ * @property {boolean} implicit — whether loans are rated by duration and repeats
+ */
+
+/**
+ * @typedef {object} RecommendationRun
+ * @property {RecommendationResult[]} results      — ranked recommendations
+ * @property {string}                 strategy     — "peer_similarity" or the fallback used
+ * @property {string}                 explanation  — why that strategy was chosen
+ * @property {Set<string>|Map<string,number>} targetBooks — the user's books (weighted in recency / implicit modes)
+ * @property {{ peerId: string, score: number, books: Set<string>|Map<string,number> }[]} peers — peers used
+ * @property {number}                 minScore     — similarity threshold applied
+ * @property {number}                 maxPeers     — cap on peers aggregated
+ * @property {number}                 minPeers     — k-anonymity threshold applied
+ * @property {string}                 similarity   — peer similarity metric used
+ * @property {{ halfLifeDays: number, asOf: Date }|null} decay — recency settings, null if off
+ * @property {boolean}                implicit     — books weighted by implicit rating
+ * @property {'exact'|'lsh'}          peerSearch   — how peers were found
+ * @property {'annotate'|'demote'|'exclude'} availability — handling of unavailable titles
+ * @property {{ alreadyRead: number, liked: number, dismissed: number }} feedback — feedback applied
+ * @property {BranchSummary}          branch       — branch scope and home-branch preference
+ * @property {number}                 [candidatePeers] — users compared against the target
+ * @property {{ rate: number, divisions: string[] }} [explore] — set when opts.explore is on
+ * @property {HybridOptions} [hybrid]   — set when peer results were blended with content scores
+ * @property {OnboardingSummary} [onboarding] — set when onboarding choices stood in for loans
+ */
+
+/**
+ * @typedef {object} RecommendationExplanation
+ * @property {string}  userId       — user ID
+ * @property {string}  strategy     — "peer_similarity" | "cold_start_popularity" |
+ *                                    "author_popularity" | "dewey_category_popularity" | "none"
+ * @property {string}  explanation  — why that strategy was chosen
+ * @property {number}  booksRead    — size of the user's book set |A|, onboarding stand-ins included
+ * @property {number}  minScore     — similarity threshold applied
+ * @property {number}  maxPeers     — cap on peers used for aggregation
+ * @property {number}  minPeers     — fewest peers behind each recommended book
+ * @property {string}  similarity   — peer similarity metric, e.g. "jaccard"
+ * @property {'exact'|'lsh'} peerSearch — how peers were found
+ * @property {'annotate'|'demote'|'exclude'} availability — handling of unavailable titles
+ * @property {{ alreadyRead: number, liked: number, dismissed: number }} feedback — feedback applied
+ * @property {number}  candidatePeers — users compared against the target (0 on cold start)
+ * @property {{ rate: number, divisions: string[] }|null} explore — exploration rate and the
+ *                                    adjacent Dewey divisions searched; null unless opts.explore
+ * @property {HybridOptions|null} hybrid — content blend applied to peer results; null unless opts.hybrid
+ * @property {OnboardingSummary|null} onboarding — onboarding choices used as stand-in loans, if any
+ * @property {BranchSummary} branch — branch scope and home-branch preference
+ * @property {{ halfLifeDays: number, asOf: string }|null} recency — null unless recency-weighted
+ * @property {boolean} implicit     — whether books were weighted by implicit rating
+ * @property {{ peerId: string, score: number, intersection: number, union: number,
+ *              sharedBooks: { book_id: string, title: string }[] }[]} peers
+ *           — most similar first; peerId is the pseudonym used in recommended_by
+ * @property {(RecommendationResult & { contributions: { peerId: string, score: number, weight: number }[] })[]}
+ *           recommendations — match_score = Σ score × weight (weight is 1 unless recency-weighted
+ *           or rated),
+ *           × feedback_factor when set
+ */
+
+/**
+ * @typedef {object} SimilarBookResult
+ * @property {string}   book_id         — e.g. "B007"
+ * @property {string}   title           — book title
+ * @property {string}   author          — author name
+ * @property {string}   dewey_decimal   — Dewey Decimal class
+ * @property {number}   match_score     — Jaccard score of the two borrower sets
+ * @property {number}   shared_readers  — users who borrowed both books
  * @property {string}   [fallback]      — set if a fallback strategy was used
  */
 
 /**
  * @typedef {object} ReadingDNA
  * @property {string}             userId      — user ID
+ * @property {string}             [branch]    — set when only loans at this branch were counted
  * @property {string}             name        — user's full name
  * @property {number}             totalBooks  — total books borrowed
- * @property {ReadingDNAEntry[]}  breakdown   — per-category breakdown
+ * @property {ReadingDNAEntry[]}  breakdown   — per-section breakdown, largest first
+ * @property {DeweyClassNode[]}   hierarchy   — the same loans nested class → division → section
+ * @property {{ author: string, count: number, percentage: string }[]} topAuthors
+ *                                            — up to TOP_AUTHORS most-read authors, most loans first
  * @property {string}             summary     — human-readable summary string
  */
 
+/**
+ * @typedef {object} ReadingTimeline
+ * @property {string}                  userId
+ * @property {string}                  name
+ * @property {'month'|'quarter'}       granularity
+ * @property {number}                  totalBooks   — loans across all periods
+ * @property {ReadingTimelinePeriod[]} periods      — oldest first, no gaps
+ * @property {ReadingTimelineShift[]}  shifts       — oldest first
+ */
+
+/**
+ * @typedef {object} ReadingTimelinePeriod
+ * @property {string}      period      — "2025-02" or "2025-Q1"
+ * @property {number}      totalBooks  — loans in the period (0 for gap periods)
+ * @property {string|null} dominant    — most-borrowed category, null if empty
+ * @property {{ category: string, count: number, percentage: string }[]} breakdown
+ */
+
+/**
+ * @typedef {object} ReadingTimelineShift
+ * @property {string} period       — period in which the new interest took over
+ * @property {string} from         — previous dominant category
+ * @property {string} to           — new dominant category
+ * @property {number} distance     — total variation distance between the two mixes
+ * @property {string} description  — e.g. "Moved from Business & Management to … in 2025-Q2"
+ */
+
 /**
  * @typedef {object} ReadingDNAEntry
  * @property {string} category    — human-readable Dewey category name
- * @property {string} dewey       — raw Dewey Decimal value
- * @property {number} count       — number of books in this category
+ * @property {string} dewey       — three-digit Dewey section, e.g. "658"
+ * @property {number} count       — number of books in this section
  * @property {string} percentage  — formatted percentage string e.g. "42.86%"
+ */
+
+/**
+ * @typedef {object} DeweyClassNode
+ * @property {string}              code        — e.g. "600"
+ * @property {string}              name        — e.g. "Technology"
+ * @property {number}              count
+ * @property {string}              percentage  — share of all the user's loans
+ * @property {DeweyDivisionNode[]} divisions
+ */
+
+/**
+ * @typedef {object} DeweyDivisionNode
+ * @property {string}             code        — e.g. "650"
+ * @property {string}             name        — e.g. "Management & public relations"
+ * @property {number}             count
+ * @property {string}             percentage
+ * @property {DeweySectionNode[]} sections
+ */
+
+/**
+ * @typedef {object} DeweySectionNode
+ * @property {string} code        — e.g. "658"
+ * @property {string} name        — e.g. "General management"
+ * @property {number} count
+ * @property {string} percentage
+ */
+
+/**
+ * @typedef {object} GroupRecommendations
+ * @property {string[]} userIds          — the group, as given
+ * @property {'average'|'least_misery'|'most_pleasure'} strategy
+ * @property {number}   maxReadFraction  — largest share of members who may have read a result
+ * @property {'peer_similarity'|'cold_start_popularity'} basis — how results were found
+ * @property {GroupRecommendationResult[]} results — best group_score first
+ */
+
+/**
+ * @typedef {object} GroupRecommendationResult
+ * @property {string}   book_id
+ * @property {string}   title
+ * @property {string}   author
+ * @property {string}   dewey_decimal
+ * @property {number}   group_score    — aggregated member score, 0–1 (0 in the fallback)
+ * @property {Object<string, number>} member_scores — user_id → normalised peer score, or normalised
+ *                                     content score where the member has none, for members who have not read it
+ * @property {string[]} suits          — members scoring it above 0 (in the fallback: who have not read it)
+ * @property {number}   read_by        — members who have read it
+ * @property {string}   [fallback]     — set if the popularity fallback was used
+ * @property {import('./availability').Availability} availability
  */
\ No newline at end of file
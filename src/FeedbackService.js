@@ -0,0 +1,107 @@
+/**
+ * FeedbackService.js — What patrons tell us about recommended books
+ * ──────────────────────────────────────────────────────────────────
+ * One feedback per user and book; giving new feedback replaces the old.
+ *
+ *   dismiss       — never recommend this book; titles in its Dewey section
+ *                   are scored lower
+ *   like          — titles in its Dewey section are scored higher
+ *   already_read  — read outside the library: counts as borrowed when
+ *                   finding similar readers, and is no longer recommended
+ *
+ * DiscoveryService reads the feedback on every request (see "Patron
+ * feedback" there), so it takes effect straight away.
+ *
+ * Expected failures throw ServiceError:
+ *   INVALID   — unknown feedback type
+ *   NOT_FOUND — unknown user or book, or no feedback to remove
+ *
+ * Usage:
+ *   const feedback = new FeedbackService(repo);
+ *   await feedback.giveFeedback('U001', 'B020', 'dismiss');
+ */
+
+'use strict';
+
+const { ServiceError } = require('./errors');
+
+/** Feedback a patron can give on a book. */
+const FEEDBACK_TYPES = ['dismiss', 'like', 'already_read'];
+
+
+// ── FeedbackService ────────────────────────────────────────────────────────────
+
+class FeedbackService {
+  /**
+   * @param {import('./LibraryRepository')} repo  — storage backend
+   */
+  constructor(repo) {
+    if (!repo) throw new Error('FeedbackService requires a LibraryRepository instance.');
+    this.repo = repo;
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  /**
+   * Records (or replaces) a user's feedback on a book.
+   *
+   * @param  {string} userId
+   * @param  {string} bookId
+   * @param  {'dismiss'|'like'|'already_read'} feedback
+   * @returns {Promise<import('./LibraryRepository').FeedbackRow>}
+   */
+  async giveFeedback(userId, bookId, feedback) {
+    if (!FEEDBACK_TYPES.includes(feedback)) {
+      throw new ServiceError('INVALID', `feedback must be one of: ${FEEDBACK_TYPES.join(', ')}. Got: "${feedback}"`);
+    }
+    await this._assertUserExists(userId);
+    await this._assertBookExists(bookId);
+
+    return this.repo.setFeedback({ userId, bookId, feedback });
+  }
+
+  /**
+   * Withdraws a user's feedback on a book.
+   *
+   * @param  {string} userId
+   * @param  {string} bookId
+   */
+  async removeFeedback(userId, bookId) {
+    await this._assertUserExists(userId);
+
+    if (!(await this.repo.deleteFeedback(userId, bookId))) {
+      throw new ServiceError('NOT_FOUND', `User "${userId}" has no feedback on book "${bookId}".`);
+    }
+  }
+
+  /**
+   * Every feedback a user has given, newest first.
+   *
+   * @param  {string} userId
+   * @returns {Promise<import('./LibraryRepository').FeedbackRow[]>}
+   */
+  async getUserFeedback(userId) {
+    await this._assertUserExists(userId);
+    return this.repo.getFeedbackForUser(userId);
+  }
+
+  // ── Private: Validation ────────────────────────────────────────────────────
+
+  async _assertUserExists(userId) {
+    if (!(await this.repo.getUser(userId))) {
+      throw new ServiceError('NOT_FOUND', `User "${userId}" not found.`);
+    }
+  }
+
+  async _assertBookExists(bookId) {
+    const [book] = await this.repo.getBooksByIds([bookId]);
+    if (!book) {
+      throw new ServiceError('NOT_FOUND', `Book "${bookId}" not found.`);
+    }
+  }
+}
+
+
+// ── Exports ────────────────────────────────────────────────────────────────────
+
+module.exports = FeedbackService;
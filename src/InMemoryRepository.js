@@ -0,0 +1,758 @@
+/**
+ * InMemoryRepository.js — In-memory backend for the Discovery Engine
+ * ───────────────────────────────────────────────────────────────────
+ * Implements LibraryRepository over plain arrays, so the engine can run
+ * without a MySQL server: offline tests, embedding in other tools and
+ * prototyping new scoring against data/library_dataset.json.
+ *
+ * Ordering mirrors the MySQL queries; ties that MySQL leaves unspecified
+ * are broken by book_id / dewey_decimal so results are deterministic.
+ *
+ * Usage:
+ *   const repo    = InMemoryRepository.fromFile();   // default dataset
+ *   const service = new DiscoveryService(repo);
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+
+const LibraryRepository = require('./LibraryRepository');
+const { ServiceError }  = require('./errors');
+const { formatId, nextId, compareIds } = require('./ids');
+const { NO_FILTERS, matchesBookFilters } = require('./bookFilters');
+const { deweySection } = require('./dewey');
+
+/** Fields searchBooks() may sort by. */
+const BOOK_SORT_COLUMNS = ['book_id', 'title', 'author', 'dewey_decimal'];
+
+/** Dataset loaded by `fromFile()` when no path is given. */
+const DEFAULT_DATASET_PATH = path.join(__dirname, '..', 'data', 'library_dataset.json');
+
+class InMemoryRepository extends LibraryRepository {
+  /**
+   * @param {object}   [dataset]
+   * @param {object[]} [dataset.books]  — { book_id, title, author, dewey_decimal }
+   * @param {object[]} [dataset.users]  — { user_id, name, home_branch_id? }
+   * @param {object[]} [dataset.loans]  — { loan_id, user_id, book_id, borrowed_at, branch_id? }
+   * @param {object[]} [dataset.borrow_records]  — { loan_id, return_date, copy_id }
+   * @param {object[]} [dataset.copies]  — { copy_id, book_id, branch_id? }; default one copy per book
+   * @param {object[]} [dataset.branches]  — { branch_id, name }
+   * @param {object[]} [dataset.feedback]  — { user_id, book_id, feedback, created_at }
+   * @param {object[]} [dataset.preferences]  — { user_id, dewey, authors, books, updated_at }
+   */
+  constructor({ books = [], users = [], loans = [], borrow_records = [], copies, branches = [], feedback = [], preferences = [] } = {}) {
+    super();
+    this.books         = books.map(b => ({ ...b }));
+    this.users         = users.map(u => ({ home_branch_id: null, ...u }));
+    this.loans         = loans.map(l => ({ branch_id: null, ...l }));
+    this.borrowRecords = borrow_records.map(r => ({ ...r }));
+    this.copies        = copies
+      ? copies.map(c => ({ branch_id: null, ...c }))
+      : books.map((b, i) => ({ copy_id: formatId('C', i + 1), book_id: b.book_id, branch_id: null }));
+    this.branches      = branches.map(b => ({ ...b }));
+    this.feedback      = feedback.map(f => ({ ...f }));
+    this.preferences   = preferences.map(p => ({ ...p }));
+    this.cacheEntries  = [];
+    // Last number handed out per ID prefix, so deleted IDs are never reused
+    this.sequences     = new Map();
+  }
+
+  /**
+   * Builds a repository from a library_dataset.json-shaped file.
+   *
+   * @param  {string} [filePath]  — defaults to data/library_dataset.json
+   * @returns {InMemoryRepository}
+   */
+  static fromFile(filePath = DEFAULT_DATASET_PATH) {
+    return new InMemoryRepository(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  // ── Loans ──────────────────────────────────────────────────────────────────
+
+  async getUserBookIds(userId) {
+    return this.loans
+      .filter(l => l.user_id === userId)
+      .map(l => l.book_id);
+  }
+
+  async getPeerLoans(excludeUserId, branchId) {
+    return this._peerLoanRows(
+      this._loansAt(branchId).filter(l => l.user_id !== null && l.user_id !== excludeUserId)
+    );
+  }
+
+  async getLoansForUsers(userIds, branchId) {
+    const wanted = new Set(userIds);
+    return this._peerLoanRows(this._loansAt(branchId).filter(l => wanted.has(l.user_id)));
+  }
+
+  async getBookBorrowerIds(bookId) {
+    return [...new Set(
+      this.loans
+        .filter(l => l.book_id === bookId && l.user_id !== null)
+        .map(l => l.user_id)
+    )];
+  }
+
+  async getCoBorrowedLoans(bookId) {
+    const borrowers = new Set(await this.getBookBorrowerIds(bookId));
+    const coBooks   = new Set(
+      this.loans
+        .filter(l => borrowers.has(l.user_id) && l.book_id !== bookId)
+        .map(l => l.book_id)
+    );
+
+    return this.loans
+      .filter(l => coBooks.has(l.book_id) && l.user_id !== null)
+      .map(({ book_id, user_id }) => ({ book_id, user_id }))
+      .sort((a, b) => a.book_id.localeCompare(b.book_id));
+  }
+
+  // ── Books ──────────────────────────────────────────────────────────────────
+
+  async getBooksByIds(bookIds) {
+    const wanted = new Set(bookIds);
+    return this.books
+      .filter(b => wanted.has(b.book_id))
+      .map(b => this._bookRow(b));
+  }
+
+  async getMostBorrowedBooks(limit, filters = NO_FILTERS, branchId) {
+    return this._rankByBorrowCount(this.books.filter(b => matchesBookFilters(b, filters)), limit, branchId);
+  }
+
+  async getPopularBooksInSameDewey(bookIds, limit, filters = NO_FILTERS, branchId) {
+    const exclude  = new Set(bookIds);
+    const sections = new Set(
+      this.books
+        .filter(b => exclude.has(b.book_id))
+        .map(b => deweySection(b.dewey_decimal))
+    );
+
+    return this._rankByBorrowCount(
+      this.books.filter(b =>
+        sections.has(deweySection(b.dewey_decimal)) && !exclude.has(b.book_id) && matchesBookFilters(b, filters)
+      ),
+      limit,
+      branchId
+    );
+  }
+
+  async getBooksBySameAuthors(bookIds, limit, filters = NO_FILTERS, branchId) {
+    const exclude = new Set(bookIds);
+    const authors = new Set(
+      this.books
+        .filter(b => exclude.has(b.book_id))
+        .map(b => b.author.toLowerCase())
+    );
+
+    const counts = new Map();
+    for (const loan of this._loansAt(branchId)) {
+      counts.set(loan.book_id, (counts.get(loan.book_id) || 0) + 1);
+    }
+
+    return this.books
+      .filter(b =>
+        authors.has(b.author.toLowerCase()) && !exclude.has(b.book_id) && matchesBookFilters(b, filters)
+      )
+      .map(b => ({ ...this._bookRow(b), borrow_count: counts.get(b.book_id) || 0 }))
+      .sort((a, b) => b.borrow_count - a.borrow_count || compareIds(a.book_id, b.book_id))
+      .slice(0, limit);
+  }
+
+  // ── Users ──────────────────────────────────────────────────────────────────
+
+  async getUser(userId) {
+    const user = this.users.find(u => u.user_id === userId);
+    return user ? this._userRow(user) : null;
+  }
+
+  // ── Branches ───────────────────────────────────────────────────────────────
+
+  async createBranch({ name }) {
+    const branch = { branch_id: this._nextId('BR', this.branches.map(b => b.branch_id)), name };
+    this.branches.push(branch);
+    return { ...branch };
+  }
+
+  async getBranch(branchId) {
+    const branch = this.branches.find(b => b.branch_id === branchId);
+    return branch ? { branch_id: branch.branch_id, name: branch.name } : null;
+  }
+
+  async listBranches() {
+    return this.branches
+      .map(({ branch_id, name }) => ({ branch_id, name }))
+      .sort((a, b) => compareIds(a.branch_id, b.branch_id));
+  }
+
+  // ── Loan Lifecycle ─────────────────────────────────────────────────────────
+
+  async createLoan({ userId, bookId, borrowedAt, branchId }) {
+    const mine = this.borrowRecords.find(r =>
+      r.book_id === bookId && r.user_id === userId && r.return_date === null
+    );
+    if (mine) {
+      throw new ServiceError('CONFLICT', `User "${userId}" already has book "${bookId}" on loan (${mine.loan_id}).`);
+    }
+
+    const copies = this._copiesOf(bookId).filter(c => !branchId || c.branch_id === branchId);
+    const held   = new Set(copies.map(c => c.copy_id));
+    const open   = this.borrowRecords.filter(r =>
+      r.book_id === bookId && r.return_date === null && (!branchId || held.has(r.copy_id))
+    );
+    const taken  = new Set(open.map(r => r.copy_id));
+    const copy   = open.length < copies.length ? copies.find(c => !taken.has(c.copy_id)) : undefined;
+    if (!copy) {
+      const where = branchId ? ` at branch "${branchId}"` : '';
+      throw new ServiceError('CONFLICT', copies.length === 0
+        ? `Book "${bookId}" has no copies to lend${where}.`
+        : `Book "${bookId}" is already checked out${where} (loan${open.length > 1 ? 's' : ''} ${open.map(r => r.loan_id).join(', ')}).`
+      );
+    }
+
+    const loanId = this._nextId('L', this.loans.map(l => l.loan_id));
+    this.loans.push({
+      loan_id    : loanId,
+      user_id    : userId,
+      book_id    : bookId,
+      borrowed_at: borrowedAt,
+      branch_id  : copy.branch_id,
+    });
+    this.borrowRecords.push({
+      loan_id    : loanId,
+      user_id    : userId,
+      book_id    : bookId,
+      copy_id    : copy.copy_id,
+      borrow_date: borrowedAt,
+      return_date: null,
+    });
+
+    return this.getLoan(loanId);
+  }
+
+  async getLoan(loanId) {
+    const loan = this.loans.find(l => l.loan_id === loanId);
+    return loan ? this._loanRecord(loan) : null;
+  }
+
+  async returnLoan(loanId, returnDate) {
+    const record = this.borrowRecords.find(r => r.loan_id === loanId && r.return_date === null);
+    if (!record) return false;
+    record.return_date = returnDate;
+    return true;
+  }
+
+  async getLoansForUser(userId) {
+    return this._loanHistory(l => l.user_id === userId);
+  }
+
+  async getLoansForBook(bookId) {
+    return this._loanHistory(l => l.book_id === bookId);
+  }
+
+  // ── Catalogue Management ───────────────────────────────────────────────────
+
+  async createBook({ title, author, dewey_decimal, copies = 1, branch_id = null }) {
+    const book = {
+      book_id: this._nextId('B', this.books.map(b => b.book_id)),
+      title,
+      author,
+      dewey_decimal,
+    };
+    this.books.push(book);
+    for (let i = 0; i < copies; i++) await this.addCopy(book.book_id, branch_id);
+    return this._bookRow(book);
+  }
+
+  async updateBook(bookId, fields) {
+    const book = this.books.find(b => b.book_id === bookId);
+    if (!book) return null;
+
+    for (const column of ['title', 'author', 'dewey_decimal']) {
+      if (fields[column] !== undefined) book[column] = fields[column];
+    }
+    return this._bookRow(book);
+  }
+
+  async deleteBook(bookId) {
+    const before = this.books.length;
+    this.books   = this.books.filter(b => b.book_id !== bookId);
+    if (this.books.length === before) return false;
+
+    // Mirror ON DELETE CASCADE
+    this.copies        = this.copies.filter(c => c.book_id !== bookId);
+    this.loans         = this.loans.filter(l => l.book_id !== bookId);
+    this.borrowRecords = this.borrowRecords.filter(r => r.book_id !== bookId);
+    this.feedback      = this.feedback.filter(f => f.book_id !== bookId);
+    return true;
+  }
+
+  async searchBooks({ q, title, author, deweyPrefix, branchId, sort, order, limit, offset }) {
+    const has  = (value, text) => value.toLowerCase().includes(text.toLowerCase());
+    const held = branchId ? this._heldAt(branchId) : null;
+
+    const matches = this.books.filter(b =>
+      (!q           || has(b.title, q) || has(b.author, q)) &&
+      (!title       || has(b.title, title)) &&
+      (!author      || has(b.author, author)) &&
+      (!deweyPrefix || b.dewey_decimal.startsWith(deweyPrefix)) &&
+      (!held        || held.has(b.book_id))
+    );
+
+    const sortBy    = BOOK_SORT_COLUMNS.includes(sort) ? sort : 'book_id';
+    const direction = order === 'desc' ? -1 : 1;
+
+    matches.sort((a, b) => direction * (
+      (sortBy === 'book_id' ? 0 : a[sortBy].localeCompare(b[sortBy])) ||
+      compareIds(a.book_id, b.book_id)
+    ));
+
+    return {
+      total: matches.length,
+      books: matches.slice(offset, offset + limit).map(b => this._bookRow(b)),
+    };
+  }
+
+  async createUser({ name, home_branch_id = null }) {
+    const user = { user_id: this._nextId('U', this.users.map(u => u.user_id)), name, home_branch_id };
+    this.users.push(user);
+    return this._userRow(user);
+  }
+
+  async updateUser(userId, fields) {
+    const user = this.users.find(u => u.user_id === userId);
+    if (!user) return null;
+
+    for (const column of ['name', 'home_branch_id']) {
+      if (fields[column] !== undefined) user[column] = fields[column];
+    }
+    return this.getUser(userId);
+  }
+
+  async deleteUser(userId) {
+    const before = this.users.length;
+    this.users   = this.users.filter(u => u.user_id !== userId);
+    if (this.users.length === before) return false;
+
+    // Mirror ON DELETE CASCADE
+    this.loans         = this.loans.filter(l => l.user_id !== userId);
+    this.borrowRecords = this.borrowRecords.filter(r => r.user_id !== userId);
+    this.feedback      = this.feedback.filter(f => f.user_id !== userId);
+    this.preferences   = this.preferences.filter(p => p.user_id !== userId);
+    this.cacheEntries  = this.cacheEntries.filter(e => e.user_id !== userId);
+    return true;
+  }
+
+  async listUsers({ name, branchId, limit, offset }) {
+    const matches = this.users
+      .filter(u => !name || u.name.toLowerCase().includes(name.toLowerCase()))
+      .filter(u => !branchId || u.home_branch_id === branchId)
+      .sort((a, b) => compareIds(a.user_id, b.user_id));
+
+    return {
+      total: matches.length,
+      users: matches.slice(offset, offset + limit).map(u => this._userRow(u)),
+    };
+  }
+
+  // ── Copies & Availability ──────────────────────────────────────────────────
+
+  async getCopies(bookId) {
+    return this._copiesOf(bookId).map(({ copy_id, book_id, branch_id }) => {
+      const open = this.borrowRecords.find(r => r.copy_id === copy_id && r.return_date === null);
+      return {
+        copy_id,
+        book_id,
+        branch_id,
+        loan_id    : open ? open.loan_id : null,
+        borrowed_at: open ? open.borrow_date : null,
+      };
+    });
+  }
+
+  async addCopy(bookId, branchId = null) {
+    const copy = {
+      copy_id  : this._nextId('C', this.copies.map(c => c.copy_id)),
+      book_id  : bookId,
+      branch_id: branchId,
+    };
+    this.copies.push(copy);
+    return { ...copy, loan_id: null, borrowed_at: null };
+  }
+
+  async deleteCopy(copyId) {
+    const before = this.copies.length;
+    this.copies  = this.copies.filter(c => c.copy_id !== copyId);
+    if (this.copies.length === before) return false;
+
+    // Mirror ON DELETE SET NULL
+    for (const record of this.borrowRecords) {
+      if (record.copy_id === copyId) record.copy_id = null;
+    }
+    return true;
+  }
+
+  async getAvailability(bookIds) {
+    const wanted = new Set(bookIds);
+    return this.books
+      .filter(b => wanted.has(b.book_id))
+      .map(b => this._availabilityRow(b.book_id));
+  }
+
+  async getUnavailableBookIds() {
+    return this.books
+      .map(b => this._availabilityRow(b.book_id))
+      .filter(row => row.on_loan >= row.copies)
+      .map(row => row.book_id);
+  }
+
+  async getBookIdsNotHeldAt(branchId) {
+    const held = this._heldAt(branchId);
+    return this.books
+      .filter(b => !held.has(b.book_id))
+      .map(b => b.book_id);
+  }
+
+  // ── Patron Privacy ─────────────────────────────────────────────────────────
+
+  async anonymiseUser(userId) {
+    const user = this.users.find(u => u.user_id === userId);
+    if (!user) return null;
+
+    const loans = this.loans.filter(l => l.user_id === userId);
+    for (const loan of loans) loan.user_id = null;
+    for (const record of this.borrowRecords) {
+      if (record.user_id === userId) record.user_id = null;
+    }
+    this.users        = this.users.filter(u => u.user_id !== userId);
+    this.feedback     = this.feedback.filter(f => f.user_id !== userId);
+    this.preferences  = this.preferences.filter(p => p.user_id !== userId);
+    this.cacheEntries = this.cacheEntries.filter(e => e.user_id !== userId);
+
+    return loans.length;
+  }
+
+  // ── Patron Feedback ────────────────────────────────────────────────────────
+
+  async setFeedback({ userId, bookId, feedback }) {
+    const entry = {
+      user_id   : userId,
+      book_id   : bookId,
+      feedback,
+      created_at: new Date().toISOString().slice(0, 10),
+    };
+    this.feedback = this.feedback
+      .filter(f => !(f.user_id === userId && f.book_id === bookId))
+      .concat(entry);
+    return { ...entry };
+  }
+
+  async deleteFeedback(userId, bookId) {
+    const before  = this.feedback.length;
+    this.feedback = this.feedback.filter(f => !(f.user_id === userId && f.book_id === bookId));
+    return this.feedback.length < before;
+  }
+
+  async getFeedbackForUser(userId) {
+    // Newest first; entries are appended as given, so reverse keeps same-day order
+    return this.feedback
+      .filter(f => f.user_id === userId)
+      .reverse()
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .map(f => ({ ...f }));
+  }
+
+  // ── Onboarding Preferences ─────────────────────────────────────────────────
+
+  async setPreferences({ userId, dewey, authors, books }) {
+    const entry = {
+      user_id   : userId,
+      dewey     : [...dewey],
+      authors   : [...authors],
+      books     : [...books],
+      updated_at: new Date().toISOString().slice(0, 10),
+    };
+    this.preferences = this.preferences
+      .filter(p => p.user_id !== userId)
+      .concat(entry);
+    return this.getPreferences(userId);
+  }
+
+  async getPreferences(userId) {
+    const entry = this.preferences.find(p => p.user_id === userId);
+    return entry
+      ? { ...entry, dewey: [...entry.dewey], authors: [...entry.authors], books: [...entry.books] }
+      : null;
+  }
+
+  async deletePreferences(userId) {
+    const before     = this.preferences.length;
+    this.preferences = this.preferences.filter(p => p.user_id !== userId);
+    return this.preferences.length < before;
+  }
+
+  // ── Precomputed Results ────────────────────────────────────────────────────
+
+  async getCacheVersion() {
+    return this.cacheEntries.reduce((max, e) => Math.max(max, e.version), 0);
+  }
+
+  async saveCacheEntries(version, entries) {
+    const computedAt = new Date().toISOString();
+
+    this.cacheEntries = this.cacheEntries
+      .filter(e => e.version !== version || !entries.some(n => n.userId === e.user_id && n.kind === e.kind))
+      .concat(entries.map(({ userId, kind, payload }) => ({
+        user_id       : userId,
+        kind,
+        version,
+        // Stored as JSON, like the MySQL column, so callers cannot mutate it
+        payload       : JSON.stringify(payload),
+        computed_at   : computedAt,
+        invalidated_at: null,
+      })));
+  }
+
+  async getCacheEntry(userId, kind) {
+    const [entry] = this._cacheEntriesOf(userId).filter(e => e.kind === kind);
+    return entry ?? null;
+  }
+
+  async getCacheEntriesForUser(userId) {
+    return this._cacheEntriesOf(userId);
+  }
+
+  async invalidateCacheEntries(userId) {
+    const now = new Date().toISOString();
+    for (const entry of this.cacheEntries) {
+      if ((userId === undefined || entry.user_id === userId) && entry.invalidated_at === null) {
+        entry.invalidated_at = now;
+      }
+    }
+  }
+
+  async deleteCacheBatchesBefore(version) {
+    const before = this.cacheEntries.length;
+    this.cacheEntries = this.cacheEntries.filter(e => e.version >= version);
+    return before - this.cacheEntries.length;
+  }
+
+  // ── Reading DNA ────────────────────────────────────────────────────────────
+
+  async getDeweyCountsForUser(userId, branchId) {
+    const user = this.users.find(u => u.user_id === userId);
+    if (!user) return [];
+
+    const booksById = this._booksById();
+    const counts    = new Map();
+
+    for (const loan of this._loansAt(branchId)) {
+      if (loan.user_id !== userId) continue;
+      const book = booksById.get(loan.book_id);
+      if (!book) continue;
+      counts.set(book.dewey_decimal, (counts.get(book.dewey_decimal) || 0) + 1);
+    }
+
+    return [...counts]
+      .map(([dewey_decimal, book_count]) => ({ name: user.name, dewey_decimal, book_count }))
+      .sort((a, b) =>
+        b.book_count - a.book_count || a.dewey_decimal.localeCompare(b.dewey_decimal)
+      );
+  }
+
+  async getAuthorCountsForUser(userId, branchId) {
+    const booksById = this._booksById();
+    const counts    = new Map();
+
+    for (const loan of this._loansAt(branchId)) {
+      if (loan.user_id !== userId) continue;
+      const book = booksById.get(loan.book_id);
+      if (!book) continue;
+      counts.set(book.author, (counts.get(book.author) || 0) + 1);
+    }
+
+    return [...counts]
+      .map(([author, book_count]) => ({ author, book_count }))
+      .sort((a, b) => b.book_count - a.book_count || a.author.localeCompare(b.author));
+  }
+
+  // ── Analytics ──────────────────────────────────────────────────────────────
+
+  async getBorrowCounts(window = {}) {
+    const counts = new Map();
+    for (const loan of this.loans) {
+      if (!this._inWindow(loan.borrowed_at, window)) continue;
+      counts.set(loan.book_id, (counts.get(loan.book_id) || 0) + 1);
+    }
+
+    return this.books
+      .map(b => ({ ...this._bookRow(b), borrow_count: counts.get(b.book_id) || 0 }))
+      .sort((a, b) => b.borrow_count - a.borrow_count || compareIds(a.book_id, b.book_id));
+  }
+
+  async getDailyLoanCounts(window = {}) {
+    const counts = new Map();
+    for (const loan of this.loans) {
+      if (!this._inWindow(loan.borrowed_at, window)) continue;
+      counts.set(loan.borrowed_at, (counts.get(loan.borrowed_at) || 0) + 1);
+    }
+
+    return [...counts]
+      .map(([date, loan_count]) => ({ date, loan_count }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  async getUserActivity() {
+    return [...this.users]
+      .sort((a, b) => compareIds(a.user_id, b.user_id))
+      .map(({ user_id, name }) => {
+        const dates = this.loans.filter(l => l.user_id === user_id).map(l => l.borrowed_at).sort();
+        return {
+          user_id,
+          name,
+          loan_count      : dates.length,
+          last_borrowed_at: dates.length ? dates[dates.length - 1] : null,
+        };
+      });
+  }
+
+  // ── Bulk Export ────────────────────────────────────────────────────────────
+
+  async exportDataset() {
+    const byId = key => (a, b) => compareIds(a[key], b[key]);
+    return {
+      books: this.books.map(b => this._bookRow(b)).sort(byId('book_id')),
+      users: this.users.map(({ user_id, name }) => ({ user_id, name })).sort(byId('user_id')),
+      loans: this.loans
+        .filter(l => l.user_id !== null)
+        .map(({ loan_id, user_id, book_id, borrowed_at }) => ({ loan_id, user_id, book_id, borrowed_at }))
+        .sort(byId('loan_id')),
+    };
+  }
+
+  // ── Lifecycle ──────────────────────────────────────────────────────────────
+
+  async ping() {}
+
+  // ── Private helpers ────────────────────────────────────────────────────────
+
+  _booksById() {
+    return new Map(this.books.map(b => [b.book_id, b]));
+  }
+
+  _inWindow(date, { from, to }) {
+    return (!from || date >= from) && (!to || date <= to);
+  }
+
+  _bookRow({ book_id, title, author, dewey_decimal }) {
+    return { book_id, title, author, dewey_decimal };
+  }
+
+  _userRow({ user_id, name, home_branch_id }) {
+    return { user_id, name, home_branch_id };
+  }
+
+  /** Every loan, or only those made at `branchId` when given. */
+  _loansAt(branchId) {
+    return branchId ? this.loans.filter(l => l.branch_id === branchId) : this.loans;
+  }
+
+  /** book_ids with at least one copy at `branchId`. */
+  _heldAt(branchId) {
+    return new Set(this.copies.filter(c => c.branch_id === branchId).map(c => c.book_id));
+  }
+
+  _peerLoanRows(loans) {
+    const returned = new Map(this.borrowRecords.map(r => [r.loan_id, r.return_date]));
+    return loans
+      .map(({ loan_id, user_id, book_id, borrowed_at }) =>
+        ({ user_id, book_id, borrowed_at, return_date: returned.get(loan_id) ?? null }))
+      .sort((a, b) => a.user_id.localeCompare(b.user_id));
+  }
+
+  _loanRecord(loan) {
+    const book   = this.books.find(b => b.book_id === loan.book_id);
+    const record = this.borrowRecords.find(r => r.loan_id === loan.loan_id);
+    return {
+      loan_id    : loan.loan_id,
+      user_id    : loan.user_id,
+      book_id    : loan.book_id,
+      title      : book ? book.title : null,
+      borrowed_at: loan.borrowed_at,
+      return_date: record ? record.return_date : null,
+      copy_id    : record ? record.copy_id ?? null : null,
+      branch_id  : loan.branch_id,
+      status     : record && record.return_date === null ? 'open' : 'returned',
+    };
+  }
+
+  /** Next ID after both the highest in `ids` and the last one handed out. */
+  _nextId(prefix, ids) {
+    const id = nextId(prefix, [...ids, formatId(prefix, this.sequences.get(prefix) ?? 0)]);
+    this.sequences.set(prefix, Number(id.slice(prefix.length)));
+    return id;
+  }
+
+  _cacheEntriesOf(userId) {
+    return this.cacheEntries
+      .filter(e => e.user_id === userId)
+      .sort((a, b) => b.version - a.version || a.kind.localeCompare(b.kind))
+      .map(e => ({ ...e, payload: JSON.parse(e.payload) }));
+  }
+
+  _copiesOf(bookId) {
+    return this.copies
+      .filter(c => c.book_id === bookId)
+      .sort((a, b) => compareIds(a.copy_id, b.copy_id));
+  }
+
+  _availabilityRow(bookId) {
+    const open = this.borrowRecords
+      .filter(r => r.book_id === bookId && r.return_date === null)
+      .map(r => r.borrow_date)
+      .sort();
+    return {
+      book_id           : bookId,
+      copies            : this._copiesOf(bookId).length,
+      on_loan           : open.length,
+      oldest_borrowed_at: open.length ? open[0] : null,
+    };
+  }
+
+  _loanHistory(predicate) {
+    return this.loans
+      .filter(predicate)
+      .sort((a, b) =>
+        b.borrowed_at.localeCompare(a.borrowed_at) || compareIds(b.loan_id, a.loan_id)
+      )
+      .map(l => this._loanRecord(l));
+  }
+
+  /**
+   * Counts loans per book for `books` (only those made at `branchId` when
+   * given) and returns the top `limit`, dropping books that were never
+   * borrowed (the MySQL queries use an inner JOIN).
+   */
+  _rankByBorrowCount(books, limit, branchId) {
+    const counts = new Map();
+    for (const loan of this._loansAt(branchId)) {
+      counts.set(loan.book_id, (counts.get(loan.book_id) || 0) + 1);
+    }
+
+    return books
+      .filter(b => counts.has(b.book_id))
+      .map(b => ({ ...this._bookRow(b), borrow_count: counts.get(b.book_id) }))
+      .sort((a, b) => b.borrow_count - a.borrow_count || a.book_id.localeCompare(b.book_id))
+      .slice(0, limit);
+  }
+}
+
+
+// ── Exports ────────────────────────────────────────────────────────────────────
+
+InMemoryRepository.DEFAULT_DATASET_PATH = DEFAULT_DATASET_PATH;
+
+module.exports = InMemoryRepository;
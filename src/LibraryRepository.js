@@ -0,0 +1,753 @@
+/**
+ * LibraryRepository.js — Storage interface for the Discovery Engine
+ * ──────────────────────────────────────────────────────────────────
+ * DiscoveryService never talks to a database directly; every read goes
+ * through one of the methods below. Concrete backends extend this class:
+ *
+ *   • MySQLRepository    — the production backend (mysql2/promise pool)
+ *   • InMemoryRepository — loads library_dataset.json, no server needed
+ *
+ * Every method is async so both backends share one calling convention.
+ * Methods a backend does not override throw a "not implemented" error.
+ *
+ * A loan created through the API also gets a lifecycle record (the
+ * borrow_records table) holding its return_date. A loan is "open" while
+ * that record has no return_date; seeded loans have no record and count
+ * as returned.
+ *
+ * Branches: users have a home branch, copies are held at a branch and a
+ * loan is made at the branch of the copy lent — each null for records from
+ * before branches existed. Methods taking an optional `branchId` count
+ * only loans made at that branch; without it they are consortium-wide.
+ *
+ * New records get the next "sequential" ID of their prefix. Sequences only
+ * move forward: the ID of a deleted or anonymised record is never handed
+ * out again, so old references to it cannot reach a different record.
+ */
+
+'use strict';
+
+class LibraryRepository {
+  // ── Loans ──────────────────────────────────────────────────────────────────
+
+  /**
+   * Returns the book_ids borrowed by `userId` (may contain duplicates if the
+   * user borrowed the same title twice).
+   *
+   * @param  {string} userId
+   * @returns {Promise<string[]>}
+   */
+  async getUserBookIds(userId) {
+    return this._notImplemented('getUserBookIds');
+  }
+
+  /**
+   * Returns every loan belonging to a user other than `excludeUserId`,
+   * ordered by user_id. Loans of anonymised patrons belong to nobody and
+   * are left out.
+   *
+   * @param  {string} excludeUserId
+   * @param  {string} [branchId]  — only loans made at this branch
+   * @returns {Promise<PeerLoanRow[]>}
+   */
+  async getPeerLoans(excludeUserId, branchId) {
+    return this._notImplemented('getPeerLoans');
+  }
+
+  /**
+   * Returns every loan belonging to one of `userIds`, ordered by user_id.
+   *
+   * @param  {string[]} userIds
+   * @param  {string}   [branchId]  — only loans made at this branch
+   * @returns {Promise<PeerLoanRow[]>}
+   */
+  async getLoansForUsers(userIds, branchId) {
+    return this._notImplemented('getLoansForUsers');
+  }
+
+  /**
+   * Returns the distinct user_ids who have borrowed `bookId` (anonymised
+   * loans left out).
+   *
+   * @param  {string} bookId
+   * @returns {Promise<string[]>}
+   */
+  async getBookBorrowerIds(bookId) {
+    return this._notImplemented('getBookBorrowerIds');
+  }
+
+  /**
+   * Returns every loan of every book that shares at least one borrower with
+   * `bookId` (excluding `bookId` itself), ordered by book_id. These are the
+   * only books whose borrower sets can overlap with `bookId`'s. Anonymised
+   * loans are left out.
+   *
+   * @param  {string} bookId
+   * @returns {Promise<{ book_id: string, user_id: string }[]>}
+   */
+  async getCoBorrowedLoans(bookId) {
+    return this._notImplemented('getCoBorrowedLoans');
+  }
+
+  // ── Books ──────────────────────────────────────────────────────────────────
+
+  /**
+   * Returns metadata for the given book_ids. Unknown ids are skipped.
+   *
+   * @param  {string[]} bookIds
+   * @returns {Promise<BookRow[]>}
+   */
+  async getBooksByIds(bookIds) {
+    return this._notImplemented('getBooksByIds');
+  }
+
+  /**
+   * Returns the most-borrowed books library-wide that pass `filters`.
+   *
+   * @param  {number}      limit
+   * @param  {BookFilters} [filters]   — see bookFilters.js (default: none)
+   * @param  {string}      [branchId]  — count only loans made at this branch
+   * @returns {Promise<PopularBookRow[]>}
+   */
+  async getMostBorrowedBooks(limit, filters, branchId) {
+    return this._notImplemented('getMostBorrowedBooks');
+  }
+
+  /**
+   * Returns the most-borrowed books in the same Dewey section (first three
+   * digits, see dewey.js) as any of `bookIds`, excluding `bookIds`
+   * themselves, that pass `filters`.
+   *
+   * @param  {string[]}    bookIds
+   * @param  {number}      limit
+   * @param  {BookFilters} [filters]   — see bookFilters.js (default: none)
+   * @param  {string}      [branchId]  — count only loans made at this branch
+   * @returns {Promise<PopularBookRow[]>}
+   */
+  async getPopularBooksInSameDewey(bookIds, limit, filters, branchId) {
+    return this._notImplemented('getPopularBooksInSameDewey');
+  }
+
+  /**
+   * Returns the other books by the authors of `bookIds` that pass
+   * `filters`, most-borrowed first — including books never borrowed
+   * (borrow_count 0) — ties by book_id.
+   *
+   * @param  {string[]}    bookIds
+   * @param  {number}      limit
+   * @param  {BookFilters} [filters]   — see bookFilters.js (default: none)
+   * @param  {string}      [branchId]  — count only loans made at this branch
+   * @returns {Promise<PopularBookRow[]>}
+   */
+  async getBooksBySameAuthors(bookIds, limit, filters, branchId) {
+    return this._notImplemented('getBooksBySameAuthors');
+  }
+
+  // ── Users ──────────────────────────────────────────────────────────────────
+
+  /**
+   * @param  {string} userId
+   * @returns {Promise<UserRow|null>}
+   */
+  async getUser(userId) {
+    return this._notImplemented('getUser');
+  }
+
+  // ── Branches ───────────────────────────────────────────────────────────────
+
+  /**
+   * Inserts a branch under the next sequential branch_id ("BR001").
+   *
+   * @param  {{ name: string }} branch
+   * @returns {Promise<BranchRow>}
+   */
+  async createBranch(branch) {
+    return this._notImplemented('createBranch');
+  }
+
+  /**
+   * @param  {string} branchId
+   * @returns {Promise<BranchRow|null>}
+   */
+  async getBranch(branchId) {
+    return this._notImplemented('getBranch');
+  }
+
+  /**
+   * Every branch, ordered by branch_id.
+   *
+   * @returns {Promise<BranchRow[]>}
+   */
+  async listBranches() {
+    return this._notImplemented('listBranches');
+  }
+
+  // ── Loan Lifecycle ─────────────────────────────────────────────────────────
+
+  /**
+   * Atomically finds a copy of `bookId` on the shelf, then records a new
+   * loan (next sequential loan_id) with an open lifecycle record for it.
+   * The loan is made at the branch holding that copy.
+   *
+   * @param  {object} loan
+   * @param  {string} loan.userId
+   * @param  {string} loan.bookId
+   * @param  {string} loan.borrowedAt  — "YYYY-MM-DD"
+   * @param  {string} [loan.branchId]  — lend only a copy held at this branch
+   * @returns {Promise<LoanRecord>}
+   * @throws {ServiceError} CONFLICT when the user already has the book out, every copy
+   *         (at the branch) is checked out, or there is none
+   */
+  async createLoan(loan) {
+    return this._notImplemented('createLoan');
+  }
+
+  /**
+   * @param  {string} loanId
+   * @returns {Promise<LoanRecord|null>}
+   */
+  async getLoan(loanId) {
+    return this._notImplemented('getLoan');
+  }
+
+  /**
+   * Sets the return_date of an open loan.
+   *
+   * @param  {string} loanId
+   * @param  {string} returnDate  — "YYYY-MM-DD"
+   * @returns {Promise<boolean>}  — false if the loan was not open
+   */
+  async returnLoan(loanId, returnDate) {
+    return this._notImplemented('returnLoan');
+  }
+
+  /**
+   * Every loan by `userId`, newest first.
+   *
+   * @param  {string} userId
+   * @returns {Promise<LoanRecord[]>}
+   */
+  async getLoansForUser(userId) {
+    return this._notImplemented('getLoansForUser');
+  }
+
+  /**
+   * Every loan of `bookId`, newest first.
+   *
+   * @param  {string} bookId
+   * @returns {Promise<LoanRecord[]>}
+   */
+  async getLoansForBook(bookId) {
+    return this._notImplemented('getLoansForBook');
+  }
+
+  // ── Catalogue Management ───────────────────────────────────────────────────
+
+  /**
+   * Inserts a book under the next sequential book_id, with `copies` copies
+   * (next sequential copy_ids) held at `branch_id`.
+   *
+   * @param  {{ title: string, author: string, dewey_decimal: string, copies: number, branch_id?: string|null }} book
+   * @returns {Promise<BookRow>}
+   */
+  async createBook(book) {
+    return this._notImplemented('createBook');
+  }
+
+  /**
+   * Applies the given fields to a book.
+   *
+   * @param  {string} bookId
+   * @param  {Partial<{ title: string, author: string, dewey_decimal: string }>} fields
+   * @returns {Promise<BookRow|null>}  — null if the book does not exist
+   */
+  async updateBook(bookId, fields) {
+    return this._notImplemented('updateBook');
+  }
+
+  /**
+   * Deletes a book together with its copies and loans.
+   *
+   * @param  {string} bookId
+   * @returns {Promise<boolean>}  — false if the book did not exist
+   */
+  async deleteBook(bookId) {
+    return this._notImplemented('deleteBook');
+  }
+
+  /**
+   * Filters and pages the catalogue. Text filters are case-insensitive
+   * substring matches; `deweyPrefix` matches the start of dewey_decimal;
+   * `branchId` keeps books with a copy at that branch.
+   *
+   * @param  {BookSearch} search
+   * @returns {Promise<{ total: number, books: BookRow[] }>}
+   */
+  async searchBooks(search) {
+    return this._notImplemented('searchBooks');
+  }
+
+  /**
+   * Inserts a user under the next sequential user_id.
+   *
+   * @param  {{ name: string, home_branch_id?: string|null }} user
+   * @returns {Promise<UserRow>}
+   */
+  async createUser(user) {
+    return this._notImplemented('createUser');
+  }
+
+  /**
+   * @param  {string} userId
+   * @param  {Partial<{ name: string, home_branch_id: string|null }>} fields
+   * @returns {Promise<UserRow|null>}
+   */
+  async updateUser(userId, fields) {
+    return this._notImplemented('updateUser');
+  }
+
+  /**
+   * Deletes a user together with their loans.
+   *
+   * @param  {string} userId
+   * @returns {Promise<boolean>}  — false if the user did not exist
+   */
+  async deleteUser(userId) {
+    return this._notImplemented('deleteUser');
+  }
+
+  /**
+   * Pages through users ordered by user_id, optionally filtered by a
+   * case-insensitive substring of their name and by home branch.
+   *
+   * @param  {{ name?: string, branchId?: string, limit: number, offset: number }} search
+   * @returns {Promise<{ total: number, users: UserRow[] }>}
+   */
+  async listUsers(search) {
+    return this._notImplemented('listUsers');
+  }
+
+  // ── Copies & Availability ──────────────────────────────────────────────────
+
+  /**
+   * The copies of `bookId` by copy_id, each with its open loan if checked out.
+   *
+   * @param  {string} bookId
+   * @returns {Promise<CopyRow[]>}
+   */
+  async getCopies(bookId) {
+    return this._notImplemented('getCopies');
+  }
+
+  /**
+   * Adds a copy of `bookId` under the next sequential copy_id.
+   *
+   * @param  {string} bookId
+   * @param  {string} [branchId]  — branch holding it (default: none)
+   * @returns {Promise<CopyRow>}
+   */
+  async addCopy(bookId, branchId) {
+    return this._notImplemented('addCopy');
+  }
+
+  /**
+   * Withdraws a copy. Its past loans stay, no longer tied to a copy.
+   *
+   * @param  {string} copyId
+   * @returns {Promise<boolean>}  — false if the copy did not exist
+   */
+  async deleteCopy(copyId) {
+    return this._notImplemented('deleteCopy');
+  }
+
+  /**
+   * Copies held and copies on loan for each of `bookIds` (unknown IDs are
+   * skipped).
+   *
+   * @param  {string[]} bookIds
+   * @returns {Promise<AvailabilityRow[]>}
+   */
+  async getAvailability(bookIds) {
+    return this._notImplemented('getAvailability');
+  }
+
+  /**
+   * Every book with no copy on the shelf: all copies on loan, or none held.
+   *
+   * @returns {Promise<string[]>}
+   */
+  async getUnavailableBookIds() {
+    return this._notImplemented('getUnavailableBookIds');
+  }
+
+  /**
+   * Every book with no copy held at `branchId`.
+   *
+   * @param  {string} branchId
+   * @returns {Promise<string[]>}
+   */
+  async getBookIdsNotHeldAt(branchId) {
+    return this._notImplemented('getBookIdsNotHeldAt');
+  }
+
+  // ── Patron Privacy ─────────────────────────────────────────────────────────
+
+  /**
+   * Detaches a user's loan history from them: sets user_id to NULL on
+   * every loan and lifecycle record, then deletes the user (and with it
+   * their feedback and preferences). The loans belong to no patron from
+   * then on, so no per-user query returns them and they cannot be told
+   * apart from any other anonymised patron's; per-book and per-day loan
+   * counts are unchanged.
+   *
+   * @param  {string} userId
+   * @returns {Promise<number|null>}  — loans kept, null if the user did not exist
+   */
+  async anonymiseUser(userId) {
+    return this._notImplemented('anonymiseUser');
+  }
+
+  // ── Patron Feedback ────────────────────────────────────────────────────────
+
+  /**
+   * Records a user's feedback on a book, replacing any earlier feedback
+   * on the same book.
+   *
+   * @param  {object} entry
+   * @param  {string} entry.userId
+   * @param  {string} entry.bookId
+   * @param  {'dismiss'|'like'|'already_read'} entry.feedback
+   * @returns {Promise<FeedbackRow>}
+   */
+  async setFeedback(entry) {
+    return this._notImplemented('setFeedback');
+  }
+
+  /**
+   * @param  {string} userId
+   * @param  {string} bookId
+   * @returns {Promise<boolean>}  — false if there was no feedback to remove
+   */
+  async deleteFeedback(userId, bookId) {
+    return this._notImplemented('deleteFeedback');
+  }
+
+  /**
+   * The user's feedback, newest first.
+   *
+   * @param  {string} userId
+   * @returns {Promise<FeedbackRow[]>}
+   */
+  async getFeedbackForUser(userId) {
+    return this._notImplemented('getFeedbackForUser');
+  }
+
+  // ── Onboarding Preferences ─────────────────────────────────────────────────
+
+  /**
+   * Stores a user's onboarding choices, replacing any earlier ones.
+   *
+   * @param  {object}   entry
+   * @param  {string}   entry.userId
+   * @param  {string[]} entry.dewey    — Dewey prefixes, e.g. "658"
+   * @param  {string[]} entry.authors  — author names
+   * @param  {string[]} entry.books    — book_ids
+   * @returns {Promise<PreferencesRow>}
+   */
+  async setPreferences(entry) {
+    return this._notImplemented('setPreferences');
+  }
+
+  /**
+   * @param  {string} userId
+   * @returns {Promise<PreferencesRow|null>}  — null if the user has made no choices
+   */
+  async getPreferences(userId) {
+    return this._notImplemented('getPreferences');
+  }
+
+  /**
+   * @param  {string} userId
+   * @returns {Promise<boolean>}  — false if there were no preferences to remove
+   */
+  async deletePreferences(userId) {
+    return this._notImplemented('deletePreferences');
+  }
+
+  // ── Precomputed Results ────────────────────────────────────────────────────
+
+  /**
+   * Highest batch number written so far (0 before the first batch).
+   *
+   * @returns {Promise<number>}
+   */
+  async getCacheVersion() {
+    return this._notImplemented('getCacheVersion');
+  }
+
+  /**
+   * Stores results computed by batch `version`. Earlier batches' entries
+   * are kept as history. computed_at is set to now.
+   *
+   * @param  {number} version
+   * @param  {{ userId: string, kind: CacheKind, payload: object }[]} entries
+   */
+  async saveCacheEntries(version, entries) {
+    return this._notImplemented('saveCacheEntries');
+  }
+
+  /**
+   * The user's entry of this kind from the latest batch that computed one.
+   *
+   * @param  {string}    userId
+   * @param  {CacheKind} kind
+   * @returns {Promise<CacheEntry|null>}
+   */
+  async getCacheEntry(userId, kind) {
+    return this._notImplemented('getCacheEntry');
+  }
+
+  /**
+   * Every stored entry for a user, from every batch kept, newest batch first.
+   *
+   * @param  {string} userId
+   * @returns {Promise<CacheEntry[]>}
+   */
+  async getCacheEntriesForUser(userId) {
+    return this._notImplemented('getCacheEntriesForUser');
+  }
+
+  /**
+   * Marks a user's stored entries stale, or everyone's when userId is
+   * omitted. Entries already marked keep their first invalidated_at.
+   *
+   * @param  {string} [userId]
+   */
+  async invalidateCacheEntries(userId) {
+    return this._notImplemented('invalidateCacheEntries');
+  }
+
+  /**
+   * Deletes the entries of every batch numbered below `version`.
+   *
+   * @param  {number} version
+   * @returns {Promise<number>}  — entries deleted
+   */
+  async deleteCacheBatchesBefore(version) {
+    return this._notImplemented('deleteCacheBatchesBefore');
+  }
+
+  // ── Reading DNA ────────────────────────────────────────────────────────────
+
+  /**
+   * Returns the user's loan count per dewey_decimal, most-read first.
+   * Empty when the user is unknown or has no loans.
+   *
+   * @param  {string} userId
+   * @param  {string} [branchId]  — only loans made at this branch
+   * @returns {Promise<{ name: string, dewey_decimal: string, book_count: number }[]>}
+   */
+  async getDeweyCountsForUser(userId, branchId) {
+    return this._notImplemented('getDeweyCountsForUser');
+  }
+
+  /**
+   * Returns the user's loan count per author, most-read first, ties by
+   * author. Empty when the user is unknown or has no loans.
+   *
+   * @param  {string} userId
+   * @param  {string} [branchId]  — only loans made at this branch
+   * @returns {Promise<{ author: string, book_count: number }[]>}
+   */
+  async getAuthorCountsForUser(userId, branchId) {
+    return this._notImplemented('getAuthorCountsForUser');
+  }
+
+  // ── Analytics ──────────────────────────────────────────────────────────────
+
+  /**
+   * Returns every book in the catalogue with its number of loans inside
+   * `window` (0 when it was not borrowed), most-borrowed first, ties by
+   * book_id.
+   *
+   * @param  {DateWindow} [window]
+   * @returns {Promise<PopularBookRow[]>}
+   */
+  async getBorrowCounts(window) {
+    return this._notImplemented('getBorrowCounts');
+  }
+
+  /**
+   * Returns the number of loans per borrowed_at date inside `window`,
+   * oldest first. Dates without loans are omitted.
+   *
+   * @param  {DateWindow} [window]
+   * @returns {Promise<{ date: string, loan_count: number }[]>}
+   */
+  async getDailyLoanCounts(window) {
+    return this._notImplemented('getDailyLoanCounts');
+  }
+
+  /**
+   * Returns every user with their loan count and most recent borrowed_at
+   * (null if they never borrowed), ordered by user_id.
+   *
+   * @returns {Promise<{ user_id: string, name: string, loan_count: number, last_borrowed_at: string|null }[]>}
+   */
+  async getUserActivity() {
+    return this._notImplemented('getUserActivity');
+  }
+
+  // ── Bulk Export ────────────────────────────────────────────────────────────
+
+  /**
+   * Returns the whole catalogue, user list and loan table in the shape of
+   * library_dataset.json, each ordered by ID. Used to replay the data
+   * offline (see src/evaluation.js) and to build the peer index, so
+   * anonymised loans, which belong to no user, are left out.
+   *
+   * @returns {Promise<{ books: BookRow[], users: { user_id: string, name: string }[],
+   *                     loans: { loan_id: string, user_id: string, book_id: string, borrowed_at: string }[] }>}
+   */
+  async exportDataset() {
+    return this._notImplemented('exportDataset');
+  }
+
+  // ── Lifecycle ──────────────────────────────────────────────────────────────
+
+  /** Resolves when the backend is reachable; rejects otherwise. */
+  async ping() {
+    return this._notImplemented('ping');
+  }
+
+  /** Releases any connections held by the backend. */
+  async close() {}
+
+  _notImplemented(method) {
+    throw new Error(`${this.constructor.name}.${method}() is not implemented.`);
+  }
+}
+
+
+// ── Exports ────────────────────────────────────────────────────────────────────
+
+module.exports = LibraryRepository;
+
+
+/**
+ * @typedef {import('./bookFilters').BookFilters} BookFilters
+ */
+
+/**
+ * @typedef {object} BookRow
+ * @property {string} book_id
+ * @property {string} title
+ * @property {string} author
+ * @property {string} dewey_decimal
+ */
+
+/**
+ * @typedef {BookRow & { borrow_count: number }} PopularBookRow
+ */
+
+/**
+ * @typedef {object} UserRow
+ * @property {string}      user_id
+ * @property {string}      name
+ * @property {string|null} home_branch_id
+ */
+
+/**
+ * @typedef {object} BranchRow
+ * @property {string} branch_id  — e.g. "BR001"
+ * @property {string} name
+ */
+
+/**
+ * @typedef {object} BookSearch
+ * @property {string}  [q]            — matches title OR author
+ * @property {string}  [title]
+ * @property {string}  [author]
+ * @property {string}  [deweyPrefix]  — e.g. "658" or "005.1"
+ * @property {string}  [branchId]     — held at this branch
+ * @property {'book_id'|'title'|'author'|'dewey_decimal'} sort
+ * @property {'asc'|'desc'} order
+ * @property {number}  limit
+ * @property {number}  offset
+ */
+
+/**
+ * @typedef {object} DateWindow
+ * @property {string} [from]  — "YYYY-MM-DD", inclusive (default: no lower bound)
+ * @property {string} [to]    — "YYYY-MM-DD", inclusive (default: no upper bound)
+ */
+
+/**
+ * @typedef {object} LoanRecord
+ * @property {string}      loan_id      — e.g. "L051"
+ * @property {string|null} user_id      — null once the patron has been anonymised
+ * @property {string}      book_id
+ * @property {string}      title        — title of the borrowed book
+ * @property {string}      borrowed_at  — "YYYY-MM-DD"
+ * @property {string|null} return_date  — "YYYY-MM-DD", null if open or not recorded
+ * @property {string|null} copy_id      — copy lent out, null for seeded loans
+ * @property {string|null} branch_id    — branch that lent it
+ * @property {'open'|'returned'} status
+ */
+
+/**
+ * @typedef {object} PeerLoanRow
+ * @property {string}      user_id
+ * @property {string}      book_id
+ * @property {string}      borrowed_at  — "YYYY-MM-DD"
+ * @property {string|null} return_date  — "YYYY-MM-DD", null if open or not recorded
+ */
+
+/**
+ * @typedef {object} CopyRow
+ * @property {string}      copy_id      — e.g. "C021"
+ * @property {string}      book_id
+ * @property {string|null} branch_id    — branch holding it
+ * @property {string|null} loan_id      — open loan of this copy, null if on the shelf
+ * @property {string|null} borrowed_at  — "YYYY-MM-DD" of that loan
+ */
+
+/**
+ * @typedef {object} AvailabilityRow
+ * @property {string}      book_id
+ * @property {number}      copies              — copies held
+ * @property {number}      on_loan             — open loans
+ * @property {string|null} oldest_borrowed_at  — "YYYY-MM-DD" of the oldest open loan
+ */
+
+/**
+ * @typedef {object} FeedbackRow
+ * @property {string} user_id
+ * @property {string} book_id
+ * @property {'dismiss'|'like'|'already_read'} feedback
+ * @property {string} created_at  — "YYYY-MM-DD" the feedback was last given
+ */
+
+/**
+ * @typedef {object} PreferencesRow
+ * @property {string}   user_id
+ * @property {string[]} dewey       — favourite Dewey prefixes
+ * @property {string[]} authors     — favourite authors
+ * @property {string[]} books       — seed book_ids; deleted books are not removed
+ * @property {string}   updated_at  — "YYYY-MM-DD" the choices were last made
+ */
+
+/**
+ * @typedef {'recommendations'|'reading_dna'} CacheKind
+ */
+
+/**
+ * @typedef {object} CacheEntry
+ * @property {string}    user_id
+ * @property {CacheKind} kind
+ * @property {number}    version         — batch that computed it
+ * @property {object}    payload
+ * @property {string}    computed_at     — ISO timestamp
+ * @property {string|null} invalidated_at — ISO timestamp the user's loans or feedback changed
+ *                                          since, or a book's details did; null while current
+ */
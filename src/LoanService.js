@@ -0,0 +1,153 @@
+/**
+ * LoanService.js — Check-out, return and loan history
+ * ────────────────────────────────────────────────────
+ * Validates loan requests against the catalogue and records them through
+ * the same LibraryRepository that DiscoveryService reads, so a new loan
+ * feeds the next recommendation straight away — no re-seed needed.
+ *
+ * Expected failures throw ServiceError:
+ *   NOT_FOUND — unknown user, book, branch or loan
+ *   CONFLICT  — book already checked out (at the branch) or already out to this
+ *               user, loan already returned
+ *   INVALID   — malformed, future or out-of-order dates
+ *
+ * Usage:
+ *   const loans = new LoanService(repo);
+ *   const loan  = await loans.checkOut('U001', 'B020');
+ *   await loans.returnLoan(loan.loan_id);
+ */
+
+'use strict';
+
+const { ServiceError } = require('./errors');
+
+/** Loan dates are plain calendar dates, matching the DATE columns. */
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+
+// ── LoanService ────────────────────────────────────────────────────────────────
+
+class LoanService {
+  /**
+   * @param {import('./LibraryRepository')} repo  — storage backend
+   */
+  constructor(repo) {
+    if (!repo) throw new Error('LoanService requires a LibraryRepository instance.');
+    this.repo = repo;
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  /**
+   * Checks a book out to a user. The loan is made at the branch holding
+   * the copy lent.
+   *
+   * @param  {string} userId
+   * @param  {string} bookId
+   * @param  {string} [borrowedAt]  — "YYYY-MM-DD", not after today (default: today)
+   * @param  {string} [branchId]    — lend a copy held at this branch (default: any copy)
+   * @returns {Promise<import('./LibraryRepository').LoanRecord>}
+   */
+  async checkOut(userId, bookId, borrowedAt = LoanService._today(), branchId) {
+    LoanService._assertDate(borrowedAt, 'borrowed_at');
+    if (borrowedAt > LoanService._today()) {
+      throw new ServiceError('INVALID', `borrowed_at ${borrowedAt} is in the future.`);
+    }
+    await this._assertUserExists(userId);
+    await this._assertBookExists(bookId);
+    if (branchId !== undefined) await this._assertBranchExists(branchId);
+
+    return this.repo.createLoan({ userId, bookId, borrowedAt, branchId });
+  }
+
+  /**
+   * Marks an open loan as returned.
+   *
+   * @param  {string} loanId
+   * @param  {string} [returnDate]  — "YYYY-MM-DD" (default: today)
+   * @returns {Promise<import('./LibraryRepository').LoanRecord>}
+   */
+  async returnLoan(loanId, returnDate = LoanService._today()) {
+    LoanService._assertDate(returnDate, 'return_date');
+
+    const loan = await this.repo.getLoan(loanId);
+    if (!loan) {
+      throw new ServiceError('NOT_FOUND', `Loan "${loanId}" not found.`);
+    }
+    if (loan.status !== 'open') {
+      throw new ServiceError('CONFLICT', `Loan "${loanId}" has already been returned.`);
+    }
+    if (returnDate < loan.borrowed_at) {
+      throw new ServiceError(
+        'INVALID',
+        `return_date ${returnDate} is before the loan's borrowed_at ${loan.borrowed_at}.`
+      );
+    }
+
+    // A concurrent return may have closed the loan since we read it
+    if (!(await this.repo.returnLoan(loanId, returnDate))) {
+      throw new ServiceError('CONFLICT', `Loan "${loanId}" has already been returned.`);
+    }
+
+    return this.repo.getLoan(loanId);
+  }
+
+  /**
+   * Every loan by a user, newest first.
+   *
+   * @param  {string} userId
+   * @returns {Promise<import('./LibraryRepository').LoanRecord[]>}
+   */
+  async getUserLoans(userId) {
+    await this._assertUserExists(userId);
+    return this.repo.getLoansForUser(userId);
+  }
+
+  /**
+   * Every loan of a book, newest first.
+   *
+   * @param  {string} bookId
+   * @returns {Promise<import('./LibraryRepository').LoanRecord[]>}
+   */
+  async getBookLoans(bookId) {
+    await this._assertBookExists(bookId);
+    return this.repo.getLoansForBook(bookId);
+  }
+
+  // ── Private: Validation ────────────────────────────────────────────────────
+
+  async _assertUserExists(userId) {
+    if (!(await this.repo.getUser(userId))) {
+      throw new ServiceError('NOT_FOUND', `User "${userId}" not found.`);
+    }
+  }
+
+  async _assertBranchExists(branchId) {
+    if (!(await this.repo.getBranch(branchId))) {
+      throw new ServiceError('NOT_FOUND', `Branch "${branchId}" not found.`);
+    }
+  }
+
+  async _assertBookExists(bookId) {
+    const [book] = await this.repo.getBooksByIds([bookId]);
+    if (!book) {
+      throw new ServiceError('NOT_FOUND', `Book "${bookId}" not found.`);
+    }
+  }
+
+  static _assertDate(value, field) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value) ||
+        Number.isNaN(Date.parse(value))) {
+      throw new ServiceError('INVALID', `${field} must be a date in YYYY-MM-DD format. Got: "${value}"`);
+    }
+  }
+
+  static _today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+}
+
+
+// ── Exports ────────────────────────────────────────────────────────────────────
+
+module.exports = LoanService;
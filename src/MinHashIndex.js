@@ -0,0 +1,268 @@
+/**
+ * MinHashIndex.js — Locality-sensitive index of users' book sets
+ * ────────────────────────────────────────────────────────────────
+ * Lets DiscoveryService find likely peers without scoring every user.
+ *
+ * Each user's book set gets a MinHash signature: for each of `numHashes`
+ * hash functions, the smallest hash of any book in the set. Two users'
+ * signatures agree in any one position with probability equal to their
+ * Jaccard similarity.
+ *
+ * The signature is cut into `bands` bands of `rows` values. Users whose
+ * band values match exactly land in the same bucket; a query returns every
+ * user sharing at least one bucket with it. A pair with similarity s
+ * becomes a candidate with probability
+ *
+ *   1 − (1 − s^rows)^bands
+ *
+ * so more bands / fewer rows raise recall at low similarity at the cost of
+ * larger candidate sets. The defaults (32 bands × 2 rows) find a peer at
+ * s = 0.1 about 28% of the time, at s = 0.3 about 95%, at s = 0.5 > 99.9%.
+ *
+ * Loans are added incrementally (a signature only ever decreases, so an
+ * update touches one user's buckets). Removing a book or user recomputes
+ * the affected signatures.
+ *
+ * Usage:
+ *   const index = new MinHashIndex({ bands: 32, rows: 2 });
+ *   index.addLoan('U001', 'B001', '2025-01-04');
+ *   const peers = index.candidates(['B001', 'B005'], 'U001');   // Set<user_id>
+ */
+
+'use strict';
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+
+/** Default banding: 32 bands × 2 rows = 64 hash functions. */
+const DEFAULT_BANDS = 32;
+const DEFAULT_ROWS  = 2;
+
+/** Signature value of an empty set. */
+const EMPTY_HASH = 0xffffffff;
+
+
+// ── Hashing ────────────────────────────────────────────────────────────────────
+
+/** FNV-1a 32-bit hash of a string. */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash  = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/** MurmurHash3 finaliser: spreads the bits of a 32-bit integer. */
+function mix32(value) {
+  let h = value;
+  h ^= h >>> 16;
+  h  = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h  = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/** Fixed per-hash-function seeds, so signatures are reproducible across runs. */
+function hashSeeds(count) {
+  const seeds = new Uint32Array(count);
+  let state = 0x9e3779b9;
+  for (let i = 0; i < count; i++) {
+    state    = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    seeds[i] = state;
+  }
+  return seeds;
+}
+
+
+// ── MinHashIndex ───────────────────────────────────────────────────────────────
+
+class MinHashIndex {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.bands]  — number of LSH bands (default 32)
+   * @param {number} [opts.rows]   — signature values per band (default 2)
+   */
+  constructor({ bands = DEFAULT_BANDS, rows = DEFAULT_ROWS } = {}) {
+    for (const [name, value] of [['bands', bands], ['rows', rows]]) {
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`MinHashIndex ${name} must be a positive integer. Got: "${value}"`);
+      }
+    }
+
+    this.bands     = bands;
+    this.rows      = rows;
+    this.numHashes = bands * rows;
+    this.seeds     = hashSeeds(this.numHashes);
+
+    /** @type {Map<string, { books: Map<string, string|null>, signature: Uint32Array|null }>} */
+    this.users   = new Map();
+    /** @type {Map<string, Set<string>>[]} one bucket table per band */
+    this.buckets = Array.from({ length: bands }, () => new Map());
+  }
+
+  /** Number of indexed users. */
+  get size() {
+    return this.users.size;
+  }
+
+  // ── Public: Updates ────────────────────────────────────────────────────────
+
+  /**
+   * Records that `userId` borrowed `bookId`. Keeps the latest borrowed_at
+   * per book, for recency weighting.
+   *
+   * @param {string} userId
+   * @param {string} bookId
+   * @param {string} [borrowedAt]  — "YYYY-MM-DD"
+   */
+  addLoan(userId, bookId, borrowedAt) {
+    let entry = this.users.get(userId);
+    if (!entry) {
+      entry = { books: new Map(), signature: null };
+      this.users.set(userId, entry);
+    }
+
+    const previous = entry.books.get(bookId);
+    if (previous === undefined || (borrowedAt && (previous === null || borrowedAt > previous))) {
+      entry.books.set(bookId, borrowedAt ?? null);
+    }
+    if (previous !== undefined) return;   // book already indexed: signature unchanged
+
+    const signature = entry.signature
+      ? Uint32Array.from(entry.signature)
+      : new Uint32Array(this.numHashes).fill(EMPTY_HASH);
+    this._addToSignature(signature, bookId);
+    this._setSignature(userId, entry, signature);
+  }
+
+  /**
+   * Drops a user from the index.
+   *
+   * @param {string} userId
+   */
+  removeUser(userId) {
+    const entry = this.users.get(userId);
+    if (!entry) return;
+
+    this._unbucket(userId, entry.signature);
+    this.users.delete(userId);
+  }
+
+  /**
+   * Drops a book from every user that borrowed it, recomputing their
+   * signatures. Scans all users — deletions are rare.
+   *
+   * @param {string} bookId
+   */
+  removeBook(bookId) {
+    for (const [userId, entry] of [...this.users]) {
+      if (!entry.books.delete(bookId)) continue;
+
+      if (entry.books.size === 0) {
+        this._unbucket(userId, entry.signature);
+        this.users.delete(userId);
+      } else {
+        this._setSignature(userId, entry, this.signature(entry.books.keys()));
+      }
+    }
+  }
+
+  // ── Public: Queries ────────────────────────────────────────────────────────
+
+  /**
+   * MinHash signature of a book set.
+   *
+   * @param  {Iterable<string>} bookIds
+   * @returns {Uint32Array}
+   */
+  signature(bookIds) {
+    const signature = new Uint32Array(this.numHashes).fill(EMPTY_HASH);
+    for (const bookId of bookIds) this._addToSignature(signature, bookId);
+    return signature;
+  }
+
+  /**
+   * Users sharing at least one LSH bucket with `bookIds`.
+   *
+   * @param  {Iterable<string>} bookIds
+   * @param  {string}           [excludeUserId]  — typically the querying user
+   * @returns {Set<string>}
+   */
+  candidates(bookIds, excludeUserId) {
+    const signature = this.signature(bookIds);
+    const found     = new Set();
+
+    for (let band = 0; band < this.bands; band++) {
+      const bucket = this.buckets[band].get(this._bandKey(signature, band));
+      if (!bucket) continue;
+      for (const userId of bucket) found.add(userId);
+    }
+
+    found.delete(excludeUserId);
+    return found;
+  }
+
+  /**
+   * The indexed books of a user: { book_id → latest borrowed_at }.
+   *
+   * @param  {string} userId
+   * @returns {Map<string, string|null>}
+   */
+  books(userId) {
+    const entry = this.users.get(userId);
+    return entry ? entry.books : new Map();
+  }
+
+  // ── Private helpers ────────────────────────────────────────────────────────
+
+  /** Lowers `signature` in place to include `bookId`. */
+  _addToSignature(signature, bookId) {
+    const base = fnv1a(bookId);
+    for (let i = 0; i < this.numHashes; i++) {
+      const h = mix32(base ^ this.seeds[i]);
+      if (h < signature[i]) signature[i] = h;
+    }
+  }
+
+  _bandKey(signature, band) {
+    return signature.subarray(band * this.rows, (band + 1) * this.rows).join(',');
+  }
+
+  /**
+   * Moves a user to the buckets of a new signature, touching only the bands
+   * that changed. `entry.signature` is null for a user not yet bucketed.
+   */
+  _setSignature(userId, entry, signature) {
+    for (let band = 0; band < this.bands; band++) {
+      const before = entry.signature && this._bandKey(entry.signature, band);
+      const after  = this._bandKey(signature, band);
+      if (before === after) continue;
+
+      if (before) this._bucketRemove(band, before, userId);
+      if (!this.buckets[band].has(after)) this.buckets[band].set(after, new Set());
+      this.buckets[band].get(after).add(userId);
+    }
+
+    entry.signature = signature;
+  }
+
+  _unbucket(userId, signature) {
+    for (let band = 0; band < this.bands; band++) {
+      this._bucketRemove(band, this._bandKey(signature, band), userId);
+    }
+  }
+
+  _bucketRemove(band, key, userId) {
+    const bucket = this.buckets[band].get(key);
+    if (!bucket) return;
+    bucket.delete(userId);
+    if (bucket.size === 0) this.buckets[band].delete(key);
+  }
+}
+
+
+// ── Exports ────────────────────────────────────────────────────────────────────
+
+module.exports = MinHashIndex;
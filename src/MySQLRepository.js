@@ -0,0 +1,1065 @@
+/**
+ * MySQLRepository.js — MySQL backend for the Discovery Engine
+ * ────────────────────────────────────────────────────────────
+ * Implements LibraryRepository on top of a mysql2/promise pool using the
+ * tables defined in sql/schema.sql.
+ *
+ * Usage:
+ *   const pool = require('../config/db');
+ *   const repo = new MySQLRepository(pool);
+ */
+
+'use strict';
+
+const LibraryRepository = require('./LibraryRepository');
+const { ServiceError }  = require('./errors');
+const { formatId }      = require('./ids');
+const { NO_FILTERS }    = require('./bookFilters');
+
+/** Editable book columns, and the ones searchBooks() may sort by. */
+const BOOK_COLUMNS      = ['title', 'author', 'dewey_decimal'];
+const BOOK_SORT_COLUMNS = ['book_id', ...BOOK_COLUMNS];
+
+/** Editable user columns. */
+const USER_COLUMNS = ['name', 'home_branch_id'];
+
+/** Escapes LIKE wildcards so user input matches literally. */
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, ch => '\\' + ch);
+}
+
+function contains(text) {
+  return `%${escapeLike(text)}%`;
+}
+
+/**
+ * Translates BookFilters into SQL conditions on the books table `alias`.
+ * Returns an empty list when nothing is filtered. Author comparison is
+ * case-insensitive through the table's _ci collation.
+ *
+ * @returns {{ clauses: string[], params: string[] }}
+ */
+function bookFilterClauses(filters, alias) {
+  const clauses = [];
+  const params  = [];
+  const list    = values => values.map(() => '?').join(', ');
+
+  if (filters.includeDewey.length) {
+    clauses.push(`(${filters.includeDewey.map(() => `${alias}.dewey_decimal LIKE ?`).join(' OR ')})`);
+    params.push(...filters.includeDewey.map(p => escapeLike(p) + '%'));
+  }
+  for (const prefix of filters.excludeDewey) {
+    clauses.push(`${alias}.dewey_decimal NOT LIKE ?`);
+    params.push(escapeLike(prefix) + '%');
+  }
+  if (filters.includeAuthors.length) {
+    clauses.push(`${alias}.author IN (${list(filters.includeAuthors)})`);
+    params.push(...filters.includeAuthors);
+  }
+  if (filters.excludeAuthors.length) {
+    clauses.push(`${alias}.author NOT IN (${list(filters.excludeAuthors)})`);
+    params.push(...filters.excludeAuthors);
+  }
+  if (filters.excludeBookIds.length) {
+    clauses.push(`${alias}.book_id NOT IN (${list(filters.excludeBookIds)})`);
+    params.push(...filters.excludeBookIds);
+  }
+
+  return { clauses, params };
+}
+
+/**
+ * SQL expression for the Dewey section of `alias`.dewey_decimal: its
+ * three-digit integer part ("005.1" → "005"), as deweySection() in dewey.js.
+ *
+ * @returns {string}
+ */
+function deweySectionSql(alias) {
+  return `LPAD(FLOOR(${alias}.dewey_decimal), 3, '0')`;
+}
+
+/**
+ * SQL conditions restricting `column` to a DateWindow; both bounds inclusive.
+ *
+ * @returns {{ clauses: string[], params: string[] }}
+ */
+function windowClauses({ from, to } = {}, column) {
+  const clauses = [];
+  const params  = [];
+
+  if (from) { clauses.push(`${column} >= ?`); params.push(from); }
+  if (to)   { clauses.push(`${column} <= ?`); params.push(to); }
+
+  return { clauses, params };
+}
+
+/**
+ * SQL condition restricting the loans table `alias` to loans made at
+ * `branchId`; none when it is not given.
+ *
+ * @returns {{ clauses: string[], params: string[] }}
+ */
+function branchClauses(branchId, alias) {
+  return branchId
+    ? { clauses: [`${alias}.branch_id = ?`], params: [branchId] }
+    : { clauses: [], params: [] };
+}
+
+/**
+ * A recommendation_cache row as a CacheEntry: payload parsed, timestamps as
+ * ISO strings.
+ *
+ * @returns {import('./LibraryRepository').CacheEntry}
+ */
+function cacheEntryRow(row) {
+  return {
+    ...row,
+    payload       : typeof row.payload === 'string' ? JSON.parse(row.payload) : row.payload,
+    computed_at   : row.computed_at.toISOString(),
+    invalidated_at: row.invalidated_at ? row.invalidated_at.toISOString() : null,
+  };
+}
+
+/** Columns shared by every LoanRecord query (loans l LEFT JOIN borrow_records r, books b). */
+const LOAN_RECORD_COLUMNS = `
+       l.loan_id, l.user_id, l.book_id, b.title,
+       DATE_FORMAT(l.borrowed_at, '%Y-%m-%d') AS borrowed_at,
+       DATE_FORMAT(r.return_date, '%Y-%m-%d') AS return_date,
+       r.copy_id, l.branch_id,
+       CASE WHEN r.record_id IS NOT NULL AND r.return_date IS NULL
+            THEN 'open' ELSE 'returned' END   AS status`;
+
+/** Columns of a PeerLoanRow (loans l LEFT JOIN borrow_records r). */
+const PEER_LOAN_COLUMNS = `
+       l.user_id, l.book_id,
+       DATE_FORMAT(l.borrowed_at, '%Y-%m-%d') AS borrowed_at,
+       DATE_FORMAT(r.return_date, '%Y-%m-%d') AS return_date`;
+
+class MySQLRepository extends LibraryRepository {
+  /**
+   * @param {import('mysql2/promise').Pool} pool  — mysql2 connection pool
+   */
+  constructor(pool) {
+    super();
+    if (!pool) throw new Error('MySQLRepository requires a mysql2 pool instance.');
+    this.pool = pool;
+  }
+
+  // ── Loans ──────────────────────────────────────────────────────────────────
+
+  /**
+   * Hits the composite index (user_id, book_id) — covering scan.
+   */
+  async getUserBookIds(userId) {
+    const [rows] = await this.pool.execute(
+      `SELECT book_id
+         FROM loans
+        WHERE user_id = ?`,
+      [userId]
+    );
+    return rows.map(r => r.book_id);
+  }
+
+  /**
+   * Single query for all peers — avoids N+1 queries. `<>` also drops the
+   * anonymised loans (user_id NULL).
+   */
+  async getPeerLoans(excludeUserId, branchId) {
+    const { clauses, params } = branchClauses(branchId, 'l');
+
+    // ORDER BY user_id lets us stream-group results if needed at scale
+    const [rows] = await this.pool.execute(
+      `SELECT ${PEER_LOAN_COLUMNS}
+         FROM loans l
+         LEFT JOIN borrow_records r ON r.loan_id = l.loan_id
+        WHERE l.user_id <> ?
+          ${clauses.map(c => `AND ${c}`).join('\n          ')}
+        ORDER BY l.user_id`,
+      [excludeUserId, ...params]
+    );
+    return rows;
+  }
+
+  async getLoansForUsers(userIds, branchId) {
+    if (userIds.length === 0) return [];
+
+    const placeholders = userIds.map(() => '?').join(', ');
+    const { clauses, params } = branchClauses(branchId, 'l');
+    const [rows] = await this.pool.execute(
+      `SELECT ${PEER_LOAN_COLUMNS}
+         FROM loans l
+         LEFT JOIN borrow_records r ON r.loan_id = l.loan_id
+        WHERE l.user_id IN (${placeholders})
+          ${clauses.map(c => `AND ${c}`).join('\n          ')}
+        ORDER BY l.user_id`,
+      [...userIds, ...params]
+    );
+    return rows;
+  }
+
+  /**
+   * Hits the composite index (book_id, user_id) — covering scan.
+   */
+  async getBookBorrowerIds(bookId) {
+    const [rows] = await this.pool.execute(
+      `SELECT DISTINCT user_id
+         FROM loans
+        WHERE book_id = ?
+          AND user_id IS NOT NULL`,
+      [bookId]
+    );
+    return rows.map(r => r.user_id);
+  }
+
+  async getCoBorrowedLoans(bookId) {
+    const [rows] = await this.pool.execute(
+      `SELECT l.book_id, l.user_id
+         FROM loans l
+        WHERE l.book_id IN (
+                SELECT DISTINCT co.book_id
+                  FROM loans src
+                  JOIN loans co ON co.user_id = src.user_id
+                 WHERE src.book_id = ?
+                   AND co.book_id <> src.book_id
+              )
+          AND l.user_id IS NOT NULL
+        ORDER BY l.book_id`,
+      [bookId]
+    );
+    return rows;
+  }
+
+  // ── Books ──────────────────────────────────────────────────────────────────
+
+  async getBooksByIds(bookIds) {
+    if (bookIds.length === 0) return [];
+
+    const placeholders = bookIds.map(() => '?').join(', ');
+    const [rows] = await this.pool.execute(
+      `SELECT book_id, title, author, dewey_decimal
+         FROM books
+        WHERE book_id IN (${placeholders})`,
+      bookIds
+    );
+    return rows;
+  }
+
+  async getMostBorrowedBooks(limit, filters = NO_FILTERS, branchId) {
+    const books   = bookFilterClauses(filters, 'b');
+    const loans   = branchClauses(branchId, 'l');
+    const clauses = [...books.clauses, ...loans.clauses];
+    const params  = [...books.params, ...loans.params];
+    const where   = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const [rows] = await this.pool.execute(
+      `SELECT b.book_id, b.title, b.author, b.dewey_decimal,
+              COUNT(l.loan_id) AS borrow_count
+         FROM books b
+         JOIN loans l ON l.book_id = b.book_id
+         ${where}
+        GROUP BY b.book_id
+        ORDER BY borrow_count DESC
+        LIMIT ?`,
+      [...params, limit]
+    );
+    return rows;
+  }
+
+  async getPopularBooksInSameDewey(bookIds, limit, filters = NO_FILTERS, branchId) {
+    if (bookIds.length === 0) return [];
+
+    const placeholders = bookIds.map(() => '?').join(', ');
+    const books   = bookFilterClauses(filters, 'b2');
+    const loans   = branchClauses(branchId, 'l');
+    const clauses = [...books.clauses, ...loans.clauses];
+    const params  = [...books.params, ...loans.params];
+
+    // IN (subquery) avoids counting a b2 loan once per matching b1
+    const [rows] = await this.pool.execute(
+      `SELECT b2.book_id, b2.title, b2.author, b2.dewey_decimal,
+              COUNT(l.loan_id) AS borrow_count
+         FROM books b2
+         JOIN loans l ON l.book_id = b2.book_id
+        WHERE ${deweySectionSql('b2')} IN (
+                SELECT ${deweySectionSql('b1')}
+                  FROM books b1
+                 WHERE b1.book_id IN (${placeholders})
+              )
+          AND b2.book_id NOT IN (${placeholders})
+          ${clauses.map(c => `AND ${c}`).join('\n          ')}
+        GROUP BY b2.book_id
+        ORDER BY borrow_count DESC
+        LIMIT ?`,
+      [...bookIds, ...bookIds, ...params, limit]
+    );
+    return rows;
+  }
+
+  async getBooksBySameAuthors(bookIds, limit, filters = NO_FILTERS, branchId) {
+    if (bookIds.length === 0) return [];
+
+    const placeholders = bookIds.map(() => '?').join(', ');
+    const { clauses, params } = bookFilterClauses(filters, 'b2');
+
+    // The branch condition goes in the ON clause so unborrowed books keep a 0 row
+    const loans = branchClauses(branchId, 'l');
+    const on    = ['l.book_id = b2.book_id', ...loans.clauses].join(' AND ');
+
+    const [rows] = await this.pool.execute(
+      `SELECT b2.book_id, b2.title, b2.author, b2.dewey_decimal,
+              COUNT(l.loan_id) AS borrow_count
+         FROM books b2
+         LEFT JOIN loans l ON ${on}
+        WHERE b2.author IN (
+                SELECT DISTINCT b1.author
+                  FROM books b1
+                 WHERE b1.book_id IN (${placeholders})
+              )
+          AND b2.book_id NOT IN (${placeholders})
+          ${clauses.map(c => `AND ${c}`).join('\n          ')}
+        GROUP BY b2.book_id
+        ORDER BY borrow_count DESC, LENGTH(b2.book_id), b2.book_id
+        LIMIT ?`,
+      [...loans.params, ...bookIds, ...bookIds, ...params, limit]
+    );
+    return rows.map(r => ({ ...r, borrow_count: Number(r.borrow_count) }));
+  }
+
+  // ── Users ──────────────────────────────────────────────────────────────────
+
+  async getUser(userId) {
+    const [rows] = await this.pool.execute(
+      `SELECT user_id, name, home_branch_id
+         FROM users
+        WHERE user_id = ?`,
+      [userId]
+    );
+    return rows[0] ?? null;
+  }
+
+  // ── Branches ───────────────────────────────────────────────────────────────
+
+  async createBranch({ name }) {
+    const branchId = await this._transaction(async conn => {
+      const id = await this._nextId(conn, 'branches', 'branch_id', 'BR');
+      await conn.execute(
+        `INSERT INTO branches (branch_id, name) VALUES (?, ?)`,
+        [id, name]
+      );
+      return id;
+    });
+
+    return this.getBranch(branchId);
+  }
+
+  async getBranch(branchId) {
+    const [rows] = await this.pool.execute(
+      `SELECT branch_id, name
+         FROM branches
+        WHERE branch_id = ?`,
+      [branchId]
+    );
+    return rows[0] ?? null;
+  }
+
+  async listBranches() {
+    const [rows] = await this.pool.execute(
+      `SELECT branch_id, name
+         FROM branches
+        ORDER BY LENGTH(branch_id), branch_id`
+    );
+    return rows;
+  }
+
+  // ── Loan Lifecycle ─────────────────────────────────────────────────────────
+
+  /**
+   * Runs in a transaction: the copy and open-loan reads lock the book's
+   * copies and lifecycle rows, and the MAX(loan_id) read locks loans, so
+   * two concurrent check-outs cannot take the same copy, nor give the same
+   * user a second copy.
+   */
+  async createLoan({ userId, bookId, borrowedAt, branchId }) {
+    const loanId = await this._transaction(async conn => {
+      const [allCopies] = await conn.execute(
+        `SELECT copy_id, branch_id
+           FROM book_copies
+          WHERE book_id = ?
+          ORDER BY LENGTH(copy_id), copy_id
+          FOR UPDATE`,
+        [bookId]
+      );
+      const [allOpen] = await conn.execute(
+        `SELECT loan_id, user_id, copy_id
+           FROM borrow_records
+          WHERE book_id = ?
+            AND return_date IS NULL
+          FOR UPDATE`,
+        [bookId]
+      );
+      const mine = allOpen.find(r => r.user_id === userId);
+      if (mine) {
+        throw new ServiceError('CONFLICT', `User "${userId}" already has book "${bookId}" on loan (${mine.loan_id}).`);
+      }
+
+      const copies = allCopies.filter(c => !branchId || c.branch_id === branchId);
+      const held   = new Set(copies.map(c => c.copy_id));
+      const open   = allOpen.filter(r => !branchId || held.has(r.copy_id));
+      const taken  = new Set(open.map(r => r.copy_id));
+      const copy   = open.length < copies.length ? copies.find(c => !taken.has(c.copy_id)) : undefined;
+      if (!copy) {
+        const where = branchId ? ` at branch "${branchId}"` : '';
+        throw new ServiceError('CONFLICT', copies.length === 0
+          ? `Book "${bookId}" has no copies to lend${where}.`
+          : `Book "${bookId}" is already checked out${where} (loan${open.length > 1 ? 's' : ''} ${open.map(r => r.loan_id).join(', ')}).`
+        );
+      }
+
+      const id = await this._nextId(conn, 'loans', 'loan_id', 'L');
+
+      await conn.execute(
+        `INSERT INTO loans (loan_id, user_id, book_id, borrowed_at, branch_id)
+         VALUES (?, ?, ?, ?, ?)`,
+        [id, userId, bookId, borrowedAt, copy.branch_id]
+      );
+      await conn.execute(
+        `INSERT INTO borrow_records (loan_id, user_id, book_id, copy_id, borrow_date)
+         VALUES (?, ?, ?, ?, ?)`,
+        [id, userId, bookId, copy.copy_id, borrowedAt]
+      );
+
+      return id;
+    });
+
+    return this.getLoan(loanId);
+  }
+
+  async getLoan(loanId) {
+    const [rows] = await this.pool.execute(
+      `SELECT ${LOAN_RECORD_COLUMNS}
+         FROM loans l
+         JOIN books b ON b.book_id = l.book_id
+         LEFT JOIN borrow_records r ON r.loan_id = l.loan_id
+        WHERE l.loan_id = ?`,
+      [loanId]
+    );
+    return rows[0] ?? null;
+  }
+
+  async returnLoan(loanId, returnDate) {
+    const [result] = await this.pool.execute(
+      `UPDATE borrow_records
+          SET return_date = ?
+        WHERE loan_id = ?
+          AND return_date IS NULL`,
+      [returnDate, loanId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  async getLoansForUser(userId) {
+    const [rows] = await this.pool.execute(
+      `SELECT ${LOAN_RECORD_COLUMNS}
+         FROM loans l
+         JOIN books b ON b.book_id = l.book_id
+         LEFT JOIN borrow_records r ON r.loan_id = l.loan_id
+        WHERE l.user_id = ?
+        ORDER BY l.borrowed_at DESC, l.loan_id DESC`,
+      [userId]
+    );
+    return rows;
+  }
+
+  async getLoansForBook(bookId) {
+    const [rows] = await this.pool.execute(
+      `SELECT ${LOAN_RECORD_COLUMNS}
+         FROM loans l
+         JOIN books b ON b.book_id = l.book_id
+         LEFT JOIN borrow_records r ON r.loan_id = l.loan_id
+        WHERE l.book_id = ?
+        ORDER BY l.borrowed_at DESC, l.loan_id DESC`,
+      [bookId]
+    );
+    return rows;
+  }
+
+  // ── Catalogue Management ───────────────────────────────────────────────────
+
+  async createBook({ title, author, dewey_decimal, copies = 1, branch_id = null }) {
+    const bookId = await this._transaction(async conn => {
+      const id = await this._nextId(conn, 'books', 'book_id', 'B');
+      await conn.execute(
+        `INSERT INTO books (book_id, title, author, dewey_decimal)
+         VALUES (?, ?, ?, ?)`,
+        [id, title, author, dewey_decimal]
+      );
+      for (let i = 0; i < copies; i++) await this._insertCopy(conn, id, branch_id);
+      return id;
+    });
+
+    const [book] = await this.getBooksByIds([bookId]);
+    return book;
+  }
+
+  async updateBook(bookId, fields) {
+    const columns = Object.keys(fields).filter(c => BOOK_COLUMNS.includes(c));
+
+    if (columns.length > 0) {
+      await this.pool.execute(
+        `UPDATE books
+            SET ${columns.map(c => `\`${c}\` = ?`).join(', ')}
+          WHERE book_id = ?`,
+        [...columns.map(c => fields[c]), bookId]
+      );
+    }
+
+    const [book] = await this.getBooksByIds([bookId]);
+    return book ?? null;
+  }
+
+  /**
+   * Copies, loans and lifecycle records go with it via ON DELETE CASCADE.
+   */
+  async deleteBook(bookId) {
+    const [result] = await this.pool.execute(
+      `DELETE FROM books WHERE book_id = ?`,
+      [bookId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  async searchBooks({ q, title, author, deweyPrefix, branchId, sort, order, limit, offset }) {
+    const clauses = [];
+    const params  = [];
+
+    if (q) {
+      clauses.push('(title LIKE ? OR author LIKE ?)');
+      params.push(contains(q), contains(q));
+    }
+    if (title) {
+      clauses.push('title LIKE ?');
+      params.push(contains(title));
+    }
+    if (author) {
+      clauses.push('author LIKE ?');
+      params.push(contains(author));
+    }
+    if (deweyPrefix) {
+      clauses.push('dewey_decimal LIKE ?');
+      params.push(escapeLike(deweyPrefix) + '%');
+    }
+    if (branchId) {
+      clauses.push('book_id IN (SELECT c.book_id FROM book_copies c WHERE c.branch_id = ?)');
+      params.push(branchId);
+    }
+
+    const where     = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+    const sortBy    = BOOK_SORT_COLUMNS.includes(sort) ? sort : 'book_id';
+    const direction = order === 'desc' ? 'DESC' : 'ASC';
+
+    // Length first so "B1000" sorts after "B999"
+    const idOrder = `LENGTH(book_id) ${direction}, book_id ${direction}`;
+    const orderBy = sortBy === 'book_id' ? idOrder : `\`${sortBy}\` ${direction}, ${idOrder}`;
+
+    const [[{ total }]] = await this.pool.execute(
+      `SELECT COUNT(*) AS total FROM books ${where}`,
+      params
+    );
+    const [books] = await this.pool.execute(
+      `SELECT book_id, title, author, dewey_decimal
+         FROM books
+         ${where}
+        ORDER BY ${orderBy}
+        LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { total: Number(total), books };
+  }
+
+  async createUser({ name, home_branch_id = null }) {
+    const userId = await this._transaction(async conn => {
+      const id = await this._nextId(conn, 'users', 'user_id', 'U');
+      await conn.execute(
+        `INSERT INTO users (user_id, name, home_branch_id) VALUES (?, ?, ?)`,
+        [id, name, home_branch_id]
+      );
+      return id;
+    });
+
+    return this.getUser(userId);
+  }
+
+  async updateUser(userId, fields) {
+    const columns = Object.keys(fields).filter(c => USER_COLUMNS.includes(c) && fields[c] !== undefined);
+
+    if (columns.length > 0) {
+      await this.pool.execute(
+        `UPDATE users
+            SET ${columns.map(c => `\`${c}\` = ?`).join(', ')}
+          WHERE user_id = ?`,
+        [...columns.map(c => fields[c]), userId]
+      );
+    }
+    return this.getUser(userId);
+  }
+
+  /**
+   * Loans and lifecycle records go with it via ON DELETE CASCADE.
+   */
+  async deleteUser(userId) {
+    const [result] = await this.pool.execute(
+      `DELETE FROM users WHERE user_id = ?`,
+      [userId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  async listUsers({ name, branchId, limit, offset }) {
+    const clauses = [];
+    const params  = [];
+
+    if (name) {
+      clauses.push('name LIKE ?');
+      params.push(contains(name));
+    }
+    if (branchId) {
+      clauses.push('home_branch_id = ?');
+      params.push(branchId);
+    }
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const [[{ total }]] = await this.pool.execute(
+      `SELECT COUNT(*) AS total FROM users ${where}`,
+      params
+    );
+    const [users] = await this.pool.execute(
+      `SELECT user_id, name, home_branch_id
+         FROM users
+         ${where}
+        ORDER BY LENGTH(user_id), user_id
+        LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { total: Number(total), users };
+  }
+
+  // ── Copies & Availability ──────────────────────────────────────────────────
+
+  async getCopies(bookId) {
+    const [rows] = await this.pool.execute(
+      `SELECT c.copy_id, c.book_id, c.branch_id, r.loan_id,
+              DATE_FORMAT(r.borrow_date, '%Y-%m-%d') AS borrowed_at
+         FROM book_copies c
+         LEFT JOIN borrow_records r
+           ON r.copy_id = c.copy_id AND r.return_date IS NULL
+        WHERE c.book_id = ?
+        ORDER BY LENGTH(c.copy_id), c.copy_id`,
+      [bookId]
+    );
+    return rows;
+  }
+
+  async addCopy(bookId, branchId = null) {
+    const copyId = await this._transaction(conn => this._insertCopy(conn, bookId, branchId));
+    return { copy_id: copyId, book_id: bookId, branch_id: branchId, loan_id: null, borrowed_at: null };
+  }
+
+  /**
+   * Lifecycle records keep their loan; copy_id is cleared via ON DELETE SET NULL.
+   */
+  async deleteCopy(copyId) {
+    const [result] = await this.pool.execute(
+      `DELETE FROM book_copies WHERE copy_id = ?`,
+      [copyId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  async getAvailability(bookIds) {
+    if (bookIds.length === 0) return [];
+
+    const placeholders = bookIds.map(() => '?').join(', ');
+    const [rows] = await this.pool.execute(
+      `SELECT b.book_id,
+              (SELECT COUNT(*) FROM book_copies c WHERE c.book_id = b.book_id) AS copies,
+              COUNT(r.record_id)                                               AS on_loan,
+              DATE_FORMAT(MIN(r.borrow_date), '%Y-%m-%d')                      AS oldest_borrowed_at
+         FROM books b
+         LEFT JOIN borrow_records r
+           ON r.book_id = b.book_id AND r.return_date IS NULL
+        WHERE b.book_id IN (${placeholders})
+        GROUP BY b.book_id`,
+      bookIds
+    );
+    return rows.map(r => ({ ...r, copies: Number(r.copies), on_loan: Number(r.on_loan) }));
+  }
+
+  async getUnavailableBookIds() {
+    const [rows] = await this.pool.execute(
+      `SELECT b.book_id
+         FROM books b
+        WHERE (SELECT COUNT(*) FROM borrow_records r
+                WHERE r.book_id = b.book_id AND r.return_date IS NULL)
+           >= (SELECT COUNT(*) FROM book_copies c WHERE c.book_id = b.book_id)`
+    );
+    return rows.map(r => r.book_id);
+  }
+
+  /**
+   * Anti-join on the (branch_id, book_id) index.
+   */
+  async getBookIdsNotHeldAt(branchId) {
+    const [rows] = await this.pool.execute(
+      `SELECT b.book_id
+         FROM books b
+        WHERE NOT EXISTS (
+                SELECT 1 FROM book_copies c
+                 WHERE c.branch_id = ? AND c.book_id = b.book_id
+              )`,
+      [branchId]
+    );
+    return rows.map(r => r.book_id);
+  }
+
+  // ── Patron Privacy ─────────────────────────────────────────────────────────
+
+  async anonymiseUser(userId) {
+    return this._transaction(async conn => {
+      const [found] = await conn.execute(
+        `SELECT user_id FROM users WHERE user_id = ? FOR UPDATE`,
+        [userId]
+      );
+      if (found.length === 0) return null;
+
+      const [loans] = await conn.execute(`UPDATE loans SET user_id = NULL WHERE user_id = ?`, [userId]);
+      await conn.execute(`UPDATE borrow_records SET user_id = NULL WHERE user_id = ?`, [userId]);
+      await conn.execute(`DELETE FROM users WHERE user_id = ?`, [userId]);
+      return loans.affectedRows;
+    });
+  }
+
+  // ── Patron Feedback ────────────────────────────────────────────────────────
+
+  async setFeedback({ userId, bookId, feedback }) {
+    await this.pool.execute(
+      `INSERT INTO patron_feedback (user_id, book_id, feedback)
+       VALUES (?, ?, ?)
+       ON DUPLICATE KEY UPDATE feedback = VALUES(feedback), created_at = CURRENT_TIMESTAMP`,
+      [userId, bookId, feedback]
+    );
+    const [rows] = await this.pool.execute(
+      `SELECT user_id, book_id, feedback, DATE_FORMAT(created_at, '%Y-%m-%d') AS created_at
+         FROM patron_feedback
+        WHERE user_id = ? AND book_id = ?`,
+      [userId, bookId]
+    );
+    return rows[0];
+  }
+
+  async deleteFeedback(userId, bookId) {
+    const [result] = await this.pool.execute(
+      `DELETE FROM patron_feedback WHERE user_id = ? AND book_id = ?`,
+      [userId, bookId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  async getFeedbackForUser(userId) {
+    const [rows] = await this.pool.execute(
+      `SELECT user_id, book_id, feedback, DATE_FORMAT(created_at, '%Y-%m-%d') AS created_at
+         FROM patron_feedback
+        WHERE user_id = ?
+        ORDER BY patron_feedback.created_at DESC, LENGTH(book_id), book_id`,
+      [userId]
+    );
+    return rows;
+  }
+
+  // ── Onboarding Preferences ─────────────────────────────────────────────────
+
+  async setPreferences({ userId, dewey, authors, books }) {
+    await this.pool.execute(
+      `INSERT INTO patron_preferences (user_id, dewey, authors, books)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE dewey      = VALUES(dewey),
+                               authors    = VALUES(authors),
+                               books      = VALUES(books),
+                               updated_at = CURRENT_TIMESTAMP`,
+      [userId, JSON.stringify(dewey), JSON.stringify(authors), JSON.stringify(books)]
+    );
+    return this.getPreferences(userId);
+  }
+
+  async getPreferences(userId) {
+    const [rows] = await this.pool.execute(
+      `SELECT user_id, dewey, authors, books, DATE_FORMAT(updated_at, '%Y-%m-%d') AS updated_at
+         FROM patron_preferences
+        WHERE user_id = ?`,
+      [userId]
+    );
+    if (rows.length === 0) return null;
+
+    const row  = rows[0];
+    const list = value => typeof value === 'string' ? JSON.parse(value) : value;
+    return { ...row, dewey: list(row.dewey), authors: list(row.authors), books: list(row.books) };
+  }
+
+  async deletePreferences(userId) {
+    const [result] = await this.pool.execute(
+      `DELETE FROM patron_preferences WHERE user_id = ?`,
+      [userId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // ── Precomputed Results ────────────────────────────────────────────────────
+
+  async getCacheVersion() {
+    const [rows] = await this.pool.execute(
+      `SELECT COALESCE(MAX(version), 0) AS version FROM recommendation_cache`
+    );
+    return Number(rows[0].version);
+  }
+
+  async saveCacheEntries(version, entries) {
+    if (entries.length === 0) return;
+
+    // mysql2 writes and reads DATETIME in the connection's time zone, so
+    // a JS Date round-trips unchanged
+    const computedAt = new Date();
+    await this.pool.execute(
+      `INSERT INTO recommendation_cache (user_id, kind, version, payload, computed_at)
+       VALUES ${entries.map(() => '(?, ?, ?, ?, ?)').join(', ')}
+       ON DUPLICATE KEY UPDATE payload        = VALUES(payload),
+                               computed_at    = VALUES(computed_at),
+                               invalidated_at = NULL`,
+      entries.flatMap(e => [e.userId, e.kind, version, JSON.stringify(e.payload), computedAt])
+    );
+  }
+
+  async getCacheEntry(userId, kind) {
+    const [rows] = await this.pool.execute(
+      `SELECT user_id, kind, version, payload, computed_at, invalidated_at
+         FROM recommendation_cache
+        WHERE user_id = ? AND kind = ?
+        ORDER BY version DESC
+        LIMIT 1`,
+      [userId, kind]
+    );
+    return rows.length > 0 ? cacheEntryRow(rows[0]) : null;
+  }
+
+  async getCacheEntriesForUser(userId) {
+    const [rows] = await this.pool.execute(
+      `SELECT user_id, kind, version, payload, computed_at, invalidated_at
+         FROM recommendation_cache
+        WHERE user_id = ?
+        ORDER BY version DESC, kind`,
+      [userId]
+    );
+    return rows.map(cacheEntryRow);
+  }
+
+  async invalidateCacheEntries(userId) {
+    const now = new Date();
+    if (userId === undefined) {
+      await this.pool.execute(
+        `UPDATE recommendation_cache SET invalidated_at = ? WHERE invalidated_at IS NULL`,
+        [now]
+      );
+    } else {
+      await this.pool.execute(
+        `UPDATE recommendation_cache SET invalidated_at = ? WHERE user_id = ? AND invalidated_at IS NULL`,
+        [now, userId]
+      );
+    }
+  }
+
+  async deleteCacheBatchesBefore(version) {
+    const [result] = await this.pool.execute(
+      `DELETE FROM recommendation_cache WHERE version < ?`,
+      [version]
+    );
+    return result.affectedRows;
+  }
+
+  // ── Reading DNA ────────────────────────────────────────────────────────────
+
+  async getDeweyCountsForUser(userId, branchId) {
+    const { clauses, params } = branchClauses(branchId, 'l');
+    const [rows] = await this.pool.execute(
+      `SELECT u.name,
+              b.dewey_decimal,
+              COUNT(*) AS book_count
+         FROM users u
+         JOIN loans  l ON l.user_id = u.user_id
+         JOIN books  b ON b.book_id = l.book_id
+        WHERE u.user_id = ?
+          ${clauses.map(c => `AND ${c}`).join('\n          ')}
+        GROUP BY b.dewey_decimal
+        ORDER BY book_count DESC`,
+      [userId, ...params]
+    );
+    return rows;
+  }
+
+  async getAuthorCountsForUser(userId, branchId) {
+    const { clauses, params } = branchClauses(branchId, 'l');
+    const [rows] = await this.pool.execute(
+      `SELECT b.author,
+              COUNT(*) AS book_count
+         FROM loans l
+         JOIN books b ON b.book_id = l.book_id
+        WHERE l.user_id = ?
+          ${clauses.map(c => `AND ${c}`).join('\n          ')}
+        GROUP BY b.author
+        ORDER BY book_count DESC, b.author`,
+      [userId, ...params]
+    );
+    return rows.map(r => ({ ...r, book_count: Number(r.book_count) }));
+  }
+
+  // ── Analytics ──────────────────────────────────────────────────────────────
+
+  async getBorrowCounts(window) {
+    // Window conditions go in the ON clause so unborrowed books keep a 0 row
+    const { clauses, params } = windowClauses(window, 'l.borrowed_at');
+    const on = ['l.book_id = b.book_id', ...clauses].join(' AND ');
+
+    const [rows] = await this.pool.execute(
+      `SELECT b.book_id, b.title, b.author, b.dewey_decimal,
+              COUNT(l.loan_id) AS borrow_count
+         FROM books b
+         LEFT JOIN loans l ON ${on}
+        GROUP BY b.book_id
+        ORDER BY borrow_count DESC, LENGTH(b.book_id), b.book_id`,
+      params
+    );
+    return rows.map(r => ({ ...r, borrow_count: Number(r.borrow_count) }));
+  }
+
+  async getDailyLoanCounts(window) {
+    const { clauses, params } = windowClauses(window, 'borrowed_at');
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const [rows] = await this.pool.execute(
+      `SELECT DATE_FORMAT(borrowed_at, '%Y-%m-%d') AS date,
+              COUNT(*)                             AS loan_count
+         FROM loans
+         ${where}
+        GROUP BY borrowed_at
+        ORDER BY borrowed_at`,
+      params
+    );
+    return rows.map(r => ({ date: r.date, loan_count: Number(r.loan_count) }));
+  }
+
+  async getUserActivity() {
+    const [rows] = await this.pool.execute(
+      `SELECT u.user_id, u.name,
+              COUNT(l.loan_id)                                 AS loan_count,
+              DATE_FORMAT(MAX(l.borrowed_at), '%Y-%m-%d')      AS last_borrowed_at
+         FROM users u
+         LEFT JOIN loans l ON l.user_id = u.user_id
+        GROUP BY u.user_id
+        ORDER BY LENGTH(u.user_id), u.user_id`
+    );
+    return rows.map(r => ({ ...r, loan_count: Number(r.loan_count) }));
+  }
+
+  // ── Bulk Export ────────────────────────────────────────────────────────────
+
+  async exportDataset() {
+    const [books] = await this.pool.execute(
+      `SELECT book_id, title, author, dewey_decimal
+         FROM books
+        ORDER BY LENGTH(book_id), book_id`
+    );
+    const [users] = await this.pool.execute(
+      `SELECT user_id, name
+         FROM users
+        ORDER BY LENGTH(user_id), user_id`
+    );
+    const [loans] = await this.pool.execute(
+      `SELECT loan_id, user_id, book_id,
+              DATE_FORMAT(borrowed_at, '%Y-%m-%d') AS borrowed_at
+         FROM loans
+        WHERE user_id IS NOT NULL
+        ORDER BY LENGTH(loan_id), loan_id`
+    );
+    return { books, users, loans };
+  }
+
+  // ── Lifecycle ──────────────────────────────────────────────────────────────
+
+  async ping() {
+    await this.pool.execute('SELECT 1');
+  }
+
+  async close() {
+    await this.pool.end();
+  }
+
+  // ── Private helpers ────────────────────────────────────────────────────────
+
+  /**
+   * Runs `fn(conn)` inside a transaction on a dedicated connection and
+   * returns its result. Rolls back if `fn` throws.
+   */
+  async _transaction(fn) {
+    const conn = await this.pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      const result = await fn(conn);
+      await conn.commit();
+      return result;
+    } catch (err) {
+      await conn.rollback();
+      throw err;
+    } finally {
+      conn.release();
+    }
+  }
+
+  /** Inserts a copy of `bookId` held at `branchId` under the next copy_id; returns the ID. */
+  async _insertCopy(conn, bookId, branchId = null) {
+    const id = await this._nextId(conn, 'book_copies', 'copy_id', 'C');
+    await conn.execute(
+      `INSERT INTO book_copies (copy_id, book_id, branch_id) VALUES (?, ?, ?)`,
+      [id, bookId, branchId]
+    );
+    return id;
+  }
+
+  /**
+   * Next ID for `prefix` from id_sequences, never one handed out before
+   * (see schema.sql). Must run inside _transaction(): the sequence row stays
+   * locked until commit, so concurrent inserts cannot pick the same ID.
+   */
+  async _nextId(conn, table, column, prefix) {
+    const [result] = await conn.execute(
+      `UPDATE id_sequences SET last_value = LAST_INSERT_ID(last_value + 1) WHERE prefix = ?`,
+      [prefix]
+    );
+    if (result.affectedRows === 0) {
+      // First ID since the sequence was added: start past every ID in use.
+      // A concurrent first caller's row is incremented instead
+      await conn.execute(
+        `INSERT INTO id_sequences (prefix, last_value)
+         SELECT ?, LAST_INSERT_ID(COALESCE(MAX(CAST(SUBSTRING(\`${column}\`, ${prefix.length + 1}) AS UNSIGNED)), 0) + 1)
+           FROM \`${table}\`
+         ON DUPLICATE KEY UPDATE last_value = LAST_INSERT_ID(id_sequences.last_value + 1)`,
+        [prefix]
+      );
+    }
+    const [[{ id }]] = await conn.execute(`SELECT LAST_INSERT_ID() AS id`);
+    return formatId(prefix, Number(id));
+  }
+}
+
+
+// ── Exports ────────────────────────────────────────────────────────────────────
+
+module.exports = MySQLRepository;
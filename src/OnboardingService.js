@@ -0,0 +1,135 @@
+/**
+ * OnboardingService.js — What a new patron tells us they like
+ * ──────────────────────────────────────────────────────────────
+ * A patron with no loans would otherwise see the library-wide top list.
+ * At sign-up they can pick any of:
+ *
+ *   dewey    — favourite subjects, as Dewey prefixes ("658", "15", "005.1")
+ *   authors  — favourite authors, by name as in the catalogue
+ *   books    — seed books they have enjoyed, by book_id
+ *
+ * DiscoveryService reads the choices on every request (see "Onboarding
+ * preferences" there) and phases them out as real loans accumulate.
+ * Saving replaces every earlier choice.
+ *
+ * Expected failures throw ServiceError:
+ *   INVALID   — malformed or empty choices, or more than MAX_CHOICES of a kind
+ *   NOT_FOUND — unknown user or seed book, or no preferences to remove
+ *
+ * Usage:
+ *   const onboarding = new OnboardingService(repo);
+ *   await onboarding.setPreferences('U011', { dewey: ['658'], authors: ['Cal Newport'] });
+ */
+
+'use strict';
+
+const { ServiceError } = require('./errors');
+
+/** Most choices of each kind a patron can make. */
+const MAX_CHOICES = 10;
+
+const DEWEY_PREFIX = /^\d{1,3}(\.\d*)?$/;
+
+
+// ── OnboardingService ──────────────────────────────────────────────────────────
+
+class OnboardingService {
+  /**
+   * @param {import('./LibraryRepository')} repo  — storage backend
+   */
+  constructor(repo) {
+    if (!repo) throw new Error('OnboardingService requires a LibraryRepository instance.');
+    this.repo = repo;
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  /**
+   * Stores (or replaces) a user's onboarding choices. At least one choice
+   * must be made.
+   *
+   * @param  {string} userId
+   * @param  {{ dewey?: string[], authors?: string[], books?: string[] }} choices
+   * @returns {Promise<import('./LibraryRepository').PreferencesRow>}
+   */
+  async setPreferences(userId, choices = {}) {
+    const dewey   = OnboardingService._list(choices.dewey, 'dewey');
+    const authors = OnboardingService._list(choices.authors, 'authors');
+    const books   = OnboardingService._list(choices.books, 'books');
+
+    const badPrefix = dewey.find(prefix => !DEWEY_PREFIX.test(prefix));
+    if (badPrefix !== undefined) {
+      throw new ServiceError('INVALID', `dewey must list Dewey prefixes such as "6", "658" or "005.1". Got: "${badPrefix}"`);
+    }
+    if (dewey.length + authors.length + books.length === 0) {
+      throw new ServiceError('INVALID', 'Pick at least one Dewey subject, author or book.');
+    }
+
+    await this._assertUserExists(userId);
+    await this._assertBooksExist(books);
+
+    return this.repo.setPreferences({ userId, dewey, authors, books });
+  }
+
+  /**
+   * The user's onboarding choices; empty lists if they have made none.
+   *
+   * @param  {string} userId
+   * @returns {Promise<import('./LibraryRepository').PreferencesRow>}
+   */
+  async getPreferences(userId) {
+    await this._assertUserExists(userId);
+    return (await this.repo.getPreferences(userId)) ??
+      { user_id: userId, dewey: [], authors: [], books: [], updated_at: null };
+  }
+
+  /**
+   * Withdraws every onboarding choice of a user.
+   *
+   * @param  {string} userId
+   */
+  async clearPreferences(userId) {
+    await this._assertUserExists(userId);
+
+    if (!(await this.repo.deletePreferences(userId))) {
+      throw new ServiceError('NOT_FOUND', `User "${userId}" has no onboarding preferences.`);
+    }
+  }
+
+  // ── Private: Validation ────────────────────────────────────────────────────
+
+  /**
+   * Trimmed, de-duplicated list of non-empty strings ([] when absent).
+   */
+  static _list(value, name) {
+    if (value === undefined) return [];
+    if (!Array.isArray(value) || value.some(v => typeof v !== 'string' || v.trim() === '')) {
+      throw new ServiceError('INVALID', `${name} must be a list of non-empty strings.`);
+    }
+
+    const list = [...new Set(value.map(v => v.trim()))];
+    if (list.length > MAX_CHOICES) {
+      throw new ServiceError('INVALID', `${name} may list at most ${MAX_CHOICES} entries. Got: ${list.length}`);
+    }
+    return list;
+  }
+
+  async _assertUserExists(userId) {
+    if (!(await this.repo.getUser(userId))) {
+      throw new ServiceError('NOT_FOUND', `User "${userId}" not found.`);
+    }
+  }
+
+  async _assertBooksExist(bookIds) {
+    const found   = new Set((await this.repo.getBooksByIds(bookIds)).map(b => b.book_id));
+    const missing = bookIds.find(id => !found.has(id));
+    if (missing !== undefined) {
+      throw new ServiceError('NOT_FOUND', `Book "${missing}" not found.`);
+    }
+  }
+}
+
+
+// ── Exports ────────────────────────────────────────────────────────────────────
+
+module.exports = OnboardingService;
@@ -0,0 +1,115 @@
+/**
+ * PrivacyService.js — Patron data rights: export and anonymisation
+ * ──────────────────────────────────────────────────────────────────
+ *   • exportUser    — everything held about a patron, as one document
+ *   • anonymiseUser — erases the patron while keeping their loans, detached
+ *                     from any patron record, so library-wide statistics
+ *                     (borrow counts, loan trends, Dewey categories) still add up
+ *
+ * An anonymised loan keeps its book, date and branch but has no user_id:
+ * it appears in a book's loan history and in aggregate counts, never in a
+ * per-patron list, and it is left out of peer matching and co-borrowing,
+ * which need to know whose loans go together.
+ *
+ * Recommendation output is protected separately: see "Patron privacy" in
+ * DiscoveryService.js.
+ *
+ * Expected failures throw ServiceError:
+ *   NOT_FOUND — unknown user
+ *   CONFLICT  — anonymising a user who still has a book out
+ *
+ * Usage:
+ *   const privacy = new PrivacyService(repo);
+ *   const data    = await privacy.exportUser('U001');
+ *   await privacy.anonymiseUser('U001');
+ */
+
+'use strict';
+
+const { ServiceError } = require('./errors');
+
+// ── PrivacyService ─────────────────────────────────────────────────────────────
+
+class PrivacyService {
+  /**
+   * @param {import('./LibraryRepository')} repo  — storage backend
+   */
+  constructor(repo) {
+    if (!repo) throw new Error('PrivacyService requires a LibraryRepository instance.');
+    this.repo = repo;
+  }
+
+  // ── Public API ─────────────────────────────────────────────────────────────
+
+  /**
+   * Everything held about a user: their record, full loan history,
+   * recommendation feedback, onboarding preferences and the precomputed
+   * recommendations and Reading DNA stored for them.
+   *
+   * @param  {string} userId
+   * @returns {Promise<UserDataExport>}
+   */
+  async exportUser(userId) {
+    const user = await this._getUser(userId);
+
+    return {
+      exportedAt : new Date().toISOString(),
+      user,
+      loans      : await this.repo.getLoansForUser(userId),
+      feedback   : await this.repo.getFeedbackForUser(userId),
+      preferences: await this.repo.getPreferences(userId),
+      precomputed: await this.repo.getCacheEntriesForUser(userId),
+    };
+  }
+
+  /**
+   * Removes the user's record, feedback and preferences and detaches their loans from
+   * any patron (user_id NULL). Refused while they have a book out, since the open loan
+   * must stay traceable until it is returned.
+   *
+   * @param  {string} userId
+   * @returns {Promise<{ userId: string, loansRetained: number }>}
+   */
+  async anonymiseUser(userId) {
+    await this._getUser(userId);
+
+    const history = await this.repo.getLoansForUser(userId);
+    const open    = history.find(l => l.status === 'open');
+    if (open) {
+      throw new ServiceError('CONFLICT', `User "${userId}" still has a book on loan (${open.loan_id}).`);
+    }
+
+    const loansRetained = await this.repo.anonymiseUser(userId);
+    if (loansRetained === null) {
+      throw new ServiceError('NOT_FOUND', `User "${userId}" not found.`);
+    }
+
+    return { userId, loansRetained };
+  }
+
+  // ── Private helpers ────────────────────────────────────────────────────────
+
+  async _getUser(userId) {
+    const user = await this.repo.getUser(userId);
+    if (!user) {
+      throw new ServiceError('NOT_FOUND', `User "${userId}" not found.`);
+    }
+    return user;
+  }
+}
+
+
+// ── Exports ────────────────────────────────────────────────────────────────────
+
+module.exports = PrivacyService;
+
+
+/**
+ * @typedef {object} UserDataExport
+ * @property {string} exportedAt  — ISO timestamp of the export
+ * @property {{ user_id: string, name: string }} user
+ * @property {import('./LibraryRepository').LoanRecord[]} loans  — newest first
+ * @property {import('./LibraryRepository').FeedbackRow[]} feedback  — newest first
+ * @property {import('./LibraryRepository').PreferencesRow|null} preferences  — onboarding choices, if any
+ * @property {import('./LibraryRepository').CacheEntry[]} precomputed  — every stored batch, newest first
+ */
@@ -0,0 +1,54 @@
+/**
+ * availability.js — Shelf availability of a title from its copy inventory
+ * ─────────────────────────────────────────────────────────────────────────
+ * A title is available while fewer of its copies are on loan (an open
+ * borrow record, return_date NULL) than it has copies. When every copy is
+ * out, the earliest a copy is expected back is the oldest open loan's
+ * borrow date plus LOAN_PERIOD_DAYS — a date in the past means overdue.
+ *
+ *   available  — at least one copy on the shelf
+ *   on_loan    — every copy checked out
+ *   no_copies  — no copies held (withdrawn or never stocked)
+ */
+
+'use strict';
+
+/** Standard loan period; the expected return of a checked-out copy. */
+const LOAN_PERIOD_DAYS = 21;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @param  {string} borrowedAt  — "YYYY-MM-DD"
+ * @returns {string}            — borrowedAt + LOAN_PERIOD_DAYS, "YYYY-MM-DD"
+ */
+function dueDate(borrowedAt) {
+  return new Date(Date.parse(borrowedAt) + LOAN_PERIOD_DAYS * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * @param  {import('./LibraryRepository').AvailabilityRow} row
+ * @returns {Availability}
+ */
+function availabilityOf({ copies, on_loan, oldest_borrowed_at }) {
+  const available = Math.max(0, copies - on_loan);
+  const status    = copies === 0 ? 'no_copies' : available > 0 ? 'available' : 'on_loan';
+
+  return {
+    status,
+    copies,
+    available,
+    expected_at: status === 'on_loan' && oldest_borrowed_at ? dueDate(oldest_borrowed_at) : null,
+  };
+}
+
+module.exports = { LOAN_PERIOD_DAYS, dueDate, availabilityOf };
+
+
+/**
+ * @typedef {object} Availability
+ * @property {'available'|'on_loan'|'no_copies'} status
+ * @property {number}      copies       — copies held
+ * @property {number}      available    — copies on the shelf
+ * @property {string|null} expected_at  — when on_loan: earliest expected return, "YYYY-MM-DD"
+ */
@@ -0,0 +1,70 @@
+/**
+ * bookFilters.js — Include / exclude rules applied to recommended books
+ *
+ * A BookFilters object narrows which books may be recommended:
+ *   includeDewey   — keep only books whose dewey_decimal starts with one of these
+ *   excludeDewey   — drop books whose dewey_decimal starts with any of these
+ *   includeAuthors — keep only books by these authors (case-insensitive)
+ *   excludeAuthors — drop books by these authors (case-insensitive)
+ *   excludeBookIds — drop these book_ids
+ *
+ * Empty lists impose no constraint. MySQLRepository translates the same
+ * rules into SQL so fallback queries can apply them before LIMIT.
+ */
+
+'use strict';
+
+/** Filters that let every book through. */
+const NO_FILTERS = Object.freeze({
+  includeDewey  : [],
+  excludeDewey  : [],
+  includeAuthors: [],
+  excludeAuthors: [],
+  excludeBookIds: [],
+});
+
+/**
+ * Fills in missing lists so callers can pass a partial object.
+ *
+ * @param  {Partial<BookFilters>} [filters]
+ * @returns {BookFilters}
+ */
+function normalizeBookFilters(filters = {}) {
+  return {
+    includeDewey  : filters.includeDewey   || [],
+    excludeDewey  : filters.excludeDewey   || [],
+    includeAuthors: filters.includeAuthors || [],
+    excludeAuthors: filters.excludeAuthors || [],
+    excludeBookIds: filters.excludeBookIds || [],
+  };
+}
+
+/**
+ * @param  {{ book_id: string, author: string, dewey_decimal: string }} book
+ * @param  {BookFilters} filters
+ * @returns {boolean}
+ */
+function matchesBookFilters(book, filters) {
+  const dewey  = String(book.dewey_decimal);
+  const author = book.author.toLowerCase();
+
+  if (filters.includeDewey.length && !filters.includeDewey.some(p => dewey.startsWith(p))) return false;
+  if (filters.excludeDewey.some(p => dewey.startsWith(p))) return false;
+  if (filters.includeAuthors.length && !filters.includeAuthors.some(a => a.toLowerCase() === author)) return false;
+  if (filters.excludeAuthors.some(a => a.toLowerCase() === author)) return false;
+  if (filters.excludeBookIds.includes(book.book_id)) return false;
+
+  return true;
+}
+
+module.exports = { NO_FILTERS, normalizeBookFilters, matchesBookFilters };
+
+
+/**
+ * @typedef {object} BookFilters
+ * @property {string[]} includeDewey
+ * @property {string[]} excludeDewey
+ * @property {string[]} includeAuthors
+ * @property {string[]} excludeAuthors
+ * @property {string[]} excludeBookIds
+ */
@@ -0,0 +1,103 @@
+/**
+ * contentScore.js — How close a book is to what a patron already reads
+ * ───────────────────────────────────────────────────────────────────────
+ * Scores a candidate against the user's history from the catalogue alone,
+ * no other patrons involved. Each component is 0 … 1:
+ *
+ *   dewey     1 − Dewey distance to the nearest book the user has read
+ *             (see diversity.js: same number 1, same section 0.75, …)
+ *   author    share of the user's books by the candidate's author,
+ *             relative to their most-read author (favourite author = 1)
+ *   keywords  share of the candidate's title keywords found in the
+ *             titles the user has read
+ *
+ * and the content score is their weighted mean (CONTENT_WEIGHTS by
+ * default). DiscoveryService blends it with the collaborative score in
+ * hybrid mode (opts.hybrid).
+ */
+
+'use strict';
+
+const { deweyDistance } = require('./diversity');
+
+/** Default weight of each content component. */
+const CONTENT_WEIGHTS = { dewey: 0.5, author: 0.3, keywords: 0.2 };
+
+/** Title words that say nothing about a book's subject. */
+const STOPWORDS = new Set([
+  'and', 'the', 'for', 'with', 'from', 'into', 'your', 'you', 'how', 'what', 'why',
+  'who', 'are', 'its', 'not', 'but', 'all', 'our', 'out', 'about', 'book', 'guide',
+]);
+
+/**
+ * Lower-cased words of a title, without stopwords and words under three
+ * letters.
+ *
+ * @param  {string} title
+ * @returns {Set<string>}
+ */
+function titleKeywords(title) {
+  return new Set(
+    String(title).toLowerCase().split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length >= 3 && !STOPWORDS.has(word))
+  );
+}
+
+/**
+ * What content scoring needs to know about the user's history.
+ *
+ * @param  {import('./LibraryRepository').BookRow[]} history  — books the user has read
+ * @returns {ContentProfile}
+ */
+function contentProfile(history) {
+  const authors = new Map();
+  for (const { author } of history) {
+    const key = author.toLowerCase();
+    authors.set(key, (authors.get(key) ?? 0) + 1);
+  }
+
+  return {
+    deweys   : [...new Set(history.map(b => String(b.dewey_decimal)))],
+    authors,
+    topAuthor: Math.max(0, ...authors.values()),
+    keywords : new Set(history.flatMap(b => [...titleKeywords(b.title)])),
+  };
+}
+
+/**
+ * @param  {import('./LibraryRepository').BookRow} book
+ * @param  {ContentProfile} profile
+ * @param  {{ dewey: number, author: number, keywords: number }} [weights]
+ * @returns {{ content: number, dewey: number, author: number, keywords: number }}
+ */
+function contentScore(book, profile, weights = CONTENT_WEIGHTS) {
+  const dewey = profile.deweys.reduce(
+    (best, d) => Math.max(best, 1 - deweyDistance(book.dewey_decimal, d)), 0
+  );
+  const author = profile.topAuthor > 0
+    ? (profile.authors.get(book.author.toLowerCase()) ?? 0) / profile.topAuthor
+    : 0;
+  const words    = [...titleKeywords(book.title)];
+  const keywords = words.length > 0
+    ? words.filter(word => profile.keywords.has(word)).length / words.length
+    : 0;
+
+  const total = weights.dewey + weights.author + weights.keywords;
+  return {
+    content: (weights.dewey * dewey + weights.author * author + weights.keywords * keywords) / total,
+    dewey,
+    author,
+    keywords,
+  };
+}
+
+module.exports = { CONTENT_WEIGHTS, titleKeywords, contentProfile, contentScore };
+
+
+/**
+ * @typedef {object} ContentProfile
+ * @property {string[]}            deweys     — distinct dewey_decimal values read
+ * @property {Map<string, number>} authors    — lower-cased author → books read
+ * @property {number}              topAuthor  — books read by the most-read author
+ * @property {Set<string>}         keywords   — title keywords of every book read
+ */
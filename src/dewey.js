@@ -0,0 +1,60 @@
+/**
+ * dewey.js — Dewey Decimal lookups against the DDC summary tables
+ * ────────────────────────────────────────────────────────────────
+ * Resolves a dewey_decimal ("658.4") to its place in the hierarchy:
+ *
+ *   class     6xx → 600 Technology
+ *   division  65x → 650 Management & public relations
+ *   section   658 → 658 General management
+ *
+ * Sections and divisions the scheme leaves unassigned (or optional, like
+ * 921) borrow the name of the level above, so every valid code has a label.
+ */
+
+'use strict';
+
+const { CLASSES, DIVISIONS, SECTIONS } = require('./deweySummaries');
+
+/**
+ * Three-digit section code of a Dewey number.
+ *
+ * @param  {string|number} dewey  — e.g. "658.4", "5.133", 921
+ * @returns {string|null}         — e.g. "658"; null if not a Dewey number
+ */
+function deweySection(dewey) {
+  const num = parseFloat(dewey);
+  if (!Number.isFinite(num) || num < 0 || num >= 1000) return null;
+  return String(Math.floor(num)).padStart(3, '0');
+}
+
+/**
+ * Class, division and section of a Dewey number.
+ *
+ * @param  {string|number} dewey
+ * @returns {DeweyClassification|null}  — null if not a Dewey number
+ */
+function classifyDewey(dewey) {
+  const section = deweySection(dewey);
+  if (section === null) return null;
+
+  const classCode    = section[0] + '00';
+  const divisionCode = section.slice(0, 2) + '0';
+  const className    = CLASSES[classCode];
+  const divisionName = DIVISIONS[divisionCode] ?? className;
+
+  return {
+    class   : { code: classCode,    name: className },
+    division: { code: divisionCode, name: divisionName },
+    section : { code: section,      name: SECTIONS[section] ?? divisionName },
+  };
+}
+
+module.exports = { deweySection, classifyDewey };
+
+
+/**
+ * @typedef {object} DeweyClassification
+ * @property {{ code: string, name: string }} class     — e.g. { code: '600', name: 'Technology' }
+ * @property {{ code: string, name: string }} division  — e.g. { code: '650', name: 'Management & public relations' }
+ * @property {{ code: string, name: string }} section   — e.g. { code: '658', name: 'General management' }
+ */
@@ -0,0 +1,1235 @@
+/**
+ * deweySummaries.js — The Dewey Decimal Classification summary tables
+ * ────────────────────────────────────────────────────────────────────
+ * The ten main classes, the hundred divisions and the thousand sections,
+ * keyed by their three-digit code ("600", "650", "658").
+ *
+ * Codes the scheme leaves unassigned, or reserves as optional numbers
+ * (e.g. 921 for individual biography), map to null; dewey.js falls back
+ * to the enclosing division or class for those.
+ */
+
+'use strict';
+
+/** First summary: the ten main classes. */
+const CLASSES = {
+  '000': 'Computer science, information & general works',
+  '100': 'Philosophy & psychology',
+  '200': 'Religion',
+  '300': 'Social sciences',
+  '400': 'Language',
+  '500': 'Science',
+  '600': 'Technology',
+  '700': 'Arts & recreation',
+  '800': 'Literature',
+  '900': 'History & geography',
+};
+
+/** Second summary: the hundred divisions. */
+const DIVISIONS = {
+  '000': 'Computer science, knowledge & systems',
+  '010': 'Bibliographies',
+  '020': 'Library & information sciences',
+  '030': 'Encyclopedias & books of facts',
+  '040': null,
+  '050': 'Magazines, journals & serials',
+  '060': 'Associations, organizations & museums',
+  '070': 'News media, journalism & publishing',
+  '080': 'Quotations',
+  '090': 'Manuscripts & rare books',
+  '100': 'Philosophy',
+  '110': 'Metaphysics',
+  '120': 'Epistemology',
+  '130': 'Parapsychology & occultism',
+  '140': 'Philosophical schools of thought',
+  '150': 'Psychology',
+  '160': 'Philosophical logic',
+  '170': 'Ethics',
+  '180': 'Ancient, medieval & eastern philosophy',
+  '190': 'Modern western philosophy',
+  '200': 'Religion',
+  '210': 'Philosophy & theory of religion',
+  '220': 'The Bible',
+  '230': 'Christianity',
+  '240': 'Christian practice & observance',
+  '250': 'Christian pastoral practice & religious orders',
+  '260': 'Christian organization, social work & worship',
+  '270': 'History of Christianity',
+  '280': 'Christian denominations',
+  '290': 'Other religions',
+  '300': 'Social sciences, sociology & anthropology',
+  '310': 'Statistics',
+  '320': 'Political science',
+  '330': 'Economics',
+  '340': 'Law',
+  '350': 'Public administration & military science',
+  '360': 'Social problems & social services',
+  '370': 'Education',
+  '380': 'Commerce, communications & transportation',
+  '390': 'Customs, etiquette & folklore',
+  '400': 'Language',
+  '410': 'Linguistics',
+  '420': 'English & Old English languages',
+  '430': 'German & related languages',
+  '440': 'French & related languages',
+  '450': 'Italian, Romanian & related languages',
+  '460': 'Spanish, Portuguese & Galician',
+  '470': 'Latin & Italic languages',
+  '480': 'Classical & modern Greek languages',
+  '490': 'Other languages',
+  '500': 'Science',
+  '510': 'Mathematics',
+  '520': 'Astronomy',
+  '530': 'Physics',
+  '540': 'Chemistry',
+  '550': 'Earth sciences & geology',
+  '560': 'Fossils & prehistoric life',
+  '570': 'Biology',
+  '580': 'Plants (Botany)',
+  '590': 'Animals (Zoology)',
+  '600': 'Technology',
+  '610': 'Medicine & health',
+  '620': 'Engineering',
+  '630': 'Agriculture',
+  '640': 'Home & family management',
+  '650': 'Management & public relations',
+  '660': 'Chemical engineering',
+  '670': 'Manufacturing',
+  '680': 'Manufacture for specific uses',
+  '690': 'Building & construction',
+  '700': 'Arts',
+  '710': 'Landscaping & area planning',
+  '720': 'Architecture',
+  '730': 'Sculpture, ceramics & metalwork',
+  '740': 'Graphic arts & decorative arts',
+  '750': 'Painting',
+  '760': 'Printmaking & prints',
+  '770': 'Photography, computer art, film & video',
+  '780': 'Music',
+  '790': 'Sports, games & entertainment',
+  '800': 'Literature, rhetoric & criticism',
+  '810': 'American literature in English',
+  '820': 'English & Old English literatures',
+  '830': 'German & related literatures',
+  '840': 'French & related literatures',
+  '850': 'Italian, Romanian & related literatures',
+  '860': 'Spanish, Portuguese & Galician literatures',
+  '870': 'Latin & Italic literatures',
+  '880': 'Classical & modern Greek literatures',
+  '890': 'Other literatures',
+  '900': 'History',
+  '910': 'Geography & travel',
+  '920': 'Biography & genealogy',
+  '930': 'History of ancient world (to ca. 499)',
+  '940': 'History of Europe',
+  '950': 'History of Asia',
+  '960': 'History of Africa',
+  '970': 'History of North America',
+  '980': 'History of South America',
+  '990': 'History of other areas',
+};
+
+/** Third summary: the thousand sections. */
+const SECTIONS = {
+  '000': 'Computer science, knowledge & general works',
+  '001': 'Knowledge',
+  '002': 'The book',
+  '003': 'Systems',
+  '004': 'Data processing & computer science',
+  '005': 'Computer programming, programs & data',
+  '006': 'Special computer methods',
+  '007': null,
+  '008': null,
+  '009': null,
+
+  '010': 'Bibliography',
+  '011': 'Bibliographies',
+  '012': 'Bibliographies of individuals',
+  '013': null,
+  '014': 'Bibliographies of anonymous & pseudonymous works',
+  '015': 'Bibliographies of works from specific places',
+  '016': 'Bibliographies of works on specific subjects',
+  '017': 'General subject catalogs',
+  '018': 'Catalogs arranged by author, date, etc.',
+  '019': 'Dictionary catalogs',
+
+  '020': 'Library & information sciences',
+  '021': 'Library relationships',
+  '022': 'Administration of physical plant',
+  '023': 'Personnel management',
+  '024': null,
+  '025': 'Library operations',
+  '026': 'Libraries for specific subjects',
+  '027': 'General libraries',
+  '028': 'Reading & use of other information media',
+  '029': null,
+
+  '030': 'General encyclopedic works',
+  '031': 'Encyclopedias in American English',
+  '032': 'Encyclopedias in English',
+  '033': 'Encyclopedias in other Germanic languages',
+  '034': 'Encyclopedias in French, Occitan & Catalan',
+  '035': 'Encyclopedias in Italian, Romanian & related languages',
+  '036': 'Encyclopedias in Spanish, Portuguese & Galician',
+  '037': 'Encyclopedias in Slavic languages',
+  '038': 'Encyclopedias in Scandinavian languages',
+  '039': 'Encyclopedias in other languages',
+
+  '040': null,
+  '041': null,
+  '042': null,
+  '043': null,
+  '044': null,
+  '045': null,
+  '046': null,
+  '047': null,
+  '048': null,
+  '049': null,
+
+  '050': 'General serial publications',
+  '051': 'Serials in American English',
+  '052': 'Serials in English',
+  '053': 'Serials in other Germanic languages',
+  '054': 'Serials in French, Occitan & Catalan',
+  '055': 'Serials in Italian, Romanian & related languages',
+  '056': 'Serials in Spanish, Portuguese & Galician',
+  '057': 'Serials in Slavic languages',
+  '058': 'Serials in Scandinavian languages',
+  '059': 'Serials in other languages',
+
+  '060': 'General organizations & museum science',
+  '061': 'Organizations in North America',
+  '062': 'Organizations in British Isles; in England',
+  '063': 'Organizations in central Europe; in Germany',
+  '064': 'Organizations in France & Monaco',
+  '065': 'Organizations in Italy & adjacent islands',
+  '066': 'Organizations in Spain, Andorra, Gibraltar & Portugal',
+  '067': 'Organizations in Russia; in eastern Europe',
+  '068': 'Organizations in other geographic areas',
+  '069': 'Museum science',
+
+  '070': 'News media, journalism & publishing',
+  '071': 'Newspapers in North America',
+  '072': 'Newspapers in British Isles; in England',
+  '073': 'Newspapers in central Europe; in Germany',
+  '074': 'Newspapers in France & Monaco',
+  '075': 'Newspapers in Italy & adjacent islands',
+  '076': 'Newspapers in Spain, Andorra, Gibraltar & Portugal',
+  '077': 'Newspapers in Russia; in eastern Europe',
+  '078': 'Newspapers in Scandinavia',
+  '079': 'Newspapers in other geographic areas',
+
+  '080': 'General collections',
+  '081': 'Collections in American English',
+  '082': 'Collections in English',
+  '083': 'Collections in other Germanic languages',
+  '084': 'Collections in French, Occitan & Catalan',
+  '085': 'Collections in Italian, Romanian & related languages',
+  '086': 'Collections in Spanish, Portuguese & Galician',
+  '087': 'Collections in Slavic languages',
+  '088': 'Collections in Scandinavian languages',
+  '089': 'Collections in other languages',
+
+  '090': 'Manuscripts & rare books',
+  '091': 'Manuscripts',
+  '092': 'Block books',
+  '093': 'Incunabula',
+  '094': 'Printed books',
+  '095': 'Books notable for bindings',
+  '096': 'Books notable for illustrations',
+  '097': 'Books notable for ownership or origin',
+  '098': 'Prohibited works, forgeries & hoaxes',
+  '099': 'Books notable for format',
+
+  '100': 'Philosophy & psychology',
+  '101': 'Theory of philosophy',
+  '102': 'Miscellany of philosophy',
+  '103': 'Dictionaries of philosophy',
+  '104': null,
+  '105': 'Serial publications of philosophy',
+  '106': 'Organizations of philosophy',
+  '107': 'Education & research in philosophy',
+  '108': 'Groups of people in philosophy',
+  '109': 'History of philosophy',
+
+  '110': 'Metaphysics',
+  '111': 'Ontology',
+  '112': null,
+  '113': 'Cosmology',
+  '114': 'Space',
+  '115': 'Time',
+  '116': 'Change',
+  '117': 'Structure',
+  '118': 'Force & energy',
+  '119': 'Number & quantity',
+
+  '120': 'Epistemology, causation & humankind',
+  '121': 'Epistemology',
+  '122': 'Causation',
+  '123': 'Determinism & indeterminism',
+  '124': 'Teleology',
+  '125': null,
+  '126': 'The self',
+  '127': 'The unconscious & the subconscious',
+  '128': 'Humankind',
+  '129': 'Origin & destiny of individual souls',
+
+  '130': 'Parapsychology & occultism',
+  '131': 'Parapsychological & occult methods',
+  '132': null,
+  '133': 'Specific topics in parapsychology & occultism',
+  '134': null,
+  '135': 'Dreams & mysteries',
+  '136': null,
+  '137': 'Divinatory graphology',
+  '138': 'Physiognomy',
+  '139': 'Phrenology',
+
+  '140': 'Specific philosophical schools',
+  '141': 'Idealism & related systems',
+  '142': 'Critical philosophy',
+  '143': 'Bergsonism & intuitionism',
+  '144': 'Humanism & related systems',
+  '145': 'Sensationalism',
+  '146': 'Naturalism & related systems',
+  '147': 'Pantheism & related systems',
+  '148': 'Dogmatism, eclecticism, liberalism, syncretism & traditionalism',
+  '149': 'Other philosophical systems',
+
+  '150': 'Psychology',
+  '151': null,
+  '152': 'Sensory perception, movement, emotions & drives',
+  '153': 'Conscious mental processes & intelligence',
+  '154': 'Subconscious & altered states',
+  '155': 'Differential & developmental psychology',
+  '156': 'Comparative psychology',
+  '157': null,
+  '158': 'Applied psychology',
+  '159': null,
+
+  '160': 'Philosophical logic',
+  '161': 'Induction',
+  '162': 'Deduction',
+  '163': null,
+  '164': null,
+  '165': 'Fallacies & sources of error',
+  '166': 'Syllogisms',
+  '167': 'Hypotheses',
+  '168': 'Argument & persuasion',
+  '169': 'Analogy',
+
+  '170': 'Ethics (Moral philosophy)',
+  '171': 'Ethical systems',
+  '172': 'Political ethics',
+  '173': 'Ethics of family relationships',
+  '174': 'Occupational ethics',
+  '175': 'Ethics of recreation, leisure & communication',
+  '176': 'Ethics of sex & reproduction',
+  '177': 'Ethics of social relations',
+  '178': 'Ethics of consumption',
+  '179': 'Other ethical norms',
+
+  '180': 'Ancient, medieval & eastern philosophy',
+  '181': 'Eastern philosophy',
+  '182': 'Pre-Socratic Greek philosophies',
+  '183': 'Sophistic, Socratic & related Greek philosophies',
+  '184': 'Platonic philosophy',
+  '185': 'Aristotelian philosophy',
+  '186': 'Skeptic & Neoplatonic philosophies',
+  '187': 'Epicurean philosophy',
+  '188': 'Stoic philosophy',
+  '189': 'Medieval western philosophy',
+
+  '190': 'Modern western & other non-eastern philosophy',
+  '191': 'Philosophy of United States & Canada',
+  '192': 'Philosophy of British Isles',
+  '193': 'Philosophy of Germany & Austria',
+  '194': 'Philosophy of France',
+  '195': 'Philosophy of Italy',
+  '196': 'Philosophy of Spain & Portugal',
+  '197': 'Philosophy of Russia',
+  '198': 'Philosophy of Scandinavia & Finland',
+  '199': 'Philosophy in other geographic areas',
+
+  '200': 'Religion',
+  '201': 'Religious mythology & social theology',
+  '202': 'Doctrines',
+  '203': 'Public worship & other practices',
+  '204': 'Religious experience, life & practice',
+  '205': 'Religious ethics',
+  '206': 'Leaders & organization',
+  '207': 'Missions & religious education',
+  '208': 'Sources',
+  '209': 'Sects & reform movements',
+
+  '210': 'Philosophy & theory of religion',
+  '211': 'Concepts of God',
+  '212': 'Existence, knowability & attributes of God',
+  '213': 'Creation',
+  '214': 'Theodicy',
+  '215': 'Science & religion',
+  '216': null,
+  '217': null,
+  '218': 'Humankind',
+  '219': null,
+
+  '220': 'Bible',
+  '221': 'Old Testament (Tanakh)',
+  '222': 'Historical books of Old Testament',
+  '223': 'Poetic books of Old Testament',
+  '224': 'Prophetic books of Old Testament',
+  '225': 'New Testament',
+  '226': 'Gospels & Acts',
+  '227': 'Epistles',
+  '228': 'Revelation (Apocalypse)',
+  '229': 'Apocrypha, pseudepigrapha & intertestamental works',
+
+  '230': 'Christianity & Christian theology',
+  '231': 'God',
+  '232': 'Jesus Christ & his family',
+  '233': 'Humankind',
+  '234': 'Salvation & grace',
+  '235': 'Spiritual beings',
+  '236': 'Eschatology',
+  '237': null,
+  '238': 'Creeds, confessions of faith & catechisms',
+  '239': 'Apologetics & polemics',
+
+  '240': 'Christian moral & devotional theology',
+  '241': 'Christian ethics',
+  '242': 'Devotional literature',
+  '243': 'Evangelistic writings for individuals & families',
+  '244': null,
+  '245': null,
+  '246': 'Use of art in Christianity',
+  '247': 'Church furnishings & related articles',
+  '248': 'Christian experience, practice & life',
+  '249': 'Christian observances in family life',
+
+  '250': 'Local Christian church & Christian religious orders',
+  '251': 'Preaching (Homiletics)',
+  '252': 'Texts of sermons',
+  '253': 'Pastoral office & work',
+  '254': 'Parish administration',
+  '255': 'Religious congregations & orders',
+  '256': null,
+  '257': null,
+  '258': null,
+  '259': 'Pastoral care of families & kinds of persons',
+
+  '260': 'Christian social & ecclesiastical theology',
+  '261': 'Social theology & interreligious relations',
+  '262': 'Ecclesiology',
+  '263': 'Days, times & places of religious observance',
+  '264': 'Public worship',
+  '265': 'Sacraments, other rites & acts',
+  '266': 'Missions',
+  '267': 'Associations for religious work',
+  '268': 'Religious education',
+  '269': 'Spiritual renewal',
+
+  '270': 'History of Christianity',
+  '271': 'Religious congregations & orders in church history',
+  '272': 'Persecutions in church history',
+  '273': 'Doctrinal controversies & heresies',
+  '274': 'History of Christianity in Europe',
+  '275': 'History of Christianity in Asia',
+  '276': 'History of Christianity in Africa',
+  '277': 'History of Christianity in North America',
+  '278': 'History of Christianity in South America',
+  '279': 'History of Christianity in other areas',
+
+  '280': 'Denominations & sects of Christian church',
+  '281': 'Early church & Eastern churches',
+  '282': 'Roman Catholic Church',
+  '283': 'Anglican churches',
+  '284': 'Protestant denominations of Continental origin',
+  '285': 'Presbyterian, Reformed & Congregational churches',
+  '286': 'Baptist, Restorationist & Adventist churches',
+  '287': 'Methodist & related churches',
+  '288': null,
+  '289': 'Other denominations & sects',
+
+  '290': 'Other religions',
+  '291': null,
+  '292': 'Classical religion (Greek & Roman religion)',
+  '293': 'Germanic religion',
+  '294': 'Religions of Indic origin',
+  '295': 'Zoroastrianism',
+  '296': 'Judaism',
+  '297': 'Islam, Babism & Bahai Faith',
+  '298': null,
+  '299': 'Religions not provided for elsewhere',
+
+  '300': 'Social sciences',
+  '301': 'Sociology & anthropology',
+  '302': 'Social interaction',
+  '303': 'Social processes',
+  '304': 'Factors affecting social behavior',
+  '305': 'Groups of people',
+  '306': 'Culture & institutions',
+  '307': 'Communities',
+  '308': null,
+  '309': null,
+
+  '310': 'Collections of general statistics',
+  '311': null,
+  '312': null,
+  '313': null,
+  '314': 'General statistics of Europe',
+  '315': 'General statistics of Asia',
+  '316': 'General statistics of Africa',
+  '317': 'General statistics of North America',
+  '318': 'General statistics of South America',
+  '319': 'General statistics of other parts of the world',
+
+  '320': 'Political science (Politics & government)',
+  '321': 'Systems of governments & states',
+  '322': 'Relation of state to organized groups',
+  '323': 'Civil & political rights',
+  '324': 'The political process',
+  '325': 'International migration & colonization',
+  '326': 'Slavery & emancipation',
+  '327': 'International relations',
+  '328': 'The legislative process',
+  '329': null,
+
+  '330': 'Economics',
+  '331': 'Labor economics',
+  '332': 'Financial economics',
+  '333': 'Economics of land & energy',
+  '334': 'Cooperatives',
+  '335': 'Socialism & related systems',
+  '336': 'Public finance',
+  '337': 'International economics',
+  '338': 'Production',
+  '339': 'Macroeconomics & related topics',
+
+  '340': 'Law',
+  '341': 'Law of nations',
+  '342': 'Constitutional & administrative law',
+  '343': 'Military, tax, trade & industrial law',
+  '344': 'Labor, social service, education & cultural law',
+  '345': 'Criminal law',
+  '346': 'Private law',
+  '347': 'Procedure & courts',
+  '348': 'Laws, regulations & cases',
+  '349': 'Law of specific jurisdictions & areas',
+
+  '350': 'Public administration & military science',
+  '351': 'Public administration',
+  '352': 'General considerations of public administration',
+  '353': 'Specific fields of public administration',
+  '354': 'Public administration of economy & environment',
+  '355': 'Military science',
+  '356': 'Foot forces & warfare',
+  '357': 'Mounted forces & warfare',
+  '358': 'Air & other specialized forces & warfare',
+  '359': 'Sea forces & warfare',
+
+  '360': 'Social problems & social services',
+  '361': 'Social problems & social welfare in general',
+  '362': 'Social welfare problems & services',
+  '363': 'Other social problems & services',
+  '364': 'Criminology',
+  '365': 'Penal & related institutions',
+  '366': 'Secret associations & societies',
+  '367': 'General clubs',
+  '368': 'Insurance',
+  '369': 'Miscellaneous kinds of associations',
+
+  '370': 'Education',
+  '371': 'Schools & their activities; special education',
+  '372': 'Primary education (Elementary education)',
+  '373': 'Secondary education',
+  '374': 'Adult education',
+  '375': 'Curricula',
+  '376': null,
+  '377': null,
+  '378': 'Higher education (Tertiary education)',
+  '379': 'Public policy issues in education',
+
+  '380': 'Commerce, communications & transportation',
+  '381': 'Commerce (Trade)',
+  '382': 'International commerce (Foreign trade)',
+  '383': 'Postal communication',
+  '384': 'Communications',
+  '385': 'Railroad transportation',
+  '386': 'Inland waterway & ferry transportation',
+  '387': 'Water, air & space transportation',
+  '388': 'Transportation',
+  '389': 'Metrology & standardization',
+
+  '390': 'Customs, etiquette & folklore',
+  '391': 'Costume & personal appearance',
+  '392': 'Customs of life cycle & domestic life',
+  '393': 'Death customs',
+  '394': 'General customs',
+  '395': 'Etiquette (Manners)',
+  '396': null,
+  '397': null,
+  '398': 'Folklore',
+  '399': 'Customs of war & diplomacy',
+
+  '400': 'Language',
+  '401': 'Philosophy & theory; international languages',
+  '402': 'Miscellany',
+  '403': 'Dictionaries & encyclopedias',
+  '404': 'Special topics of language',
+  '405': 'Serial publications',
+  '406': 'Organizations & management',
+  '407': 'Education, research & related topics',
+  '408': 'Groups of people',
+  '409': 'Geographic & persons treatment',
+
+  '410': 'Linguistics',
+  '411': 'Writing systems',
+  '412': 'Etymology',
+  '413': 'Dictionaries',
+  '414': 'Phonology & phonetics',
+  '415': 'Grammar',
+  '416': null,
+  '417': 'Dialectology & historical linguistics',
+  '418': 'Standard usage (Prescriptive linguistics)',
+  '419': 'Sign languages',
+
+  '420': 'English & Old English (Anglo-Saxon)',
+  '421': 'English writing system & phonology',
+  '422': 'English etymology',
+  '423': 'English dictionaries',
+  '424': null,
+  '425': 'English grammar',
+  '426': null,
+  '427': 'English language variations',
+  '428': 'Standard English usage',
+  '429': 'Old English (Anglo-Saxon)',
+
+  '430': 'German & related languages',
+  '431': 'German writing systems & phonology',
+  '432': 'German etymology',
+  '433': 'German dictionaries',
+  '434': null,
+  '435': 'German grammar',
+  '436': null,
+  '437': 'German language variations',
+  '438': 'Standard German usage',
+  '439': 'Other Germanic languages',
+
+  '440': 'French & related Romance languages',
+  '441': 'French writing systems & phonology',
+  '442': 'French etymology',
+  '443': 'French dictionaries',
+  '444': null,
+  '445': 'French grammar',
+  '446': null,
+  '447': 'French language variations',
+  '448': 'Standard French usage',
+  '449': 'Occitan, Catalan & Franco-Provençal',
+
+  '450': 'Italian, Dalmatian, Romanian, Rhaetian, Sardinian & Corsican',
+  '451': 'Italian writing systems & phonology',
+  '452': 'Italian etymology',
+  '453': 'Italian dictionaries',
+  '454': null,
+  '455': 'Italian grammar',
+  '456': null,
+  '457': 'Italian language variations',
+  '458': 'Standard Italian usage',
+  '459': 'Sardinian, Corsican, Dalmatian, Romanian & Rhaetian',
+
+  '460': 'Spanish, Portuguese & Galician',
+  '461': 'Spanish writing systems & phonology',
+  '462': 'Spanish etymology',
+  '463': 'Spanish dictionaries',
+  '464': null,
+  '465': 'Spanish grammar',
+  '466': null,
+  '467': 'Spanish language variations',
+  '468': 'Standard Spanish usage',
+  '469': 'Portuguese & Galician',
+
+  '470': 'Italic languages; Latin',
+  '471': 'Classical Latin writing & phonology',
+  '472': 'Classical Latin etymology',
+  '473': 'Classical Latin dictionaries',
+  '474': null,
+  '475': 'Classical Latin grammar',
+  '476': null,
+  '477': 'Old, postclassical & Vulgar Latin',
+  '478': 'Classical Latin usage',
+  '479': 'Other Italic languages',
+
+  '480': 'Classical Greek & related Hellenic languages',
+  '481': 'Classical Greek writing & phonology',
+  '482': 'Classical Greek etymology',
+  '483': 'Classical Greek dictionaries',
+  '484': null,
+  '485': 'Classical Greek grammar',
+  '486': null,
+  '487': 'Preclassical & postclassical Greek',
+  '488': 'Classical Greek usage',
+  '489': 'Other Hellenic languages',
+
+  '490': 'Other languages',
+  '491': 'East Indo-European & Celtic languages',
+  '492': 'Afro-Asiatic languages',
+  '493': 'Non-Semitic Afro-Asiatic languages',
+  '494': 'Altaic, Uralic, Hyperborean & Dravidian languages',
+  '495': 'Languages of East & Southeast Asia',
+  '496': 'African languages',
+  '497': 'North American native languages',
+  '498': 'South American native languages',
+  '499': 'Austronesian & other languages',
+
+  '500': 'Natural sciences & mathematics',
+  '501': 'Philosophy & theory',
+  '502': 'Miscellany',
+  '503': 'Dictionaries & encyclopedias',
+  '504': null,
+  '505': 'Serial publications',
+  '506': 'Organizations & management',
+  '507': 'Education, research & related topics',
+  '508': 'Natural history',
+  '509': 'History, geographic treatment & biography',
+
+  '510': 'Mathematics',
+  '511': 'General principles of mathematics',
+  '512': 'Algebra',
+  '513': 'Arithmetic',
+  '514': 'Topology',
+  '515': 'Analysis',
+  '516': 'Geometry',
+  '517': null,
+  '518': 'Numerical analysis',
+  '519': 'Probabilities & applied mathematics',
+
+  '520': 'Astronomy & allied sciences',
+  '521': 'Celestial mechanics',
+  '522': 'Techniques, equipment & materials',
+  '523': 'Specific celestial bodies & phenomena',
+  '524': null,
+  '525': 'Earth (Astronomical geography)',
+  '526': 'Mathematical geography',
+  '527': 'Celestial navigation',
+  '528': 'Ephemerides',
+  '529': 'Chronology',
+
+  '530': 'Physics',
+  '531': 'Classical mechanics',
+  '532': 'Fluid mechanics',
+  '533': 'Pneumatics (Gas mechanics)',
+  '534': 'Sound & related vibrations',
+  '535': 'Light & related radiation',
+  '536': 'Heat',
+  '537': 'Electricity & electronics',
+  '538': 'Magnetism',
+  '539': 'Modern physics',
+
+  '540': 'Chemistry & allied sciences',
+  '541': 'Physical chemistry',
+  '542': 'Techniques, equipment & materials',
+  '543': 'Analytical chemistry',
+  '544': null,
+  '545': null,
+  '546': 'Inorganic chemistry',
+  '547': 'Organic chemistry',
+  '548': 'Crystallography',
+  '549': 'Mineralogy',
+
+  '550': 'Earth sciences',
+  '551': 'Geology, hydrology & meteorology',
+  '552': 'Petrology',
+  '553': 'Economic geology',
+  '554': 'Earth sciences of Europe',
+  '555': 'Earth sciences of Asia',
+  '556': 'Earth sciences of Africa',
+  '557': 'Earth sciences of North America',
+  '558': 'Earth sciences of South America',
+  '559': 'Earth sciences of other areas',
+
+  '560': 'Paleontology',
+  '561': 'Paleobotany; fossil microorganisms',
+  '562': 'Fossil invertebrates',
+  '563': 'Fossil marine & seashore invertebrates',
+  '564': 'Fossil Mollusca & Molluscoidea',
+  '565': 'Fossil Arthropoda',
+  '566': 'Fossil Chordata',
+  '567': 'Fossil cold-blooded vertebrates',
+  '568': 'Fossil birds',
+  '569': 'Fossil mammals',
+
+  '570': 'Biology',
+  '571': 'Physiology & related subjects',
+  '572': 'Biochemistry',
+  '573': 'Specific physiological systems in animals',
+  '574': null,
+  '575': 'Specific parts of & systems in plants',
+  '576': 'Genetics & evolution',
+  '577': 'Ecology',
+  '578': 'Natural history of organisms',
+  '579': 'Microorganisms, fungi & algae',
+
+  '580': 'Plants (Botany)',
+  '581': 'Specific topics in natural history of plants',
+  '582': 'Plants noted for characteristics & flowers',
+  '583': 'Dicotyledons',
+  '584': 'Monocotyledons',
+  '585': 'Gymnosperms',
+  '586': 'Seedless plants',
+  '587': 'Vascular seedless plants',
+  '588': 'Bryophytes',
+  '589': null,
+
+  '590': 'Animals (Zoology)',
+  '591': 'Specific topics in natural history of animals',
+  '592': 'Invertebrates',
+  '593': 'Marine & seashore invertebrates',
+  '594': 'Mollusks & molluscoids',
+  '595': 'Arthropods',
+  '596': 'Chordates',
+  '597': 'Cold-blooded vertebrates',
+  '598': 'Birds',
+  '599': 'Mammals',
+
+  '600': 'Technology (Applied sciences)',
+  '601': 'Philosophy & theory',
+  '602': 'Miscellany',
+  '603': 'Dictionaries & encyclopedias',
+  '604': 'Technical drawing & hazardous materials',
+  '605': 'Serial publications',
+  '606': 'Organizations',
+  '607': 'Education, research & related topics',
+  '608': 'Patents',
+  '609': 'History, geographic treatment & biography',
+
+  '610': 'Medicine & health',
+  '611': 'Human anatomy, cytology & histology',
+  '612': 'Human physiology',
+  '613': 'Personal health & safety',
+  '614': 'Forensic medicine & public health',
+  '615': 'Pharmacology & therapeutics',
+  '616': 'Diseases',
+  '617': 'Surgery & related medical specialties',
+  '618': 'Gynecology, obstetrics, pediatrics & geriatrics',
+  '619': null,
+
+  '620': 'Engineering & allied operations',
+  '621': 'Applied physics',
+  '622': 'Mining & related operations',
+  '623': 'Military & nautical engineering',
+  '624': 'Civil engineering',
+  '625': 'Engineering of railroads & roads',
+  '626': null,
+  '627': 'Hydraulic engineering',
+  '628': 'Sanitary engineering',
+  '629': 'Other branches of engineering',
+
+  '630': 'Agriculture & related technologies',
+  '631': 'Specific techniques, apparatus & materials',
+  '632': 'Plant injuries, diseases & pests',
+  '633': 'Field & plantation crops',
+  '634': 'Orchards, fruits & forestry',
+  '635': 'Garden crops (Horticulture)',
+  '636': 'Animal husbandry',
+  '637': 'Processing dairy & related products',
+  '638': 'Insect culture',
+  '639': 'Hunting, fishing & conservation',
+
+  '640': 'Home & family management',
+  '641': 'Food & drink',
+  '642': 'Meals & table service',
+  '643': 'Housing & household equipment',
+  '644': 'Household utilities',
+  '645': 'Household furnishings',
+  '646': 'Sewing, clothing & personal living',
+  '647': 'Management of public households',
+  '648': 'Housekeeping',
+  '649': 'Child rearing & home care of people',
+
+  '650': 'Management & auxiliary services',
+  '651': 'Office services',
+  '652': 'Processes of written communication',
+  '653': 'Shorthand',
+  '654': null,
+  '655': null,
+  '656': null,
+  '657': 'Accounting',
+  '658': 'General management',
+  '659': 'Advertising & public relations',
+
+  '660': 'Chemical engineering & related technologies',
+  '661': 'Technology of industrial chemicals',
+  '662': 'Explosives, fuels & related products',
+  '663': 'Beverage technology',
+  '664': 'Food technology',
+  '665': 'Industrial oils, fats, waxes & gases',
+  '666': 'Ceramic & allied technologies',
+  '667': 'Cleaning, color, coating & related technologies',
+  '668': 'Technology of other organic products',
+  '669': 'Metallurgy',
+
+  '670': 'Manufacturing',
+  '671': 'Metalworking & primary metal products',
+  '672': 'Iron, steel & other iron alloys',
+  '673': 'Nonferrous metals',
+  '674': 'Lumber processing, wood products & cork',
+  '675': 'Leather & fur processing',
+  '676': 'Pulp & paper technology',
+  '677': 'Textiles',
+  '678': 'Elastomers & elastomer products',
+  '679': 'Other products of specific materials',
+
+  '680': 'Manufacture of products for specific uses',
+  '681': 'Precision instruments & other devices',
+  '682': 'Small forge work (Blacksmithing)',
+  '683': 'Hardware & household appliances',
+  '684': 'Furnishings & home workshops',
+  '685': 'Leather & fur goods & related products',
+  '686': 'Printing & related activities',
+  '687': 'Clothing & accessories',
+  '688': 'Other final products & packaging',
+  '689': null,
+
+  '690': 'Construction of buildings',
+  '691': 'Building materials',
+  '692': 'Auxiliary construction practices',
+  '693': 'Construction in specific materials & for specific purposes',
+  '694': 'Wood construction',
+  '695': 'Roof covering',
+  '696': 'Utilities',
+  '697': 'Heating, ventilating & air-conditioning',
+  '698': 'Detail finishing',
+  '699': null,
+
+  '700': 'The arts; fine & decorative arts',
+  '701': 'Philosophy & theory of fine & decorative arts',
+  '702': 'Miscellany of fine & decorative arts',
+  '703': 'Dictionaries & encyclopedias of fine & decorative arts',
+  '704': 'Special topics in fine & decorative arts',
+  '705': 'Serial publications of fine & decorative arts',
+  '706': 'Organizations & management of fine & decorative arts',
+  '707': 'Education & research in fine & decorative arts',
+  '708': 'Galleries, museums & private collections',
+  '709': 'History, geographic treatment & biography',
+
+  '710': 'Area planning & landscape architecture',
+  '711': 'Area planning (Civic art)',
+  '712': 'Landscape architecture (Landscape design)',
+  '713': 'Landscape architecture of trafficways',
+  '714': 'Water features in landscape architecture',
+  '715': 'Woody plants in landscape architecture',
+  '716': 'Herbaceous plants in landscape architecture',
+  '717': 'Structures in landscape architecture',
+  '718': 'Landscape design of cemeteries',
+  '719': 'Natural landscapes',
+
+  '720': 'Architecture',
+  '721': 'Architectural materials & structural elements',
+  '722': 'Architecture from earliest times to ca. 300',
+  '723': 'Architecture from ca. 300 to 1399',
+  '724': 'Architecture from 1400',
+  '725': 'Public structures',
+  '726': 'Buildings for religious purposes',
+  '727': 'Buildings for educational & research purposes',
+  '728': 'Residential & related buildings',
+  '729': 'Design & decoration of structures',
+
+  '730': 'Plastic arts; sculpture',
+  '731': 'Processes, forms & subjects of sculpture',
+  '732': 'Sculpture to ca. 500',
+  '733': 'Greek, Etruscan & Roman sculpture',
+  '734': 'Sculpture from ca. 500 to 1399',
+  '735': 'Sculpture from 1400',
+  '736': 'Carving & carvings',
+  '737': 'Numismatics & sigillography',
+  '738': 'Ceramic arts',
+  '739': 'Art metalwork',
+
+  '740': 'Graphic arts & decorative arts',
+  '741': 'Drawing & drawings',
+  '742': 'Perspective in drawing',
+  '743': 'Drawing & drawings by subject',
+  '744': null,
+  '745': 'Decorative arts',
+  '746': 'Textile arts',
+  '747': 'Interior decoration',
+  '748': 'Glass',
+  '749': 'Furniture & accessories',
+
+  '750': 'Painting & paintings',
+  '751': 'Techniques, equipment, materials & forms',
+  '752': 'Color',
+  '753': 'Symbolism, allegory, mythology & legend',
+  '754': 'Genre paintings',
+  '755': 'Religion',
+  '756': null,
+  '757': 'Human figures',
+  '758': 'Nature, architectural subjects & cityscapes',
+  '759': 'History, geographic treatment & biography',
+
+  '760': 'Printmaking & prints',
+  '761': 'Relief processes (Block printing)',
+  '762': null,
+  '763': 'Lithographic processes',
+  '764': 'Chromolithography & serigraphy',
+  '765': 'Metal engraving',
+  '766': 'Mezzotinting, aquatinting & related processes',
+  '767': 'Etching & drypoint',
+  '768': null,
+  '769': 'Prints',
+
+  '770': 'Photography, computer art, cinematography & videography',
+  '771': 'Techniques, equipment & materials',
+  '772': 'Metallic salt processes',
+  '773': 'Pigment processes of printing',
+  '774': 'Holography',
+  '775': 'Digital photography',
+  '776': 'Computer art (Digital art)',
+  '777': 'Cinematography & videography',
+  '778': 'Specific fields & kinds of photography',
+  '779': 'Photographs',
+
+  '780': 'Music',
+  '781': 'General principles & musical forms',
+  '782': 'Vocal music',
+  '783': 'Music for single voices',
+  '784': 'Instruments & instrumental ensembles',
+  '785': 'Ensembles with only one instrument per part',
+  '786': 'Keyboard, mechanical, electrophonic & percussion instruments',
+  '787': 'Stringed instruments (Chordophones)',
+  '788': 'Wind instruments (Aerophones)',
+  '789': null,
+
+  '790': 'Recreational & performing arts',
+  '791': 'Public performances',
+  '792': 'Stage presentations',
+  '793': 'Indoor games & amusements',
+  '794': 'Indoor games of skill',
+  '795': 'Games of chance',
+  '796': 'Athletic & outdoor sports & games',
+  '797': 'Aquatic & air sports',
+  '798': 'Equestrian sports & animal racing',
+  '799': 'Fishing, hunting & shooting',
+
+  '800': 'Literature (Belles-lettres) & rhetoric',
+  '801': 'Philosophy & theory',
+  '802': 'Miscellany',
+  '803': 'Dictionaries & encyclopedias',
+  '804': null,
+  '805': 'Serial publications',
+  '806': 'Organizations & management',
+  '807': 'Education, research & related topics',
+  '808': 'Rhetoric & collections of literary texts',
+  '809': 'History, description & criticism of literature',
+
+  '810': 'American literature in English',
+  '811': 'American poetry in English',
+  '812': 'American drama in English',
+  '813': 'American fiction in English',
+  '814': 'American essays in English',
+  '815': 'American speeches in English',
+  '816': 'American letters in English',
+  '817': 'American humor & satire in English',
+  '818': 'American miscellaneous writings in English',
+  '819': null,
+
+  '820': 'English & Old English (Anglo-Saxon) literatures',
+  '821': 'English poetry',
+  '822': 'English drama',
+  '823': 'English fiction',
+  '824': 'English essays',
+  '825': 'English speeches',
+  '826': 'English letters',
+  '827': 'English humor & satire',
+  '828': 'English miscellaneous writings',
+  '829': 'Old English (Anglo-Saxon) literature',
+
+  '830': 'German & related literatures',
+  '831': 'German poetry',
+  '832': 'German drama',
+  '833': 'German fiction',
+  '834': 'German essays',
+  '835': 'German speeches',
+  '836': 'German letters',
+  '837': 'German humor & satire',
+  '838': 'German miscellaneous writings',
+  '839': 'Other Germanic literatures',
+
+  '840': 'French & related literatures',
+  '841': 'French poetry',
+  '842': 'French drama',
+  '843': 'French fiction',
+  '844': 'French essays',
+  '845': 'French speeches',
+  '846': 'French letters',
+  '847': 'French humor & satire',
+  '848': 'French miscellaneous writings',
+  '849': 'Occitan, Catalan & Franco-Provençal literatures',
+
+  '850': 'Italian, Romanian & related literatures',
+  '851': 'Italian poetry',
+  '852': 'Italian drama',
+  '853': 'Italian fiction',
+  '854': 'Italian essays',
+  '855': 'Italian speeches',
+  '856': 'Italian letters',
+  '857': 'Italian humor & satire',
+  '858': 'Italian miscellaneous writings',
+  '859': 'Romanian, Rhaetian, Sardinian & Corsican literatures',
+
+  '860': 'Spanish, Portuguese & Galician literatures',
+  '861': 'Spanish poetry',
+  '862': 'Spanish drama',
+  '863': 'Spanish fiction',
+  '864': 'Spanish essays',
+  '865': 'Spanish speeches',
+  '866': 'Spanish letters',
+  '867': 'Spanish humor & satire',
+  '868': 'Spanish miscellaneous writings',
+  '869': 'Portuguese & Galician literatures',
+
+  '870': 'Latin & Italic literatures',
+  '871': 'Latin poetry',
+  '872': 'Latin dramatic poetry & drama',
+  '873': 'Latin epic poetry & fiction',
+  '874': 'Latin lyric poetry',
+  '875': 'Latin speeches',
+  '876': 'Latin letters',
+  '877': 'Latin humor & satire',
+  '878': 'Latin miscellaneous writings',
+  '879': 'Literatures of other Italic languages',
+
+  '880': 'Classical Greek & related literatures',
+  '881': 'Classical Greek poetry',
+  '882': 'Classical Greek dramatic poetry & drama',
+  '883': 'Classical Greek epic poetry & fiction',
+  '884': 'Classical Greek lyric poetry',
+  '885': 'Classical Greek speeches',
+  '886': 'Classical Greek letters',
+  '887': 'Classical Greek humor & satire',
+  '888': 'Classical Greek miscellaneous writings',
+  '889': 'Modern Greek literature',
+
+  '890': 'Literatures of other languages',
+  '891': 'East Indo-European & Celtic literatures',
+  '892': 'Afro-Asiatic literatures',
+  '893': 'Non-Semitic Afro-Asiatic literatures',
+  '894': 'Altaic, Uralic, Hyperborean & Dravidian literatures',
+  '895': 'Literatures of East & Southeast Asia',
+  '896': 'African literatures',
+  '897': 'Literatures of North American native languages',
+  '898': 'Literatures of South American native languages',
+  '899': 'Austronesian & other literatures',
+
+  '900': 'History & geography',
+  '901': 'Philosophy & theory of history',
+  '902': 'Miscellany of history',
+  '903': 'Dictionaries & encyclopedias of history',
+  '904': 'Collected accounts of events',
+  '905': 'Serial publications of history',
+  '906': 'Organizations & management of history',
+  '907': 'Education & research in history',
+  '908': 'History of groups of people',
+  '909': 'World history',
+
+  '910': 'Geography & travel',
+  '911': 'Historical geography',
+  '912': 'Atlases, maps, charts & plans',
+  '913': 'Geography of & travel in ancient world',
+  '914': 'Geography of & travel in Europe',
+  '915': 'Geography of & travel in Asia',
+  '916': 'Geography of & travel in Africa',
+  '917': 'Geography of & travel in North America',
+  '918': 'Geography of & travel in South America',
+  '919': 'Geography of & travel in other areas',
+
+  '920': 'Biography, genealogy & insignia',
+  '921': null,
+  '922': null,
+  '923': null,
+  '924': null,
+  '925': null,
+  '926': null,
+  '927': null,
+  '928': null,
+  '929': 'Genealogy, names & insignia',
+
+  '930': 'History of ancient world to ca. 499',
+  '931': 'China to 420',
+  '932': 'Egypt to 640',
+  '933': 'Palestine to 70',
+  '934': 'South Asia to 647',
+  '935': 'Mesopotamia & Iranian Plateau to 637',
+  '936': 'Europe north & west of Italy to ca. 499',
+  '937': 'Italy & adjacent territories to 476',
+  '938': 'Greece to 323',
+  '939': 'Other parts of ancient world',
+
+  '940': 'History of Europe',
+  '941': 'British Isles',
+  '942': 'England & Wales',
+  '943': 'Germany & central Europe',
+  '944': 'France & Monaco',
+  '945': 'Italy, San Marino, Vatican City & Malta',
+  '946': 'Spain, Andorra, Gibraltar & Portugal',
+  '947': 'Russia & eastern Europe',
+  '948': 'Scandinavia & Finland',
+  '949': 'Other parts of Europe',
+
+  '950': 'History of Asia',
+  '951': 'China & adjacent areas',
+  '952': 'Japan',
+  '953': 'Arabian Peninsula & adjacent areas',
+  '954': 'India & south Asia',
+  '955': 'Iran',
+  '956': 'Middle East (Near East)',
+  '957': 'Siberia (Asiatic Russia)',
+  '958': 'Central Asia',
+  '959': 'Southeast Asia',
+
+  '960': 'History of Africa',
+  '961': 'Tunisia & Libya',
+  '962': 'Egypt, Sudan & South Sudan',
+  '963': 'Ethiopia & Eritrea',
+  '964': 'Northwest African coast & offshore islands',
+  '965': 'Algeria',
+  '966': 'West Africa & offshore islands',
+  '967': 'Central Africa & offshore islands',
+  '968': 'Republic of South Africa & southern Africa',
+  '969': 'South Indian Ocean islands',
+
+  '970': 'History of North America',
+  '971': 'Canada',
+  '972': 'Mexico, Central America & West Indies',
+  '973': 'United States',
+  '974': 'Northeastern United States',
+  '975': 'Southeastern United States',
+  '976': 'South central United States',
+  '977': 'North central United States',
+  '978': 'Western United States',
+  '979': 'Great Basin & Pacific Slope of United States',
+
+  '980': 'History of South America',
+  '981': 'Brazil',
+  '982': 'Argentina',
+  '983': 'Chile',
+  '984': 'Bolivia',
+  '985': 'Peru',
+  '986': 'Colombia & Ecuador',
+  '987': 'Venezuela',
+  '988': 'Guiana',
+  '989': 'Paraguay & Uruguay',
+
+  '990': 'History of Australasia, Pacific & Atlantic islands & polar regions',
+  '991': null,
+  '992': null,
+  '993': 'New Zealand',
+  '994': 'Australia',
+  '995': 'New Guinea & Melanesia',
+  '996': 'Polynesia & other Pacific Ocean islands',
+  '997': 'Atlantic Ocean islands',
+  '998': 'Arctic islands & Antarctica',
+  '999': 'Extraterrestrial worlds',
+};
+
+module.exports = { CLASSES, DIVISIONS, SECTIONS };
@@ -0,0 +1,107 @@
+/**
+ * diversity.js — Dewey-based diversity re-ranking and list metrics
+ * ─────────────────────────────────────────────────────────────────
+ * Dewey distance between two books walks up the classification:
+ *
+ *   same dewey_decimal           → 0
+ *   same section   (658 / 658)   → 0.25
+ *   same division  (65x / 65x)   → 0.5
+ *   same class     (6xx / 6xx)   → 0.75
+ *   different class              → 1
+ *
+ * mmrRerank() applies Maximal Marginal Relevance: it repeatedly picks the
+ * candidate maximising
+ *
+ *   (1 − diversity) · relevance − diversity · max similarity to picks so far
+ *
+ * where similarity = 1 − Dewey distance and relevance is the candidate's
+ * score scaled to 0–1. diversity = 0 keeps the relevance order untouched.
+ */
+
+'use strict';
+
+/**
+ * @param  {string} a  — dewey_decimal, e.g. "658.1"
+ * @param  {string} b
+ * @returns {number}   — 0 (identical) … 1 (different main class)
+ */
+function deweyDistance(a, b) {
+  const x = String(a);
+  const y = String(b);
+
+  if (x === y)                         return 0;
+  if (x.slice(0, 3) === y.slice(0, 3)) return 0.25;
+  if (x.slice(0, 2) === y.slice(0, 2)) return 0.5;
+  if (x[0] === y[0])                   return 0.75;
+  return 1;
+}
+
+/**
+ * Greedy MMR re-ranking.
+ *
+ * @template T
+ * @param  {T[]}    items      — in descending relevance order
+ * @param  {object} opts
+ * @param  {(item: T) => number} opts.score  — relevance (any non-negative scale)
+ * @param  {(item: T) => string} opts.dewey  — the item's dewey_decimal
+ * @param  {number} opts.diversity           — 0 (pure relevance) … 1 (pure diversity)
+ * @param  {number} opts.count               — how many items to pick
+ * @returns {T[]}
+ */
+function mmrRerank(items, { score, dewey, diversity, count }) {
+  const maxScore  = Math.max(0, ...items.map(score));
+  const remaining = items.map(item => ({
+    item,
+    relevance: maxScore > 0 ? score(item) / maxScore : 0,
+    dewey    : dewey(item),
+  }));
+  const picked = [];
+
+  while (picked.length < count && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestValue = -Infinity;
+
+    remaining.forEach((candidate, index) => {
+      const redundancy = picked.reduce(
+        (max, p) => Math.max(max, 1 - deweyDistance(candidate.dewey, p.dewey)), 0
+      );
+      const value = (1 - diversity) * candidate.relevance - diversity * redundancy;
+      // Strict ">" keeps the original (relevance) order on ties
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = index;
+      }
+    });
+
+    picked.push(remaining.splice(bestIndex, 1)[0]);
+  }
+
+  return picked.map(p => p.item);
+}
+
+/**
+ * Diversity of a recommendation list.
+ *
+ * @param  {{ dewey_decimal: string }[]} books
+ * @returns {{ intraListDistance: number, distinctSections: number }}
+ *   intraListDistance — mean pairwise Dewey distance (0 = all same class, 1 = all different)
+ *   distinctSections  — number of different three-digit Dewey sections
+ */
+function listDiversity(books) {
+  let total = 0;
+  let pairs = 0;
+
+  for (let i = 0; i < books.length; i++) {
+    for (let j = i + 1; j < books.length; j++) {
+      total += deweyDistance(books[i].dewey_decimal, books[j].dewey_decimal);
+      pairs++;
+    }
+  }
+
+  return {
+    intraListDistance: pairs ? parseFloat((total / pairs).toFixed(4)) : 0,
+    distinctSections : new Set(books.map(b => String(b.dewey_decimal).slice(0, 3))).size,
+  };
+}
+
+module.exports = { deweyDistance, mmrRerank, listDiversity };
@@ -0,0 +1,23 @@
+/**
+ * errors.js — Domain errors raised by the service layer
+ *
+ * Services throw ServiceError for expected failures (unknown user, book
+ * already on loan, …). The API's global error handler maps `code` to an
+ * HTTP status; anything else is treated as a 500.
+ */
+
+'use strict';
+
+class ServiceError extends Error {
+  /**
+   * @param {'INVALID'|'NOT_FOUND'|'CONFLICT'} code
+   * @param {string} message  — safe to show to API clients
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'ServiceError';
+    this.code = code;
+  }
+}
+
+module.exports = { ServiceError };
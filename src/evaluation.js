@@ -0,0 +1,362 @@
+/**
+ * evaluation.js — Offline evaluation of DiscoveryService
+ * ───────────────────────────────────────────────────────
+ * Replays a library_dataset.json-shaped dataset: hides part of the loan
+ * history, asks the recommender for each affected user's top k using only
+ * what is left, and scores the list against the hidden loans.
+ *
+ * Splits:
+ *   temporal       — every loan on or after a cutoff date is hidden (the
+ *                    cutoff defaults to the date leaving the newest
+ *                    `testFraction` of loans on the test side)
+ *   leave-one-out  — one run per user with ≥ 2 loans, hiding only that
+ *                    user's most recent loan
+ *
+ * Metrics (averaged over evaluated users):
+ *   precision@k — hits / k
+ *   recall@k    — hits / hidden books
+ *   MAP         — mean of average precision at k
+ *   hit rate    — share of users with at least one hit
+ *
+ * plus catalogue coverage (distinct books recommended / catalogue size)
+ * and how often each strategy — peer similarity or one of the fallbacks —
+ * produced the list.
+ *
+ * Hidden books the user already borrowed before are not counted as
+ * relevant: the recommender never suggests books a user has read.
+ *
+ * peerSearchRecall() separately measures the MinHash/LSH peer search
+ * against the exact scan: the share of the exact top peers it also finds,
+ * and the share of users it had to score to find them.
+ *
+ * Usage:
+ *   const report = await evaluate(await repo.exportDataset(), { split: 'temporal', k: 5 });
+ *   const recall = await peerSearchRecall(service, userIds, { maxPeers: 50 });
+ */
+
+'use strict';
+
+const DiscoveryService   = require('./Discoveryservice');
+const InMemoryRepository = require('./InMemoryRepository');
+const { compareIds }     = require('./ids');
+
+// ── Constants ──────────────────────────────────────────────────────────────────
+
+const SPLITS = ['temporal', 'leave-one-out'];
+
+/** Defaults for evaluate(). */
+const DEFAULT_K             = 5;
+const DEFAULT_TEST_FRACTION = 0.2;
+
+/** Strategy reported for a list with no results. */
+const NO_RESULTS = 'no_results';
+
+
+// ── Splits ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Hides every loan on or after the cutoff date.
+ *
+ * @param  {Dataset} dataset
+ * @param  {object}  [opts]
+ * @param  {string}  [opts.cutoff]        — "YYYY-MM-DD"; overrides testFraction
+ * @param  {number}  [opts.testFraction]  — share of loans to hide (default 0.2)
+ * @returns {Fold[]}
+ */
+function temporalSplit(dataset, { cutoff, testFraction = DEFAULT_TEST_FRACTION } = {}) {
+  const loans = [...dataset.loans].sort(byLoanDate);
+  if (loans.length === 0) return [];
+
+  const date = cutoff ??
+    loans[Math.min(loans.length - 1, Math.floor(loans.length * (1 - testFraction)))].borrowed_at;
+
+  const train = loans.filter(l => l.borrowed_at < date);
+  const test  = loans.filter(l => l.borrowed_at >= date);
+
+  const hidden = new Map();   // user_id → book_ids borrowed on/after the cutoff
+  for (const loan of test) {
+    if (!hidden.has(loan.user_id)) hidden.set(loan.user_id, []);
+    hidden.get(loan.user_id).push(loan.book_id);
+  }
+
+  const cases = [...hidden]
+    .sort((a, b) => compareIds(a[0], b[0]))
+    .map(([userId, bookIds]) => ({ userId, relevant: relevantBooks(train, userId, bookIds) }))
+    .filter(c => c.relevant.size > 0);
+
+  return [{ asOf: date, train: { ...dataset, loans: train }, cases }];
+}
+
+/**
+ * One fold per user with at least two loans, hiding their newest loan.
+ *
+ * @param  {Dataset} dataset
+ * @returns {Fold[]}
+ */
+function leaveOneOutSplit(dataset) {
+  const loans  = [...dataset.loans].sort(byLoanDate);
+  const latest = new Map();   // user_id → newest loan
+  const counts = new Map();
+
+  for (const loan of loans) {
+    latest.set(loan.user_id, loan);
+    counts.set(loan.user_id, (counts.get(loan.user_id) || 0) + 1);
+  }
+
+  return [...latest.values()]
+    .filter(loan => counts.get(loan.user_id) >= 2)
+    .sort((a, b) => compareIds(a.user_id, b.user_id))
+    .map(heldOut => {
+      const train = loans.filter(l => l !== heldOut);
+      return {
+        asOf : heldOut.borrowed_at,
+        train: { ...dataset, loans: train },
+        cases: [{ userId: heldOut.user_id, relevant: relevantBooks(train, heldOut.user_id, [heldOut.book_id]) }],
+      };
+    })
+    .filter(fold => fold.cases[0].relevant.size > 0);
+}
+
+function byLoanDate(a, b) {
+  return a.borrowed_at.localeCompare(b.borrowed_at) || compareIds(a.loan_id, b.loan_id);
+}
+
+/** Hidden books minus those the user had already borrowed in `train`. */
+function relevantBooks(train, userId, bookIds) {
+  const seen = new Set(train.filter(l => l.user_id === userId).map(l => l.book_id));
+  return new Set(bookIds.filter(id => !seen.has(id)));
+}
+
+
+// ── Metrics ────────────────────────────────────────────────────────────────────
+
+/**
+ * @param  {string[]}    recommended  — book_ids, best first
+ * @param  {Set<string>} relevant
+ * @param  {number}      k
+ * @returns {number}
+ */
+function precisionAtK(recommended, relevant, k) {
+  return recommended.slice(0, k).filter(id => relevant.has(id)).length / k;
+}
+
+/**
+ * @param  {string[]}    recommended
+ * @param  {Set<string>} relevant
+ * @param  {number}      k
+ * @returns {number}
+ */
+function recallAtK(recommended, relevant, k) {
+  if (relevant.size === 0) return 0;
+  return recommended.slice(0, k).filter(id => relevant.has(id)).length / relevant.size;
+}
+
+/**
+ * Average precision at k: the mean of precision@i over the ranks i of each
+ * hit, divided by min(|relevant|, k) so a perfect list scores 1.
+ *
+ * @param  {string[]}    recommended
+ * @param  {Set<string>} relevant
+ * @param  {number}      k
+ * @returns {number}
+ */
+function averagePrecisionAtK(recommended, relevant, k) {
+  if (relevant.size === 0) return 0;
+
+  let hits = 0;
+  let sum  = 0;
+  recommended.slice(0, k).forEach((id, index) => {
+    if (!relevant.has(id)) return;
+    hits++;
+    sum += hits / (index + 1);
+  });
+
+  return sum / Math.min(relevant.size, k);
+}
+
+
+// ── Evaluation ─────────────────────────────────────────────────────────────────
+
+/**
+ * Runs DiscoveryService.getRecommendations() for every evaluated user and
+ * scores the results.
+ *
+ * @param  {Dataset} dataset
+ * @param  {object}  [opts]
+ * @param  {'temporal'|'leave-one-out'} [opts.split]  — default "temporal"
+ * @param  {number}  [opts.k]             — list length scored (default 5)
+ * @param  {string}  [opts.cutoff]        — temporal split only
+ * @param  {number}  [opts.testFraction]  — temporal split only
+ * @param  {object}  [opts.recommend]     — extra getRecommendations() options
+ *                                          (minScore, maxPeers, halfLifeDays, …);
+ *                                          asOf defaults to the split date
+ * @param  {{ bands?: number, rows?: number }} [opts.lsh] — MinHash banding for peerSearch "lsh"
+ * @returns {Promise<EvaluationReport>}
+ */
+async function evaluate(dataset, opts = {}) {
+  const split     = opts.split ?? 'temporal';
+  const k         = opts.k     ?? DEFAULT_K;
+  const recommend = opts.recommend || {};
+
+  if (!SPLITS.includes(split)) {
+    throw new Error(`split must be one of: ${SPLITS.join(', ')}. Got: "${split}"`);
+  }
+  if (!Number.isInteger(k) || k < 1) {
+    throw new Error(`k must be a positive integer. Got: "${k}"`);
+  }
+
+  const folds = split === 'temporal'
+    ? temporalSplit(dataset, { cutoff: opts.cutoff, testFraction: opts.testFraction })
+    : leaveOneOutSplit(dataset);
+
+  const users       = [];
+  const strategies  = {};
+  const recommended = new Set();
+
+  for (const fold of folds) {
+    const service = new DiscoveryService(new InMemoryRepository(fold.train), { lsh: opts.lsh });
+
+    for (const { userId, relevant } of fold.cases) {
+      const results = await service.getRecommendations(userId, {
+        ...recommend,
+        asOf : recommend.asOf ?? fold.asOf,
+        limit: k,
+      });
+      const ids      = results.map(r => r.book_id);
+      const strategy = results.length ? (results[0].fallback || 'peer_similarity') : NO_RESULTS;
+
+      ids.forEach(id => recommended.add(id));
+      strategies[strategy] = (strategies[strategy] || 0) + 1;
+
+      users.push({
+        userId,
+        strategy,
+        relevant   : [...relevant].sort(compareIds),
+        recommended: ids,
+        hits       : ids.filter(id => relevant.has(id)),
+        precision  : round(precisionAtK(ids, relevant, k)),
+        recall     : round(recallAtK(ids, relevant, k)),
+        ap         : round(averagePrecisionAtK(ids, relevant, k)),
+      });
+    }
+  }
+
+  const mean = field => round(users.length ? users.reduce((sum, u) => sum + u[field], 0) / users.length : 0);
+
+  return {
+    split,
+    k,
+    cutoff        : split === 'temporal' && folds.length ? folds[0].asOf : null,
+    usersEvaluated: users.length,
+    metrics       : {
+      precisionAtK: mean('precision'),
+      recallAtK   : mean('recall'),
+      map         : mean('ap'),
+      hitRate     : round(users.length ? users.filter(u => u.hits.length > 0).length / users.length : 0),
+    },
+    coverage      : {
+      catalogueSize   : dataset.books.length,
+      recommendedBooks: recommended.size,
+      coverage        : round(dataset.books.length ? recommended.size / dataset.books.length : 0),
+    },
+    strategies,
+    users,
+  };
+}
+
+// ── Peer Search Recall ─────────────────────────────────────────────────────────
+
+/**
+ * Compares DiscoveryService.findPeers() in "lsh" mode with the exact scan.
+ * Users without any exact peer are skipped.
+ *
+ * @param  {DiscoveryService} service
+ * @param  {string[]}         userIds
+ * @param  {object}           [opts]  — findPeers() options (minScore, maxPeers, recency)
+ * @returns {Promise<PeerRecallReport>}
+ */
+async function peerSearchRecall(service, userIds, opts = {}) {
+  const users = [];
+
+  for (const userId of userIds) {
+    const exact = await service.findPeers(userId, { ...opts, peerSearch: 'exact' });
+    if (exact.peers.length === 0) continue;
+
+    const approx = await service.findPeers(userId, { ...opts, peerSearch: 'lsh' });
+    const ids    = new Set(approx.peers.map(p => p.peerId));
+    const found  = exact.peers.filter(p => ids.has(p.peerId)).length;
+
+    users.push({
+      userId,
+      exactPeers    : exact.peers.length,
+      foundPeers    : found,
+      recall        : round(found / exact.peers.length),
+      candidateShare: round(exact.candidatePeers ? approx.candidatePeers / exact.candidatePeers : 0),
+    });
+  }
+
+  const mean = field => round(users.length ? users.reduce((sum, u) => sum + u[field], 0) / users.length : 0);
+
+  return {
+    usersEvaluated: users.length,
+    recall        : mean('recall'),
+    candidateShare: mean('candidateShare'),
+    users,
+  };
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(4));
+}
+
+
+// ── Exports ────────────────────────────────────────────────────────────────────
+
+module.exports = {
+  SPLITS,
+  evaluate,
+  peerSearchRecall,
+  temporalSplit,
+  leaveOneOutSplit,
+  precisionAtK,
+  recallAtK,
+  averagePrecisionAtK,
+};
+
+
+/**
+ * @typedef {object} Dataset
+ * @property {object[]} books  — { book_id, title, author, dewey_decimal }
+ * @property {object[]} users  — { user_id, name }
+ * @property {object[]} loans  — { loan_id, user_id, book_id, borrowed_at }
+ */
+
+/**
+ * @typedef {object} PeerRecallReport
+ * @property {number} usersEvaluated  — users with at least one exact peer
+ * @property {number} recall          — mean share of exact top peers LSH also returned
+ * @property {number} candidateShare  — mean share of users LSH scored vs. the exact scan
+ * @property {{ userId: string, exactPeers: number, foundPeers: number,
+ *              recall: number, candidateShare: number }[]} users
+ */
+
+/**
+ * @typedef {object} Fold
+ * @property {string}  asOf   — split date, used as "now" for recency weighting
+ * @property {Dataset} train  — the dataset with the hidden loans removed
+ * @property {{ userId: string, relevant: Set<string> }[]} cases — users to score
+ */
+
+/**
+ * @typedef {object} EvaluationReport
+ * @property {string}      split
+ * @property {number}      k
+ * @property {string|null} cutoff          — temporal split date
+ * @property {number}      usersEvaluated
+ * @property {{ precisionAtK: number, recallAtK: number, map: number, hitRate: number }} metrics
+ * @property {{ catalogueSize: number, recommendedBooks: number, coverage: number }}      coverage
+ * @property {Object<string, number>} strategies — users per strategy: "peer_similarity",
+ *                                                 a fallback name, or "no_results"
+ * @property {{ userId: string, strategy: string, relevant: string[], recommended: string[],
+ *              hits: string[], precision: number, recall: number, ap: number }[]} users
+ */
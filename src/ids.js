@@ -0,0 +1,45 @@
+/**
+ * ids.js — Helpers for prefixed sequential IDs ("U001", "B020", "L051")
+ *
+ * The numeric part is zero-padded to at least three digits and simply
+ * grows past 999 ("L1000"), staying within the VARCHAR(10) columns.
+ */
+
+'use strict';
+
+/**
+ * @param  {string} prefix  — e.g. "L"
+ * @param  {number} n       — sequence number
+ * @returns {string}        — e.g. formatId('L', 51) → "L051"
+ */
+function formatId(prefix, n) {
+  return prefix + String(n).padStart(3, '0');
+}
+
+/**
+ * Returns the next ID after the highest one in `ids` with the same prefix.
+ *
+ * @param  {string}   prefix
+ * @param  {string[]} ids
+ * @returns {string}
+ */
+function nextId(prefix, ids) {
+  const max = ids.reduce((hi, id) => {
+    const n = id.startsWith(prefix) ? Number(id.slice(prefix.length)) : NaN;
+    return Number.isInteger(n) && n > hi ? n : hi;
+  }, 0);
+  return formatId(prefix, max + 1);
+}
+
+/**
+ * Orders IDs numerically within a prefix ("B999" before "B1000").
+ *
+ * @param  {string} a
+ * @param  {string} b
+ * @returns {number}
+ */
+function compareIds(a, b) {
+  return a.length - b.length || a.localeCompare(b);
+}
+
+module.exports = { formatId, nextId, compareIds };
@@ -0,0 +1,65 @@
+/**
+ * implicitRating.js — How much a loan says a patron liked the book
+ * ──────────────────────────────────────────────────────────────────
+ * Patrons never rate books, but how long they keep them and whether they
+ * come back for them says a lot. Each loan gives a signal from how long
+ * the book was kept (borrowed_at → borrow_records.return_date):
+ *
+ *   returned in under QUICK_RETURN_DAYS   QUICK_RETURN_WEIGHT  (borrowed and returned unread)
+ *   kept past LOAN_PERIOD_DAYS            RENEWED_WEIGHT       (renewed to finish it)
+ *   anything else, or still out           1
+ *
+ * A book's rating is the sum of the signals of every loan of it, so a
+ * re-borrowed book outweighs one read once, capped at MAX_RATING.
+ * Loans with no borrow record (e.g. seeded history) count as 1.
+ */
+
+'use strict';
+
+const { LOAN_PERIOD_DAYS } = require('./availability');
+
+/** Returned in fewer days than this: a weak signal, probably unread. */
+const QUICK_RETURN_DAYS = 3;
+
+/** Signal of a quick return. */
+const QUICK_RETURN_WEIGHT = 0.25;
+
+/** Signal of a loan kept past the standard loan period. */
+const RENEWED_WEIGHT = 1.5;
+
+/** Highest rating one book can reach, however often it is re-borrowed. */
+const MAX_RATING = 3;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @param  {{ borrowed_at: string, return_date?: string|null }} loan
+ * @returns {number}  — QUICK_RETURN_WEIGHT, 1 or RENEWED_WEIGHT
+ */
+function loanSignal({ borrowed_at, return_date }) {
+  if (!return_date) return 1;
+
+  const keptDays = (Date.parse(return_date) - Date.parse(borrowed_at)) / MS_PER_DAY;
+  if (keptDays < QUICK_RETURN_DAYS) return QUICK_RETURN_WEIGHT;
+  if (keptDays > LOAN_PERIOD_DAYS)  return RENEWED_WEIGHT;
+  return 1;
+}
+
+/**
+ * Adds one loan's signal, scaled by `weight` (e.g. a recency weight), to
+ * the book's rating in a { book_id → rating } map.
+ *
+ * @param  {Map<string, number>} ratings
+ * @param  {{ book_id: string, borrowed_at: string, return_date?: string|null }} loan
+ * @param  {number} [weight]
+ * @returns {Map<string, number>}  — `ratings`
+ */
+function addLoanRating(ratings, loan, weight = 1) {
+  const rating = (ratings.get(loan.book_id) || 0) + loanSignal(loan) * weight;
+  return ratings.set(loan.book_id, Math.min(MAX_RATING, rating));
+}
+
+module.exports = {
+  QUICK_RETURN_DAYS, QUICK_RETURN_WEIGHT, RENEWED_WEIGHT, MAX_RATING,
+  loanSignal, addLoanRating,
+};
@@ -0,0 +1,212 @@
+/**
+ * similarity.js — Peer similarity metrics
+ * ───────────────────────────────────────
+ * Registry of the metrics DiscoveryService can score peers with
+ * (opts.similarity). Each compares two book collections — a Set of
+ * book_ids or, in recency mode, a Map book_id → weight, where a Set counts
+ * every book as 1 — and returns 0 (nothing shared) … 1 (identical).
+ *
+ *   jaccard             Σ min / Σ max            = |A ∩ B| / |A ∪ B|
+ *   cosine              Σ a·b / (‖a‖ · ‖b‖)      = |A ∩ B| / √(|A| · |B|)
+ *   dice                2 Σ min / (Σ a + Σ b)    = 2 |A ∩ B| / (|A| + |B|)
+ *   overlap             Σ min / min(Σ a, Σ b)    = |A ∩ B| / min(|A|, |B|)
+ *   popularity_jaccard  Jaccard with every book weighted by
+ *                       ln(1 + users / loans of the book)
+ *
+ * Jaccard's union denominator penalises heavy readers: a patron with 60
+ * loans who shares all 5 books of a 5-loan patron scores 5 / 60. Cosine
+ * and Dice penalise the size gap less, overlap not at all (5 / 5).
+ * popularity_jaccard counts a blockbuster everybody borrowed for less than
+ * a rarely borrowed book two patrons share.
+ *
+ * A metric that needs library-wide data provides prepare(repo); it runs
+ * once per request and its result reaches score() as `context`.
+ */
+
+'use strict';
+
+/** @type {Map<string, SimilarityMetric>} */
+const METRICS = new Map();
+
+/** Metric used when a request names none. */
+const DEFAULT_SIMILARITY = 'jaccard';
+
+/**
+ * Adds a metric to the registry (or replaces one of the same name).
+ *
+ * @param {string}           name    — the opts.similarity value that selects it
+ * @param {SimilarityMetric} metric
+ */
+function registerSimilarity(name, metric) {
+  if (typeof metric?.score !== 'function') {
+    throw new Error(`Similarity metric "${name}" must have a score() function.`);
+  }
+  METRICS.set(name, metric);
+}
+
+/**
+ * @param  {string} name
+ * @returns {SimilarityMetric|undefined}
+ */
+function getSimilarity(name) {
+  return METRICS.get(name);
+}
+
+/** @returns {string[]}  — registered metric names */
+function similarityNames() {
+  return [...METRICS.keys()];
+}
+
+// ── Jaccard ────────────────────────────────────────────────────────────────────
+
+/**
+ * Jaccard similarity of two Sets, or weighted Jaccard of two Maps
+ * (Σ min(a_i, b_i) / Σ max(a_i, b_i), plain Jaccard when every weight is 1).
+ *
+ * @param  {Set<string>|Map<string,number>} a
+ * @param  {Set<string>|Map<string,number>} b
+ * @returns {number}
+ */
+function jaccard(a, b) {
+  if (a instanceof Map || b instanceof Map) return weightedJaccard(asWeights(a), asWeights(b));
+  return setJaccard(a, b);
+}
+
+// e.g. a peer's Set against onboarding-weighted target books
+const asWeights = books => books instanceof Map ? books : new Map([...books].map(id => [id, 1]));
+
+function setJaccard(setA, setB) {
+  if (setA.size === 0 && setB.size === 0) return 0;
+
+  let intersectionCount = 0;
+  // Iterate the smaller set for efficiency
+  const [smaller, larger] = setA.size <= setB.size
+    ? [setA, setB]
+    : [setB, setA];
+
+  for (const item of smaller) {
+    if (larger.has(item)) intersectionCount++;
+  }
+
+  const unionCount = setA.size + setB.size - intersectionCount;
+  return intersectionCount / unionCount;
+}
+
+function weightedJaccard(weightsA, weightsB) {
+  let minSum = 0;
+  let maxSum = 0;
+
+  for (const [item, a] of weightsA) {
+    const b = weightsB.get(item) || 0;
+    minSum += Math.min(a, b);
+    maxSum += Math.max(a, b);
+  }
+  for (const [item, b] of weightsB) {
+    if (!weightsA.has(item)) maxSum += b;
+  }
+
+  return maxSum === 0 ? 0 : minSum / maxSum;
+}
+
+// ── Shared sums ────────────────────────────────────────────────────────────────
+
+/**
+ * One pass over both collections, collecting every sum the metrics need.
+ * Each book's terms are multiplied by itemWeight(book_id).
+ *
+ * @param  {Set<string>|Map<string,number>} a
+ * @param  {Set<string>|Map<string,number>} b
+ * @param  {(bookId: string) => number}     [itemWeight]
+ * @returns {{ min: number, max: number, a: number, b: number, dot: number, aa: number, bb: number }}
+ */
+function overlapSums(a, b, itemWeight = () => 1) {
+  const weightIn = (books, id) => books instanceof Map ? books.get(id) || 0 : books.has(id) ? 1 : 0;
+  const entries  = books => books instanceof Map ? books : [...books].map(id => [id, 1]);
+  const sums     = { min: 0, max: 0, a: 0, b: 0, dot: 0, aa: 0, bb: 0 };
+
+  for (const [id, wa] of entries(a)) {
+    const p  = itemWeight(id);
+    const wb = weightIn(b, id);
+    sums.min += p * Math.min(wa, wb);
+    sums.max += p * Math.max(wa, wb);
+    sums.a   += p * wa;
+    sums.aa  += p * wa * wa;
+    sums.dot += p * wa * wb;
+  }
+  for (const [id, wb] of entries(b)) {
+    const p = itemWeight(id);
+    sums.b  += p * wb;
+    sums.bb += p * wb * wb;
+    if (weightIn(a, id) === 0) sums.max += p * wb;
+  }
+  return sums;
+}
+
+const ratio = (numerator, denominator) => denominator > 0 ? numerator / denominator : 0;
+
+// ── Built-in metrics ───────────────────────────────────────────────────────────
+
+registerSimilarity('jaccard', {
+  label: 'Jaccard',
+  score: jaccard,
+});
+
+registerSimilarity('cosine', {
+  label: 'cosine',
+  score: (a, b) => {
+    const s = overlapSums(a, b);
+    return ratio(s.dot, Math.sqrt(s.aa * s.bb));
+  },
+});
+
+registerSimilarity('dice', {
+  label: 'Sørensen–Dice',
+  score: (a, b) => {
+    const s = overlapSums(a, b);
+    return ratio(2 * s.min, s.a + s.b);
+  },
+});
+
+registerSimilarity('overlap', {
+  label: 'overlap',
+  score: (a, b) => {
+    const s = overlapSums(a, b);
+    return ratio(s.min, Math.min(s.a, s.b));
+  },
+});
+
+registerSimilarity('popularity_jaccard', {
+  label: 'popularity-penalised Jaccard',
+
+  /**
+   * @param  {import('./LibraryRepository')} repo
+   * @returns {Promise<{ penalty: Map<string, number>, unborrowed: number }>}  — book weights
+   */
+  async prepare(repo) {
+    const counts    = await repo.getBorrowCounts();
+    const { total } = await repo.listUsers({ limit: 0, offset: 0 });
+    const weight    = loans => Math.log(1 + total / Math.max(1, loans));
+    return {
+      penalty   : new Map(counts.map(r => [r.book_id, weight(Number(r.borrow_count))])),
+      // e.g. a book marked already read that nobody has borrowed
+      unborrowed: weight(1),
+    };
+  },
+
+  score: (a, b, { penalty, unborrowed }) => {
+    const s = overlapSums(a, b, id => penalty.get(id) ?? unborrowed);
+    return ratio(s.min, s.max);
+  },
+});
+
+module.exports = { DEFAULT_SIMILARITY, registerSimilarity, getSimilarity, similarityNames, jaccard };
+
+
+/**
+ * @typedef {object} SimilarityMetric
+ * @property {string} label  — name used in explanations, e.g. "cosine"
+ * @property {(a: Set<string>|Map<string,number>, b: Set<string>|Map<string,number>, context?: any) => number} score
+ *                           — 0 (nothing shared) … 1 (identical)
+ * @property {(repo: import('./LibraryRepository')) => Promise<any>} [prepare]
+ *                           — loads the context score() needs, once per request
+ */
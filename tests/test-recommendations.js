@@ -1,17 +1,35 @@
 /**
  * test-recommendations.js
- * Runs both Recommendation and Reading DNA tests for several users.
+ * Runs Recommendation and Reading DNA tests for several users, plus
+ * item-to-item "similar books" tests for a few titles, then checks the
+ * engine's behaviour with assertions. Exits with code 1 if any check fails.
  *
  * Usage:
- *   node test-recommendations.js
+ *   node tests/test-recommendations.js                 # offline, in-memory dataset
+ *   STORAGE=mysql node tests/test-recommendations.js   # against MySQL
  */
 
 'use strict';
 
-const pool             = require('./db');
-const DiscoveryService = require('./Discoveryservice');
+const assert               = require('assert');
+const http                 = require('http');
+const { createRepository } = require('../config/storage');
+const AnalyticsService     = require('../src/AnalyticsService');
+const CatalogueService     = require('../src/CatalogueService');
+const DiscoveryService     = require('../src/Discoveryservice');
+const FeedbackService      = require('../src/FeedbackService');
+const InMemoryRepository   = require('../src/InMemoryRepository');
+const LoanService          = require('../src/LoanService');
+const MinHashIndex         = require('../src/MinHashIndex');
+const OnboardingService    = require('../src/OnboardingService');
+const PrivacyService       = require('../src/PrivacyService');
+const { mmrRerank, listDiversity } = require('../src/diversity');
+const { peerSearchRecall, precisionAtK, recallAtK, averagePrecisionAtK } = require('../src/evaluation');
+const { loanSignal, addLoanRating } = require('../src/implicitRating');
+const { getSimilarity }    = require('../src/similarity');
 
-const service = new DiscoveryService(pool);
+const repo    = createRepository(process.env.STORAGE || 'memory');
+const service = new DiscoveryService(repo);
 
 const DIVIDER = '='.repeat(70);
 const LINE    = '-'.repeat(70);
@@ -24,6 +42,50 @@ const TEST_USERS = [
   { userId: 'U010', label: 'Ibrahim Musa  (single loan - cold-start edge case)'    },
 ];
 
+// Test books
+const TEST_BOOKS = [
+  { bookId: 'B006', label: 'The Lean Startup  (widely co-borrowed)'        },
+  { bookId: 'B009', label: 'Educated          (humanities, few readers)'   },
+];
+
+// Recency-weighted run settings
+const RECENCY = { halfLifeDays: 30, asOf: '2025-03-01' };
+
+function printRecommendations(recs) {
+  if (recs.length === 0) {
+    console.log('   No recommendations found.');
+    return;
+  }
+
+  recs.forEach((r, i) => {
+    const fallback = r.fallback         ? ' [' + r.fallback + ']'          : '';
+    const peers    = r.recommended_by.length
+      ? ' | peers: ' + r.recommended_by.join(', ')
+      : '';
+    console.log(
+      '  ' + (i + 1) + '. [score: ' + r.match_score.toFixed(4) + ']  ' +
+      '"' + r.title + '" by ' + r.author + '  (Dewey: ' + r.dewey_decimal + ')' +
+      peers + fallback
+    );
+  });
+}
+
+let failures = 0;
+
+/**
+ * Runs one named check and reports it; a thrown error (e.g. a failed
+ * assert) marks it failed without stopping the rest.
+ */
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log('  ok    ' + name);
+  } catch (err) {
+    failures += 1;
+    console.log('  FAIL  ' + name + '\n        ' + err.message.split('\n').join('\n        '));
+  }
+}
+
 function bar(percentage) {
   const filled = Math.round(parseFloat(percentage) / 5);
   return '#'.repeat(filled) + '.'.repeat(20 - filled);
@@ -40,24 +102,20 @@ async function runTests() {
     console.log('\n  User: ' + label);
     console.log(LINE);
 
-    const recs = await service.getRecommendations(userId, { limit: 5 });
+    printRecommendations(await service.getRecommendations(userId, { limit: 5 }));
+  }
 
-    if (recs.length === 0) {
-      console.log('   No recommendations found.');
-      continue;
-    }
+  // SECTION 1b: RECENCY-WEIGHTED RECOMMENDATIONS
+  // Pinned "now" just after the dataset's last loan so output is stable.
+  console.log('\n\n' + DIVIDER);
+  console.log('  RECENCY-WEIGHTED (half-life ' + RECENCY.halfLifeDays + ' days, as of ' + RECENCY.asOf + ')');
+  console.log(DIVIDER);
 
-    recs.forEach((r, i) => {
-      const fallback = r.fallback         ? ' [' + r.fallback + ']'          : '';
-      const peers    = r.recommended_by.length
-        ? ' | peers: ' + r.recommended_by.join(', ')
-        : '';
-      console.log(
-        '  ' + (i + 1) + '. [score: ' + r.match_score.toFixed(4) + ']  ' +
-        '"' + r.title + '" by ' + r.author + '  (Dewey: ' + r.dewey_decimal + ')' +
-        peers + fallback
-      );
-    });
+  for (const { userId, label } of TEST_USERS.slice(0, 2)) {
+    console.log('\n  User: ' + label);
+    console.log(LINE);
+
+    printRecommendations(await service.getRecommendations(userId, { limit: 5, ...RECENCY }));
   }
 
   // SECTION 2: READING DNA
@@ -87,16 +145,799 @@ async function runTests() {
     console.log('\n  Summary: ' + dna.summary);
   }
 
+  // SECTION 3: SIMILAR BOOKS
+  console.log('\n\n' + DIVIDER);
+  console.log('  SIMILAR BOOKS -- READERS WHO BORROWED THIS ALSO BORROWED');
+  console.log(DIVIDER);
+
+  for (const { bookId, label } of TEST_BOOKS) {
+    console.log('\n  Book: ' + label);
+    console.log(LINE);
+
+    const similar = await service.getSimilarBooks(bookId, { limit: 5 });
+
+    if (!similar || similar.length === 0) {
+      console.log('   No similar books found.');
+      continue;
+    }
+
+    similar.forEach((s, i) => {
+      const fallback = s.fallback ? ' [' + s.fallback + ']' : '';
+      console.log(
+        '  ' + (i + 1) + '. [score: ' + s.match_score.toFixed(4) + ']  ' +
+        '"' + s.title + '" by ' + s.author + '  (Dewey: ' + s.dewey_decimal + ')' +
+        ' | shared readers: ' + s.shared_readers + fallback
+      );
+    });
+  }
+
+  // SECTION 4: CHECKS
   console.log('\n\n' + DIVIDER);
-  console.log('  All tests complete.');
+  console.log('  CHECKS');
+  console.log(DIVIDER + '\n');
+
+  // Checks that write use their own in-memory copy of the dataset, whatever STORAGE says
+  const scratch = () => InMemoryRepository.fromFile();
+
+  const { users } = await repo.listUsers({ limit: 1000, offset: 0 });
+
+  await check('every seeded user gets a non-empty default list', async () => {
+    for (const { user_id } of users) {
+      const recs = await service.getRecommendations(user_id);
+      assert.ok(recs.length > 0, user_id + ' got no recommendations');
+    }
+  });
+
+  await check('precomputed lists are only served when enabled, and go stale on the user\'s loans', async () => {
+    const store  = scratch();
+    const live   = new DiscoveryService(store);
+    const cached = new DiscoveryService(store, { cacheMaxAgeMinutes: 60 });
+    await cached.precomputeAll();
+
+    // Mark U001's entry so a served copy is recognisable
+    const entry = await store.getCacheEntry('U001', 'recommendations');
+    await store.saveCacheEntries(entry.version, [
+      { userId: 'U001', kind: 'recommendations', payload: { ...entry.payload, results: entry.payload.results.slice(0, 1) } },
+    ]);
+    assert.ok((await live.getRecommendations('U001')).length > 1, 'cache served with it disabled');
+    assert.strictEqual((await cached.getRecommendations('U001')).length, 1, 'cache not served');
+
+    const loan = await new LoanService(store).checkOut('U001', 'B020', '2025-03-01');
+    await cached.recordLoan(loan);
+    assert.ok((await store.getCacheEntry('U001', 'recommendations')).invalidated_at, 'entry not marked stale');
+    const recs = await cached.getRecommendations('U001');
+    assert.ok(recs.length > 1 && !recs.some(r => r.book_id === 'B020'), 'stale list after a loan');
+  });
+
+  await check('least_misery ranks a group by its least keen member', async () => {
+    const group = await service.getGroupRecommendations(['U001', 'U004', 'U005'], { strategy: 'least_misery' });
+    assert.strictEqual(group.basis, 'peer_similarity');
+    assert.ok(group.results[0].group_score > 0, 'top group_score is 0');
+    for (const r of group.results) {
+      assert.strictEqual(r.group_score, Math.min(...Object.values(r.member_scores)), r.book_id);
+    }
+    const scores = group.results.map(r => r.group_score);
+    assert.deepStrictEqual(scores, [...scores].sort((a, b) => b - a));
+  });
+
+  await check('a branch-scoped list only holds titles that branch has a copy of', async () => {
+    const notHeld = new Set(await repo.getBookIdsNotHeldAt('BR002'));
+    const all     = await service.getRecommendations('U001');
+    const scoped  = await service.getRecommendations('U001', { branch: 'BR002' });
+    assert.ok(all.some(r => notHeld.has(r.book_id)), 'fixture: unscoped list has no title missing at BR002');
+    assert.ok(scoped.length > 0, 'branch-scoped list is empty');
+    assert.deepStrictEqual(scoped.filter(r => notHeld.has(r.book_id)).map(r => r.book_id), []);
+  });
+
+  await check('preferHomeBranch ranks titles missing at the home branch last', async () => {
+    const { home_branch_id } = await repo.getUser('U005');
+    const notHeld = new Set(await repo.getBookIdsNotHeldAt(home_branch_id));
+    const missing = (await service.getRecommendations('U005', { preferHomeBranch: true }))
+      .map(r => notHeld.has(r.book_id));
+    assert.ok(missing.includes(true), 'fixture: every title is held at the home branch');
+    assert.deepStrictEqual(missing, [...missing].sort((a, b) => a - b));
+  });
+
+  await check('a user cannot check out a second copy of a book they have out', async () => {
+    const store = scratch();
+    const loans = new LoanService(store);
+    await store.addCopy('B020');
+    await loans.checkOut('U010', 'B020', '2025-03-01');
+    await assert.rejects(
+      loans.checkOut('U010', 'B020', '2025-03-02'),
+      err => err.code === 'CONFLICT' && /already has book "B020" on loan/.test(err.message)
+    );
+    // Another patron can still take the second copy
+    const other = await loans.checkOut('U009', 'B020', '2025-03-02');
+    assert.strictEqual(other.status, 'open');
+  });
+  await check('minPeers keeps only titles at least that many peers recommended', async () => {
+    const recs = await service.getRecommendations('U001', { minPeers: 2 });
+    assert.ok(recs.length > 0, 'fixture: no title has two recommenders');
+    for (const r of recs) {
+      assert.ok(r.recommended_by.length >= 2, r.book_id + ' has ' + r.recommended_by.length + ' recommender(s)');
+    }
+  });
+
+  await check('dismissed and already-read titles leave the list, cached or not', async () => {
+    const store    = scratch();
+    const cached   = new DiscoveryService(store, { cacheMaxAgeMinutes: 60 });
+    const feedback = new FeedbackService(store);
+    await cached.precomputeAll();
+
+    const [first, second] = await cached.getRecommendations('U001');
+    await feedback.giveFeedback('U001', first.book_id, 'dismiss');
+    await feedback.giveFeedback('U001', second.book_id, 'already_read');
+    await cached.invalidateUser('U001');
+
+    assert.ok((await store.getCacheEntry('U001', 'recommendations')).invalidated_at, 'entry not marked stale');
+    const ids = (await cached.getRecommendations('U001')).map(r => r.book_id);
+    assert.ok(ids.length > 0, 'list is empty after feedback');
+    assert.ok(!ids.includes(first.book_id), 'dismissed ' + first.book_id + ' still listed');
+    assert.ok(!ids.includes(second.book_id), 'already-read ' + second.book_id + ' still listed');
+  });
+
+  await check('availability modes annotate, demote and exclude titles with no copy in', async () => {
+    const store = scratch();
+    const live  = new DiscoveryService(store);
+    const loans = new LoanService(store);
+    const [top] = await live.getRecommendations('U001');
+    const patrons = ['U002', 'U003', 'U004', 'U005', 'U006', 'U007', 'U008', 'U009', 'U010'];
+    for (let i = 0, copies = (await store.getCopies(top.book_id)).length; i < copies; i++) {
+      await loans.checkOut(patrons[i], top.book_id, '2025-03-01');
+    }
+
+    const annotated = await live.getRecommendations('U001');
+    assert.strictEqual(annotated.find(r => r.book_id === top.book_id).availability.status, 'on_loan');
+
+    const demoted = await live.getRecommendations('U001', { availability: 'demote' });
+    const onLoan  = demoted.map(r => r.availability.status === 'on_loan');
+    assert.ok(onLoan.includes(true), top.book_id + ' missing from the demoted list');
+    assert.deepStrictEqual(onLoan, [...onLoan].sort((a, b) => a - b));
+
+    const excluded = await live.getRecommendations('U001', { availability: 'exclude' });
+    assert.ok(excluded.length > 0, 'excluded list is empty');
+    assert.ok(excluded.every(r => r.availability.status === 'available'), 'unavailable title kept');
+  });
+
+  await check('anonymising a patron removes them but keeps their loans in the counts', async () => {
+    const store   = scratch();
+    const live    = new DiscoveryService(store);
+    const privacy = new PrivacyService(store);
+    const before  = await store.getBorrowCounts();
+    const history = await store.getLoansForUser('U001');
+
+    const { loansRetained } = await privacy.anonymiseUser('U001');
+    await live.forgetUser('U001');
+
+    assert.strictEqual(loansRetained, history.length);
+    assert.strictEqual(await store.getUser('U001'), null);
+    assert.deepStrictEqual(await store.getLoansForUser('U001'), []);
+    assert.deepStrictEqual(await store.getBorrowCounts(), before);
+    const bookLoans = await store.getLoansForBook(history[0].book_id);
+    assert.ok(bookLoans.some(l => l.user_id === null), 'no detached loan in the book history');
+    assert.ok((await live.getRecommendations('U002')).length > 0, 'peers broke after anonymising');
+
+    await new LoanService(store).checkOut('U002', 'B020', '2025-03-01');
+    await assert.rejects(privacy.anonymiseUser('U002'), err => err.code === 'CONFLICT');
+  });
+
+  await check('average and most_pleasure aggregate member scores', async () => {
+    const members = ['U001', 'U004', 'U005'];
+    const average = await service.getGroupRecommendations(members, { strategy: 'average' });
+    for (const r of average.results) {
+      const scores = Object.values(r.member_scores);
+      const mean   = scores.reduce((sum, x) => sum + x, 0) / scores.length;
+      assert.ok(Math.abs(r.group_score - mean) < 1e-3, r.book_id + ': ' + r.group_score + ' vs ' + mean);
+    }
+    const pleasure = await service.getGroupRecommendations(members, { strategy: 'most_pleasure' });
+    for (const r of pleasure.results) {
+      assert.strictEqual(r.group_score, Math.max(...Object.values(r.member_scores)), r.book_id);
+    }
+  });
+
+  await check('onboarding choices stand in for loans until the user has read enough', async () => {
+    const store = scratch();
+    const live  = new DiscoveryService(store);
+    const loans = new LoanService(store);
+    const { user_id } = await store.createUser({ name: 'New Patron' });
+    await new OnboardingService(store).setPreferences(user_id, { dewey: ['658'] });
+
+    const fresh = await live.explainRecommendations(user_id);
+    assert.strictEqual(fresh.strategy, 'peer_similarity');
+    assert.strictEqual(fresh.onboarding.weight, 1);
+    assert.ok(fresh.recommendations.length > 0, 'no recommendations from onboarding choices');
+
+    const read = ['B001', 'B002', 'B003', 'B008', 'B009'];
+    for (const [i, bookId] of read.entries()) {
+      const loan = await loans.checkOut(user_id, bookId, '2025-03-0' + (i + 1));
+      await loans.returnLoan(loan.loan_id, '2025-03-0' + (i + 2));
+      if (i === 1) {
+        const partial = await live.explainRecommendations(user_id);
+        assert.ok(partial.onboarding.weight > 0 && partial.onboarding.weight < 1, 'weight ' + partial.onboarding.weight);
+      }
+    }
+    const settled = await live.explainRecommendations(user_id);
+    assert.ok(!settled.onboarding || settled.onboarding.weight === 0, 'onboarding still counts after ' + read.length + ' books');
+    assert.strictEqual(settled.booksRead, read.length);
+  });
+
+  await check('a loan cannot be dated in the future', async () => {
+    const store = scratch();
+    const loans = new LoanService(store);
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    await assert.rejects(
+      loans.checkOut('U010', 'B020', tomorrow),
+      err => err.code === 'INVALID' && /in the future/.test(err.message)
+    );
+    assert.deepStrictEqual((await store.getLoansForUser('U010')).filter(l => l.book_id === 'B020'), []);
+  });
+
+  await check('a member without peers steers the group ranking by content score', async () => {
+    const store = scratch();
+    const live  = new DiscoveryService(store);
+    const loans = new LoanService(store);
+
+    // A newcomer whose only book nobody else has borrowed has no peers at all
+    const topFor = async (title, author, dewey) => {
+      const book = await store.createBook({ title, author, dewey_decimal: dewey });
+      const { user_id } = await store.createUser({ name: 'Newcomer' });
+      await loans.checkOut(user_id, book.book_id, '2025-03-01');
+      const group = await live.getGroupRecommendations(['U001', user_id], { strategy: 'least_misery' });
+      for (const r of group.results) {
+        const scores = Object.values(r.member_scores);
+        assert.ok(scores.every(x => x >= 0 && x <= 1), r.book_id + ' score outside 0–1');
+        assert.deepStrictEqual(r.suits, Object.keys(r.member_scores).filter(id => r.member_scores[id] > 0), r.book_id);
+      }
+      assert.strictEqual(Math.max(...group.results.map(r => r.member_scores[user_id])), 1);
+      return group.results[0];
+    };
+
+    const psychology = await topFor('Mindset', 'Carol Dweck', '158.1');
+    const business   = await topFor('Blue Ocean Strategy', 'W. Chan Kim', '658.8');
+    assert.strictEqual(psychology.dewey_decimal[0], '1', 'top pick ' + psychology.book_id);
+    assert.strictEqual(business.dewey_decimal[0], '6', 'top pick ' + business.book_id);
+  });
+
+  await check('precomputed batches are kept as history and the latest is served', async () => {
+    const store  = scratch();
+    const cached = new DiscoveryService(store, { cacheMaxAgeMinutes: 60 });
+    const first  = await cached.precomputeAll({ limit: 5 });
+    await cached.invalidateUser('U001');
+    const second = await cached.precomputeAll({ limit: 5 });
+
+    assert.strictEqual(second.version, first.version + 1);
+    const history = await store.getCacheEntriesForUser('U001');
+    assert.deepStrictEqual(history.map(e => [e.version, e.kind]), [
+      [second.version, 'reading_dna'], [second.version, 'recommendations'],
+      [first.version, 'reading_dna'], [first.version, 'recommendations'],
+    ]);
+    assert.ok(history.every(e => e.computed_at), 'entry without a timestamp');
+    assert.ok(history[2].invalidated_at && !history[0].invalidated_at, 'only the old batch is stale');
+
+    const latest = await store.getCacheEntry('U001', 'recommendations');
+    assert.strictEqual(latest.version, second.version);
+    assert.strictEqual((await cached.getRecommendations('U001', { limit: 5 })).length, latest.payload.results.length);
+
+    const { precomputed } = await new PrivacyService(store).exportUser('U001');
+    assert.deepStrictEqual(precomputed, history);
+
+    const third = await cached.precomputeAll({ limit: 5, keep: 2 });
+    assert.strictEqual(third.pruned, 2 * users.length);
+    assert.deepStrictEqual(
+      [...new Set((await store.getCacheEntriesForUser('U001')).map(e => e.version))],
+      [third.version, second.version]
+    );
+  });
+
+  await check('the Dewey fallbacks match on section, not the exact number', async () => {
+    const store = scratch();
+    const live  = new DiscoveryService(store);
+    const popular = await store.getPopularBooksInSameDewey(['B013'], 20);
+    assert.deepStrictEqual(
+      popular.map(r => r.dewey_decimal.slice(0, 3)).filter(section => section !== '658'), []
+    );
+    assert.ok(popular.some(r => r.dewey_decimal === '658.1'), '658.1 not offered for 658.4');
+
+    // A title nobody has borrowed falls back to its section's popular books
+    const book    = await store.createBook({ title: 'Good Strategy Bad Strategy', author: 'Richard Rumelt', dewey_decimal: '658.401' });
+    const similar = await live.getSimilarBooks(book.book_id);
+    assert.ok(similar.length > 0, 'no similar books');
+    assert.ok(similar.every(r => r.fallback === 'dewey_category_popularity' && r.dewey_decimal.startsWith('658')));
+  });
+
+  await check('recency weights loans by their age on the asOf date', async () => {
+    const top = async asOf => (await service.getRecommendations('U001', { halfLifeDays: 90, asOf }))[0].match_score;
+    const early = await top('2025-03-01');
+    const later = await top('2025-05-30');
+    assert.ok(early > 0.5, 'top score ' + early + ' on the day after the seed data');
+    assert.ok(Math.abs(later / early - 0.5) < 0.01, 'one half-life on, ' + later + ' vs ' + early);
+
+    const explained = await service.explainRecommendations('U001', { asOf: '2025-03-01' });
+    assert.deepStrictEqual(explained.recency, { halfLifeDays: 180, asOf: '2025-03-01T00:00:00.000Z' });
+    await assert.rejects(service.getRecommendations('U001', { asOf: 'soon' }), err => err.code === 'INVALID');
+  });
+
+  await check('IDs of deleted records are never handed out again', async () => {
+    const store = scratch();
+    const added = await store.createBook({ title: 'Remote', author: 'Jason Fried', dewey_decimal: '658.3' });
+    await store.deleteBook(added.book_id);
+    const next = await store.createBook({ title: 'Shape Up', author: 'Ryan Singer', dewey_decimal: '658.4' });
+    assert.notStrictEqual(next.book_id, added.book_id);
+
+    const user = await store.createUser({ name: 'Short Stay' });
+    await new PrivacyService(store).anonymiseUser(user.user_id);
+    assert.notStrictEqual((await store.createUser({ name: 'Next Patron' })).user_id, user.user_id);
+  });
+
+  await check('explain shows each peer\'s Jaccard terms and how match_score adds up', async () => {
+    const explained = await service.explainRecommendations('U001');
+    assert.strictEqual(explained.strategy, 'peer_similarity');
+    assert.ok(explained.peers.length > 0, 'no peers');
+    for (const peer of explained.peers) {
+      assert.strictEqual(peer.score, parseFloat((peer.intersection / peer.union).toFixed(4)), peer.peerId);
+      assert.strictEqual(peer.sharedBooks.length, peer.intersection, peer.peerId);
+    }
+    assert.deepStrictEqual(explained.peers.map(p => p.peerId), explained.peers.map((p, i) => 'peer-' + (i + 1)));
+    const scores = explained.peers.map(p => p.score);
+    assert.deepStrictEqual(scores, [...scores].sort((a, b) => b - a));
+
+    for (const r of explained.recommendations) {
+      const sum = r.contributions.reduce((total, c) => total + c.score * c.weight, 0);
+      assert.ok(Math.abs(r.match_score - sum) < 1e-3, r.book_id + ': ' + r.match_score + ' vs ' + sum);
+      assert.deepStrictEqual(r.recommended_by, r.contributions.map(c => c.peerId));
+    }
+  });
+
+  await check('explain names the fallback taken and why', async () => {
+    const store = scratch();
+    const live  = new DiscoveryService(store);
+    const { user_id } = await store.createUser({ name: 'New Patron' });
+
+    const cold = await live.explainRecommendations(user_id);
+    assert.strictEqual(cold.strategy, 'cold_start_popularity');
+    assert.match(cold.explanation, /no loan history/);
+    assert.deepStrictEqual(cold.peers, []);
+
+    // A book nobody else has borrowed leaves them without peers
+    const book = await store.createBook({ title: 'Remote', author: 'Jason Fried', dewey_decimal: '658.3' });
+    await new LoanService(store).checkOut(user_id, book.book_id, '2025-03-01');
+    const noPeers = await live.explainRecommendations(user_id);
+    assert.strictEqual(noPeers.strategy, 'author_popularity');
+    assert.match(noPeers.explanation, /No peer reached the minimum/);
+    assert.strictEqual(noPeers.recommendations[0].book_id, 'B020', 'Rework, by the same author, comes first');
+    assert.ok(noPeers.recommendations.every(r => r.contributions.length === 0 && r.fallback));
+  });
+
+  await check('catalogue books and users can be created, edited, searched and deleted', async () => {
+    const store     = scratch();
+    const catalogue = new CatalogueService(store);
+
+    const book = await catalogue.createBook({ title: ' Remote ', author: 'Jason Fried', dewey_decimal: '658.3', copies: 2 });
+    assert.deepStrictEqual(book, { book_id: 'B021', title: 'Remote', author: 'Jason Fried', dewey_decimal: '658.3' });
+    assert.strictEqual((await store.getCopies(book.book_id)).length, 2);
+    const edited = await catalogue.updateBook(book.book_id, { title: 'Remote: Office Not Required' });
+    assert.strictEqual((await catalogue.getBook(book.book_id)).title, edited.title);
+    await assert.rejects(catalogue.createBook({ title: 'No Author', dewey_decimal: '658' }), err => err.code === 'INVALID');
+    await assert.rejects(catalogue.updateBook(book.book_id, {}), err => err.code === 'INVALID');
+
+    const user = await catalogue.createUser({ name: 'Grace Eze', home_branch_id: 'BR002' });
+    assert.strictEqual((await catalogue.updateUser(user.user_id, { name: 'Grace Obi' })).name, 'Grace Obi');
+
+    const loan = await new LoanService(store).checkOut(user.user_id, book.book_id, '2025-03-01');
+    await assert.rejects(catalogue.deleteBook(book.book_id), err => err.code === 'CONFLICT');
+    await assert.rejects(catalogue.deleteUser(user.user_id), err => err.code === 'CONFLICT');
+    await new LoanService(store).returnLoan(loan.loan_id, '2025-03-05');
+
+    await catalogue.deleteBook(book.book_id);
+    await catalogue.deleteUser(user.user_id);
+    await assert.rejects(catalogue.getBook(book.book_id), err => err.code === 'NOT_FOUND');
+    await assert.rejects(catalogue.getUser(user.user_id), err => err.code === 'NOT_FOUND');
+  });
+
+  await check('catalogue search matches title, author and Dewey prefix, sorted and paged', async () => {
+    const catalogue = new CatalogueService(scratch());
+
+    const business = await catalogue.searchBooks({ dewey: '658', sort: 'title', limit: 2 });
+    assert.strictEqual(business.total, 6);
+    assert.deepStrictEqual(business.books.map(b => b.title), ['Hooked', 'Rework']);
+    const page3 = await catalogue.searchBooks({ dewey: '658', sort: 'title', limit: 2, page: 3 });
+    assert.deepStrictEqual(page3.books.map(b => b.title), ['The Lean Startup', 'Zero to One']);
+    const past = await catalogue.searchBooks({ dewey: '658', limit: 2, page: 4 });
+    assert.deepStrictEqual([past.total, past.books], [6, []]);
+
+    const byText = await catalogue.searchBooks({ q: 'habits' });
+    assert.deepStrictEqual(byText.books.map(b => b.book_id), ['B005']);
+    const byAuthor = await catalogue.searchBooks({ author: 'clear', sort: 'book_id', order: 'desc' });
+    assert.deepStrictEqual(byAuthor.books.map(b => b.book_id), ['B005']);
+    const desc = await catalogue.searchBooks({ sort: 'book_id', order: 'desc', limit: 1 });
+    assert.strictEqual(desc.books[0].book_id, 'B020');
+
+    await assert.rejects(catalogue.searchBooks({ sort: 'price' }), err => err.code === 'INVALID');
+    await assert.rejects(catalogue.searchBooks({ limit: 101 }), err => err.code === 'INVALID');
+  });
+
+  await check('recommend query parameters are validated with clear 400 errors', async () => {
+    // Invalid queries are rejected before the repository is read, whatever STORAGE says
+    const server = require('../config/server').listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    const get = path => new Promise((resolve, reject) => {
+      http.get({ port: server.address().port, path }, res => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+      }).on('error', reject);
+    });
+
+    try {
+      const cases = [
+        ['limit=0',              'limit must be between 1 and 50. Got: 0'],
+        ['limit=ten',            'limit must be an integer. Got: "ten"'],
+        ['limit=5&limit=6',      'limit must be given once.'],
+        ['offset=-1',            'offset must be 0 or greater. Got: -1'],
+        ['minScore=1.5',         'minScore must be between 0 and 1. Got: 1.5'],
+        ['maxPeers=501',         'maxPeers must be between 1 and 500. Got: 501'],
+        ['includeDewey=abc',     'Dewey filters must be prefixes such as "6", "658" or "005.1". Got: "abc"'],
+        ['excludeBooks=B1,B002', 'excludeBooks must list book IDs such as B001. Got: "B1"'],
+      ];
+      for (const [query, error] of cases) {
+        for (const route of ['/api/v1/recommend/U001', '/api/v1/recommend/U001/explain']) {
+          const { status, body } = await get(route + '?' + query);
+          assert.deepStrictEqual([status, body.error], [400, error], route + '?' + query);
+        }
+      }
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  await check('limit, offset and the Dewey / author / book filters slice the same ranking', async () => {
+    const full = (await service.getRecommendations('U001', { limit: 50 })).map(r => r.book_id);
+    const page = (await service.getRecommendations('U001', { limit: 2, offset: 1 })).map(r => r.book_id);
+    assert.deepStrictEqual(page, full.slice(1, 3));
+
+    const only658 = await service.getRecommendations('U001', { limit: 50, filters: { includeDewey: ['658'] } });
+    assert.ok(only658.length > 0 && only658.every(r => r.dewey_decimal.startsWith('658')), 'includeDewey');
+    const no658 = await service.getRecommendations('U001', { limit: 50, filters: { excludeDewey: ['658'] } });
+    assert.ok(no658.length > 0 && no658.every(r => !r.dewey_decimal.startsWith('658')), 'excludeDewey');
+
+    const [top] = full;
+    const withoutTop = await service.getRecommendations('U001', { limit: 50, filters: { excludeBookIds: [top] } });
+    assert.deepStrictEqual(withoutTop.map(r => r.book_id), full.filter(id => id !== top));
+    const byAuthor = await service.getRecommendations('U001', { filters: { includeAuthors: ['Simon Sinek'] } });
+    assert.deepStrictEqual(byAuthor.map(r => r.author), ['Simon Sinek']);
+  });
+
+  await check('MMR trades relevance for Dewey spread as diversity rises', async () => {
+    const items = [
+      { id: 'A', score: 1.0, dewey_decimal: '005.1' },
+      { id: 'B', score: 0.9, dewey_decimal: '005.1' },
+      { id: 'C', score: 0.5, dewey_decimal: '658.1' },
+    ];
+    const rerank = diversity => mmrRerank(items, { score: i => i.score, dewey: i => i.dewey_decimal, diversity, count: 3 })
+      .map(i => i.id);
+    assert.deepStrictEqual(rerank(0), ['A', 'B', 'C']);
+    // Second pick at 0.5: B = 0.5 × 0.9 − 0.5 × 1 = −0.05, C = 0.5 × 0.5 − 0 = 0.25
+    assert.deepStrictEqual(rerank(0.5), ['A', 'C', 'B']);
+    // Pairwise distances 0, 1, 1
+    assert.deepStrictEqual(listDiversity(items), { intraListDistance: 0.6667, distinctSections: 2 });
+
+    const plain   = await service.getRecommendations('U008', { limit: 5 });
+    const diverse = await service.getRecommendations('U008', { limit: 5, diversity: 0.5 });
+    assert.deepStrictEqual(await service.getRecommendations('U008', { limit: 5, diversity: 0 }), plain);
+    assert.strictEqual(diverse[0].book_id, plain[0].book_id);
+    assert.ok(
+      listDiversity(diverse).distinctSections > listDiversity(plain).distinctSections,
+      listDiversity(diverse).distinctSections + ' vs ' + listDiversity(plain).distinctSections + ' sections'
+    );
+  });
+
+  await check('the timeline lists every month and flags the move from business to psychology', async () => {
+    // U011 reads business in January, nothing in February, self-help in March
+    const monthly = await service.getReadingTimeline('U011');
+    assert.deepStrictEqual(monthly.periods.map(p => [p.period, p.totalBooks, p.dominant]), [
+      ['2025-01', 3, 'Business & Management'],
+      ['2025-02', 0, null],
+      ['2025-03', 4, 'Applied Psychology & Self-Help'],
+    ]);
+    assert.strictEqual(monthly.totalBooks, 7);
+    assert.deepStrictEqual(monthly.shifts, [{
+      period     : '2025-03',
+      from       : 'Business & Management',
+      to         : 'Applied Psychology & Self-Help',
+      distance   : 1,
+      description: 'Moved from Business & Management to Applied Psychology & Self-Help in 2025-03',
+    }]);
+
+    // One quarter holds both halves, so there is nothing to shift from
+    const quarterly = await service.getReadingTimeline('U011', { granularity: 'quarter' });
+    assert.deepStrictEqual(quarterly.periods.map(p => [p.period, p.totalBooks]), [['2025-Q1', 7]]);
+    assert.deepStrictEqual(quarterly.shifts, []);
+
+    // Two more business loans in March keep psychology on top but narrow the move
+    const store = scratch();
+    const loans = new LoanService(store);
+    await loans.checkOut('U011', 'B007', '2025-03-21');
+    await loans.checkOut('U011', 'B020', '2025-03-24');
+    const mixed = new DiscoveryService(store);
+    const [shift] = (await mixed.getReadingTimeline('U011')).shifts;
+    assert.strictEqual(shift.distance, 0.6667);
+    assert.deepStrictEqual((await mixed.getReadingTimeline('U011', { threshold: 0.7 })).shifts, []);
+
+    await assert.rejects(service.getReadingTimeline('U011', { granularity: 'week' }), { code: 'INVALID' });
+    await assert.rejects(service.getReadingTimeline('U011', { threshold: 2 }), { code: 'INVALID' });
+  });
+
+  await check('the loan trend fills empty periods and users split at the dormant cutoff', async () => {
+    const analytics = new AnalyticsService(repo, service);
+
+    const monthly = await analytics.loanTrend({ from: '2025-01-01', to: '2025-04-30' });
+    assert.deepStrictEqual(monthly.periods, [
+      { period: '2025-01', loans: 24 },
+      { period: '2025-02', loans: 29 },
+      { period: '2025-03', loans: 4  },
+      { period: '2025-04', loans: 0  },
+    ]);
+    assert.strictEqual(monthly.totalLoans, 57);
+
+    // 1-2 February fall in the week of Monday 27 January
+    const weekly = await analytics.loanTrend({ from: '2025-02-01', to: '2025-02-16', granularity: 'week' });
+    assert.deepStrictEqual(weekly.periods, [
+      { period: '2025-01-27', loans: 2  },
+      { period: '2025-02-03', loans: 11 },
+      { period: '2025-02-10', loans: 11 },
+    ]);
+    await assert.rejects(analytics.loanTrend({ granularity: 'year' }), { code: 'INVALID' });
+    await assert.rejects(analytics.loanTrend({ from: '2025-03-01', to: '2025-02-01' }), { code: 'INVALID' });
+
+    // 46 days before 1 April is 14 February: a last loan on that day is already dormant
+    const store = scratch();
+    await store.createUser({ name: 'Kemi Bello' });
+    const activity = await new AnalyticsService(store).userActivity({ asOf: '2025-04-01', dormantDays: 46 });
+    const status   = Object.fromEntries(activity.users.map(u => [u.user_id, u.status]));
+    assert.deepStrictEqual(
+      [activity.totalUsers, activity.active, activity.dormant, activity.neverBorrowed],
+      [12, 5, 6, 1]
+    );
+    assert.deepStrictEqual(
+      Object.keys(status).filter(id => status[id] === 'active').sort(),
+      ['U006', 'U007', 'U008', 'U010', 'U011']
+    );
+    assert.strictEqual(status.U005, 'dormant');
+    assert.strictEqual(status.U012, 'never_borrowed');
+    await assert.rejects(analytics.userActivity({ dormantDays: 0 }), { code: 'INVALID' });
+  });
+
+  await check('LSH finds the close peers of an exact scan while scoring fewer users', async () => {
+    // Signatures agree in about J of their positions: here J = 50 / 150
+    const index  = new MinHashIndex();
+    const shelfA = Array.from({ length: 100 }, (_, i) => 'X' + i);
+    const shelfB = Array.from({ length: 100 }, (_, i) => 'X' + (i + 50));
+    const shelfC = Array.from({ length: 100 }, (_, i) => 'Y' + i);
+    const agree  = (a, b) => {
+      const [sa, sb] = [index.signature(a), index.signature(b)];
+      return sa.filter((value, i) => value === sb[i]).length / sa.length;
+    };
+    assert.ok(Math.abs(agree(shelfA, shelfB) - 1 / 3) < 0.1, String(agree(shelfA, shelfB)));
+    assert.strictEqual(agree(shelfA, shelfC), 0);
+    index.addLoan('U1', 'B1');
+    index.addLoan('U1', 'B2');
+    index.addLoan('U2', 'B3');
+    assert.deepStrictEqual([...index.candidates(['B1', 'B2'])], ['U1']);
+
+    // Default banding on the seeded loans: peers it misses are the weak ones
+    const userIds = users.map(u => u.user_id);
+    const report  = await peerSearchRecall(service, userIds);
+    assert.strictEqual(report.usersEvaluated, userIds.length);
+    assert.ok(report.recall >= 0.9, 'recall ' + report.recall);
+    assert.ok(report.candidateShare < 0.5, 'candidate share ' + report.candidateShare);
+    for (const userId of userIds) {
+      const exact  = await service.findPeers(userId, { peerSearch: 'exact' });
+      const approx = await service.findPeers(userId, { peerSearch: 'lsh' });
+      const scores = new Map(exact.peers.map(p => [p.peerId, p.score]));
+      for (const peer of approx.peers) assert.strictEqual(peer.score, scores.get(peer.peerId), userId);
+      const found  = new Set(approx.peers.map(p => p.peerId));
+      const missed = exact.peers.filter(p => !found.has(p.peerId));
+      assert.ok(missed.every(p => p.score < 0.2), userId + ' missed ' + JSON.stringify(missed));
+    }
+
+    // One row per band makes any shared MinHash value a candidate
+    const loose = await peerSearchRecall(new DiscoveryService(repo, { lsh: { bands: 64, rows: 1 } }), userIds);
+    assert.strictEqual(loose.recall, 1);
+  });
+
+  await check('the Reading DNA nests sections under their division and class', async () => {
+    // U003's 658.1, 658.1 and 658.4 are one section, 658
+    const dna = await service.getReadingDNA('U003');
+    assert.deepStrictEqual(dna.breakdown.map(b => [b.dewey, b.count]), [['005', 3], ['658', 3], ['158', 1]]);
+    const shape = classes => classes.map(c => [c.code, c.count, c.divisions.map(d =>
+      [d.code, d.count, d.sections.map(s => [s.code, s.count])])]);
+    assert.deepStrictEqual(shape(dna.hierarchy), [
+      ['000', 3, [['000', 3, [['005', 3]]]]],
+      ['600', 3, [['650', 3, [['658', 3]]]]],
+      ['100', 1, [['150', 1, [['158', 1]]]]],
+    ]);
+    assert.strictEqual(dna.hierarchy[1].name, 'Technology');
+    assert.strictEqual(dna.hierarchy[1].divisions[0].name, 'Management & public relations');
+
+    // U004: two sections share division 150, two divisions share class 900
+    assert.deepStrictEqual(shape((await service.getReadingDNA('U004')).hierarchy), [
+      ['100', 2, [['150', 2, [['153', 1], ['155', 1]]]]],
+      ['900', 2, [['900', 1, [['909', 1]]], ['920', 1, [['921', 1]]]]],
+      ['300', 1, [['300', 1, [['302', 1]]]]],
+    ]);
+
+    // Every level adds up to the loans it holds
+    for (const { user_id } of users) {
+      const { totalBooks, hierarchy } = await service.getReadingDNA(user_id);
+      assert.strictEqual(hierarchy.reduce((sum, c) => sum + c.count, 0), totalBooks, user_id);
+      for (const cls of hierarchy) {
+        assert.strictEqual(cls.divisions.reduce((sum, d) => sum + d.count, 0), cls.count, user_id);
+        for (const division of cls.divisions) {
+          assert.strictEqual(division.sections.reduce((sum, s) => sum + s.count, 0), division.count, user_id);
+        }
+      }
+    }
+  });
+
+  await check('explore interleaves popular books from the divisions next to the user\'s', async () => {
+    // U008 reads only 650 (management); cookery (640) neighbours it, materials (620) does not
+    const store     = scratch();
+    const catalogue = new CatalogueService(store);
+    const loans     = new LoanService(store);
+    const cookery   = await catalogue.createBook({ title: 'Salt, Fat, Acid, Heat', author: 'Samin Nosrat', dewey_decimal: '641.5', copies: 2 });
+    const foodLab   = await catalogue.createBook({ title: 'The Food Lab', author: 'J. Kenji López-Alt', dewey_decimal: '641.5', copies: 2 });
+    const materials = await catalogue.createBook({ title: 'Stuff Matters', author: 'Mark Miodownik', dewey_decimal: '620.11', copies: 3 });
+    await loans.checkOut('U004', cookery.book_id, '2025-03-01');
+    await loans.checkOut('U009', cookery.book_id, '2025-03-02');
+    await loans.checkOut('U004', foodLab.book_id, '2025-03-03');
+    for (const userId of ['U004', 'U009', 'U010']) await loans.checkOut(userId, materials.book_id, '2025-03-04');
+
+    const engine = new DiscoveryService(store);
+    const plain  = (await engine.getRecommendations('U008', { limit: 6 })).map(r => r.book_id);
+    const mixed  = await engine.getRecommendations('U008', { limit: 6, explore: 0.5 });
+
+    // Every second slot, most-borrowed first; the regular list fills in once they run out
+    assert.deepStrictEqual(mixed.map(r => r.book_id),
+      [plain[0], cookery.book_id, plain[1], foodLab.book_id, plain[2], plain[3]]);
+    assert.deepStrictEqual(mixed[1].exploration, { division: '640', name: 'Home & family management', next_to: '650' });
+    assert.strictEqual(mixed.filter(r => r.fallback === 'exploration').length, 2);
+
+    // Pages cut the same interleaved list
+    const second = await engine.getRecommendations('U008', { limit: 2, offset: 2, explore: 0.5 });
+    assert.deepStrictEqual(second.map(r => r.book_id), [plain[1], foodLab.book_id]);
+
+    const explained = await engine.explainRecommendations('U008', { limit: 6, explore: 0.5 });
+    assert.deepStrictEqual(explained.explore, { rate: 0.5, divisions: ['640', '660'] });
+    assert.match(explained.explanation, /Exploration \(rate 0\.5\).*\(640, 660\)/);
+    await assert.rejects(engine.getRecommendations('U008', { explore: 1.5 }), { code: 'INVALID' });
+  });
+
+  await check('similarity and evaluation metrics match hand-worked values', async () => {
+    const close = (actual, expected, label) =>
+      assert.ok(Math.abs(actual - expected) < 1e-9, `${label}: ${actual} vs ${expected}`);
+    const score = (name, a, b, context) => getSimilarity(name).score(a, b, context);
+
+    // A heavy reader (20 books) holding all 5 of a light reader's books
+    const light = new Set(['B1', 'B2', 'B3', 'B4', 'B5']);
+    const heavy = new Set([...light, ...Array.from({ length: 15 }, (_, i) => 'H' + i)]);
+    close(score('jaccard', light, heavy), 5 / 20, 'jaccard');
+    close(score('cosine',  light, heavy), 5 / Math.sqrt(5 * 20), 'cosine');
+    close(score('dice',    light, heavy), 2 * 5 / (5 + 20), 'dice');
+    close(score('overlap', light, heavy), 1, 'overlap');
+
+    // Weighted: Σ min / Σ max = 1 / 3, a·b / (‖a‖‖b‖) = 2 / √5
+    const weighted = new Map([['X', 2], ['Y', 1]]);
+    close(score('jaccard', weighted, new Map([['X', 1]])), 1 / 3, 'weighted jaccard');
+    close(score('cosine',  weighted, new Map([['X', 1]])), 2 / Math.sqrt(5), 'weighted cosine');
+
+    // Sharing a rare book counts for more than sharing a popular one
+    const context = { penalty: new Map([['P', Math.log(2)], ['R', Math.log(11)], ['Q', Math.log(11)]]), unborrowed: 1 };
+    close(score('popularity_jaccard', new Set(['P', 'R']), new Set(['P', 'Q']), context),
+      Math.log(2) / (Math.log(2) + 2 * Math.log(11)), 'popular shared');
+    close(score('popularity_jaccard', new Set(['P', 'R']), new Set(['R', 'Q']), context),
+      Math.log(11) / (2 * Math.log(11) + Math.log(2)), 'rare shared');
+    const seeded = await getSimilarity('popularity_jaccard').prepare(repo);
+    close(seeded.penalty.get('B006'), Math.log(1 + users.length / 5), 'B006 is borrowed by 5 of the users');
+
+    // U010's one book is one of U005's five
+    const peerScore = async similarity =>
+      (await service.findPeers('U010', { similarity })).peers.find(p => p.peerId === 'U005').score;
+    close(await peerScore('jaccard'), 1 / 5, 'U005 jaccard');
+    close(await peerScore('cosine'), 1 / Math.sqrt(5), 'U005 cosine');
+    close(await peerScore('dice'), 2 / 6, 'U005 dice');
+    close(await peerScore('overlap'), 1, 'U005 overlap');
+    await assert.rejects(service.getRecommendations('U010', { similarity: 'euclid' }), { code: 'INVALID' });
+
+    // Hits at ranks 2 and 4 of 5, three relevant books
+    const list     = ['a', 'b', 'c', 'd', 'e'];
+    const relevant = new Set(['b', 'd', 'x']);
+    close(precisionAtK(list, relevant, 5), 2 / 5, 'precision@5');
+    close(recallAtK(list, relevant, 5), 2 / 3, 'recall@5');
+    close(averagePrecisionAtK(list, relevant, 5), (1 / 2 + 2 / 4) / 3, 'AP@5');
+    close(precisionAtK(list, relevant, 3), 1 / 3, 'precision@3');
+    close(averagePrecisionAtK(list, relevant, 3), (1 / 2) / 3, 'AP@3');
+    close(averagePrecisionAtK(['b', 'd', 'x'], relevant, 3), 1, 'a perfect list');
+  });
+
+  await check('implicit ratings weigh quick returns down and long or repeat loans up', async () => {
+    assert.strictEqual(loanSignal({ borrowed_at: '2025-01-08', return_date: '2025-01-09' }), 0.25);
+    assert.strictEqual(loanSignal({ borrowed_at: '2025-01-16', return_date: '2025-02-20' }), 1.5);
+    assert.strictEqual(loanSignal({ borrowed_at: '2025-01-28', return_date: '2025-02-10' }), 1);
+    assert.strictEqual(loanSignal({ borrowed_at: '2025-03-19', return_date: null }), 1);
+    const ratings = new Map();
+    for (let i = 0; i < 3; i++) addLoanRating(ratings, { book_id: 'B1', borrowed_at: '2025-01-01', return_date: '2025-02-01' });
+    assert.strictEqual(ratings.get('B1'), 3, 'capped');
+
+    // U011 returned B006 and B016 the next day, kept B015 five weeks and borrowed B004
+    // twice: rated 0.25, 0.25, 1.5 and 1 + 1.5; B005 (no record) and B013 rate 1
+    const u011 = (await service.findPeers('U007', { implicit: true })).peers.find(p => p.peerId === 'U011');
+    assert.strictEqual(u011.score, (1 + 1 + 0.25) / (2.5 + 1 + 1 + 1 + 1 + 0.25 + 1.5 + 1));
+
+    const plain    = await service.explainRecommendations('U007');
+    const implicit = await service.explainRecommendations('U007', { implicit: true });
+    assert.strictEqual(implicit.implicit, true);
+    assert.match(implicit.explanation, /0\.25 for a loan returned in under 3 days/);
+    const weights  = (list, bookId) => list.recommendations.find(r => r.book_id === bookId).contributions.map(c => c.weight);
+    assert.deepStrictEqual(weights(implicit, 'B015'), [1, 1.5]);
+    assert.deepStrictEqual(weights(implicit, 'B006'), [0.25, 1]);
+    const rank = (list, bookId) => list.recommendations.findIndex(r => r.book_id === bookId);
+    assert.strictEqual(rank(plain, 'B006'), 1);
+    assert.ok(rank(implicit, 'B006') > rank(implicit, 'B008'), 'the quick return no longer lifts B006');
+  });
+
+  await check('hybrid scores blend the peer score with Dewey, author and title-keyword matches', async () => {
+    // U010 has read only The Psychology of Money (332.4, Morgan Housel); U005 is their one peer
+    const store      = scratch();
+    const catalogue  = new CatalogueService(store);
+    const loans      = new LoanService(store);
+    const sameAsEver = await catalogue.createBook({ title: 'Same as Ever', author: 'Morgan Housel', dewey_decimal: '153.4' });
+    const moneyLife  = await catalogue.createBook({ title: 'Your Money or Your Life', author: 'Vicki Robin', dewey_decimal: '332.024' });
+    await loans.checkOut('U005', sameAsEver.book_id, '2025-03-01');
+    await loans.checkOut('U005', moneyLife.book_id, '2025-03-02');
+    const engine = new DiscoveryService(store);
+
+    // Every candidate comes from U005 alone, so the peer scores tie and titles decide
+    const plain = await engine.getRecommendations('U010');
+    assert.ok(plain.every(r => r.match_score === plain[0].match_score && !r.score_components));
+
+    const hybrid = await engine.getRecommendations('U010', { hybrid: 0.5 });
+    const byId   = Object.fromEntries(hybrid.map(r => [r.book_id, r.score_components]));
+    // Same number 332.4: Dewey 1; content = 0.5 × 1 = 0.5; blend = 0.5 × 1 + 0.5 × 0.5
+    assert.deepStrictEqual(byId.B011, { hybrid: 0.75, collaborative: 1, content: 0.5, dewey: 1, author: 0, keywords: 0 });
+    // Same section 332: Dewey 0.75; "money" is one of its two keywords; 0.5 × 0.75 + 0.2 × 0.5
+    assert.deepStrictEqual(byId[moneyLife.book_id],
+      { hybrid: 0.7375, collaborative: 1, content: 0.475, dewey: 0.75, author: 0, keywords: 0.5 });
+    // Another class, but the user's only author: 0.3 × 1
+    assert.deepStrictEqual(byId[sameAsEver.book_id],
+      { hybrid: 0.65, collaborative: 1, content: 0.3, dewey: 0, author: 1, keywords: 0 });
+    assert.deepStrictEqual(hybrid.map(r => r.book_id).slice(0, 4), ['B011', moneyLife.book_id, sameAsEver.book_id, 'B013']);
+    assert.strictEqual(hybrid[0].match_score, 0.75);
+
+    // Author-only weights put the Housel title first
+    const byAuthor = await engine.getRecommendations('U010', { hybrid: 0.5, contentWeights: { dewey: 0, author: 1, keywords: 0 } });
+    assert.strictEqual(byAuthor[0].book_id, sameAsEver.book_id);
+    assert.strictEqual(byAuthor[0].match_score, 1);
+
+    const explained = await engine.explainRecommendations('U010', { hybrid: 0.5 });
+    assert.deepStrictEqual(explained.hybrid, { content: 0.5, weights: { dewey: 0.5, author: 0.3, keywords: 0.2 } });
+    assert.ok((await engine.getRecommendations('U010', { hybrid: 0 })).every(r => !r.score_components));
+    await assert.rejects(engine.getRecommendations('U010', { hybrid: 2 }), { code: 'INVALID' });
+    await assert.rejects(engine.getRecommendations('U010', { hybrid: 0.5, contentWeights: { colour: 1 } }), { code: 'INVALID' });
+  });
+
+  console.log('\n' + DIVIDER);
+  console.log(failures
+    ? '  ' + failures + ' check(s) FAILED.'
+    : '  All tests complete.');
   console.log(DIVIDER + '\n');
 
-  await pool.end();
+  await repo.close();
+  if (failures) process.exitCode = 1;
 }
 
 runTests().catch(err => {
   console.error('\nTest failed: ' + err.message);
   console.error(err.stack);
-  pool.end();
-  process.exit(1);
+  repo.close().finally(() => process.exit(1));
 });
\ No newline at end of file